@@ -0,0 +1,182 @@
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { msg } from "../src/messages.js";
+import { ROLES, can } from "../src/workflow.js";
+import { readJSONRequest, sendJSON } from "./http.js";
+
+/**
+ * Anmeldung mit lokalen Benutzern (<dataDir>/users.json, Passwörter als
+ * scrypt-Hash mit Salt) und signierten Tokens (Authorization: Bearer …).
+ *
+ * GET    /api/auth/status        → { setup } – true, solange es keine Benutzer gibt
+ * POST   /api/auth/setup         { username, name, password } legt den ersten Admin an
+ * POST   /api/auth/login         { username, password } → { token, user }
+ * GET    /api/auth/me            → { user }
+ * GET    /api/users              → { users } (nur admin)
+ * POST   /api/users              { username, name, role, password? } anlegen/ändern (nur admin)
+ * DELETE /api/users/<username>   (nur admin)
+ *
+ * Ohne AUTH_SECRET entsteht beim Start ein zufälliger Schlüssel – Tokens
+ * gelten dann nur bis zum Neustart.
+ */
+
+const TOKEN_DAYS = 14;
+const USERNAME_RE = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD = 8;
+const scryptAsync = promisify(scrypt);
+
+export function createAuth({ dataDir, secret = process.env.AUTH_SECRET || randomBytes(32).toString("hex") }) {
+  const usersFile = path.resolve(dataDir, "users.json");
+
+  function loadUsers() {
+    return readFile(usersFile, "utf8").then(JSON.parse, () => []);
+  }
+
+  async function storeUsers(users) {
+    await mkdir(path.dirname(usersFile), { recursive: true });
+    await writeFile(usersFile, JSON.stringify(users, null, 2));
+  }
+
+  function signature(body) {
+    return createHmac("sha256", secret).update(body).digest();
+  }
+
+  function session(user) {
+    const claims = { sub: user.username, exp: Date.now() + TOKEN_DAYS * 24 * 60 * 60 * 1000 };
+    const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+    return { token: `${body}.${signature(body).toString("base64url")}`, user: publicUser(user) };
+  }
+
+  function verify(token) {
+    const [body, sig] = token.split(".");
+    if (!body || !sig) return null;
+    const given = Buffer.from(sig, "base64url");
+    const expected = signature(body);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+    try {
+      const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+      return claims.exp > Date.now() ? claims : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Angemeldeter Benutzer (Rolle aus users.json, Änderungen wirken sofort) oder null. */
+  async function authenticate(req) {
+    const match = /^Bearer (\S+)$/.exec(req.headers.authorization || "");
+    const claims = match && verify(match[1]);
+    if (!claims) return null;
+    const user = (await loadUsers()).find((u) => u.username === claims.sub);
+    return user ? publicUser(user) : null;
+  }
+
+  async function handle(req, res, url) {
+    const route = `${req.method} ${url.pathname}`;
+    const users = await loadUsers();
+
+    if (route === "GET /api/auth/status") return sendJSON(res, 200, { setup: users.length === 0 });
+
+    if (route === "POST /api/auth/login") {
+      const body = await readJSONRequest(req, res);
+      if (!body) return;
+      const user = users.find((u) => u.username === String(body.username || "").trim().toLowerCase());
+      if (!user || !(await checkPassword(user, String(body.password || "")))) {
+        return sendJSON(res, 401, { errors: { password: msg("auth.invalidCredentials") } });
+      }
+      return sendJSON(res, 200, session(user));
+    }
+
+    if (route === "POST /api/auth/setup") {
+      if (users.length) return sendJSON(res, 409, { error: "Es gibt bereits Benutzer." });
+      const body = await readJSONRequest(req, res);
+      if (!body) return;
+      const input = { ...normalizeUser(body), role: "admin" };
+      const errors = validateUser(input, { isNew: true });
+      if (Object.keys(errors).length) return sendJSON(res, 422, { errors });
+      const user = await createUser(input);
+      await storeUsers([user]);
+      return sendJSON(res, 201, session(user));
+    }
+
+    const current = await authenticate(req);
+    if (!current) return sendJSON(res, 401, { error: "Anmeldung erforderlich." });
+    if (route === "GET /api/auth/me") return sendJSON(res, 200, { user: current });
+    if (!url.pathname.startsWith("/api/users")) return sendJSON(res, 404, { error: "Not found" });
+    if (!can(current, "manageUsers")) return sendJSON(res, 403, { error: "Keine Berechtigung." });
+
+    if (route === "GET /api/users") return sendJSON(res, 200, { users: users.map(publicUser) });
+
+    if (route === "POST /api/users") {
+      const body = await readJSONRequest(req, res);
+      if (!body) return;
+      const input = normalizeUser(body);
+      const existing = users.find((u) => u.username === input.username);
+      const errors = validateUser(input, { isNew: !existing });
+      // der letzte Admin darf sich nicht selbst entmachten
+      const otherAdmin = users.some((u) => u !== existing && u.role === "admin");
+      if (existing && existing.role === "admin" && input.role !== "admin" && !otherAdmin) errors.role = msg("auth.lastAdmin");
+      if (Object.keys(errors).length) return sendJSON(res, 422, { errors });
+      const saved = existing
+        ? { ...existing, name: input.name, role: input.role, ...(input.password && (await hashPassword(input.password))) }
+        : await createUser(input);
+      await storeUsers(existing ? users.map((u) => (u === existing ? saved : u)) : [...users, saved]);
+      return sendJSON(res, existing ? 200 : 201, { user: publicUser(saved) });
+    }
+
+    const remove = req.method === "DELETE" && url.pathname.match(/^\/api\/users\/([^/]+)$/);
+    if (remove) {
+      let username;
+      try {
+        username = decodeURIComponent(remove[1]);
+      } catch {
+        return sendJSON(res, 400, { error: "Ungültiger Benutzername." });
+      }
+      if (username === current.username) return sendJSON(res, 422, { errors: { username: msg("auth.cannotDeleteSelf") } });
+      if (!users.some((u) => u.username === username)) return sendJSON(res, 404, { error: "Benutzer nicht gefunden." });
+      await storeUsers(users.filter((u) => u.username !== username));
+      return sendJSON(res, 200, { deleted: username });
+    }
+
+    return sendJSON(res, 404, { error: "Not found" });
+  }
+
+  return { authenticate, handle };
+}
+
+function publicUser({ username, name, role }) {
+  return { username, name, role };
+}
+
+function normalizeUser(body) {
+  return {
+    username: String(body.username || "").trim().toLowerCase(),
+    name: String(body.name || "").trim(),
+    role: String(body.role || ""),
+    password: String(body.password || ""),
+  };
+}
+
+function validateUser(input, { isNew }) {
+  const errors = {};
+  if (!USERNAME_RE.test(input.username)) errors.username = msg("auth.invalidUsername");
+  if (!ROLES.includes(input.role)) errors.role = msg("auth.invalidRole");
+  if ((isNew || input.password) && input.password.length < MIN_PASSWORD) {
+    errors.password = msg("auth.passwordTooShort", { min: MIN_PASSWORD });
+  }
+  return errors;
+}
+
+async function createUser({ username, name, role, password }) {
+  return { username, name, role, ...(await hashPassword(password)), createdAt: new Date().toISOString() };
+}
+
+async function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+  return { salt, hash: (await scryptAsync(password, salt, 64)).toString("hex") };
+}
+
+async function checkPassword(user, password) {
+  const { hash } = await hashPassword(password, user.salt);
+  return timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.hash, "hex"));
+}
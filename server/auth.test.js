@@ -0,0 +1,102 @@
+import { mkdtemp, rm } from "node:fs/promises";
+import { createServer } from "node:http";
+import { createHmac } from "node:crypto";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { createAuth } from "./auth.js";
+import { createRfqHandler } from "./rfq-api.js";
+
+const SECRET = "test-secret";
+
+let dir;
+let server;
+let base;
+let adminToken;
+
+async function api(url, { token, json, ...options } = {}) {
+  const res = await fetch(`${base}${url}`, {
+    ...options,
+    headers: {
+      ...(json !== undefined && { "Content-Type": "application/json" }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    ...(json !== undefined && { body: JSON.stringify(json) }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Token wie in auth.js, aber mit frei gewählten Claims
+function sign(claims, secret = SECRET) {
+  const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${body}.${createHmac("sha256", secret).update(body).digest("base64url")}`;
+}
+
+beforeAll(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "rfq-auth-"));
+  const handler = createRfqHandler({ uploadDir: dir, auth: createAuth({ dataDir: dir, secret: SECRET }) });
+  server = createServer((req, res) => handler(req, res, () => res.writeHead(404).end("{}")));
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}`;
+  const setup = await api("/api/auth/setup", { method: "POST", json: { username: "admin", name: "Admin", password: "geheim123" } });
+  adminToken = setup.body.token;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("Anmeldung", () => {
+  it("legt beim ersten Start den Admin an und danach keinen weiteren", async () => {
+    expect((await api("/api/auth/me", { token: adminToken })).body.user).toEqual({ username: "admin", name: "Admin", role: "admin" });
+    const again = await api("/api/auth/setup", {
+      method: "POST",
+      json: { username: "zweiter", name: "Zweiter", password: "geheim123" },
+    });
+    expect(again.status).toBe(409);
+    expect((await api("/api/auth/status")).body.setup).toBe(false);
+  });
+
+  it("meldet mit richtigem Passwort an, mit falschem nicht", async () => {
+    expect((await api("/api/auth/login", { method: "POST", json: { username: "admin", password: "geheim123" } })).status).toBe(200);
+    const wrong = await api("/api/auth/login", { method: "POST", json: { username: "admin", password: "falsch123" } });
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.errors.password.key).toBe("auth.invalidCredentials");
+  });
+
+  it("lehnt veränderte und abgelaufene Tokens ab", async () => {
+    const [body, sig] = adminToken.split(".");
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    const forged = `${Buffer.from(JSON.stringify({ ...claims, sub: "jemand" })).toString("base64url")}.${sig}`;
+    expect((await api("/api/auth/me", { token: forged })).status).toBe(401);
+    expect((await api("/api/auth/me", { token: sign(claims, "anderes-secret") })).status).toBe(401);
+    expect((await api("/api/auth/me", { token: sign({ ...claims, exp: Date.now() - 1000 }) })).status).toBe(401);
+    expect((await api("/api/auth/me", { token: sign(claims) })).status).toBe(200);
+    expect((await api("/api/rfq", { token: "kein-token" })).status).toBe(401);
+  });
+});
+
+describe("Benutzerverwaltung", () => {
+  it("ist dem Admin vorbehalten", async () => {
+    const user = { username: "anna", name: "Anna", role: "requester", password: "geheim123" };
+    expect((await api("/api/users", { method: "POST", token: adminToken, json: user })).status).toBe(201);
+    const { body } = await api("/api/auth/login", { method: "POST", json: { username: "anna", password: "geheim123" } });
+    expect((await api("/api/users", { token: body.token })).status).toBe(403);
+    expect((await api("/api/users/admin", { method: "DELETE", token: body.token })).status).toBe(403);
+  });
+
+  it("lässt den letzten Admin sich nicht selbst entmachten", async () => {
+    const { status, body } = await api("/api/users", {
+      method: "POST",
+      token: adminToken,
+      json: { username: "admin", name: "Admin", role: "buyer" },
+    });
+    expect(status).toBe(422);
+    expect(body.errors.role.key).toBe("auth.lastAdmin");
+  });
+
+  it("antwortet auf einen nicht dekodierbaren Benutzernamen mit 400", async () => {
+    expect((await api("/api/users/%E0", { method: "DELETE", token: adminToken })).status).toBe(400);
+  });
+});
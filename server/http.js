@@ -0,0 +1,80 @@
+/**
+ * Kleine Helfer für die Connect-kompatiblen Handler (rfq-api.js, auth.js).
+ */
+
+export function sendJSON(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(body));
+}
+
+export function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Login, Benutzer, Status: JSON-Bodys sind klein; größere laufen nicht in den Speicher
+const MAX_JSON_BYTES = 64 * 1024;
+
+export class TooLargeError extends Error {}
+
+/**
+ * JSON-Objekt aus dem Body eines Requests; wirft bei ungültigem JSON, bei
+ * allem außer einem Objekt und (als TooLargeError) ab maxBytes. Der Rest
+ * eines zu großen Bodys wird verworfen, damit die Antwort noch ankommt.
+ */
+export function readJSONBody(req, maxBytes = MAX_JSON_BYTES) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers["content-length"] || 0) > maxBytes) {
+      req.resume();
+      return reject(new TooLargeError("Anfrage zu groß."));
+    }
+    const chunks = [];
+    let received = 0;
+    req.on("data", (chunk) => {
+      received += chunk.length;
+      if (received <= maxBytes) chunks.push(chunk);
+      else if (received - chunk.length <= maxBytes) reject(new TooLargeError("Anfrage zu groß."));
+    });
+    req.on("error", reject);
+    req.on("end", () => {
+      if (received > maxBytes) return;
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+        if (isPlainObject(body)) resolve(body);
+        else reject(new Error("Body ist kein JSON-Objekt."));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+/**
+ * readJSONBody() für Handler: antwortet bei zu großem (413) oder ungültigem
+ * Body (400) selbst und liefert dann null.
+ */
+export async function readJSONRequest(req, res) {
+  try {
+    return await readJSONBody(req);
+  } catch (err) {
+    if (err instanceof TooLargeError) sendJSON(res, 413, { error: "Anfrage zu groß." });
+    else sendJSON(res, 400, { error: "Body ist kein JSON." });
+    return null;
+  }
+}
+
+/**
+ * Fängt Fehler eines (async) Handlers ab und antwortet mit 500, damit eine
+ * fehlerhafte Anfrage nicht den ganzen Prozess beendet.
+ */
+export function catchErrors(handler) {
+  return async function guardedHandler(req, res, next) {
+    try {
+      await handler(req, res, next);
+    } catch (err) {
+      console.error(err);
+      if (!res.headersSent) sendJSON(res, 500, { error: "Interner Fehler." });
+      else res.end();
+    }
+  };
+}
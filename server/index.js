@@ -0,0 +1,60 @@
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { createRfqHandler } from "./rfq-api.js";
+import { catchErrors, sendJSON } from "./http.js";
+
+/**
+ * Produktiv-Server: liefert den Vite-Build aus dist/ aus und stellt /api/rfq bereit.
+ * Start: `npm run build && npm run server` (PORT, UPLOAD_DIR, MAX_UPLOAD_MB, AUTH_SECRET per Umgebung).
+ */
+
+const PORT = Number(process.env.PORT || 3000);
+const DIST = path.resolve(process.env.DIST_DIR || "dist");
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+};
+
+const api = createRfqHandler({
+  uploadDir: process.env.UPLOAD_DIR || "uploads",
+  maxBytes: (Number(process.env.MAX_UPLOAD_MB) || 300) * 1024 * 1024,
+});
+
+async function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return sendJSON(res, 400, { error: "Ungültiger Pfad." });
+  }
+  const file = path.join(DIST, path.normalize(decoded));
+  // Nur Dateien innerhalb von dist/ (auch nicht dist-ssr/ o. ä. daneben)
+  const relative = path.relative(DIST, file);
+  if (relative.startsWith("..") || path.isAbsolute(relative)) return sendJSON(res, 403, { error: "Forbidden" });
+  try {
+    const body = await readFile(pathname === "/" ? path.join(DIST, "index.html") : file);
+    res.setHeader("Content-Type", MIME[path.extname(file)] || "application/octet-stream");
+    // Service Worker und Einstieg nie aus dem HTTP-Cache, sonst bleiben Updates hängen
+    if (pathname === "/" || pathname === "/sw.js" || pathname === "/index.html") res.setHeader("Cache-Control", "no-cache");
+    res.end(body);
+  } catch {
+    // SPA-Fallback
+    const body = await readFile(path.join(DIST, "index.html")).catch(() => null);
+    if (!body) return sendJSON(res, 404, { error: "Not found" });
+    res.setHeader("Content-Type", MIME[".html"]);
+    res.end(body);
+  }
+}
+
+createServer(
+  catchErrors((req, res) => api(req, res, () => serveStatic(req, res)))
+).listen(PORT, () => {
+  console.log(`RFQ-Server läuft auf http://localhost:${PORT}`);
+});
@@ -0,0 +1,404 @@
+import { mkdir, readFile, readdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { createHash, randomBytes } from "node:crypto";
+import { validateRFQ } from "../src/validation.js";
+import { msg } from "../src/messages.js";
+import { createTranslator } from "../src/i18n.js";
+import { buildRfqDocument, rfqDocumentName } from "../src/rfqDocument.js";
+import { dispatchBlocker } from "../src/suppliers.js";
+import { FIRST_REVISION, compareRevisions, isRevision, nextRevision } from "../src/revisions.js";
+import { RFQ_STATUSES, can, canDispatch, canView, currentStatus, nextStatuses } from "../src/workflow.js";
+import { createAuth } from "./auth.js";
+import { createSupplierStore } from "./suppliers.js";
+import { updateJSON } from "./store.js";
+import { TooLargeError, isPlainObject, readJSONRequest, sendJSON } from "./http.js";
+
+/**
+ * POST /api/rfq – nimmt das buildPayload()-JSON (Feld "payload") plus die
+ * Dateien (Feld "files", multipart) entgegen, legt beides unter
+ * <uploadDir>/<RFQ-Nummer>/ ab und antwortet mit der RFQ-Nummer.
+ * Validierungsfehler kommen als 422 { errors: { feld: { key, params } } } zurück
+ * (übersetzt im Client),
+ * ebenso Dateien, deren SHA-256 nicht zur Angabe in der Payload passt.
+ * Zu jeder Anfrage wird das RFQ-Dokument (src/rfqDocument.js) als
+ * <RFQ-Nummer>-<Revision>.pdf in der Sprache aus meta.lang abgelegt.
+ *
+ * Revisionen: meta.revision "B", "C" … mit meta.rfqNumber legen einen neuen
+ * Stand unter <uploadDir>/<RFQ-Nummer>/rev-<Revision>/ ab; frühere Stände
+ * bleiben unverändert. Erwartet wird genau die nächste Revision, sonst
+ * 409 { error, expected, current }.
+ *
+ * Wiederholte Übermittlungen (Postausgang im Client) tragen einen
+ * Idempotency-Key-Header; hat derselbe Benutzer den Schlüssel schon
+ * verwendet, antwortet der Server mit 200 und der ursprünglichen Antwort
+ * statt die Anfrage doppelt anzulegen (<uploadDir>/submissions.json,
+ * Einträge unter "<Benutzer>:<Schlüssel>").
+ *
+ * POST /api/rfq/<RFQ-Nummer>/dispatch – vermerkt den Versand an Lieferanten
+ * aus dem Verzeichnis (server/suppliers.js, /api/suppliers) in dispatch.json
+ * neben der Anfrage. Verschickt wird nichts: die Mail je Lieferant erzeugt
+ * der Client als .eml-Entwurf (src/rfqExport.js).
+ *
+ * Alle Endpunkte verlangen eine Anmeldung (server/auth.js, auch /api/auth/*
+ * und /api/users laufen hier durch); die Rechte je Rolle stehen in
+ * src/workflow.js. Status und Historie führt audit.json im Anfrageordner:
+ * [{ at, user, action, from, to, revision, note }].
+ *
+ * GET  /api/rfq                       → { rfqs } – sichtbare Anfragen mit Status
+ * GET  /api/rfq/<RFQ-Nummer>          → { rfq, revisions: [{ revision, payload }] } – alle Stände, ältester zuerst
+ * GET  /api/rfq/<RFQ-Nummer>/audit    → { status, next, audit }
+ * POST /api/rfq/<RFQ-Nummer>/status   { status, note } – Statuswechsel
+ * POST /api/rfq/<RFQ-Nummer>/dispatch { supplierIds } → { dispatches }
+ * /api/suppliers                      Lieferantenverzeichnis (server/suppliers.js)
+ *
+ * Connect-kompatibel, läuft also als Vite-Middleware und im eigenen Server.
+ */
+export function createRfqHandler({
+  uploadDir = "uploads",
+  maxBytes = 300 * 1024 * 1024,
+  auth = createAuth({ dataDir: uploadDir }),
+  suppliers = createSupplierStore({ dataDir: uploadDir }),
+} = {}) {
+  return async function rfqHandler(req, res, next) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname.startsWith("/api/auth/") || /^\/api\/users(\/|$)/.test(url.pathname)) return auth.handle(req, res, url);
+    const sub = url.pathname.match(/^\/api\/rfq\/(RFQ-\d{8}-[0-9A-F]{6})(?:\/(dispatch|status|audit))?$/);
+    const supplierRoute = /^\/api\/suppliers(\/|$)/.test(url.pathname);
+    if (url.pathname !== "/api/rfq" && !sub && !supplierRoute) return next ? next() : sendJSON(res, 404, { error: "Not found" });
+
+    const user = await auth.authenticate(req);
+    if (!user) return sendJSON(res, 401, { error: "Anmeldung erforderlich." });
+    if (supplierRoute) return suppliers.handle(req, res, url, user);
+    if (sub) {
+      const base = path.resolve(uploadDir, sub[1]);
+      if (sub[2] === "dispatch") return handleDispatch(req, res, base, user, await suppliers.list());
+      if (sub[2] === "status") return handleStatus(req, res, base, user);
+      if (sub[2] === "audit") return handleAudit(req, res, base, user);
+      return handleGet(req, res, base, user);
+    }
+    if (req.method === "GET") return handleList(res, uploadDir, user);
+    if (req.method !== "POST") return sendJSON(res, 405, { error: "Nur GET oder POST erlaubt." });
+    if (!can(user, "submit")) return sendJSON(res, 403, { error: "Keine Berechtigung." });
+
+    const length = Number(req.headers["content-length"] || 0);
+    if (length > maxBytes) return sendJSON(res, 413, { error: "Anfrage zu groß." });
+
+    const key = String(req.headers["idempotency-key"] || "");
+    if (key && !IDEMPOTENCY_KEY_RE.test(key)) return sendJSON(res, 400, { error: "Ungültiger Idempotency-Key." });
+    const submissionsFile = path.resolve(uploadDir, "submissions.json");
+    // Je Benutzer: ein fremder Schlüssel liefert nie die Quittung eines anderen
+    const submissionKey = `${user.username}:${key}`;
+    if (key) {
+      const previous = (await readJSON(submissionsFile, {}))[submissionKey];
+      if (previous) return sendJSON(res, 200, previous);
+    }
+
+    let formData;
+    try {
+      formData = await readFormData(req, url, maxBytes);
+    } catch (err) {
+      if (err instanceof TooLargeError) return sendJSON(res, 413, { error: "Anfrage zu groß." });
+      return sendJSON(res, 400, { error: `Ungültiger Request: ${err.message}` });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(String(formData.get("payload") || ""));
+    } catch {
+      return sendJSON(res, 400, { error: "Feld 'payload' fehlt oder ist kein JSON." });
+    }
+    if (!isPlainObject(payload)) return sendJSON(res, 422, { error: "Feld 'payload' ist kein JSON-Objekt." });
+
+    const files = formData.getAll("files").filter((f) => typeof f === "object" && f !== null);
+    const errors = validateRFQ(payload);
+    if (files.length !== (payload.files || []).length) {
+      errors.files = msg("validation.fileCount");
+    }
+    if (Object.keys(errors).length) return sendJSON(res, 422, { errors });
+
+    const contents = await Promise.all(files.map(async (f) => Buffer.from(await f.arrayBuffer())));
+    const hashes = contents.map((buf) => createHash("sha256").update(buf).digest("hex"));
+    const corrupt = (payload.files || [])
+      .filter((meta, idx) => meta.sha256 && meta.sha256 !== hashes[idx])
+      .map((meta) => meta.name);
+    if (corrupt.length) {
+      return sendJSON(res, 422, { errors: { files: msg("validation.checksum", { names: corrupt.join(", ") }) } });
+    }
+
+    const meta = payload.meta || {};
+    const revision = meta.revision || FIRST_REVISION;
+    if (!isRevision(revision)) return sendJSON(res, 400, { error: "Ungültige Revision." });
+    let rfqNumber;
+    let dir;
+    if (revision === FIRST_REVISION) {
+      rfqNumber = createRfqNumber();
+      dir = path.resolve(uploadDir, rfqNumber);
+    } else {
+      // test() wandelt Arrays o. ä. in Text um, path.resolve() würde dann werfen
+      if (typeof meta.rfqNumber !== "string" || !RFQ_NUMBER_RE.test(meta.rfqNumber)) {
+        return sendJSON(res, 400, { error: "RFQ-Nummer der Revision fehlt." });
+      }
+      rfqNumber = meta.rfqNumber;
+      const current = await latestRevision(path.resolve(uploadDir, rfqNumber));
+      if (!current) return sendJSON(res, 404, { error: "Anfrage nicht gefunden." });
+      const original = await readJSON(path.resolve(uploadDir, rfqNumber, "payload.json"), {});
+      if (!canView(original, user)) return sendJSON(res, 403, { error: "Keine Berechtigung." });
+      const expected = nextRevision(current.revision);
+      if (revision !== expected) {
+        return sendJSON(res, 409, { error: `Revision ${expected} erwartet.`, expected, current: current.revision });
+      }
+      dir = path.resolve(uploadDir, rfqNumber, `rev-${revision}`);
+    }
+
+    try {
+      await mkdir(path.join(dir, "files"), { recursive: true });
+      const stored = [];
+      for (const [idx, file] of files.entries()) {
+        const name = `${String(idx + 1).padStart(2, "0")}_${safeFileName(file.name)}`;
+        await writeFile(path.join(dir, "files", name), contents[idx]);
+        stored.push({ name: file.name, storedAs: name, size: file.size, type: file.type, sha256: hashes[idx] });
+      }
+      const documentName = rfqDocumentName(rfqNumber, "", revision);
+      const t = createTranslator(payload.meta && payload.meta.lang);
+      await writeFile(path.join(dir, documentName), buildRfqDocument(payload, { t, rfqNumber }));
+      const receivedAt = new Date().toISOString();
+      const record = {
+        ...payload,
+        rfqNumber,
+        revision,
+        receivedAt,
+        submittedBy: user.username,
+        files: stored,
+        document: documentName,
+      };
+      await writeFile(path.join(dir, "payload.json"), JSON.stringify(record, null, 2));
+      await appendAudit(
+        path.resolve(uploadDir, rfqNumber),
+        revision === FIRST_REVISION
+          ? { at: receivedAt, user: user.username, action: "submit", to: "submitted", revision }
+          : { at: receivedAt, user: user.username, action: "revision", revision }
+      );
+      const response = { rfqNumber, revision, receivedAt, files: stored, document: documentName };
+      if (key) {
+        await updateJSON(submissionsFile, {}, (submissions) => ({ ...submissions, [submissionKey]: response }));
+      }
+      return sendJSON(res, 201, response);
+    } catch (err) {
+      console.error(err);
+      return sendJSON(res, 500, { error: "Speichern fehlgeschlagen." });
+    }
+  };
+}
+
+/**
+ * Body: { supplierIds: [id] }. Name, Adresse und NDA-Status kommen aus dem
+ * Verzeichnis (directory); verlangt die gespeicherte Anfrage ein NDA, wird
+ * ohne NDA-Vermerk nicht versendet. Vergebene und geschlossene Anfragen
+ * gehen nicht mehr raus (409). Der erste Versand setzt eine eingereichte
+ * Anfrage auf "quoting".
+ * Antwort: 201 { dispatches: [{ supplierId, name, email, sentAt }] }.
+ */
+async function handleDispatch(req, res, dir, user, directory) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "Nur POST erlaubt." });
+  if (!can(user, "dispatch")) return sendJSON(res, 403, { error: "Keine Berechtigung." });
+  // Lieferanten erhalten immer den aktuellen Stand
+  const current = await latestRevision(dir);
+  const record = current && (await readJSON(path.join(current.dir, "payload.json"), null));
+  if (!record) return sendJSON(res, 404, { error: "Anfrage nicht gefunden." });
+
+  const body = await readJSONRequest(req, res);
+  if (!body) return;
+  const ids = Array.isArray(body.supplierIds) ? [...new Set(body.supplierIds)] : [];
+  if (!ids.every((id) => typeof id === "string")) return sendJSON(res, 400, { error: "Ungültige Lieferantenliste." });
+
+  const audit = await readJSON(path.join(dir, "audit.json"), []);
+  const status = currentStatus(audit);
+  if (!canDispatch(status)) {
+    return sendJSON(res, 409, {
+      error: `Anfrage im Status ${status} wird nicht mehr versendet.`,
+      current: status,
+      errors: { suppliers: msg("dispatch.notOpen") },
+    });
+  }
+
+  const errors = {};
+  if (!ids.length) errors.suppliers = msg("dispatch.noneSelected");
+  const suppliers = [];
+  for (const id of ids) {
+    const supplier = directory.find((s) => s.id === id);
+    const blocker = supplier ? dispatchBlocker(record, supplier) : msg("dispatch.unknownSupplier");
+    if (blocker) errors[id] = blocker;
+    else suppliers.push(supplier);
+  }
+  if (Object.keys(errors).length) return sendJSON(res, 422, { errors });
+
+  const sentAt = new Date().toISOString();
+  const dispatches = suppliers.map((s) => ({ supplierId: s.id, name: s.name, email: s.email, sentAt }));
+  await updateJSON(path.join(dir, "dispatch.json"), [], (log) => [...log, ...dispatches]);
+  await appendAudit(dir, {
+    at: sentAt,
+    user: user.username,
+    action: "dispatch",
+    ...(status === "submitted" && { from: status, to: "quoting" }),
+    revision: current.revision,
+    note: dispatches.map((d) => d.name).join(", "),
+  });
+  return sendJSON(res, 201, { dispatches });
+}
+
+/** Body: { status, note }. Erlaubt sind nur die Folgestatus aus nextStatuses(). */
+async function handleStatus(req, res, dir, user) {
+  if (req.method !== "POST") return sendJSON(res, 405, { error: "Nur POST erlaubt." });
+  const rfq = await loadSummary(dir);
+  if (!rfq || !canView(rfq, user)) return sendJSON(res, 404, { error: "Anfrage nicht gefunden." });
+
+  const body = await readJSONRequest(req, res);
+  if (!body) return;
+  const status = String(body.status || "");
+  if (!RFQ_STATUSES.includes(status)) return sendJSON(res, 422, { errors: { status: msg("dashboard.invalidStatus") } });
+  if (!nextStatuses(rfq, user).includes(status)) {
+    return sendJSON(res, 409, { error: `Wechsel von ${rfq.status} nach ${status} nicht erlaubt.`, current: rfq.status });
+  }
+  const entry = {
+    at: new Date().toISOString(),
+    user: user.username,
+    action: "status",
+    from: rfq.status,
+    to: status,
+    revision: rfq.revision,
+    note: String(body.note || "").trim().slice(0, 500),
+  };
+  const audit = await appendAudit(dir, entry);
+  return sendJSON(res, 201, { status, next: nextStatuses({ ...rfq, status }, user), audit });
+}
+
+async function handleAudit(req, res, dir, user) {
+  if (req.method !== "GET") return sendJSON(res, 405, { error: "Nur GET erlaubt." });
+  const rfq = await loadSummary(dir);
+  if (!rfq || !canView(rfq, user)) return sendJSON(res, 404, { error: "Anfrage nicht gefunden." });
+  const audit = await readJSON(path.join(dir, "audit.json"), []);
+  return sendJSON(res, 200, { status: rfq.status, next: nextStatuses(rfq, user), audit });
+}
+
+/** Eine Anfrage mit allen gespeicherten Ständen (payload.json je Revision). */
+async function handleGet(req, res, dir, user) {
+  if (req.method !== "GET") return sendJSON(res, 405, { error: "Nur GET erlaubt." });
+  const rfq = await loadSummary(dir);
+  if (!rfq || !canView(rfq, user)) return sendJSON(res, 404, { error: "Anfrage nicht gefunden." });
+  const revisions = [];
+  for (const { revision, dir: revisionDir } of await listRevisions(dir)) {
+    const payload = await readJSON(path.join(revisionDir, "payload.json"), null);
+    if (payload) revisions.push({ revision, payload });
+  }
+  return sendJSON(res, 200, { rfq, revisions });
+}
+
+/** Alle für den Benutzer sichtbaren Anfragen, neueste zuerst. */
+async function handleList(res, uploadDir, user) {
+  const entries = await readdir(uploadDir, { withFileTypes: true }).catch(() => []);
+  const rfqs = [];
+  for (const e of entries) {
+    if (!e.isDirectory() || !RFQ_NUMBER_RE.test(e.name)) continue;
+    const rfq = await loadSummary(path.join(uploadDir, e.name));
+    if (rfq && canView(rfq, user)) rfqs.push(rfq);
+  }
+  rfqs.sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  return sendJSON(res, 200, { rfqs });
+}
+
+/**
+ * Listeneintrag einer Anfrage aus dem aktuellen Stand und dem Audit-Log.
+ * Eigentümer ist, wer Revision A eingereicht hat.
+ */
+async function loadSummary(base) {
+  const first = await readJSON(path.join(base, "payload.json"), null);
+  const current = first && (await latestRevision(base));
+  if (!current) return null;
+  const latest = current.dir === base ? first : await readJSON(path.join(current.dir, "payload.json"), first);
+  const audit = await readJSON(path.join(base, "audit.json"), []);
+  return {
+    rfqNumber: first.rfqNumber,
+    revision: current.revision,
+    status: currentStatus(audit),
+    company: latest.company || "",
+    deliveryDate: latest.deliveryDate || "",
+    partNames: (latest.lineItems || []).map((li) => li.partName).filter(Boolean),
+    submittedBy: first.submittedBy || "",
+    receivedAt: first.receivedAt,
+    updatedAt: audit.length ? audit.at(-1).at : latest.receivedAt,
+  };
+}
+
+function appendAudit(base, entry) {
+  return updateJSON(path.join(base, "audit.json"), [], (audit) => [...audit, entry]);
+}
+
+/**
+ * Aktueller Stand einer Anfrage: { revision, dir } oder null, wenn es sie
+ * nicht gibt. Revision A liegt direkt im Anfrageordner, spätere in rev-<X>/.
+ */
+async function latestRevision(base) {
+  return (await listRevisions(base)).at(-1) || null;
+}
+
+/** Alle Stände als [{ revision, dir }], ältester zuerst; leer, wenn es die Anfrage nicht gibt. */
+async function listRevisions(base) {
+  const first = await readJSON(path.join(base, "payload.json"), null);
+  if (!first) return [];
+  const later = (await readdir(base, { withFileTypes: true }))
+    .filter((e) => e.isDirectory() && e.name.startsWith("rev-") && isRevision(e.name.slice(4)))
+    .map((e) => e.name.slice(4))
+    .sort(compareRevisions);
+  return [
+    { revision: first.revision || FIRST_REVISION, dir: base },
+    ...later.map((revision) => ({ revision, dir: path.join(base, `rev-${revision}`) })),
+  ];
+}
+
+function readJSON(file, fallback) {
+  return readFile(file, "utf8").then(JSON.parse, () => fallback);
+}
+
+/**
+ * Multipart-Body als FormData. Content-Length allein reicht nicht (chunked
+ * Uploads haben keine), deshalb wird mitgezählt und ab maxBytes abgebrochen.
+ */
+async function readFormData(req, url, maxBytes) {
+  let tooLarge = false;
+  async function* limited() {
+    let received = 0;
+    for await (const chunk of req) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        tooLarge = true;
+        throw new TooLargeError("Anfrage zu groß.");
+      }
+      yield chunk;
+    }
+  }
+  const request = new Request(url, {
+    method: req.method,
+    headers: { "content-type": req.headers["content-type"] || "" },
+    body: Readable.toWeb(Readable.from(limited())),
+    duplex: "half",
+  });
+  try {
+    return await request.formData();
+  } catch (err) {
+    // formData() verpackt den Stream-Fehler in einen TypeError
+    throw tooLarge ? new TooLargeError("Anfrage zu groß.") : err;
+  }
+}
+
+const RFQ_NUMBER_RE = /^RFQ-\d{8}-[0-9A-F]{6}$/;
+const IDEMPOTENCY_KEY_RE = /^[\w-]{8,64}$/;
+
+function createRfqNumber() {
+  const day = new Date().toISOString().slice(0, 10).replaceAll("-", "");
+  return `RFQ-${day}-${randomBytes(3).toString("hex").toUpperCase()}`;
+}
+
+function safeFileName(name) {
+  return path.basename(String(name || "datei")).replace(/[^\w.-]+/g, "_");
+}
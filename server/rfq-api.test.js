@@ -0,0 +1,342 @@
+import { mkdir, mkdtemp, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { createServer } from "node:http";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { createRfqHandler } from "./rfq-api.js";
+import { DEFAULT_LINE_ITEM, EMPTY_FORM, toPayload } from "../src/model.js";
+
+const USERS = {
+  anna: { username: "anna", name: "Anna", role: "requester" },
+  bernd: { username: "bernd", name: "Bernd", role: "requester" },
+  eva: { username: "eva", name: "Eva", role: "buyer" },
+};
+const RFQ = "RFQ-20260110-ABC123";
+const NDA_RFQ = "RFQ-20260110-DEF456";
+const AWARDED_RFQ = "RFQ-20260110-AAA111";
+const MAX_BYTES = 256 * 1024;
+
+let dir;
+let server;
+let base;
+
+// Anmeldung per Header statt Token – geprüft wird hier nur die Sichtbarkeit
+const auth = { authenticate: async (req) => USERS[req.headers["x-user"]] || null, handle: () => {} };
+
+async function api(url, user, options = {}) {
+  const res = await fetch(`${base}${url}`, { ...options, headers: { "x-user": user, ...options.headers } });
+  return { status: res.status, body: await res.json() };
+}
+
+function post(url, user, json) {
+  return api(url, user, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(json) });
+}
+
+const sha256 = async (file) => createHash("sha256").update(Buffer.from(await file.arrayBuffer())).digest("hex");
+
+// Gültige Payload wie aus dem Formular; meta ergänzt bzw. überschreibt
+function rfqPayload(meta = {}, files = []) {
+  const form = {
+    ...EMPTY_FORM,
+    company: "Muster GmbH",
+    contact: "Erika Muster",
+    email: "einkauf@muster.de",
+    deliveryDate: "2099-03-01",
+    lineItems: [{ ...DEFAULT_LINE_ITEM, partName: "Flansch" }],
+  };
+  const payload = toPayload(form, { lang: "de" });
+  return { ...payload, meta: { ...payload.meta, ...meta }, files };
+}
+
+function formData(payload, files) {
+  const body = new FormData();
+  body.append("payload", JSON.stringify(payload));
+  files.forEach((f) => body.append("files", f, f.name));
+  return body;
+}
+
+function submit(user, payload, files = [], headers = {}) {
+  return api("/api/rfq", user, { method: "POST", headers, body: formData(payload, files) });
+}
+
+// Weitere Anfrage (nur Revision A) mit eigenem Audit-Log
+async function writeRFQ(rfqNumber, extra, audit) {
+  await mkdir(path.join(dir, rfqNumber), { recursive: true });
+  const payload = {
+    meta: { version: 8 },
+    company: "Muster GmbH",
+    lineItems: [],
+    files: [],
+    rfqNumber,
+    revision: "A",
+    receivedAt: "2026-01-10T08:00:00.000Z",
+    submittedBy: "anna",
+    ...extra,
+  };
+  await writeFile(path.join(dir, rfqNumber, "payload.json"), JSON.stringify(payload));
+  await writeFile(path.join(dir, rfqNumber, "audit.json"), JSON.stringify(audit));
+}
+
+beforeAll(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "rfq-api-"));
+  const rfqDir = path.join(dir, RFQ);
+  await mkdir(path.join(rfqDir, "rev-B"), { recursive: true });
+  const payload = (revision, company) => ({
+    meta: { version: 8, revision },
+    company,
+    lineItems: [{ partName: "Flansch", qty: 10 }],
+    files: [],
+    rfqNumber: RFQ,
+    revision,
+    receivedAt: `2026-01-1${revision === "A" ? 0 : 2}T08:00:00.000Z`,
+    submittedBy: "anna",
+  });
+  await writeFile(path.join(rfqDir, "payload.json"), JSON.stringify(payload("A", "Muster GmbH")));
+  await writeFile(path.join(rfqDir, "rev-B", "payload.json"), JSON.stringify(payload("B", "Muster AG")));
+  await writeFile(
+    path.join(rfqDir, "audit.json"),
+    JSON.stringify([{ at: "2026-01-10T08:00:00.000Z", user: "anna", action: "submit", to: "submitted", revision: "A" }])
+  );
+  const submitted = { at: "2026-01-10T08:00:00.000Z", user: "anna", action: "submit", to: "submitted", revision: "A" };
+  await writeRFQ(NDA_RFQ, { NDA: true }, [submitted]);
+  await writeRFQ(AWARDED_RFQ, {}, [
+    submitted,
+    { at: "2026-01-11T08:00:00.000Z", user: "eva", action: "status", from: "submitted", to: "quoting", revision: "A" },
+    { at: "2026-01-12T08:00:00.000Z", user: "eva", action: "status", from: "quoting", to: "awarded", revision: "A" },
+  ]);
+  const handler = createRfqHandler({ uploadDir: dir, auth, maxBytes: MAX_BYTES });
+  server = createServer((req, res) => handler(req, res, () => res.writeHead(404).end("{}")));
+  await new Promise((resolve) => server.listen(0, resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe("GET /api/rfq/<RFQ-Nummer>", () => {
+  it("liefert alle Stände, ältester zuerst", async () => {
+    const { status, body } = await api(`/api/rfq/${RFQ}`, "anna");
+    expect(status).toBe(200);
+    expect(body.rfq).toMatchObject({ rfqNumber: RFQ, revision: "B", status: "submitted", company: "Muster AG" });
+    expect(body.revisions.map((r) => [r.revision, r.payload.company])).toEqual([["A", "Muster GmbH"], ["B", "Muster AG"]]);
+  });
+
+  it("zeigt die Anfrage dem Einkauf", async () => {
+    expect((await api(`/api/rfq/${RFQ}`, "eva")).status).toBe(200);
+  });
+
+  it("verbirgt fremde Anfragen vor Anfragenden", async () => {
+    expect((await api(`/api/rfq/${RFQ}`, "bernd")).status).toBe(404);
+  });
+
+  it("verlangt eine Anmeldung", async () => {
+    expect((await api(`/api/rfq/${RFQ}`, "")).status).toBe(401);
+  });
+
+  it("meldet unbekannte Anfragen mit 404", async () => {
+    expect((await api("/api/rfq/RFQ-20260110-000000", "eva")).status).toBe(404);
+  });
+});
+
+describe("/api/suppliers", () => {
+  it("ist dem Einkauf vorbehalten", async () => {
+    expect((await api("/api/suppliers", "anna")).status).toBe(403);
+    expect((await post("/api/suppliers", "anna", { name: "Fräserei", email: "info@fraeserei.de" })).status).toBe(403);
+  });
+
+  it("legt an, ändert und löscht", async () => {
+    const created = await post("/api/suppliers", "eva", {
+      name: "Dreherei",
+      email: "info@dreherei.de",
+      capabilities: ["turning", "x"],
+      ndaSigned: "ja",
+    });
+    expect(created.status).toBe(201);
+    const { id } = created.body.supplier;
+    expect(created.body.supplier).toMatchObject({ name: "Dreherei", capabilities: ["turning"], ndaSigned: false, updatedBy: "eva" });
+
+    const updated = await post("/api/suppliers", "eva", { id, name: "Dreherei", email: "info@dreherei.de", ndaSigned: true });
+    expect(updated.status).toBe(200);
+    expect((await api("/api/suppliers", "eva")).body.suppliers.find((s) => s.id === id).ndaSigned).toBe(true);
+
+    expect((await api(`/api/suppliers/${id}`, "eva", { method: "DELETE" })).status).toBe(200);
+    expect((await api("/api/suppliers", "eva")).body.suppliers.some((s) => s.id === id)).toBe(false);
+  });
+
+  it("meldet ungültige Einträge mit 422", async () => {
+    const { status, body } = await post("/api/suppliers", "eva", { name: "", email: "kein-mail" });
+    expect(status).toBe(422);
+    expect(Object.keys(body.errors)).toEqual(["name", "email"]);
+  });
+});
+
+describe("POST /api/rfq/<RFQ-Nummer>/dispatch", () => {
+  let withNda;
+  let withoutNda;
+
+  beforeAll(async () => {
+    withNda = (await post("/api/suppliers", "eva", { name: "Blech AG", email: "rfq@blech.de", ndaSigned: true })).body.supplier;
+    withoutNda = (await post("/api/suppliers", "eva", { name: "Guss KG", email: "rfq@guss.de" })).body.supplier;
+  });
+
+  it("prüft das NDA am Verzeichnis, nicht an Angaben des Clients", async () => {
+    const { status, body } = await post(`/api/rfq/${NDA_RFQ}/dispatch`, "eva", {
+      supplierIds: [withoutNda.id],
+      suppliers: [{ ...withoutNda, ndaSigned: true }],
+    });
+    expect(status).toBe(422);
+    expect(body.errors[withoutNda.id].key).toBe("dispatch.ndaMissing");
+  });
+
+  it("lehnt unbekannte Lieferanten ab", async () => {
+    const { status, body } = await post(`/api/rfq/${NDA_RFQ}/dispatch`, "eva", { supplierIds: ["gibt-es-nicht"] });
+    expect(status).toBe(422);
+    expect(body.errors["gibt-es-nicht"].key).toBe("dispatch.unknownSupplier");
+  });
+
+  it("vermerkt den Versand mit Adresse aus dem Verzeichnis und setzt quoting", async () => {
+    const { status, body } = await post(`/api/rfq/${NDA_RFQ}/dispatch`, "eva", { supplierIds: [withNda.id] });
+    expect(status).toBe(201);
+    expect(body.dispatches).toMatchObject([{ supplierId: withNda.id, name: "Blech AG", email: "rfq@blech.de" }]);
+    expect((await api(`/api/rfq/${NDA_RFQ}/audit`, "eva")).body.status).toBe("quoting");
+  });
+
+  it("versendet vergebene Anfragen nicht mehr", async () => {
+    const { status, body } = await post(`/api/rfq/${AWARDED_RFQ}/dispatch`, "eva", { supplierIds: [withNda.id] });
+    expect(status).toBe(409);
+    expect(body.errors.suppliers.key).toBe("dispatch.notOpen");
+  });
+
+  it("verliert bei parallelem Versand keinen Eintrag", async () => {
+    const created = await Promise.all(
+      ["Fräse 1", "Fräse 2", "Fräse 3"].map((name) => post("/api/suppliers", "eva", { name, email: "rfq@fraese.de", ndaSigned: true }))
+    );
+    const more = created.map((r) => r.body.supplier);
+    const before = (await api(`/api/rfq/${NDA_RFQ}/audit`, "eva")).body.audit.length;
+    await Promise.all(more.map((s) => post(`/api/rfq/${NDA_RFQ}/dispatch`, "eva", { supplierIds: [s.id] })));
+    expect((await api(`/api/rfq/${NDA_RFQ}/audit`, "eva")).body.audit).toHaveLength(before + 3);
+    const log = JSON.parse(await readFile(path.join(dir, NDA_RFQ, "dispatch.json"), "utf8"));
+    expect(log.map((d) => d.supplierId)).toEqual(expect.arrayContaining(more.map((s) => s.id)));
+  });
+
+  it("ist dem Einkauf vorbehalten", async () => {
+    expect((await post(`/api/rfq/${NDA_RFQ}/dispatch`, "anna", { supplierIds: [withNda.id] })).status).toBe(403);
+  });
+});
+
+describe("POST /api/rfq", () => {
+  const drawing = new File(["solid flansch\nendsolid\n"], "flansch.stl", { type: "model/stl" });
+
+  async function withFile(meta = {}) {
+    return rfqPayload(meta, [{ name: drawing.name, size: drawing.size, type: drawing.type, sha256: await sha256(drawing) }]);
+  }
+
+  it("legt Payload, Dateien, Dokument und Audit-Eintrag ab", async () => {
+    const { status, body } = await submit("anna", await withFile(), [drawing]);
+    expect(status).toBe(201);
+    expect(body).toMatchObject({ rfqNumber: expect.stringMatching(/^RFQ-\d{8}-[0-9A-F]{6}$/), revision: "A" });
+    const rfqDir = path.join(dir, body.rfqNumber);
+    expect((await readdir(rfqDir)).sort()).toEqual([`${body.rfqNumber}-A.pdf`, "audit.json", "files", "payload.json"]);
+    expect(await readFile(path.join(rfqDir, "files", "01_flansch.stl"), "utf8")).toBe(await drawing.text());
+    const stored = JSON.parse(await readFile(path.join(rfqDir, "payload.json"), "utf8"));
+    expect(stored).toMatchObject({ rfqNumber: body.rfqNumber, submittedBy: "anna", company: "Muster GmbH" });
+    expect(stored.files[0]).toMatchObject({ name: "flansch.stl", storedAs: "01_flansch.stl", sha256: await sha256(drawing) });
+    expect((await api(`/api/rfq/${body.rfqNumber}/audit`, "anna")).body.audit).toMatchObject([{ action: "submit", to: "submitted" }]);
+  });
+
+  it("prüft die Prüfsummen der Dateien", async () => {
+    const payload = await withFile();
+    payload.files[0].sha256 = "0".repeat(64);
+    const { status, body } = await submit("anna", payload, [drawing]);
+    expect(status).toBe(422);
+    expect(body.errors.files.key).toBe("validation.checksum");
+  });
+
+  it("verlangt so viele Dateien, wie die Payload nennt", async () => {
+    const { status, body } = await submit("anna", await withFile(), []);
+    expect(status).toBe(422);
+    expect(body.errors.files.key).toBe("validation.fileCount");
+  });
+
+  it("lehnt zu große Uploads mit 413 ab", async () => {
+    const big = new File([new Uint8Array(MAX_BYTES)], "gross.step");
+    expect((await submit("anna", rfqPayload(), [big])).status).toBe(413);
+  });
+
+  it("zählt bei chunked Uploads ohne Content-Length mit", async () => {
+    const big = new File([new Uint8Array(MAX_BYTES)], "gross.step");
+    const request = new Request("http://localhost", { method: "POST", body: formData(rfqPayload(), [big]) });
+    const { status } = await api("/api/rfq", "anna", {
+      method: "POST",
+      headers: { "Content-Type": request.headers.get("content-type") },
+      body: request.body,
+      duplex: "half",
+    });
+    expect(status).toBe(413);
+  });
+
+  it("legt eine wiederholte Übermittlung mit gleichem Idempotency-Key nicht doppelt an", async () => {
+    const headers = { "Idempotency-Key": "wiederholung-1" };
+    const first = await submit("anna", rfqPayload(), [], headers);
+    expect(first.status).toBe(201);
+    const again = await submit("anna", rfqPayload(), [], headers);
+    expect(again.status).toBe(200);
+    expect(again.body).toEqual(first.body);
+    const rfqs = (await api("/api/rfq", "anna")).body.rfqs.filter((r) => r.rfqNumber === first.body.rfqNumber);
+    expect(rfqs).toHaveLength(1);
+  });
+
+  it("ordnet Idempotency-Keys dem Benutzer zu", async () => {
+    const headers = { "Idempotency-Key": "wiederholung-2" };
+    const anna = await submit("anna", rfqPayload(), [], headers);
+    const bernd = await submit("bernd", rfqPayload(), [], headers);
+    expect(bernd.status).toBe(201);
+    expect(bernd.body.rfqNumber).not.toBe(anna.body.rfqNumber);
+  });
+
+  it("verliert bei parallelen Übermittlungen keinen Schlüssel", async () => {
+    const keys = ["parallel-1", "parallel-2", "parallel-3", "parallel-4"];
+    const first = await Promise.all(keys.map((key) => submit("anna", rfqPayload(), [], { "Idempotency-Key": key })));
+    const again = await Promise.all(keys.map((key) => submit("anna", rfqPayload(), [], { "Idempotency-Key": key })));
+    expect(again.map((r) => r.status)).toEqual([200, 200, 200, 200]);
+    expect(again.map((r) => r.body.rfqNumber)).toEqual(first.map((r) => r.body.rfqNumber));
+  });
+
+  it("nimmt nur die nächste Revision an", async () => {
+    const conflict = await submit("anna", rfqPayload({ revision: "D", rfqNumber: RFQ }));
+    expect(conflict.status).toBe(409);
+    expect(conflict.body).toMatchObject({ expected: "C", current: "B" });
+    const next = await submit("anna", rfqPayload({ revision: "C", rfqNumber: RFQ }));
+    expect(next.status).toBe(201);
+    expect((await api(`/api/rfq/${RFQ}`, "anna")).body.revisions.map((r) => r.revision)).toEqual(["A", "B", "C"]);
+  });
+
+  it("lehnt eine RFQ-Nummer ab, die kein Text ist", async () => {
+    const { status } = await submit("anna", rfqPayload({ revision: "C", rfqNumber: [RFQ] }));
+    expect(status).toBe(400);
+  });
+});
+
+describe("JSON-Bodys", () => {
+  const big = JSON.stringify({ status: "closed", note: "x".repeat(100 * 1024) });
+
+  it("lehnt zu große Bodys mit 413 ab", async () => {
+    expect((await post(`/api/rfq/${RFQ}/status`, "anna", JSON.parse(big))).status).toBe(413);
+  });
+
+  it("zählt auch bei chunked Uploads ohne Content-Length mit", async () => {
+    const chunks = [big.slice(0, 50 * 1024), big.slice(50 * 1024)];
+    const body = new ReadableStream({
+      pull(controller) {
+        if (chunks.length) controller.enqueue(new TextEncoder().encode(chunks.shift()));
+        else controller.close();
+      },
+    });
+    const { status } = await api(`/api/rfq/${RFQ}/status`, "anna", { method: "POST", body, duplex: "half" });
+    expect(status).toBe(413);
+    expect((await api(`/api/rfq/${RFQ}/audit`, "anna")).body.status).toBe("submitted");
+  });
+});
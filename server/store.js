@@ -0,0 +1,29 @@
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Lesen, ändern, schreiben von JSON-Dateien (audit.json, dispatch.json,
+ * submissions.json, suppliers.json) nacheinander je Datei, damit parallele Requests sich
+ * keine Einträge überschreiben. Der Server läuft in einem Prozess; eine
+ * Warteschlange im Speicher genügt.
+ */
+
+const queues = new Map();
+
+/** update(aktueller Inhalt oder fallback) → neuer Inhalt; liefert den geschriebenen Inhalt. */
+export function updateJSON(file, fallback, update) {
+  const run = (queues.get(file) || Promise.resolve()).then(async () => {
+    const current = await readFile(file, "utf8").then(JSON.parse, () => fallback);
+    const next = await update(current);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, JSON.stringify(next, null, 2));
+    return next;
+  });
+  // Ein Fehler betrifft nur diesen Aufruf, nicht die folgenden
+  const settled = run.catch(() => {});
+  queues.set(file, settled);
+  settled.then(() => {
+    if (queues.get(file) === settled) queues.delete(file);
+  });
+  return run;
+}
@@ -0,0 +1,68 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { normalizeSupplier, validateSupplier } from "../src/suppliers.js";
+import { can } from "../src/workflow.js";
+import { readJSONRequest, sendJSON } from "./http.js";
+import { updateJSON } from "./store.js";
+
+/**
+ * Lieferantenverzeichnis auf dem Server (<dataDir>/suppliers.json). Der
+ * Versand (rfq-api.js) liest Adresse und NDA-Status von hier, nicht aus dem
+ * Request – nur Einkauf und Admin (Recht "dispatch") pflegen die Einträge.
+ *
+ * GET    /api/suppliers        → { suppliers } alphabetisch
+ * POST   /api/suppliers        { id?, name, email, capabilities, ndaSigned } anlegen/ändern → { supplier }
+ * DELETE /api/suppliers/<id>
+ */
+
+const ID_RE = /^[\w-]{1,64}$/;
+
+export function createSupplierStore({ dataDir }) {
+  const file = path.resolve(dataDir, "suppliers.json");
+
+  function list() {
+    return readFile(file, "utf8").then(JSON.parse, () => []);
+  }
+
+  async function handle(req, res, url, user) {
+    if (!can(user, "dispatch")) return sendJSON(res, 403, { error: "Keine Berechtigung." });
+    if (req.method === "GET" && url.pathname === "/api/suppliers") {
+      const suppliers = await list();
+      return sendJSON(res, 200, { suppliers: suppliers.sort((a, b) => a.name.localeCompare(b.name)) });
+    }
+
+    if (req.method === "POST" && url.pathname === "/api/suppliers") {
+      const body = await readJSONRequest(req, res);
+      if (!body) return;
+      const input = normalizeSupplier(body);
+      const errors = validateSupplier(input);
+      if (Object.keys(errors).length) return sendJSON(res, 422, { errors });
+      // Übernommene lokale Einträge behalten ihre ID, damit bestehende Versandeinträge passen
+      const id = ID_RE.test(String(body.id || "")) ? body.id : randomUUID();
+      const saved = { id, ...input, updatedAt: new Date().toISOString(), updatedBy: user.username };
+      let existing = false;
+      await updateJSON(file, [], (suppliers) => {
+        existing = suppliers.some((s) => s.id === id);
+        return existing ? suppliers.map((s) => (s.id === id ? saved : s)) : [...suppliers, saved];
+      });
+      return sendJSON(res, existing ? 200 : 201, { supplier: saved });
+    }
+
+    const remove = req.method === "DELETE" && url.pathname.match(/^\/api\/suppliers\/([\w-]{1,64})$/);
+    if (remove) {
+      const id = remove[1];
+      let found = false;
+      await updateJSON(file, [], (suppliers) => {
+        found = suppliers.some((s) => s.id === id);
+        return suppliers.filter((s) => s.id !== id);
+      });
+      if (!found) return sendJSON(res, 404, { error: "Lieferant nicht gefunden." });
+      return sendJSON(res, 200, { deleted: id });
+    }
+
+    return sendJSON(res, 404, { error: "Not found" });
+  }
+
+  return { list, handle };
+}
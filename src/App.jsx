@@ -1,52 +1,390 @@
-import React, { useMemo, useRef, useState } from "react";
+import React, { useEffect, useId, useMemo, useRef, useState } from "react";
+import { schemaAt, validateRFQ, warnRFQ } from "./validation.js";
+import { RFQ_ENDPOINT, getSession, onSessionExpired, refreshSession, setSession, submitRFQ } from "./api.js";
+import {
+  COUNTRIES,
+  CURRENCIES,
+  DEFAULT_LINE_ITEM,
+  EMPTY_FORM,
+  INCOTERMS,
+  SHIPPING_OPTIONS,
+  lineItemQuantities,
+  toPayload,
+} from "./model.js";
+import { parseRFQJson } from "./rfqImport.js";
+import { lineItemsToCSV } from "./bom.js";
+import BomImport from "./BomImport.jsx";
+import SupplierDirectory from "./SupplierDirectory.jsx";
+import CustomerDirectory from "./CustomerDirectory.jsx";
+import SupplierDispatch from "./SupplierDispatch.jsx";
+import QuoteComparison from "./QuoteComparison.jsx";
+import RFQReview from "./RFQReview.jsx";
+import SubmissionReceipt from "./SubmissionReceipt.jsx";
+import RevisionDiff from "./RevisionDiff.jsx";
+import RevisionHistory from "./RevisionHistory.jsx";
+import FilePreview from "./FilePreview.jsx";
+import EstimatorRates from "./EstimatorRates.jsx";
+import OutboxPanel from "./OutboxPanel.jsx";
+import Login from "./Login.jsx";
+import Dashboard from "./Dashboard.jsx";
+import UserAdmin from "./UserAdmin.jsx";
+import { CATALOGS, RA_VALUES, entryLabel, findByCode, findEntry } from "./catalog.js";
+import { buildRfqDocument, rfqDocumentName } from "./rfqDocument.js";
+import { ACCEPTED_UPLOADS, FILE_LIMITS, intakeFiles } from "./fileIntake.js";
+import { pruneFileLinks, suggestFiles } from "./fileLinks.js";
+import {
+  createId,
+  currentOwner,
+  deleteRFQ,
+  getActiveDraftId,
+  getEstimatorRates,
+  getExchangeRates,
+  getRFQ,
+  listCustomers,
+  listOutbox,
+  listRFQs,
+  recordSubmission,
+  saveCustomer,
+  saveRFQ,
+  setActiveDraftId,
+} from "./drafts.js";
+import { applyContact, applyCustomer, customerFromForm, findContact, findCustomer } from "./contacts.js";
+import { nextRevision } from "./revisions.js";
+import { estimateRfq } from "./estimator.js";
+import { flushOutbox, isRetryable, queueSubmission } from "./outbox.js";
+import { onOutboxSync, requestOutboxSync } from "./pwa.js";
+import { LANGUAGES, createTranslator, detectLanguage, storeLanguage } from "./i18n.js";
+import { I18nContext, useI18n } from "./i18nContext.js";
+import { describeError, msg } from "./messages.js";
+import { downloadBlob } from "./download.js";
+import { buildEml, buildPackage, exportBaseName, mailtoUrl } from "./rfqExport.js";
+import { countByStatus } from "./suppliers.js";
+import { can } from "./workflow.js";
 
 /**
  * RFQ App – monochrom/techy (schwarz/weiß)
  * Kompakte, build-sichere Version (alle Tags sauber geschlossen).
  */
 
-const ACCEPTED_FILES = [".step",".stp",".iges",".igs",".dxf",".pdf",".png",".jpg",".jpeg"];
-
-const DEFAULT_LINE_ITEM = {
-  partName: "",
-  material: "",
-  qty: 1,
-  tolerance: "",
-  surface: "",
-  heatTreatment: "",
-  notes: "",
-};
-
-const EMPTY_FORM = {
-  company: "",
-  contact: "",
-  email: "",
-  phone: "",
-  address: "",
-  incoterms: "DAP",
-  deliveryDate: "",
-  currency: "EUR",
-  NDA: false,
-  shippingPreference: "Best Available",
-  files: [],
-  lineItems: [{ ...DEFAULT_LINE_ITEM }],
-};
+
+const AUTOSAVE_DELAY = 800;
+// Prüfintervall des Postausgangs; fällig ist ein Eintrag erst nach seiner Wartezeit (outbox.js)
+const OUTBOX_POLL = 30 * 1000;
+// Schritte im geführten Modus; Fehlerpfade werden über stepOf() zugeordnet
+const STEPS = ["customer", "files", "items", "review"];
+// Abschnitt (id) je Schritt, für "Bearbeiten" in der Übersicht ohne geführten Modus
+const STEP_SECTIONS = { customer: "customer", files: "files", items: "lineItems" };
 
 export default function ManufacturingRFQApp() {
+  const [lang, setLang] = useState(detectLanguage);
+  // Angemeldeter Benutzer { username, name, role }; ohne Anmeldung nur das Login
+  const [user, setUser] = useState(() => getSession()?.user || null);
+  // Benutzer, dessen lokale Daten (drafts.js) diese Seite geladen hat; ein anderer Benutzer lädt die Seite neu
+  const [dataOwner] = useState(currentOwner);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [showUsers, setShowUsers] = useState(false);
+  const t = useMemo(() => createTranslator(lang), [lang]);
   const [form, setForm] = useState(EMPTY_FORM);
-  const [errors, setErrors] = useState({});
-  const [submitted, setSubmitted] = useState(false);
+  // Schemafehler erscheinen je Feld nach dem Verlassen (blur) bzw. alle nach einem Absendeversuch
+  const [touched, setTouched] = useState({});
+  const [showAllErrors, setShowAllErrors] = useState(false);
+  // 422-Fehler des Servers gelten nur für den Formularstand, zu dem sie gehören
+  const [serverErrors, setServerErrors] = useState({ form: null, errors: {} });
+  // Bestätigung nach dem Absenden bzw. beim Öffnen einer versendeten RFQ
+  const [receipt, setReceipt] = useState(null);
+  const [submitError, setSubmitError] = useState(null);
+  const [wizard, setWizard] = useState(false);
+  const [step, setStep] = useState(0);
+  const [sending, setSending] = useState(false);
+  const [draftId, setDraftId] = useState(null);
+  // Entwurf einer neuen Revision: { id, rfqNumber, revision } der versendeten Anfrage
+  const [revisionOf, setRevisionOf] = useState(null);
+  const [baseForm, setBaseForm] = useState(null);
+  const [historyRecord, setHistoryRecord] = useState(null);
+  const [library, setLibrary] = useState([]);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [undo, setUndo] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [showBomImport, setShowBomImport] = useState(false);
+  const [showSuppliers, setShowSuppliers] = useState(false);
+  const [customers, setCustomers] = useState([]);
+  const [showCustomers, setShowCustomers] = useState(false);
+  const [estimatorRates, setEstimatorRates] = useState(getEstimatorRates);
+  const [outbox, setOutbox] = useState([]);
+  const [showOutbox, setShowOutbox] = useState(false);
+  const [outboxNotice, setOutboxNotice] = useState(null);
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [showEstimator, setShowEstimator] = useState(false);
+  const [dispatchRecord, setDispatchRecord] = useState(null);
+  const [showComparison, setShowComparison] = useState(false);
+  const [intake, setIntake] = useState({ busy: false, rejected: [] });
+  // Ansagen für Screenreader (Live-Region); die id erzwingt eine neue Ansage bei gleichem Text
+  const [announcement, setAnnouncement] = useState(null);
+  // Fehlermeldung ohne eigenen Platz im Formular (Import, Export)
+  const [notice, setNotice] = useState(null);
   const fileInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  // true, wenn die nächste Formularänderung geladen statt bearbeitet wurde
+  const skipAutosave = useRef(false);
+  // Zuletzt aus dem Adressbuch übernommene Firma – nicht bei jedem Verlassen erneut anwenden
+  const appliedCustomer = useRef(null);
+
+  useEffect(() => {
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  function announce(message) {
+    setAnnouncement((prev) => ({ message, id: (prev ? prev.id : 0) + 1 }));
+  }
+
+  function changeLanguage(next) {
+    setLang(next);
+    storeLanguage(next);
+  }
+
+  // Zuletzt bearbeiteten Entwurf nach dem Laden wiederherstellen
+  useEffect(() => {
+    if (!dataOwner) return;
+    const id = getActiveDraftId();
+    if (!id) return;
+    getRFQ(id)
+      .then((rec) => {
+        if (!rec || rec.status !== "draft") return;
+        skipAutosave.current = true;
+        setForm((f) => (f === EMPTY_FORM ? rec.form : f));
+        setDraftId(rec.id);
+        setRevisionOf(rec.revisionOf);
+      })
+      .catch((err) => console.error(err));
+  }, [dataOwner]);
+
+  // Autosave: jede Änderung wird verzögert in IndexedDB geschrieben
+  useEffect(() => {
+    if (skipAutosave.current || form === EMPTY_FORM) {
+      skipAutosave.current = false;
+      return;
+    }
+    const id = draftId || createId();
+    if (!draftId) setDraftId(id);
+    const t = setTimeout(() => {
+      saveRFQ({ id, form, revisionOf })
+        .then(() => {
+          setActiveDraftId(id);
+          refreshLibrary();
+        })
+        .catch((err) => console.error(err));
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(t);
+  }, [form, draftId, revisionOf]);
+
+  // Stand der versendeten Anfrage, gegen den eine neue Revision verglichen wird
+  const baseId = revisionOf ? revisionOf.id : null;
+  useEffect(() => {
+    if (!baseId) return;
+    let cancelled = false;
+    getRFQ(baseId)
+      .then((rec) => !cancelled && setBaseForm(rec ? rec.form : null))
+      .catch((err) => console.error(err));
+    return () => {
+      cancelled = true;
+    };
+  }, [baseId]);
+
+  useEffect(() => {
+    if (dataOwner) refreshCustomers();
+  }, [dataOwner]);
+
+  // Rolle beim Start auffrischen; abgelaufene Sitzung führt zurück zum Login.
+  // Meldet sich in einem anderen Tab jemand anderes an oder ab, gehören die Daten hier nicht mehr dazu.
+  useEffect(() => {
+    if (getSession()) {
+      refreshSession()
+        .then((session) => setUser(session.user))
+        .catch((err) => console.error(err));
+    }
+    const switchedUser = () => {
+      if (currentOwner() !== dataOwner) window.location.reload();
+    };
+    window.addEventListener("storage", switchedUser);
+    const stopExpiry = onSessionExpired(() => setUser(null));
+    return () => {
+      window.removeEventListener("storage", switchedUser);
+      stopExpiry();
+    };
+  }, [dataOwner]);
+
+  // Postausgang beim Start, bei wiederhergestellter Verbindung, periodisch und auf Zuruf des Service Workers senden
+  useEffect(() => {
+    if (dataOwner) return watchOutbox({ setOutbox, setOutboxNotice, setLibrary, setCustomers, setOnline });
+  }, [dataOwner]);
+
+  function handleLogin(session) {
+    // Ohne geladene Daten oder mit denen eines anderen Benutzers: neu laden statt dessen Formular weiterzuführen
+    if (session.user.username !== dataOwner) {
+      window.location.reload();
+      return;
+    }
+    setUser(session.user);
+    // Übermittlungen, die an der abgelaufenen Sitzung gescheitert sind, gleich nachholen
+    processOutbox({ setOutbox, setOutboxNotice, setLibrary, setCustomers }, true);
+  }
+
+  function logout() {
+    // Neu laden verwirft alles, was vom bisherigen Benutzer im Speicher liegt
+    setSession(null);
+    window.location.reload();
+  }
+
+  function toggleDashboard() {
+    if (!showDashboard) refreshLibrary();
+    setShowDashboard((v) => !v);
+  }
+
+  function refreshOutbox() {
+    listOutbox().then(setOutbox).catch((err) => console.error(err));
+  }
+
+  function refreshCustomers() {
+    listCustomers().then(setCustomers).catch((err) => console.error(err));
+  }
+
+  function refreshLibrary() {
+    listRFQs().then(setLibrary).catch((err) => console.error(err));
+  }
+
+  function toggleLibrary() {
+    if (!showLibrary) refreshLibrary();
+    setShowLibrary((v) => !v);
+  }
 
+  function loadIntoForm(nextForm, nextDraftId, nextRevisionOf = null) {
+    skipAutosave.current = true;
+    appliedCustomer.current = null;
+    setForm(nextForm);
+    setDraftId(nextDraftId);
+    setRevisionOf(nextRevisionOf);
+    setActiveDraftId(nextDraftId);
+    setTouched({});
+    setShowAllErrors(false);
+    setSubmitError(null);
+    setReceipt(null);
+    setStep(0);
+  }
+
+  // Aus dem Postausgang zurückgeholt; Ablehnungen des Servers direkt an den Feldern zeigen
+  function editQueued(rec, fieldErrors) {
+    loadIntoForm(rec.form, rec.id, rec.revisionOf);
+    setShowOutbox(false);
+    refreshLibrary();
+    if (fieldErrors) {
+      setServerErrors({ form: rec.form, errors: fieldErrors });
+      setSubmitError(msg("submit.serverRejected"));
+    }
+  }
+
+  function openRFQ(rec) {
+    setShowLibrary(false);
+    setShowDashboard(false);
+    // Versendete Anfragen bleiben unverändert – Änderungen nur als neue Revision
+    if (rec.status === "submitted") showReceipt(rec);
+    else if (rec.status === "queued") setShowOutbox(true);
+    else loadIntoForm(rec.form, rec.id, rec.revisionOf);
+  }
+
+  function showReceipt(rec) {
+    const { id, rfqNumber, revision, history, form } = rec;
+    setReceipt({ id, rfqNumber, revision, history, submittedAt: rec.submittedAt || rec.updatedAt, form });
+  }
+
+  async function startRevision(rec) {
+    // Angefangene Revision fortsetzen statt eine zweite zu beginnen
+    const open = (await listRFQs()).find((r) => r.status === "draft" && r.revisionOf && r.revisionOf.id === rec.id);
+    if (open) loadIntoForm(open.form, open.id, open.revisionOf);
+    else loadIntoForm(rec.form, null, { id: rec.id, rfqNumber: rec.rfqNumber, revision: rec.revision });
+  }
+
+  async function openHistory(id) {
+    setHistoryRecord(await getRFQ(id));
+    setShowLibrary(false);
+  }
+
+  async function duplicateRFQ(rec) {
+    // Vorlage für Wiederholbestellung: Liefertermin muss neu gewählt werden
+    const copy = await saveRFQ({ id: createId(), form: { ...rec.form, deliveryDate: "" } });
+    loadIntoForm(copy.form, copy.id);
+    setShowLibrary(false);
+  }
+
+  async function removeRFQ(rec) {
+    if (!confirm(t("library.confirmDelete", { name: rec.form.company || t("library.noCompany") }))) return;
+    await deleteRFQ(rec.id);
+    if (rec.id === draftId) loadIntoForm(EMPTY_FORM, null);
+    refreshLibrary();
+  }
+
+  function resetForm() {
+    // Der bisherige Entwurf bleibt in der Bibliothek, "Rückgängig" holt ihn zurück
+    if (form !== EMPTY_FORM) setUndo({ form, draftId });
+    loadIntoForm(EMPTY_FORM, null);
+  }
+
+  function undoReset() {
+    loadIntoForm(undo.form, undo.draftId);
+    setUndo(null);
+  }
+
+  // Mit Preisstaffeln als Spanne: Summe der kleinsten bis Summe der größten Losgrößen
   const totalQty = useMemo(
-    () => form.lineItems.reduce((s, li) => s + Number(li.qty || 0), 0),
+    () =>
+      form.lineItems.reduce(
+        (s, li) => {
+          const q = lineItemQuantities(li);
+          return { min: s.min + (q[0] || 0), max: s.max + (q[q.length - 1] || 0) };
+        },
+        { min: 0, max: 0 }
+      ),
     [form.lineItems]
   );
 
+  // Vorkalkulation nur zur Plausibilisierung, geht nicht in die Payload
+  const estimates = useMemo(() => estimateRfq(form, estimatorRates, getExchangeRates()), [form, estimatorRates]);
+
+  const validationErrors = useMemo(() => validateRFQ(form), [form]);
+  const errors = useMemo(() => {
+    const visible = Object.fromEntries(Object.entries(validationErrors).filter(([path]) => showAllErrors || touched[path]));
+    return serverErrors.form === form ? { ...visible, ...serverErrors.errors } : visible;
+  }, [validationErrors, showAllErrors, touched, serverErrors, form]);
+  const warnings = useMemo(() => warnRFQ(form), [form]);
+  // aria-invalid für Teileingaben mehrteiliger Felder
+  const ariaInvalid = (path) => (errors[path] ? true : undefined);
+  const regionNames = useMemo(() => new Intl.DisplayNames([t.locale], { type: "region" }), [t]);
+
+  // Eingaben tragen ihren Schema-Pfad als name
+  function touchField(e) {
+    const path = e.target.name;
+    if (path) setTouched((prev) => (prev[path] ? prev : { ...prev, [path]: true }));
+  }
+
   function updateField(field, value) {
     setForm((f) => ({ ...f, [field]: value }));
   }
 
+  // Firma aus dem Adressbuch: Anschrift und Standardkonditionen übernehmen
+  function pickCustomer(name) {
+    const customer = findCustomer(customers, name);
+    if (!customer || appliedCustomer.current === customer.id) return;
+    appliedCustomer.current = customer.id;
+    setForm((f) => applyCustomer(f, customer));
+  }
+
+  // Ansprechpartner über Name oder E-Mail; ohne Firma wird auch diese übernommen
+  function pickContact(query) {
+    const found = findContact(customers, { company: form.company, ...query });
+    if (!found || (found.contact.email === form.email && found.contact.name === form.contact)) return;
+    if (!form.company) appliedCustomer.current = found.customer.id;
+    setForm((f) => applyContact(f.company ? f : applyCustomer(f, found.customer), found.contact));
+  }
+
   function updateLineItem(index, patch) {
     setForm((f) => ({
       ...f,
@@ -54,398 +392,1420 @@ export default function ManufacturingRFQApp() {
     }));
   }
 
+  // Fokus auf die neue Position, damit Tastaturnutzer direkt weiterschreiben
   function addLineItem() {
+    const index = form.lineItems.length;
     setForm((f) => ({ ...f, lineItems: [...f.lineItems, { ...DEFAULT_LINE_ITEM }] }));
+    announce(msg("items.added", { n: index + 1 }));
+    setTimeout(() => focusField(`lineItems.${index}.partName`));
   }
 
+  // Der Entfernen-Knopf verschwindet: Fokus auf die nachrückende (oder letzte) Position
   function removeLineItem(index) {
+    const next = Math.min(index, form.lineItems.length - 2);
     setForm((f) => ({ ...f, lineItems: f.lineItems.filter((_, i) => i !== index) }));
+    announce(msg("items.removed", { n: index + 1 }));
+    setTimeout(() => focusField(`lineItems.${next}`));
   }
 
-  function onFilesSelected(files) {
-    const valid = Array.from(files).filter((f) =>
-      ACCEPTED_FILES.some((ext) => f.name.toLowerCase().endsWith(ext))
-    );
-    const rejected = Array.from(files).filter((f) => !valid.includes(f));
-    if (rejected.length) {
-      alert(
-        `Einige Dateien wurden wegen nicht unterstützter Endungen abgelehnt (erlaubt: ${ACCEPTED_FILES.join(", ")}).`
-      );
+  function importLineItems(items, mode) {
+    setForm((f) => {
+      // Unberührte Leer-Positionen beim Anhängen nicht stehen lassen
+      const kept = mode === "replace" ? [] : f.lineItems.filter((li) => !isBlankLineItem(li));
+      return { ...f, lineItems: [...kept, ...items] };
+    });
+    setShowBomImport(false);
+  }
+
+  async function onFilesSelected(fileList) {
+    setIntake({ busy: true, rejected: [] });
+    announce(msg("files.checking"));
+    let result;
+    try {
+      result = await intakeFiles(fileList, { existing: form.files, hashes: form.fileHashes });
+    } catch (err) {
+      console.error(err);
+      result = { accepted: [], rejected: [{ name: "Upload", reason: describeError(err) }] };
     }
-    setForm((f) => ({ ...f, files: [...f.files, ...valid] }));
+    setIntake({ busy: false, rejected: result.rejected });
+    announce(msg("files.intakeDone", { accepted: result.accepted.length, rejected: result.rejected.length }));
+    if (!result.accepted.length) return;
+    setForm((f) => {
+      // Gleichnamige Platzhalter (aus einem JSON-Import) durch die echte Datei ersetzen
+      const files = [...f.files];
+      const fileHashes = { ...f.fileHashes };
+      result.accepted.forEach(({ file, sha256 }) => {
+        const idx = files.findIndex((x) => x.missing && x.name === file.name);
+        if (idx >= 0) files[idx] = file;
+        else files.push(file);
+        fileHashes[file.name] = sha256;
+      });
+      return { ...f, files, fileHashes };
+    });
   }
 
   function removeFile(idx) {
-    setForm((f) => ({ ...f, files: f.files.filter((_, i) => i !== idx) }));
+    setForm((f) => {
+      const files = f.files.filter((_, i) => i !== idx);
+      const fileHashes = { ...f.fileHashes };
+      delete fileHashes[f.files[idx].name];
+      return { ...f, files, fileHashes, lineItems: pruneFileLinks(f.lineItems, files) };
+    });
+  }
+
+  function linkFile(index, name) {
+    setForm((f) => ({
+      ...f,
+      lineItems: f.lineItems.map((li, i) =>
+        i === index && !li.files.includes(name) ? { ...li, files: [...li.files, name] } : li
+      ),
+    }));
+  }
+
+  function unlinkFile(index, name) {
+    setForm((f) => ({
+      ...f,
+      lineItems: f.lineItems.map((li, i) => (i === index ? { ...li, files: li.files.filter((n) => n !== name) } : li)),
+    }));
   }
 
   function validate() {
-    const e = {};
-    if (!form.company.trim()) e.company = "Bitte Firmenname angeben.";
-    if (!form.contact.trim()) e.contact = "Bitte Ansprechpartner angeben.";
-    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.email)) e.email = "Ungültige E-Mail.";
-    if (!form.deliveryDate) e.deliveryDate = "Bitte Liefertermin wählen.";
-    if (!form.lineItems.length) e.lineItems = "Mindestens eine Position erforderlich.";
-    form.lineItems.forEach((li, i) => {
-      if (!li.partName.trim()) e[`li_${i}_partName`] = "Benennung erforderlich.";
-      if (!li.qty || Number(li.qty) <= 0) e[`li_${i}_qty`] = "Menge > 0 erforderlich.";
-    });
-    setErrors(e);
-    return Object.keys(e).length === 0;
+    setShowAllErrors(true);
+    const paths = Object.keys(validationErrors);
+    if (paths.length) {
+      announce(msg("validation.summary", { count: paths.length }));
+      goToField(paths[0]);
+    }
+    return !paths.length;
   }
 
-  function toSerializableFiles(files) {
-    return files.map((f) => ({ name: f.name, size: f.size, type: f.type }));
+  // Im geführten Modus erst zum Schritt des Felds wechseln, dann nach dem Rendern fokussieren
+  function goToField(path) {
+    if (wizard) setStep(STEPS.indexOf(stepOf(path)));
+    setTimeout(() => focusField(path));
   }
 
-  function buildPayload() {
-    return {
-      meta: { createdAt: new Date().toISOString(), app: "ManufacturingRFQApp", version: 1 },
-      ...form,
-      files: toSerializableFiles(form.files),
-    };
+  function goToStep(name) {
+    if (wizard) setStep(STEPS.indexOf(name));
+    else focusField(STEP_SECTIONS[name]);
+  }
+
+  function stepErrors(index) {
+    return Object.keys(validationErrors).filter((path) => stepOf(path) === STEPS[index]);
   }
 
-  async function submitRFQ(payload) {
-    // TODO: API Call
-    return new Promise((resolve) => setTimeout(resolve, 300));
+  function nextStep() {
+    const invalid = stepErrors(step);
+    if (!invalid.length) return setStep(step + 1);
+    setTouched((prev) => ({ ...prev, ...Object.fromEntries(invalid.map((path) => [path, true])) }));
+    announce(msg("validation.summary", { count: invalid.length }));
+    focusField(invalid[0]);
   }
 
-  async function onSubmit(e) {
+  // Vorwärts nur, wenn alle Schritte davor gültig sind
+  function canOpenStep(index) {
+    return STEPS.slice(0, index).every((_, i) => !stepErrors(i).length);
+  }
+
+  function buildPayload() {
+    if (!revisionOf) return toPayload(form, { lang });
+    return toPayload(form, { lang, revision: nextRevision(revisionOf.revision), rfqNumber: revisionOf.rfqNumber });
+  }
+
+  function onSubmit(e) {
     e.preventDefault();
-    if (!validate()) return;
+    submit({ ignoreWarnings: false });
+  }
+
+  // Mit Hinweisen geht die Anfrage nur über "Trotz Hinweisen absenden" raus; sonst zeigt die Übersicht sie
+  async function submit({ ignoreWarnings }) {
+    if (sending || !validate()) return;
+    const hints = Object.keys(warnings);
+    if (hints.length && !ignoreWarnings) {
+      if (wizard) setStep(STEPS.indexOf("review"));
+      announce(msg("submit.warningsPending", { count: hints.length }));
+      setTimeout(() => focusField("review-warnings"));
+      return;
+    }
     const payload = buildPayload();
+    const record = { id: draftId || createId(), form, revisionOf };
+    // Zugleich Idempotency-Key: ein erneuter Versuch aus dem Postausgang legt nichts doppelt an
+    const submissionId = createId();
+    setSending(true);
+    setSubmitError(null);
     try {
-      await submitRFQ(payload);
-      setSubmitted(true);
-      alert("Anfrage erfolgreich vorbereitet (Demo). Hier könntest du jetzt an deine API senden.");
+      const rec = await recordSubmission(record, await submitRFQ(payload, form.files, { submissionId }));
+      // Weitere Änderungen werden als neuer Entwurf gespeichert
+      skipAutosave.current = true;
+      setDraftId(null);
+      setActiveDraftId(null);
+      setRevisionOf(null);
+      showReceipt(rec);
+      refreshLibrary();
+      // Kunde fürs nächste Mal ins Adressbuch übernehmen
+      saveCustomer(customerFromForm(customers, form))
+        .then(refreshCustomers)
+        .catch((err) => console.error(err));
     } catch (err) {
       console.error(err);
-      alert("Senden fehlgeschlagen. Siehe Konsole für Details.");
+      if (isRetryable(err)) {
+        // Ohne Verbindung: in den Postausgang, das Formular ist frei für die nächste Anfrage
+        try {
+          await queueSubmission({ id: submissionId, record, payload, error: err });
+        } catch (queueErr) {
+          // z. B. Speicher voll: das Formular bleibt stehen, damit nichts verloren geht
+          console.error(queueErr);
+          setSubmitError(msg("submit.queueFailed", { message: describeError(queueErr) }));
+          return;
+        }
+        requestOutboxSync();
+        loadIntoForm(EMPTY_FORM, null);
+        setOutboxNotice(msg("outbox.queued", { company: form.company }));
+        setShowOutbox(true);
+        refreshOutbox();
+        refreshLibrary();
+      } else if (err.fieldErrors) {
+        setServerErrors({ form, errors: err.fieldErrors });
+        setSubmitError(msg("submit.serverRejected"));
+        goToField(Object.keys(err.fieldErrors)[0]);
+      } else {
+        setSubmitError(msg("submit.failed", { message: describeError(err) }));
+      }
+    } finally {
+      setSending(false);
     }
   }
 
   function exportJSON() {
-    const blob = new Blob([JSON.stringify(buildPayload(), null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `rfq_${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    // Wie PDF/EML/ZIP: bei geöffneter Bestätigung deren Stand und Revision
+    const source = exportSource();
+    const blob = new Blob([JSON.stringify(source.payload, null, 2)], { type: "application/json" });
+    downloadBlob(blob, `${exportBaseName(source)}.json`);
+  }
+
+  function exportLineItemsCSV() {
+    const blob = new Blob([lineItemsToCSV(form.lineItems, t)], { type: "text/csv;charset=utf-8" });
+    downloadBlob(blob, `${t("items.csvFileName")}_${new Date().toISOString().slice(0, 10)}.csv`);
+  }
+
+  async function importJSON(file) {
+    try {
+      const { form: imported, report } = parseRFQJson(await file.text());
+      const rec = await saveRFQ({ id: createId(), form: imported });
+      loadIntoForm(rec.form, rec.id);
+      setImportReport({ fileName: file.name, ...report });
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("import.failed", { message: describeError(err) }));
+    }
+  }
+
+  function openDispatch(id) {
+    getRFQ(id)
+      .then((rec) => {
+        setDispatchRecord(rec);
+        setShowComparison(false);
+        setShowLibrary(false);
+      })
+      .catch((err) => console.error(err));
+  }
+
+  function updateDispatch(rec) {
+    setDispatchRecord(rec);
+    refreshLibrary();
   }
 
-  function printSummary() {
-    window.print();
+  // Versendete Anfrage (Bestätigung offen) oder aktueller Entwurf mit heutigem Datum
+  function exportSource() {
+    const date = new Date().toISOString().slice(0, 10);
+    if (!receipt) return { form, payload: buildPayload(), rfqNumber: "", date };
+    const payload = toPayload(receipt.form, { lang, revision: receipt.revision });
+    return { form: receipt.form, payload, rfqNumber: receipt.rfqNumber, date };
   }
 
+  function downloadPdf() {
+    // Versendete Anfrage: dieselbe Datei wie beim Server
+    const { payload, rfqNumber, date } = exportSource();
+    const pdf = buildRfqDocument(payload, rfqNumber ? { t, rfqNumber } : { t, date });
+    const name = rfqDocumentName(rfqNumber, date, rfqNumber ? payload.meta.revision : undefined);
+    downloadBlob(new Blob([pdf], { type: "application/pdf" }), name);
+  }
+
+  async function exportEml() {
+    const source = exportSource();
+    try {
+      const parts = await buildEml(source, t);
+      downloadBlob(new Blob(parts, { type: "message/rfc822" }), `${exportBaseName(source)}.eml`);
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("mail.failed", { message: describeError(err) }));
+    }
+  }
+
+  async function exportZip() {
+    const source = exportSource();
+    try {
+      const parts = await buildPackage(source, t);
+      downloadBlob(new Blob(parts, { type: "application/zip" }), `${exportBaseName(source)}.zip`);
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("mail.failed", { message: describeError(err) }));
+    }
+  }
+
+  function openMailClient() {
+    window.location.href = mailtoUrl(exportSource(), t);
+  }
+
+  const showStep = (name) => !wizard || STEPS[step] === name;
+  const sectionClass = (base) => (wizard ? "card span-3" : base);
+
   return (
-    <div className="app">
-      <div className="grid-overlay" aria-hidden="true"></div>
-
-      <header className="app-header">
-        <div className="container header-row">
-          <div className="brand">
-            <Logo />
-            <h1 className="h1">Fertigungs­teilanfrage</h1>
-          </div>
-          <div className="actions">
-            <button onClick={exportJSON} className="btn-secondary">Export JSON</button>
-            <button onClick={printSummary} className="btn-primary">Print Summary</button>
-          </div>
+    <I18nContext.Provider value={t}>
+      <div className="app">
+        <div className="grid-overlay" aria-hidden="true"></div>
+        <div className="sr-only" role="status" aria-live="polite">
+          {announcement && <span key={announcement.id}>{t(announcement.message)}</span>}
         </div>
-      </header>
-
-      <main className="container main">
-        <form onSubmit={onSubmit} className="grid grid-3">
-          {/* Kundendaten */}
-          <section className="card span-2">
-            <h2 className="card-title">Kundendaten</h2>
-            <div className="grid grid-2 gap">
-              <Field label="Firma" error={errors.company}>
-                <input className="input" value={form.company} onChange={(e) => updateField("company", e.target.value)} placeholder="z. B. Muster GmbH" />
-              </Field>
-              <Field label="Ansprechpartner" error={errors.contact}>
-                <input className="input" value={form.contact} onChange={(e) => updateField("contact", e.target.value)} placeholder="Vor- und Nachname" />
-              </Field>
-              <Field label="E-Mail" error={errors.email}>
-                <input className="input" type="email" value={form.email} onChange={(e) => updateField("email", e.target.value)} placeholder="name@firma.de" />
-              </Field>
-              <Field label="Telefon">
-                <input className="input" value={form.phone} onChange={(e) => updateField("phone", e.target.value)} placeholder="+49 …" />
-              </Field>
-              <Field label="Adresse">
-                <input className="input" value={form.address} onChange={(e) => updateField("address", e.target.value)} placeholder="Straße, PLZ Ort, Land" />
-              </Field>
-              <Field label="Incoterms">
-                <select className="input" value={form.incoterms} onChange={(e) => updateField("incoterms", e.target.value)}>
-                  {["EXW","FCA","CPT","CIP","DAP","DDP"].map((opt) => (
-                    <option key={opt} value={opt}>{opt}</option>
-                  ))}
-                </select>
-              </Field>
-              <Field label="Gewünschter Liefertermin" error={errors.deliveryDate}>
-                <input className="input" type="date" value={form.deliveryDate} onChange={(e) => updateField("deliveryDate", e.target.value)} />
-              </Field>
-              <Field label="Währung">
-                <select className="input" value={form.currency} onChange={(e) => updateField("currency", e.target.value)}>
-                  {["EUR","USD","GBP","AED","INR"].map((c) => <option key={c} value={c}>{c}</option>)}
-                </select>
-              </Field>
-              <Field label="Versandpräferenz">
-                <select className="input" value={form.shippingPreference} onChange={(e) => updateField("shippingPreference", e.target.value)}>
-                  {["Best Available","Express","Economy","Abholung"].map((opt) => <option key={opt} value={opt}>{opt}</option>)}
-                </select>
-              </Field>
-              <label className="checkbox">
-                <input type="checkbox" checked={form.NDA} onChange={(e) => updateField("NDA", e.target.checked)} />
-                <span>NDA erforderlich</span>
-              </label>
+
+        <header className="app-header">
+          <div className="container header-row">
+            <div className="brand">
+              <Logo />
+              <h1 className="h1">{t("app.title")}</h1>
             </div>
-          </section>
-
-          {/* Dateien */}
-          <section className="card tall">
-            <h2 className="card-title">Dateien</h2>
-            <FileDropzone onFiles={onFilesSelected} accept={ACCEPTED_FILES.join(",")} />
-            <div className="files">
-              {form.files.length === 0 ? (
-                <p className="muted">Bitte CAD/Zeichnungen hochladen (STEP/STP/IGES/DXF/PDF/Bilder).</p>
-              ) : (
-                form.files.map((f, idx) => (
-                  <div key={idx} className="file-row">
-                    <div className="file-info">
-                      <p className="file-name">{f.name}</p>
-                      <p className="meta">{(f.size/1024).toFixed(1)} KB · {f.type || "Datei"}</p>
-                    </div>
-                    <button type="button" className="btn-ghost" onClick={() => removeFile(idx)}>Entfernen</button>
-                  </div>
-                ))
+            <div className="actions">
+              <select
+                className="input lang-select"
+                aria-label={t("app.language")}
+                value={lang}
+                onChange={(e) => changeLanguage(e.target.value)}
+              >
+                {Object.entries(LANGUAGES).map(([code, l]) => <option key={code} value={code}>{l.label}</option>)}
+              </select>
+              {user && (
+              <>
+              <span className="muted user-badge">
+                {user.name || user.username}
+                <span className="badge">{t(`roles.${user.role}`)}</span>
+              </span>
+              <button onClick={logout} className="btn-ghost">{t("auth.logout")}</button>
+              <button onClick={toggleDashboard} className="btn-secondary">{t("header.dashboard")}</button>
+              {can(user, "manageUsers") && (
+                <button onClick={() => setShowUsers((v) => !v)} className="btn-secondary">{t("header.users")}</button>
               )}
-            </div>
-            <div className="actions-row">
-              <button type="button" className="btn-secondary" onClick={() => fileInputRef.current && fileInputRef.current.click()}>Dateien wählen</button>
+              <button onClick={() => setWizard((v) => !v)} className="btn-secondary" aria-pressed={wizard}>
+                {t("wizard.toggle")}
+              </button>
+              <button onClick={toggleLibrary} className="btn-secondary">{t("header.library")}</button>
+              <button onClick={() => setShowCustomers((v) => !v)} className="btn-secondary">{t("header.customers")}</button>
+              {can(user, "dispatch") && (
+                <button onClick={() => setShowSuppliers((v) => !v)} className="btn-secondary">{t("header.suppliers")}</button>
+              )}
+              <button onClick={() => setShowEstimator((v) => !v)} className="btn-secondary">{t("header.estimator")}</button>
+              {(outbox.length > 0 || !online) && (
+                <button onClick={() => setShowOutbox((v) => !v)} className="btn-secondary">
+                  {t("header.outbox", { count: outbox.length })}
+                  {!online && <span className="badge badge-alert">{t("outbox.offline")}</span>}
+                </button>
+              )}
+              <button onClick={() => importInputRef.current && importInputRef.current.click()} className="btn-secondary">{t("header.importJson")}</button>
               <input
-                ref={fileInputRef}
+                ref={importInputRef}
                 type="file"
                 className="hidden"
-                multiple
-                accept={ACCEPTED_FILES.join(",")}
-                onChange={(e) => e.target.files && onFilesSelected(e.target.files)}
+                accept=".json,application/json"
+                onChange={(e) => {
+                  if (e.target.files && e.target.files[0]) importJSON(e.target.files[0]);
+                  e.target.value = "";
+                }}
               />
+              <button onClick={exportJSON} className="btn-secondary">{t("header.exportJson")}</button>
+              <button onClick={exportEml} className="btn-secondary">{t("header.exportEml")}</button>
+              <button onClick={exportZip} className="btn-secondary">{t("header.exportZip")}</button>
+              <button onClick={openMailClient} className="btn-secondary">{t("header.mailto")}</button>
+              <button onClick={downloadPdf} className="btn-primary">{t("header.pdf")}</button>
+              </>
+              )}
             </div>
-          </section>
-
-          {/* Positionen */}
-          <section className="card span-2">
-            <div className="between">
-              <h2 className="card-title">
-                Positionen <span className="hint">(Gesamtmenge: {totalQty})</span>
-              </h2>
-              <button type="button" className="btn-primary" onClick={addLineItem}>Position hinzufügen</button>
+          </div>
+        </header>
+
+        <main className="container main">
+          <div role="alert">
+            {notice && (
+              <div className="card between notice">
+                <span className="error">{t(notice)}</span>
+                <button type="button" className="btn-ghost" onClick={() => setNotice(null)}>{t("outbox.dismiss")}</button>
+              </div>
+            )}
+          </div>
+          {!user ? (
+            <Login onLogin={handleLogin} />
+          ) : (
+          <>
+          {showDashboard && (
+            <Dashboard
+              user={user}
+              records={library}
+              onOpen={(rec) => {
+                openRFQ(rec);
+                refreshLibrary();
+              }}
+              onClose={() => setShowDashboard(false)}
+            />
+          )}
+
+          {showUsers && <UserAdmin currentUser={user} onClose={() => setShowUsers(false)} />}
+
+          {showLibrary && (
+            <RFQLibrary
+              items={library}
+              activeId={draftId}
+              onOpen={openRFQ}
+              onDuplicate={duplicateRFQ}
+              onDelete={removeRFQ}
+              onDispatch={can(user, "dispatch") ? (rec) => openDispatch(rec.id) : null}
+              onHistory={(rec) => openHistory(rec.id)}
+              onClose={() => setShowLibrary(false)}
+            />
+          )}
+
+          {showCustomers && (
+            <CustomerDirectory customers={customers} onChange={refreshCustomers} onClose={() => setShowCustomers(false)} />
+          )}
+
+          {showSuppliers && <SupplierDirectory onClose={() => setShowSuppliers(false)} />}
+
+          {showEstimator && (
+            <EstimatorRates rates={estimatorRates} onChange={setEstimatorRates} onClose={() => setShowEstimator(false)} />
+          )}
+
+          {dispatchRecord && (
+            <SupplierDispatch
+              record={dispatchRecord}
+              onChange={updateDispatch}
+              onCompare={() => setShowComparison(true)}
+              onClose={() => {
+                setDispatchRecord(null);
+                setShowComparison(false);
+              }}
+            />
+          )}
+
+          {dispatchRecord && showComparison && (
+            <QuoteComparison
+              key={dispatchRecord.id}
+              record={dispatchRecord}
+              onChange={updateDispatch}
+              onClose={() => setShowComparison(false)}
+            />
+          )}
+
+          {historyRecord && (
+            <RevisionHistory key={historyRecord.id} record={historyRecord} onClose={() => setHistoryRecord(null)} />
+          )}
+
+          {outboxNotice && (
+            <div className="card between" role="status">
+              <span>{t(outboxNotice)}</span>
+              <button type="button" className="btn-ghost" onClick={() => setOutboxNotice(null)}>{t("outbox.dismiss")}</button>
             </div>
+          )}
+
+          {showOutbox && (
+            <OutboxPanel
+              entries={outbox}
+              online={online}
+              onFlush={() => processOutbox({ setOutbox, setOutboxNotice, setLibrary, setCustomers }, true)}
+              onChange={refreshOutbox}
+              onEdit={editQueued}
+              onClose={() => setShowOutbox(false)}
+            />
+          )}
+
+          {importReport && <ImportReport report={importReport} onClose={() => setImportReport(null)} />}
+
+          {receipt ? (
+            <SubmissionReceipt
+              receipt={receipt}
+              onDispatch={can(user, "dispatch") ? () => openDispatch(receipt.id) : null}
+              onEditCopy={() => loadIntoForm(receipt.form, null)}
+              onRevise={() => startRevision(receipt)}
+              onHistory={() => openHistory(receipt.id)}
+              onNew={() => loadIntoForm(EMPTY_FORM, null)}
+            />
+          ) : (
+          <>
+          {revisionOf && (
+            <p className="muted" style={{ margin: "0 0 12px" }}>
+              {t("revisions.editing", { rfqNumber: revisionOf.rfqNumber, revision: nextRevision(revisionOf.revision) })}
+            </p>
+          )}
+          {wizard && <WizardSteps step={step} canOpen={canOpenStep} onOpen={setStep} />}
+          <form onSubmit={onSubmit} onBlur={touchField} noValidate className="grid grid-3">
+            {/* Kundendaten */}
+            {showStep("customer") && (
+            <section className={sectionClass("card span-2")} id="customer" tabIndex={-1}>
+              <h2 className="card-title">{t("customer.title")}</h2>
+              <div className="grid grid-2 gap">
+                <Field label={t("customer.company")} error={errors.company}>
+                  <input className="input" name="company" list="customers-company" value={form.company} onChange={(e) => updateField("company", e.target.value)} onBlur={(e) => pickCustomer(e.target.value)} placeholder={t("customer.companyPlaceholder")} />
+                </Field>
+                <Field label={t("customer.contact")} error={errors.contact}>
+                  <input className="input" name="contact" list="customers-contact" value={form.contact} onChange={(e) => updateField("contact", e.target.value)} onBlur={(e) => pickContact({ name: e.target.value })} placeholder={t("customer.contactPlaceholder")} />
+                </Field>
+                <Field label={t("customer.email")} error={errors.email}>
+                  <input className="input" name="email" type="email" list="customers-email" value={form.email} onChange={(e) => updateField("email", e.target.value)} onBlur={(e) => pickContact({ email: e.target.value })} placeholder={t("customer.emailPlaceholder")} />
+                </Field>
+                <Field label={t("customer.phone")} error={errors.phone}>
+                  <input className="input" name="phone" list="customers-phone" value={form.phone} onChange={(e) => updateField("phone", e.target.value)} placeholder="+49 …" />
+                </Field>
+                <Field label={t("customer.street")}>
+                  <input className="input" name="street" value={form.street} onChange={(e) => updateField("street", e.target.value)} placeholder={t("customer.streetPlaceholder")} />
+                </Field>
+                <div className="grid grid-postal gap">
+                  <Field label={t("customer.postalCode")}>
+                    <input className="input" name="postalCode" value={form.postalCode} onChange={(e) => updateField("postalCode", e.target.value)} />
+                  </Field>
+                  <Field label={t("customer.city")}>
+                    <input className="input" name="city" value={form.city} onChange={(e) => updateField("city", e.target.value)} />
+                  </Field>
+                </div>
+                <Field label={t("customer.country")}>
+                  <select className="input" name="country" value={form.country} onChange={(e) => updateField("country", e.target.value)}>
+                    <option value="">{t("customer.countryNone")}</option>
+                    {COUNTRIES.map((c) => <option key={c} value={c}>{regionNames.of(c)}</option>)}
+                  </select>
+                </Field>
+                <Field label={t("customer.vatId")} error={errors.vatId}>
+                  <input className="input" name="vatId" value={form.vatId} onChange={(e) => updateField("vatId", e.target.value)} placeholder={t("customer.vatIdPlaceholder")} />
+                </Field>
+                <Field label={t("customer.incoterms")}>
+                  <select className="input" name="incoterms" value={form.incoterms} onChange={(e) => updateField("incoterms", e.target.value)}>
+                    {INCOTERMS.map((opt) => (
+                      <option key={opt} value={opt}>{opt}</option>
+                    ))}
+                  </select>
+                </Field>
+                <Field label={t("customer.deliveryDate")} error={errors.deliveryDate}>
+                  <input className="input" name="deliveryDate" type="date" value={form.deliveryDate} onChange={(e) => updateField("deliveryDate", e.target.value)} />
+                </Field>
+                <Field label={t("customer.currency")}>
+                  <select className="input" name="currency" value={form.currency} onChange={(e) => updateField("currency", e.target.value)}>
+                    {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </Field>
+                <Field label={t("customer.shipping")}>
+                  <select className="input" name="shippingPreference" value={form.shippingPreference} onChange={(e) => updateField("shippingPreference", e.target.value)}>
+                    {SHIPPING_OPTIONS.map((opt) => <option key={opt} value={opt}>{t(`shipping.${opt}`)}</option>)}
+                  </select>
+                </Field>
+                <label className="checkbox">
+                  <input type="checkbox" name="NDA" checked={form.NDA} onChange={(e) => updateField("NDA", e.target.checked)} />
+                  <span>{t("customer.nda")}</span>
+                </label>
+              </div>
+            </section>
 
-            <div className="space-y">
-              {errors.lineItems && <p className="error">{errors.lineItems}</p>}
+            )}
 
-              {form.lineItems.map((li, i) => (
-                <div key={i} className="card-ghost">
+            {/* Dateien */}
+            {showStep("files") && (
+            <section className={sectionClass("card tall")} id="files" tabIndex={-1}>
+              <h2 className="card-title">{t("files.title")}</h2>
+              {errors.files && <p className="error">{t(errors.files)}</p>}
+              {warnings.files && <p className="warning">{t(warnings.files)}</p>}
+              <FileDropzone onFiles={onFilesSelected} accept={ACCEPTED_UPLOADS.join(",")} />
+              <p className="meta" style={{ marginTop: 6 }}>
+                {t("files.limits", { file: t.fileSize(FILE_LIMITS.maxFileSize), total: t.fileSize(FILE_LIMITS.maxTotalSize) })}
+              </p>
+              {intake.busy && <p className="muted">{t("files.checking")}</p>}
+              {intake.rejected.length > 0 && (
+                <div className="rejections">
                   <div className="between">
-                    <h3 className="h3">Pos. {i + 1}</h3>
-                    {form.lineItems.length > 1 && (
-                      <button type="button" className="btn-ghost" onClick={() => removeLineItem(i)}>Entfernen</button>
-                    )}
+                    <p className="error">{t("files.rejected")}</p>
+                    <button type="button" className="btn-ghost" onClick={() => setIntake({ busy: false, rejected: [] })}>{t("files.hide")}</button>
                   </div>
+                  <ul>
+                    {intake.rejected.map((r, i) => (
+                      <li key={i}><span className="file-name">{r.name}</span> – {t(r.reason)}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              <div className="files">
+                {form.files.length === 0 ? (
+                  <p className="muted">{t("files.empty")}</p>
+                ) : (
+                  form.files.map((f, idx) => (
+                    <div key={idx} className={`file-row${f.missing ? " missing" : ""}`}>
+                      <div className="between">
+                        <div className="file-info">
+                          <p className="file-name">{f.name}</p>
+                          <p className="meta">
+                            {t.fileSize(f.size)} · {f.type || t("files.genericType")}
+                            {f.missing && <span className="error"> · {t("files.missing")}</span>}
+                          </p>
+                        </div>
+                        <button type="button" className="btn-ghost" onClick={() => removeFile(idx)}>{t("files.remove")}</button>
+                      </div>
+                      {!f.missing && <FilePreview file={f} />}
+                    </div>
+                  ))
+                )}
+              </div>
+              <div className="actions-row">
+                <button type="button" className="btn-secondary" onClick={() => fileInputRef.current && fileInputRef.current.click()}>{t("files.choose")}</button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  className="hidden"
+                  multiple
+                  accept={ACCEPTED_UPLOADS.join(",")}
+                  onChange={(e) => e.target.files && onFilesSelected(e.target.files)}
+                />
+              </div>
+            </section>
 
-                  <div className="grid grid-3 gap">
-                    <Field label="Benennung" error={errors[`li_${i}_partName`]}>
-                      <input
-                        className="input"
-                        value={li.partName}
-                        onChange={(e) => updateLineItem(i, { partName: e.target.value })}
-                        placeholder="z. B. Wellengehäuse"
-                      />
-                    </Field>
+            )}
 
-                    <Field label="Material">
-                      <input
-                        className="input"
-                        value={li.material}
-                        onChange={(e) => updateLineItem(i, { material: e.target.value })}
-                        placeholder="z. B. 1.4301, AlSi10Mg…"
-                      />
-                    </Field>
+            {/* Positionen */}
+            {showStep("items") && (
+            <section className={sectionClass("card span-2")} id="lineItems" tabIndex={-1}>
+              <div className="between">
+                <h2 className="card-title">
+                  {t("items.title")} <span className="hint">{totalQty.min === totalQty.max
+                    ? t("items.totalQty", { total: totalQty.min })
+                    : t("items.totalQtyRange", totalQty)}</span>
+                </h2>
+                <div className="actions">
+                  <button type="button" className="btn-secondary" onClick={() => setShowBomImport((v) => !v)}>{t("items.importBom")}</button>
+                  <button type="button" className="btn-secondary" onClick={exportLineItemsCSV}>{t("items.exportCsv")}</button>
+                  <button type="button" className="btn-primary" onClick={addLineItem}>{t("items.add")}</button>
+                </div>
+              </div>
+              {estimates.count > 0 && (
+                <p className="hint">
+                  {t("estimator.total", {
+                    min: t.number(estimates.total.min, { style: "currency", currency: form.currency }),
+                    max: t.number(estimates.total.max, { style: "currency", currency: form.currency }),
+                    days: t("estimator.leadTime", estimates.leadTime),
+                    count: estimates.count,
+                    total: form.lineItems.length,
+                  })}
+                </p>
+              )}
 
-                    <Field label="Menge" error={errors[`li_${i}_qty`]}>
-                      <input
-                        className="input"
-                        type="number"
-                        min={1}
-                        value={li.qty}
-                        onChange={(e) => updateLineItem(i, { qty: Number(e.target.value) })}
-                      />
-                    </Field>
+              <div className="space-y">
+                {showBomImport && <BomImport onImport={importLineItems} onClose={() => setShowBomImport(false)} />}
 
-                    <Field label="Toleranz">
-                      <input
-                        className="input"
-                        value={li.tolerance}
-                        onChange={(e) => updateLineItem(i, { tolerance: e.target.value })}
-                        placeholder="z. B. IT7 / ±0,02 mm"
-                      />
-                    </Field>
+                {errors.lineItems && <p className="error">{t(errors.lineItems)}</p>}
 
-                    <Field label="Oberfläche">
-                      <input
-                        className="input"
-                        value={li.surface}
-                        onChange={(e) => updateLineItem(i, { surface: e.target.value })}
-                        placeholder="z. B. Eloxal, Verzinken, Ra ≤ 1,6 μm"
-                      />
-                    </Field>
+                {form.lineItems.map((li, i) => (
+                  <div key={i} className="card-ghost" role="group" aria-labelledby={`lineItems.${i}`}>
+                    <div className="between">
+                      <h3 className="h3" id={`lineItems.${i}`} tabIndex={-1}>{t("items.position", { n: i + 1 })}</h3>
+                      {form.lineItems.length > 1 && (
+                        <button type="button" className="btn-ghost" aria-label={t("items.removeLabel", { n: i + 1 })} onClick={() => removeLineItem(i)}>
+                          {t("items.remove")}
+                        </button>
+                      )}
+                    </div>
+                    <LineItemEstimate estimate={estimates.items[i]} currency={form.currency} />
+
+                    <div className="grid grid-3 gap">
+                      <Field label={t("items.partName")} error={errors[`lineItems.${i}.partName`]}>
+                        <input
+                          className="input"
+                          name={`lineItems.${i}.partName`}
+                          value={li.partName}
+                          onChange={(e) => updateLineItem(i, { partName: e.target.value })}
+                          placeholder={t("items.partNamePlaceholder")}
+                        />
+                      </Field>
+
+                      <Field label={t("items.material")} warning={warnings[`lineItems.${i}.material`]}>
+                        <CatalogInput
+                          field="material"
+                          name={`lineItems.${i}.material`}
+                          value={li.material}
+                          onChange={(patch) => updateLineItem(i, patch)}
+                          placeholder={t("items.materialPlaceholder")}
+                        />
+                        <MaterialInfo code={li.materialCode} />
+                      </Field>
+
+                      <Field label={t("items.qty")} error={errors[`lineItems.${i}.qty`]}>
+                        <input
+                          className="input"
+                          type="number"
+                          name={`lineItems.${i}.qty`}
+                          min={1}
+                          value={li.qty}
+                          onChange={(e) => updateLineItem(i, { qty: Number(e.target.value) })}
+                        />
+                      </Field>
 
-                    <Field label="Wärmebehandlung">
-                      <input
-                        className="input"
-                        value={li.heatTreatment}
-                        onChange={(e) => updateLineItem(i, { heatTreatment: e.target.value })}
-                        placeholder="z. B. Härten, Anlassen"
+                      <Field group label={t("items.qtyBreaks")} error={errors[`lineItems.${i}.qtyBreaks`] || errors[`lineItems.${i}.annualVolume`]}>
+                        <QtyBreaks lineItem={li} name={`lineItems.${i}`} invalid={ariaInvalid} onChange={(patch) => updateLineItem(i, patch)} />
+                      </Field>
+
+                      <Field group label={t("items.tolerance")} error={errors[`lineItems.${i}.tolerancePlus`] || errors[`lineItems.${i}.toleranceMinus`]}>
+                        <CatalogInput
+                          field="tolerance"
+                          name={`lineItems.${i}.tolerance`}
+                          aria-label={t("items.toleranceClass")}
+                          aria-invalid={ariaInvalid(`lineItems.${i}.tolerance`)}
+                          value={li.tolerance}
+                          onChange={(patch) => updateLineItem(i, patch)}
+                          placeholder={t("items.tolerancePlaceholder")}
+                        />
+                        <div className="inline-inputs">
+                          <input
+                            className="input"
+                            inputMode="decimal"
+                            name={`lineItems.${i}.tolerancePlus`}
+                            aria-invalid={ariaInvalid(`lineItems.${i}.tolerancePlus`)}
+                            aria-label={t("items.tolerancePlus")}
+                            value={li.tolerancePlus}
+                            onChange={(e) => updateLineItem(i, { tolerancePlus: e.target.value })}
+                            placeholder="+ mm"
+                          />
+                          <input
+                            className="input"
+                            inputMode="decimal"
+                            name={`lineItems.${i}.toleranceMinus`}
+                            aria-invalid={ariaInvalid(`lineItems.${i}.toleranceMinus`)}
+                            aria-label={t("items.toleranceMinus")}
+                            value={li.toleranceMinus}
+                            onChange={(e) => updateLineItem(i, { toleranceMinus: e.target.value })}
+                            placeholder="− mm"
+                          />
+                        </div>
+                      </Field>
+
+                      <Field
+                        group
+                        label={t("items.surface")}
+                        error={errors[`lineItems.${i}.surface`] || errors[`lineItems.${i}.surfaceRa`]}
+                        warning={warnings[`lineItems.${i}.surface`]}
+                      >
+                        <CatalogInput
+                          field="surface"
+                          name={`lineItems.${i}.surface`}
+                          aria-label={t("items.surfaceTreatment")}
+                          aria-invalid={ariaInvalid(`lineItems.${i}.surface`)}
+                          value={li.surface}
+                          onChange={(patch) => updateLineItem(i, patch)}
+                          placeholder={t("items.surfacePlaceholder")}
+                        />
+                        <div className="inline-inputs">
+                          <input
+                            className="input"
+                            inputMode="decimal"
+                            list="catalog-ra"
+                            name={`lineItems.${i}.surfaceRa`}
+                            aria-invalid={ariaInvalid(`lineItems.${i}.surfaceRa`)}
+                            aria-label={t("items.surfaceRa")}
+                            value={li.surfaceRa}
+                            onChange={(e) => updateLineItem(i, { surfaceRa: e.target.value })}
+                            placeholder="Ra ≤ … µm"
+                          />
+                        </div>
+                      </Field>
+
+                      <Field
+                        label={t("items.heatTreatment")}
+                        error={errors[`lineItems.${i}.heatTreatment`]}
+                        warning={warnings[`lineItems.${i}.heatTreatment`]}
+                      >
+                        <CatalogInput
+                          field="heatTreatment"
+                          name={`lineItems.${i}.heatTreatment`}
+                          value={li.heatTreatment}
+                          onChange={(patch) => updateLineItem(i, patch)}
+                          placeholder={t("items.heatTreatmentPlaceholder")}
+                        />
+                      </Field>
+
+                      <Field group label={t("items.estimateBasis")} error={errors[`lineItems.${i}.partVolume`] || errors[`lineItems.${i}.stockSize`]}>
+                        <div className="inline-inputs">
+                          <input
+                            className="input"
+                            inputMode="decimal"
+                            name={`lineItems.${i}.partVolume`}
+                            aria-invalid={ariaInvalid(`lineItems.${i}.partVolume`)}
+                            aria-label={t("items.partVolume")}
+                            value={li.partVolume}
+                            onChange={(e) => updateLineItem(i, { partVolume: e.target.value })}
+                            placeholder="cm³"
+                          />
+                          <input
+                            className="input"
+                            name={`lineItems.${i}.stockSize`}
+                            aria-invalid={ariaInvalid(`lineItems.${i}.stockSize`)}
+                            aria-label={t("items.stockSize")}
+                            value={li.stockSize}
+                            onChange={(e) => updateLineItem(i, { stockSize: e.target.value })}
+                            placeholder={t("items.stockSizePlaceholder")}
+                          />
+                        </div>
+                      </Field>
+                    </div>
+
+                    <Field label={t("items.notes")}>
+                      <textarea
+                        className="input textarea"
+                        name={`lineItems.${i}.notes`}
+                        value={li.notes}
+                        onChange={(e) => updateLineItem(i, { notes: e.target.value })}
+                        placeholder={t("items.notesPlaceholder")}
                       />
                     </Field>
-                  </div>
 
-                  <Field label="Anmerkungen">
-                    <textarea
-                      className="input textarea"
-                      value={li.notes}
-                      onChange={(e) => updateLineItem(i, { notes: e.target.value })}
-                      placeholder="Besondere Hinweise, Maßskizzen, Referenzen…"
+                    <LineItemFiles
+                      name={`lineItems.${i}.files`}
+                      lineItem={li}
+                      files={form.files}
+                      error={errors[`lineItems.${i}.files`]}
+                      warning={warnings[`lineItems.${i}.files`]}
+                      onLink={(name) => linkFile(i, name)}
+                      onUnlink={(name) => unlinkFile(i, name)}
                     />
-                  </Field>
+                  </div>
+                ))}
+              </div>
+            </section>
+
+            )}
+
+            {wizard && step < STEPS.length - 1 && (
+              <div className="span-3 actions">
+                {step > 0 && <button type="button" className="btn-secondary" onClick={() => setStep(step - 1)}>{t("wizard.back")}</button>}
+                <button type="button" className="btn-primary" onClick={nextStep}>{t("wizard.next")}</button>
+              </div>
+            )}
+
+            {/* Überprüfen + Submit */}
+            {showStep("review") && (
+            <section className="card span-3">
+              <h2 className="card-title">{t("review.title")}</h2>
+              <RFQReview form={form} warnings={warnings} onEdit={goToStep} />
+              {revisionOf && baseForm && (
+                <div style={{ marginTop: 12 }}>
+                  <h3 className="h3">{t("revisions.changesSince", { revision: revisionOf.revision })}</h3>
+                  <RevisionDiff before={baseForm} after={form} />
                 </div>
-              ))}
-            </div>
-          </section>
+              )}
+              <details style={{ marginTop: 12 }}>
+                <summary className="muted">{t("payload.title")}</summary>
+                <pre className="code">{JSON.stringify(buildPayload(), null, 2)}</pre>
+              </details>
 
-          {/* Vorschau + Submit */}
-          <section className="card span-3">
-            <h2 className="card-title">Vorschau (JSON)</h2>
-            <pre className="code">{JSON.stringify(buildPayload(), null, 2)}</pre>
+              <div className="stack">
+                <p className="muted">
+                  {t("submit.hint")} <code>{RFQ_ENDPOINT}</code>
+                </p>
+                <div className="actions">
+                  {wizard && <button type="button" className="btn-secondary" onClick={() => setStep(step - 1)}>{t("wizard.back")}</button>}
+                  <button type="submit" className="btn-primary" disabled={sending}>
+                    {sending ? t("submit.sending") : t("submit.send")}
+                  </button>
+                  {Object.keys(warnings).length > 0 && (
+                    <button type="button" className="btn-secondary" disabled={sending} onClick={() => submit({ ignoreWarnings: true })}>
+                      {t("submit.sendAnyway")}
+                    </button>
+                  )}
+                  <button type="button" className="btn-secondary" onClick={resetForm}>
+                    {t("submit.reset")}
+                  </button>
+                  {undo && (
+                    <button type="button" className="btn-ghost" onClick={undoReset}>{t("submit.undo")}</button>
+                  )}
+                </div>
+              </div>
 
-            <div className="stack">
-              <p className="muted">
-                Hinweis: Dies ist eine Demo – beim Absenden würdest du die Daten an deine API übertragen.
-              </p>
+              {showAllErrors && Object.keys(errors).length > 0 && (
+                <div className="error-summary">
+                  <p className="error">{t("validation.summary", { count: Object.keys(errors).length })}</p>
+                  <ul>
+                    {Object.entries(errors).map(([path, error]) => (
+                      <li key={path}>
+                        <button type="button" className="link" onClick={() => goToField(path)}>
+                          {fieldLabel(path, t)}: {t(error)}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {submitError && <p className="error" role="alert" style={{ marginTop: 10 }}>{t(submitError)}</p>}
+            </section>
+            )}
+          </form>
+          </>
+          )}
+          </>
+          )}
+          <CatalogDatalists />
+          <CustomerDatalists customers={customers} company={form.company} />
+        </main>
+
+        <Footer />
+
+        {/* Kompakter, sicherer CSS-Block */}
+        <style>{`
+          :root{
+            --bg: #0b0b0c; --panel: #111214; --panel2:#0f1012;
+            --border:#26282c; --border2:#2f3237; --text:#e6e7eb; --muted:#a6a8ad;
+            --danger:#ff5c5c;
+            /* Ränder von Eingaben und Knöpfen: mind. 3:1 gegen den Hintergrund (WCAG 1.4.11) */
+            --control:#74777e;
+          }
+          html,body,#root{height:100%;}
+          .app{min-height:100vh;background:var(--bg);color:var(--text);}
+          .grid-overlay{position:fixed;inset:0;pointer-events:none;background-image:
+            linear-gradient(to right, rgba(255,255,255,.03) 1px, transparent 1px),
+            linear-gradient(to bottom, rgba(255,255,255,.03) 1px, transparent 1px);
+            background-size:24px 24px,24px 24px;}
+          .app-header{position:sticky;top:0;z-index:30;background:rgba(11,11,12,.75);
+            backdrop-filter:blur(8px);border-bottom:1px solid var(--border);}
+          .container{max-width:1120px;margin:0 auto;padding:0 16px;}
+          .header-row{display:flex;align-items:center;justify-content:space-between;height:60px;}
+          .brand{display:flex;align-items:center;gap:10px;}
+          .h1{font-size:18px;font-weight:700;letter-spacing:.02em;}
+          .main{padding:16px;}
+          .grid{display:grid;gap:14px;}
+          .grid-2{grid-template-columns:1fr;}
+          .grid-3{grid-template-columns:1fr;}
+          .grid-postal{grid-template-columns:1fr 2fr;}
+          .span-2{grid-column:span 1;}
+          .span-3{grid-column:span 1;}
+          .tall{align-self:start;}
+          .gap{gap:14px;}
+          @media(min-width:1024px){
+            .grid-2{grid-template-columns:repeat(2,1fr);}
+            .grid-3{grid-template-columns:repeat(3,1fr);}
+            .span-2{grid-column:span 2;}
+            .span-3{grid-column:span 3;}
+            .tall{grid-row:span 2;}
+          }
+          .card{background:linear-gradient(180deg,var(--panel),var(--panel2));border:1px solid var(--border);
+            border-radius:14px;padding:16px;box-shadow:0 0 0 1px rgba(255,255,255,.02) inset, 0 8px 24px rgba(0,0,0,.45);}
+          .card-ghost{background:transparent;border:1px dashed var(--border2);border-radius:14px;padding:12px;}
+          .card-title{font-size:14px;font-weight:700;letter-spacing:.06em;text-transform:uppercase;}
+          .hint{font-weight:400;color:var(--muted);margin-left:8px;font-size:12px;}
+          .input{width:100%;background:#0a0b0c;color:var(--text);border:1px solid var(--control);
+            border-radius:12px;padding:10px 12px;outline:none;}
+          .input:focus{border-color:#fff;box-shadow:0 0 0 3px rgba(255,255,255,.12);}
+          .input::placeholder{color:#8e9197;opacity:1;}
+          .input[aria-invalid="true"]{border-color:var(--danger);}
+          :focus-visible{outline:2px solid #fff;outline-offset:2px;}
+          .input:focus-visible{outline:none;}
+          .textarea{min-height:92px;}
+          fieldset.field{border:0;margin:0;padding:0;min-width:0;}
+          fieldset.field > legend{padding:0;}
+          .btn-primary,.btn-secondary,.btn-ghost{border-radius:12px;padding:10px 14px;font-weight:700;
+            border:1px solid var(--control);background:#0b0b0c;color:var(--text);}
+          .btn-primary:hover,.btn-secondary:hover,.btn-ghost:hover{background:#0e0f11;}
+          .muted{color:var(--muted);font-size:13px;}
+          .success{color:#9be29b;font-size:13px;margin-top:6px;}
+          .error{color:var(--danger);font-size:13px;}
+          .code{background:#000;color:#e8e8e8;font-size:12px;border-radius:12px;border:1px solid var(--border);
+            padding:12px;max-height:320px;overflow:auto;}
+          .files{margin-top:12px;display:flex;flex-direction:column;gap:8px;}
+          .file-row{display:flex;flex-direction:column;gap:8px;border:1px solid var(--border);
+            border-radius:12px;padding:10px 12px;background:#0b0c0e;}
+          .file-info{min-width:0;margin-right:8px;}
+          .file-name{overflow:hidden;text-overflow:ellipsis;white-space:nowrap;font-weight:600;}
+          .meta{font-size:12px;color:var(--muted);}
+          .estimate{margin:2px 0 8px;}
+          .preview{display:flex;flex-direction:column;gap:6px;}
+          .preview-img{display:block;width:100%;max-height:200px;object-fit:contain;background:#000;
+            border:1px solid var(--border);border-radius:8px;color:var(--text);}
+          .preview-facts{display:grid;grid-template-columns:auto 1fr;gap:2px 10px;font-size:12px;margin:0;}
+          .preview-facts dt{color:var(--muted);}
+          .preview-facts dd{margin:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;}
+          .actions-row{display:flex;gap:8px;margin-top:10px;}
+          .between{display:flex;align-items:center;justify-content:space-between;}
+          .space-y > * + *{margin-top:12px;}
+          .stack{display:flex;flex-direction:column;gap:12px;align-items:flex-start;justify-content:space-between;}
+          @media(min-width:640px){.stack{flex-direction:row;align-items:center;}}
+          .actions{display:flex;gap:8px;}
+          .lang-select{width:auto;padding:8px 10px;}
+          .checkbox{display:flex;align-items:center;gap:10px;}
+          .dropzone{border:2px dashed var(--border2);border-radius:16px;padding:24px;text-align:center;background:#0e0f11;}
+          .dropzone.over{background:#121316;border-color:#fff;}
+          .hidden{display:none;}
+          .dropzone-button{display:block;width:100%;background:none;border:0;border-radius:12px;color:var(--text);
+            padding:0 0 10px;font:inherit;cursor:pointer;}
+          .sr-only{position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;}
+          .notice{margin-bottom:14px;}
+          .rejections{margin-top:10px;border:1px solid var(--danger);border-radius:12px;padding:8px 12px;font-size:12px;}
+          .rejections ul{margin:6px 0 0;padding-left:18px;}
+          .rejections .file-name{display:inline;}
+          .inline-inputs{display:flex;gap:6px;margin-top:6px;}
+          .warning{color:#f2c94c;font-size:13px;}
+          .chips{display:flex;flex-wrap:wrap;gap:6px;align-items:center;}
+          .chip{display:inline-flex;align-items:center;gap:6px;border:1px solid var(--border2);border-radius:999px;
+            padding:2px 4px 2px 10px;font-size:12px;background:#0b0c0e;color:var(--text);}
+          .chip button{border:0;background:none;color:var(--muted);padding:0 6px;cursor:pointer;}
+          .chip.suggested{border-style:dashed;cursor:pointer;padding-right:10px;}
+          .library{margin-bottom:14px;}
+          .library-row{display:flex;align-items:center;justify-content:space-between;gap:8px;
+            border:1px solid var(--border);border-radius:12px;padding:10px 12px;background:#0b0c0e;}
+          .file-row.missing{border-style:dashed;border-color:var(--danger);}
+          .table-wrap{max-height:360px;overflow:auto;border:1px solid var(--border);border-radius:12px;}
+          .table{width:100%;border-collapse:collapse;font-size:12px;}
+          .table th,.table td{text-align:left;padding:6px 8px;border-bottom:1px solid var(--border);white-space:nowrap;}
+          .table th{position:sticky;top:0;background:var(--panel);color:var(--muted);text-transform:uppercase;letter-spacing:.06em;}
+          .row-invalid td{background:rgba(255,92,92,.08);}
+          .table.diff td.removed{color:var(--muted);text-decoration:line-through;}
+          .table.diff td.added{font-weight:600;}
+          .review-list .added{color:#9be29b;}
+          .review-list .removed{color:var(--muted);}
+          .table td.best{color:#9be29b;font-weight:600;}
+          .qty-break{width:80px;padding:4px 6px;}
+          .wizard-steps{display:flex;flex-wrap:wrap;gap:8px;list-style:none;margin:0 0 14px;padding:0;}
+          .review-list{margin:6px 0 0;padding-left:18px;font-size:13px;}
+          .receipt{max-width:640px;margin:0 auto 14px;}
+          .receipt-facts{font-size:14px;margin:12px 0;}
+          .error-summary{margin-top:10px;border:1px solid var(--danger);border-radius:12px;padding:8px 12px;}
+          .error-summary ul{margin:6px 0 0;padding-left:18px;}
+          .link{background:none;border:0;padding:0;color:var(--text);text-align:left;cursor:pointer;text-decoration:underline;font-size:13px;}
+          .badge{display:inline-block;border:1px solid var(--border2);border-radius:8px;padding:0 6px;
+            font-size:11px;text-transform:uppercase;letter-spacing:.06em;margin-left:8px;}
+          .badge-alert{border-color:var(--danger);color:var(--danger);}
+          .user-badge{display:inline-flex;align-items:center;font-size:13px;}
+          .login{max-width:420px;margin:40px auto;}
+          .audit{margin:0;padding-left:18px;font-size:12px;white-space:normal;}
+        `}</style>
+      </div>
+    </I18nContext.Provider>
+  );
+}
+
+// Eingaben tragen den Schema-Pfad als name, Bereiche ohne eigene Eingabe als id
+function focusField(path) {
+  const el = document.getElementsByName(path)[0] || document.getElementById(path);
+  if (!el) return;
+  el.scrollIntoView({ block: "center" });
+  el.focus();
+}
+
+function fieldLabel(path, t) {
+  const title = t(schemaAt(path)?.title || path);
+  const item = /^lineItems\.(\d+)\./.exec(path);
+  return item ? `${t("items.position", { n: Number(item[1]) + 1 })} · ${title}` : title;
+}
+
+function stepOf(path) {
+  if (path === "files") return "files";
+  return path.startsWith("lineItems") ? "items" : "customer";
+}
+
+function WizardSteps({ step, canOpen, onOpen }) {
+  const t = useI18n();
+  return (
+    <nav aria-label={t("wizard.label")}>
+      <ol className="wizard-steps">
+        {STEPS.map((name, i) => (
+          <li key={name}>
+            <button
+              type="button"
+              className={i === step ? "btn-primary" : "btn-ghost"}
+              aria-current={i === step ? "step" : undefined}
+              disabled={i > step && !canOpen(i)}
+              onClick={() => onOpen(i)}
+            >
+              {i + 1}. {t(`wizard.${name}`)}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </nav>
+  );
+}
+
+function isBlankLineItem(li) {
+  return Object.keys(DEFAULT_LINE_ITEM).every((k) =>
+    Array.isArray(li[k]) ? li[k].length === 0 : li[k] === DEFAULT_LINE_ITEM[k]
+  );
+}
+
+function LineItemFiles({ name, lineItem, files, error, warning, onLink, onUnlink }) {
+  const suggestions = suggestFiles(lineItem, files);
+  const available = files.filter((f) => !lineItem.files.includes(f.name));
+  const messageId = useId();
+  const t = useI18n();
+  return (
+    <div className="field" id={name} tabIndex={-1}>
+      <span className="muted" style={{ display: "block", marginBottom: 6, textTransform: "uppercase", letterSpacing: ".06em", fontSize: 12 }}>
+        {t("items.drawings")}
+      </span>
+      <div className="chips">
+        {lineItem.files.map((name) => (
+          <span key={name} className="chip">
+            {name}
+            <button type="button" aria-label={t("items.unlink", { name })} onClick={() => onUnlink(name)}>×</button>
+          </span>
+        ))}
+        {suggestions.map((name) => (
+          <button key={name} type="button" className="chip suggested" title={t("items.suggestion")} onClick={() => onLink(name)}>
+            + {name}
+          </button>
+        ))}
+        {available.length > 0 && (
+          <select
+            className="input"
+            style={{ width: "auto" }}
+            value=""
+            aria-label={t("items.linkFile")}
+            aria-invalid={error ? true : undefined}
+            aria-describedby={error || warning ? messageId : undefined}
+            onChange={(e) => e.target.value && onLink(e.target.value)}
+          >
+            <option value="">{t("items.linkFile")}</option>
+            {available.map((f) => <option key={f.name} value={f.name}>{f.name}</option>)}
+          </select>
+        )}
+      </div>
+      {error ? <span id={messageId} className="error" style={{ display: "block", marginTop: 6 }}>{t(error)}</span> : null}
+      {!error && warning ? <span id={messageId} className="warning" style={{ display: "block", marginTop: 6 }}>{t(warning)}</span> : null}
+    </div>
+  );
+}
+
+/** invalid(path): true bei einem Fehler am Pfad; die Meldung des Felds hängt an allen Eingaben. */
+function QtyBreaks({ lineItem, name, onChange, invalid, "aria-describedby": describedBy }) {
+  const t = useI18n();
+  const breaks = lineItem.qtyBreaks;
+  const setBreak = (idx, value) => onChange({ qtyBreaks: breaks.map((q, i) => (i === idx ? value : q)) });
+  return (
+    <div className="space-y">
+      <div className="chips">
+        {breaks.map((q, idx) => (
+          <span key={idx} className="chip">
+            <input
+              className="input qty-break"
+              type="number"
+              name={`${name}.qtyBreaks`}
+              min={1}
+              aria-label={t("items.qtyBreak", { n: idx + 1 })}
+              aria-invalid={invalid(`${name}.qtyBreaks`)}
+              aria-describedby={describedBy}
+              value={q || ""}
+              onChange={(e) => setBreak(idx, Number(e.target.value))}
+            />
+            <button type="button" aria-label={t("items.removeQtyBreak", { n: idx + 1 })} onClick={() => onChange({ qtyBreaks: breaks.filter((_, i) => i !== idx) })}>
+              ×
+            </button>
+          </span>
+        ))}
+        <button type="button" className="btn-ghost" onClick={() => onChange({ qtyBreaks: [...breaks, 0] })}>
+          {t("items.addQtyBreak")}
+        </button>
+      </div>
+      <div className="inline-inputs">
+        <input
+          className="input"
+          type="number"
+          min={0}
+          name={`${name}.annualVolume`}
+          aria-label={t("items.annualVolume")}
+          aria-invalid={invalid(`${name}.annualVolume`)}
+          aria-describedby={describedBy}
+          placeholder={t("items.annualVolume")}
+          value={lineItem.annualVolume || ""}
+          onChange={(e) => onChange({ annualVolume: Number(e.target.value) })}
+        />
+        <input
+          className="input"
+          name={`${name}.callOff`}
+          aria-label={t("items.callOff")}
+          aria-describedby={describedBy}
+          placeholder={t("items.callOffPlaceholder")}
+          value={lineItem.callOff}
+          onChange={(e) => onChange({ callOff: e.target.value })}
+        />
+      </div>
+    </div>
+  );
+}
+
+function RFQLibrary({ items, activeId, onOpen, onDuplicate, onDelete, onDispatch, onHistory, onClose }) {
+  const t = useI18n();
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("library.title")}</h2>
+        <button type="button" className="btn-ghost" onClick={onClose}>{t("library.close")}</button>
+      </div>
+      <div className="files">
+        {items.length === 0 ? (
+          <p className="muted">{t("library.empty")}</p>
+        ) : (
+          items.map((rec) => (
+            <div key={rec.id} className="library-row">
+              <div className="file-info">
+                <p className="file-name">
+                  {rec.form.company || t("library.noCompany")}
+                  <span className="badge">{libraryBadge(rec, t)}</span>
+                  {rec.id === activeId && <span className="badge">{t("library.current")}</span>}
+                </p>
+                <p className="meta">
+                  {t("library.summary", {
+                    items: rec.form.lineItems.length,
+                    files: rec.form.files.length,
+                    date: t.dateTime(rec.updatedAt),
+                  })}
+                  {rec.dispatches.length > 0 &&
+                    ` · ${t("dispatch.summary", { count: rec.dispatches.length, quoted: countByStatus(rec.dispatches).quoted || 0 })}`}
+                </p>
+              </div>
               <div className="actions">
-                <button type="submit" className="btn-primary">Anfrage absenden</button>
-                <button
-                  type="button"
-                  className="btn-secondary"
-                  onClick={() => { setForm(EMPTY_FORM); setErrors({}); setSubmitted(false); }}
-                >
-                  Zurücksetzen
-                </button>
+                <button type="button" className="btn-ghost" onClick={() => onOpen(rec)}>{t("library.open")}</button>
+                {rec.status === "submitted" && onDispatch && (
+                  <button type="button" className="btn-ghost" onClick={() => onDispatch(rec)}>{t("library.dispatch")}</button>
+                )}
+                {rec.history.length > 0 && (
+                  <button type="button" className="btn-ghost" onClick={() => onHistory(rec)}>{t("revisions.open")}</button>
+                )}
+                <button type="button" className="btn-ghost" onClick={() => onDuplicate(rec)}>{t("library.duplicate")}</button>
+                <button type="button" className="btn-ghost" onClick={() => onDelete(rec)}>{t("library.delete")}</button>
               </div>
             </div>
+          ))
+        )}
+      </div>
+    </section>
+  );
+}
 
-            {submitted ? <p className="success">✓ Anfrage vorbereitet. (Ersetze submitRFQ() mit echtem Backend-Call.)</p> : null}
-          </section>
-        </form>
-      </main>
-
-      <Footer />
+function libraryBadge(rec, t) {
+  if (rec.status === "submitted") return `${rec.rfqNumber} ${t("document.revision", { revision: rec.revision })}`;
+  if (rec.status === "queued") return t("library.queued");
+  if (rec.revisionOf) {
+    return t("revisions.draftBadge", { rfqNumber: rec.revisionOf.rfqNumber, revision: nextRevision(rec.revisionOf.revision) });
+  }
+  return t("library.draft");
+}
 
-      {/* Kompakter, sicherer CSS-Block */}
-      <style>{`
-        :root{
-          --bg: #0b0b0c; --panel: #111214; --panel2:#0f1012;
-          --border:#26282c; --border2:#2f3237; --text:#e6e7eb; --muted:#a6a8ad;
-          --danger:#ff5c5c;
-        }
-        html,body,#root{height:100%;}
-        .app{min-height:100vh;background:var(--bg);color:var(--text);}
-        .grid-overlay{position:fixed;inset:0;pointer-events:none;background-image:
-          linear-gradient(to right, rgba(255,255,255,.03) 1px, transparent 1px),
-          linear-gradient(to bottom, rgba(255,255,255,.03) 1px, transparent 1px);
-          background-size:24px 24px,24px 24px;}
-        .app-header{position:sticky;top:0;z-index:30;background:rgba(11,11,12,.75);
-          backdrop-filter:blur(8px);border-bottom:1px solid var(--border);}
-        .container{max-width:1120px;margin:0 auto;padding:0 16px;}
-        .header-row{display:flex;align-items:center;justify-content:space-between;height:60px;}
-        .brand{display:flex;align-items:center;gap:10px;}
-        .h1{font-size:18px;font-weight:700;letter-spacing:.02em;}
-        .main{padding:16px;}
-        .grid{display:grid;gap:14px;}
-        .grid-2{grid-template-columns:1fr;}
-        .grid-3{grid-template-columns:1fr;}
-        .span-2{grid-column:span 1;}
-        .span-3{grid-column:span 1;}
-        .tall{align-self:start;}
-        .gap{gap:14px;}
-        @media(min-width:1024px){
-          .grid-2{grid-template-columns:repeat(2,1fr);}
-          .grid-3{grid-template-columns:repeat(3,1fr);}
-          .span-2{grid-column:span 2;}
-          .span-3{grid-column:span 3;}
-          .tall{grid-row:span 2;}
-        }
-        .card{background:linear-gradient(180deg,var(--panel),var(--panel2));border:1px solid var(--border);
-          border-radius:14px;padding:16px;box-shadow:0 0 0 1px rgba(255,255,255,.02) inset, 0 8px 24px rgba(0,0,0,.45);}
-        .card-ghost{background:transparent;border:1px dashed var(--border2);border-radius:14px;padding:12px;}
-        .card-title{font-size:14px;font-weight:700;letter-spacing:.06em;text-transform:uppercase;}
-        .hint{font-weight:400;color:var(--muted);margin-left:8px;font-size:12px;}
-        .input{width:100%;background:#0a0b0c;color:var(--text);border:1px solid var(--border);
-          border-radius:12px;padding:10px 12px;outline:none;}
-        .input:focus{border-color:#fff;box-shadow:0 0 0 3px rgba(255,255,255,.12);}
-        .textarea{min-height:92px;}
-        .btn-primary,.btn-secondary,.btn-ghost{border-radius:12px;padding:10px 14px;font-weight:700;
-          border:1px solid var(--border2);background:#0b0b0c;color:var(--text);}
-        .btn-primary:hover,.btn-secondary:hover,.btn-ghost:hover{background:#0e0f11;}
-        .muted{color:var(--muted);font-size:13px;}
-        .success{color:#9be29b;font-size:13px;margin-top:6px;}
-        .error{color:var(--danger);font-size:13px;}
-        .code{background:#000;color:#e8e8e8;font-size:12px;border-radius:12px;border:1px solid var(--border);
-          padding:12px;max-height:320px;overflow:auto;}
-        .files{margin-top:12px;display:flex;flex-direction:column;gap:8px;}
-        .file-row{display:flex;align-items:center;justify-content:space-between;border:1px solid var(--border);
-          border-radius:12px;padding:10px 12px;background:#0b0c0e;}
-        .file-info{min-width:0;margin-right:8px;}
-        .file-name{overflow:hidden;text-overflow:ellipsis;white-space:nowrap;font-weight:600;}
-        .meta{font-size:12px;color:var(--muted);}
-        .actions-row{display:flex;gap:8px;margin-top:10px;}
-        .between{display:flex;align-items:center;justify-content:space-between;}
-        .space-y > * + *{margin-top:12px;}
-        .stack{display:flex;flex-direction:column;gap:12px;align-items:flex-start;justify-content:space-between;}
-        @media(min-width:640px){.stack{flex-direction:row;align-items:center;}}
-        .actions{display:flex;gap:8px;}
-        .checkbox{display:flex;align-items:center;gap:10px;}
-        .dropzone{border:2px dashed var(--border2);border-radius:16px;padding:24px;text-align:center;background:#0e0f11;}
-        .dropzone.over{background:#121316;border-color:#fff;}
-        @media print {
-          .btn-primary,.btn-secondary,.btn-ghost,header,.input,select,textarea{display:none !important;}
-          pre{white-space:pre-wrap;}
-          .grid-overlay{display:none;}
-        }
-        .hidden{display:none;}
-      `}</style>
-    </div>
+function ImportReport({ report, onClose }) {
+  const { fileName, dropped, defaulted, missingFiles } = report;
+  const clean = !dropped.length && !defaulted.length && !missingFiles.length;
+  const t = useI18n();
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("import.title", { fileName })}</h2>
+        <button type="button" className="btn-ghost" onClick={onClose}>{t("import.close")}</button>
+      </div>
+      {clean ? (
+        <p className="success">{t("import.clean")}</p>
+      ) : (
+        <div className="space-y">
+          {dropped.length > 0 && <p className="muted">{t("import.dropped")} <code>{dropped.join(", ")}</code></p>}
+          {defaulted.length > 0 && <p className="muted">{t("import.defaulted")} <code>{defaulted.join(", ")}</code></p>}
+          {missingFiles.length > 0 && (
+            <p className="error">{t("import.missingFiles", { names: missingFiles.join(", ") })}</p>
+          )}
+        </div>
+      )}
+    </section>
   );
 }
 
-function Field({ label, error, children }) {
+/**
+ * error/warning: Meldungs-Deskriptor (validation.js) oder Text. Die Meldung
+ * hängt per aria-describedby an den Eingaben des Felds, ein Fehler setzt
+ * aria-invalid – außer die Eingabe bestimmt aria-invalid selbst
+ * (mehrteilige Felder wie Toleranz oder Oberfläche).
+ * group: mehrere Eingaben/Knöpfe als <fieldset> mit <legend> statt in einem
+ * <label> – ein Klick auf die Beschriftung löst sonst den ersten Knopf aus.
+ */
+function Field({ label, error, warning, group = false, children }) {
+  const t = useI18n();
+  const messageId = useId();
+  const aria = { "aria-describedby": error || warning ? messageId : undefined, "aria-invalid": error ? true : undefined };
+  const Wrapper = group ? "fieldset" : "label";
+  const Caption = group ? "legend" : "span";
   return (
-    <label className="field">
-      <span className="muted" style={{ display: "block", marginBottom: 6, textTransform: "uppercase", letterSpacing: ".06em", fontSize: 12 }}>
+    <Wrapper className="field">
+      <Caption className="muted" style={{ display: "block", marginBottom: 6, textTransform: "uppercase", letterSpacing: ".06em", fontSize: 12 }}>
         {label}
-      </span>
-      {children}
-      {error ? <span className="error" style={{ display: "block", marginTop: 6 }}>{error}</span> : null}
-    </label>
+      </Caption>
+      {describeControls(children, aria)}
+      {error ? <span id={messageId} className="error" style={{ display: "block", marginTop: 6 }}>{t(error)}</span> : null}
+      {!error && warning ? <span id={messageId} className="warning" style={{ display: "block", marginTop: 6 }}>{t(warning)}</span> : null}
+    </Wrapper>
+  );
+}
+
+// Komponenten, die aria-describedby/aria-invalid an ihre Eingaben weiterreichen
+const FIELD_CONTROLS = [CatalogInput, QtyBreaks];
+
+function describeControls(children, aria) {
+  return React.Children.map(children, (child) => {
+    if (!React.isValidElement(child)) return child;
+    if (["input", "select", "textarea"].includes(child.type) || FIELD_CONTROLS.includes(child.type)) {
+      return React.cloneElement(child, Object.fromEntries(Object.entries(aria).filter(([key]) => !(key in child.props))));
+    }
+    if ((typeof child.type === "string" || child.type === React.Fragment) && child.props.children) {
+      return React.cloneElement(child, undefined, describeControls(child.props.children, aria));
+    }
+    return child;
+  });
+}
+
+/**
+ * Texteingabe mit Katalogvorschlägen; liefert Text und aufgelösten Code.
+ * Beim Verlassen wird ein erkannter Alias ("V2A") auf die Katalogbezeichnung gesetzt.
+ */
+function CatalogInput({ field, name, value, onChange, placeholder, ...aria }) {
+  const t = useI18n();
+  function emit(text, canonical = false) {
+    const entry = findEntry(field, text);
+    onChange({ [field]: canonical && entry ? entryLabel(entry, t.lang) : text, [`${field}Code`]: entry ? entry.code : "" });
+  }
+  return (
+    <input
+      className="input"
+      list={`catalog-${field}`}
+      name={name}
+      value={value}
+      onChange={(e) => emit(e.target.value)}
+      onBlur={(e) => emit(e.target.value, true)}
+      placeholder={placeholder}
+      {...aria}
+    />
+  );
+}
+
+function CatalogDatalists() {
+  const t = useI18n();
+  return (
+    <>
+      {Object.entries(CATALOGS).map(([field, entries]) => (
+        <datalist key={field} id={`catalog-${field}`}>
+          {entries.map((e) => (
+            <option key={e.code} value={entryLabel(e, t.lang)}>
+              {e.aisi ? `AISI ${e.aisi}` : (e.aliases || []).filter(Boolean).join(", ")}
+            </option>
+          ))}
+        </datalist>
+      ))}
+      <datalist id="catalog-ra">
+        {RA_VALUES.map((ra) => <option key={ra} value={t.number(ra)}>Ra {t.number(ra)} µm</option>)}
+      </datalist>
+    </>
+  );
+}
+
+/** Vorschläge aus dem Adressbuch; Ansprechpartner bevorzugt der gewählten Firma. */
+function CustomerDatalists({ customers, company }) {
+  const selected = findCustomer(customers, company);
+  const contacts = selected ? selected.contacts : customers.flatMap((c) => c.contacts);
+  return (
+    <>
+      <datalist id="customers-company">
+        {customers.map((c) => <option key={c.id} value={c.company}>{[c.postalCode, c.city].filter(Boolean).join(" ")}</option>)}
+      </datalist>
+      <datalist id="customers-contact">
+        {contacts.filter((p) => p.name).map((p, i) => <option key={i} value={p.name}>{p.email}</option>)}
+      </datalist>
+      <datalist id="customers-email">
+        {contacts.filter((p) => p.email).map((p, i) => <option key={i} value={p.email}>{p.name}</option>)}
+      </datalist>
+      <datalist id="customers-phone">
+        {contacts.filter((p) => p.phone).map((p, i) => <option key={i} value={p.phone}>{p.name}</option>)}
+      </datalist>
+    </>
+  );
+}
+
+/**
+ * Sendet den Postausgang und aktualisiert danach Liste, Bibliothek und
+ * Adressbuch. Bekommt nur State-Setter, damit Timer und Event-Handler
+ * keinen veralteten Stand der Komponente sehen.
+ */
+function processOutbox({ setOutbox, setOutboxNotice, setLibrary, setCustomers }, force = false) {
+  const onSent = (rec) => {
+    if (!rec) return;
+    setOutboxNotice(msg("outbox.sent", { rfqNumber: rec.rfqNumber, revision: rec.revision }));
+    listRFQs().then(setLibrary).catch((err) => console.error(err));
+    // Kunde wie beim direkten Versand ins Adressbuch übernehmen
+    listCustomers()
+      .then((list) => saveCustomer(customerFromForm(list, rec.form)))
+      .then(listCustomers)
+      .then(setCustomers)
+      .catch((err) => console.error(err));
+  };
+  return flushOutbox({ onSent, force })
+    .catch((err) => console.error(err))
+    .then(listOutbox)
+    .then(setOutbox)
+    .catch((err) => console.error(err));
+}
+
+function watchOutbox(setters) {
+  const send = () => processOutbox(setters);
+  const goOnline = () => {
+    setters.setOnline(true);
+    send();
+  };
+  const goOffline = () => setters.setOnline(false);
+  send();
+  window.addEventListener("online", goOnline);
+  window.addEventListener("offline", goOffline);
+  const timer = setInterval(send, OUTBOX_POLL);
+  const stopSync = onOutboxSync(send);
+  return () => {
+    window.removeEventListener("online", goOnline);
+    window.removeEventListener("offline", goOffline);
+    clearInterval(timer);
+    stopSync();
+  };
+}
+
+function LineItemEstimate({ estimate, currency }) {
+  const t = useI18n();
+  const money = (n) => t.number(n, { style: "currency", currency });
+  if (estimate.error) return <p className="meta estimate">{t("estimator.label")}: {t(estimate.error)}</p>;
+  return (
+    <p className="meta estimate">
+      {t("estimator.label")}:{" "}
+      {estimate.quantities
+        .map((r) => t("estimator.unitPrice", { min: money(r.min), max: money(r.max), qty: t.number(r.qty) }))
+        .join(" · ")}
+      {" · "}
+      {t("estimator.leadTime", estimate.leadTime)} · {t("estimator.mass", { mass: t.number(estimate.massKg, { maximumFractionDigits: 2 }) })}
+    </p>
+  );
+}
+
+function MaterialInfo({ code }) {
+  const t = useI18n();
+  const m = findByCode("material", code);
+  if (!m) return null;
+  return (
+    <span className="meta" style={{ display: "block", marginTop: 4 }}>
+      {t("items.materialInfo", {
+        group: t(`materialGroups.${m.group}`),
+        aisi: m.aisi ? `AISI/UNS ${m.aisi} · ` : "",
+        density: m.density,
+      })}
+    </span>
   );
 }
 
 function FileDropzone({ onFiles, accept }) {
   const [isOver, setIsOver] = useState(false);
+  const inputRef = useRef(null);
+  const hintId = useId();
+  const t = useI18n();
 
   function onDragOver(e) { e.preventDefault(); setIsOver(true); }
   function onDragLeave(e) { e.preventDefault(); setIsOver(false); }
@@ -456,32 +1816,29 @@ function FileDropzone({ onFiles, accept }) {
     }
   }
 
+  // Ziehen geht nur mit der Maus; der Knopf öffnet die Dateiauswahl (Enter und Leertaste)
   return (
-    <div
-      className={`dropzone${isOver ? " over" : ""}`}
-      role="button"
-      tabIndex={0}
-      aria-label="Dateien hierher ziehen oder klicken"
-      onDragOver={onDragOver}
-      onDragLeave={onDragLeave}
-      onDrop={onDrop}
-      onKeyDown={(e) => {
-        if (e.key === "Enter") {
-          const input = e.currentTarget.querySelector('input[type="file"]');
-          if (input) input.click();
-        }
-      }}
-    >
-      <p style={{ fontWeight: 600, marginBottom: 4 }}>Dateien hierher ziehen</p>
-      <p className="muted" style={{ marginBottom: 10 }}>oder klicken, um Dateien auszuwählen</p>
+    <div className={`dropzone${isOver ? " over" : ""}`} onDragOver={onDragOver} onDragLeave={onDragLeave} onDrop={onDrop}>
+      <button
+        type="button"
+        className="dropzone-button"
+        aria-label={t("files.dropLabel")}
+        aria-describedby={hintId}
+        onClick={() => inputRef.current && inputRef.current.click()}
+      >
+        <span style={{ display: "block", fontWeight: 600, marginBottom: 4 }}>{t("files.dropTitle")}</span>
+        <span className="muted" style={{ display: "block" }}>{t("files.dropHint")}</span>
+      </button>
       <input
+        ref={inputRef}
         type="file"
         multiple
         accept={accept}
         className="hidden"
+        tabIndex={-1}
         onChange={(e) => e.target.files && onFiles(e.target.files)}
       />
-      <small className="muted">Erlaubte Endungen: {accept}</small>
+      <small id={hintId} className="muted">{t("files.allowed", { accept })}</small>
     </div>
   );
 }
@@ -500,11 +1857,12 @@ function Logo() {
 }
 
 function Footer() {
+  const t = useI18n();
   return (
     <footer className="container" style={{ padding: "16px 16px 24px", textAlign: "center" }}>
       <hr style={{ borderColor: "var(--border)", opacity: 0.8, margin: "16px 0" }} />
       <p className="muted">
-        © {new Date().getFullYear()} Muster GmbH <code>/api/rfq</code> für den Live-Betrieb.
+        {t("footer.copyright", { year: String(new Date().getFullYear()) })} <code>{RFQ_ENDPOINT}</code> {t("footer.live")}
       </p>
     </footer>
   );
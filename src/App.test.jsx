@@ -0,0 +1,127 @@
+// @vitest-environment jsdom
+import "fake-indexeddb/auto";
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App.jsx";
+import { queueSubmission } from "./outbox.js";
+
+vi.mock("./outbox.js", async (importOriginal) => ({ ...(await importOriginal()), queueSubmission: vi.fn() }));
+
+/**
+ * Verhalten der Formularseite unter jsdom (englische Oberfläche wie in
+ * a11y.test.jsx); der Server ist durch einen fetch-Stub ersetzt.
+ */
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const USER = { username: "einkauf", name: "Eva Einkauf", role: "admin" };
+const RESPONSES = {
+  "/api/auth/me": { user: USER },
+  "/api/rfq": { rfqs: [] },
+};
+
+let container;
+let root;
+let posts;
+
+beforeEach(() => {
+  posts = [];
+  vi.stubGlobal("fetch", async (url, options = {}) => {
+    // Absenden scheitert an der Verbindung
+    if (options.method === "POST") {
+      posts.push(url);
+      throw new TypeError("Failed to fetch");
+    }
+    const body = RESPONSES[new URL(url, "http://localhost").pathname];
+    return new Response(JSON.stringify(body || {}), { status: body ? 200 : 404 });
+  });
+  // jsdom kennt kein Layout
+  Element.prototype.scrollIntoView = () => {};
+  localStorage.setItem("rfq.session", JSON.stringify({ token: "t", user: USER }));
+  container = document.createElement("div");
+  document.body.append(container);
+  root = createRoot(container);
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+  localStorage.clear();
+  vi.unstubAllGlobals();
+});
+
+async function render() {
+  await act(async () => root.render(<App />));
+  await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+}
+
+// Wie eine Eingabe im Browser, damit React onChange auslöst
+function type(name, value) {
+  const input = container.querySelector(`[name="${name}"]`);
+  const { set } = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value");
+  act(() => {
+    set.call(input, value);
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+  });
+}
+
+function fillForm() {
+  type("company", "Muster GmbH");
+  type("contact", "Erika Muster");
+  type("email", "einkauf@muster.de");
+  type("deliveryDate", "2099-03-01");
+  type("lineItems.0.partName", "Flansch");
+}
+
+function button(text) {
+  return [...container.querySelectorAll("button")].find((b) => b.textContent === text);
+}
+
+async function clickAndWait(button) {
+  await act(async () => {
+    button.click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  });
+}
+
+describe("Absenden ohne Verbindung", () => {
+  it("meldet einen Fehler des Postausgangs und behält das Formular", async () => {
+    queueSubmission.mockRejectedValueOnce(new Error("Quota exceeded"));
+    await render();
+    fillForm();
+    await clickAndWait(button("Send despite notes"));
+    const alerts = [...container.querySelectorAll('[role="alert"]')].map((el) => el.textContent);
+    expect(alerts).toContainEqual(expect.stringContaining("could not be saved to the outbox (Quota exceeded)"));
+    expect(container.querySelector('[name="company"]').value).toBe("Muster GmbH");
+  });
+});
+
+describe("Übersicht vor dem Absenden", () => {
+  it("sendet mit Hinweisen erst nach „Trotz Hinweisen absenden“", async () => {
+    const confirm = vi.fn();
+    vi.stubGlobal("confirm", confirm);
+    await render();
+    fillForm();
+    // Ohne Zeichnung: Hinweis "keine Zeichnung"
+    expect(container.querySelector("#review-warnings li")).not.toBe(null);
+    await clickAndWait(container.querySelector('button[type="submit"]'));
+    await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+    expect(document.activeElement.id).toBe("review-warnings");
+    expect(posts).toEqual([]);
+    await clickAndWait(button("Send despite notes"));
+    expect(posts).toEqual(["/api/rfq"]);
+    expect(confirm).not.toHaveBeenCalled();
+  });
+
+  it("„Bearbeiten“ springt ohne geführten Modus zum jeweiligen Abschnitt", async () => {
+    await render();
+    const review = container.querySelector(".review");
+    const edit = [...review.querySelectorAll("button")].filter((b) => b.textContent === "Edit");
+    const [customer, , files, items] = edit;
+    for (const [button, id] of [[customer, "customer"], [files, "files"], [items, "lineItems"]]) {
+      act(() => button.click());
+      expect(document.activeElement.id).toBe(id);
+    }
+  });
+});
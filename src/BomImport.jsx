@@ -0,0 +1,162 @@
+import React, { useMemo, useState } from "react";
+import { BOM_FIELDS, formatBomValue, guessMapping, readBomFile, rowsToLineItems } from "./bom.js";
+import { parseCSV } from "./csv.js";
+import { validateLineItem } from "./validation.js";
+import { describeError, msg } from "./messages.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Dialog zum Import einer Stückliste: Einfügen oder CSV/XLSX hochladen,
+ * Spalten zuordnen, Vorschau mit Prüfung je Zeile, anhängen oder ersetzen.
+ */
+export default function BomImport({ onImport, onClose }) {
+  const t = useI18n();
+  const [rows, setRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [mode, setMode] = useState("append");
+  const [pasted, setPasted] = useState("");
+  const [error, setError] = useState(null);
+
+  const columns = useMemo(() => {
+    const width = Math.max(0, ...rows.map((r) => r.length));
+    const header = hasHeader ? rows[0] || [] : [];
+    return Array.from({ length: width }, (_, i) => header[i] || t("bom.column", { n: i + 1 }));
+  }, [rows, hasHeader, t]);
+
+  const preview = useMemo(() => {
+    const items = rowsToLineItems(hasHeader ? rows.slice(1) : rows, mapping);
+    return items.map((li) => ({ li, errors: validateLineItem(li) }));
+  }, [rows, hasHeader, mapping]);
+
+  const invalidCount = preview.filter((p) => Object.keys(p.errors).length).length;
+
+  function load(nextRows) {
+    if (!nextRows.length) {
+      setError(msg("bom.noData"));
+      return;
+    }
+    setError(null);
+    setRows(nextRows);
+    setMapping(guessMapping(hasHeader ? nextRows[0] : []));
+  }
+
+  async function onFile(file) {
+    try {
+      load(await readBomFile(file));
+    } catch (err) {
+      console.error(err);
+      setError(msg("bom.readFailed", { message: describeError(err) }));
+    }
+  }
+
+  function toggleHeader(checked) {
+    setHasHeader(checked);
+    setMapping(guessMapping(checked ? rows[0] || [] : []));
+  }
+
+  function confirmImport() {
+    if (invalidCount && !confirm(t("bom.confirmInvalid", { count: invalidCount }))) return;
+    onImport(preview.map((p) => p.li), mode);
+  }
+
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("bom.title")}</h2>
+        <button type="button" className="btn-ghost" onClick={onClose}>{t("bom.close")}</button>
+      </div>
+
+      <div className="space-y">
+        <div className="actions-row">
+          <label className="btn-secondary">
+            {t("bom.chooseFile")}
+            <input
+              type="file"
+              className="hidden"
+              accept=".csv,.txt,.xlsx"
+              onChange={(e) => e.target.files && e.target.files[0] && onFile(e.target.files[0])}
+            />
+          </label>
+        </div>
+        <textarea
+          className="input textarea"
+          value={pasted}
+          onChange={(e) => setPasted(e.target.value)}
+          placeholder={t("bom.pastePlaceholder")}
+        />
+        <button type="button" className="btn-secondary" disabled={!pasted.trim()} onClick={() => load(parseCSV(pasted))}>
+          {t("bom.usePasted")}
+        </button>
+
+        {error && <p className="error">{t(error)}</p>}
+
+        {rows.length > 0 && (
+          <>
+            <label className="checkbox">
+              <input type="checkbox" checked={hasHeader} onChange={(e) => toggleHeader(e.target.checked)} />
+              <span>{t("bom.hasHeader")}</span>
+            </label>
+
+            <div className="grid grid-3 gap">
+              {BOM_FIELDS.map((f) => (
+                <label key={f.key} className="field">
+                  <span className="muted">{t(`items.${f.key}`)}</span>
+                  <select
+                    className="input"
+                    value={mapping[f.key] ?? -1}
+                    onChange={(e) => setMapping((m) => ({ ...m, [f.key]: Number(e.target.value) }))}
+                  >
+                    <option value={-1}>{t("bom.unmapped")}</option>
+                    {columns.map((c, i) => <option key={i} value={i}>{c}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            <div className="table-wrap">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    {BOM_FIELDS.map((f) => <th key={f.key}>{t(`items.${f.key}`)}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map(({ li, errors }, i) => (
+                    <tr key={i} className={Object.keys(errors).length ? "row-invalid" : ""}>
+                      <td>{i + 1}</td>
+                      {BOM_FIELDS.map((f) => (
+                        <td key={f.key} title={t(errors[f.key])}>
+                          {String(formatBomValue(li, f.key))}
+                          {errors[f.key] && <span className="error"> ⚠</span>}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="between">
+              <p className="muted">
+                {invalidCount
+                  ? t("bom.rowsInvalid", { count: preview.length, invalid: invalidCount })
+                  : t("bom.rows", { count: preview.length })}
+              </p>
+              <div className="actions">
+                <select className="input" value={mode} onChange={(e) => setMode(e.target.value)}>
+                  <option value="append">{t("bom.append")}</option>
+                  <option value="replace">{t("bom.replace")}</option>
+                </select>
+                <button type="button" className="btn-primary" disabled={!preview.length} onClick={confirmImport}>
+                  {t("bom.apply")}
+                </button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
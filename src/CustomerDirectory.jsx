@@ -0,0 +1,238 @@
+import React, { useRef, useState } from "react";
+import { COUNTRIES, CURRENCIES, INCOTERMS, SHIPPING_OPTIONS } from "./model.js";
+import {
+  EMPTY_CONTACT,
+  EMPTY_CUSTOMER,
+  customersToCSV,
+  customersToVCard,
+  mergeCustomers,
+  readCustomerFile,
+  validateCustomer,
+} from "./contacts.js";
+import { deleteCustomer, saveCustomer } from "./drafts.js";
+import { downloadBlob } from "./download.js";
+import { describeError, msg } from "./messages.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Kundenadressbuch: Firmen mit Anschrift, Standardkonditionen und
+ * Ansprechpartnern; Import/Export als CSV oder vCard.
+ * Die Liste lädt App.jsx (auch für die Vorschläge im Formular), onChange()
+ * lädt sie nach jeder Änderung neu.
+ */
+export default function CustomerDirectory({ customers, onChange, onClose }) {
+  const t = useI18n();
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState(null);
+  const fileInput = useRef(null);
+  const regionNames = new Intl.DisplayNames([t.locale], { type: "region" });
+
+  function edit(customer) {
+    setEditing({ ...customer, contacts: customer.contacts.map((p) => ({ ...p })) });
+    setErrors({});
+  }
+
+  function set(field, value) {
+    setEditing((c) => ({ ...c, [field]: value }));
+  }
+
+  function setContact(index, field, value) {
+    setEditing((c) => ({ ...c, contacts: c.contacts.map((p, i) => (i === index ? { ...p, [field]: value } : p)) }));
+  }
+
+  async function save() {
+    const contacts = editing.contacts.filter((p) => p.name.trim() || p.email.trim());
+    const customer = { ...editing, company: editing.company.trim(), contacts };
+    const e = validateCustomer(customer);
+    setErrors(e);
+    if (Object.keys(e).length) return;
+    await saveCustomer(customer);
+    setEditing(null);
+    onChange();
+  }
+
+  async function remove(customer) {
+    if (!confirm(t("customers.confirmDelete", { name: customer.company }))) return;
+    await deleteCustomer(customer.id);
+    onChange();
+  }
+
+  async function importFile(file) {
+    try {
+      const imported = await readCustomerFile(file, t);
+      const changed = mergeCustomers(customers, imported);
+      for (const customer of changed) await saveCustomer(customer);
+      setNotice(msg("customers.imported", { count: changed.length, fileName: file.name }));
+      onChange();
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("customers.importFailed", { message: describeError(err) }));
+    }
+  }
+
+  function exportCSV() {
+    const blob = new Blob([customersToCSV(customers, t)], { type: "text/csv;charset=utf-8" });
+    downloadBlob(blob, `${t("customers.fileName")}.csv`);
+  }
+
+  function exportVCard() {
+    downloadBlob(new Blob([customersToVCard(customers)], { type: "text/vcard;charset=utf-8" }), `${t("customers.fileName")}.vcf`);
+  }
+
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("customers.title")}</h2>
+        <div className="actions">
+          <button type="button" className="btn-secondary" onClick={() => edit(EMPTY_CUSTOMER)}>{t("customers.add")}</button>
+          <button type="button" className="btn-secondary" onClick={() => fileInput.current && fileInput.current.click()}>
+            {t("customers.import")}
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,.vcf,text/csv,text/vcard"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files && e.target.files[0]) importFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+          <button type="button" className="btn-ghost" onClick={exportCSV} disabled={!customers.length}>{t("customers.exportCsv")}</button>
+          <button type="button" className="btn-ghost" onClick={exportVCard} disabled={!customers.length}>{t("customers.exportVcf")}</button>
+          <button type="button" className="btn-ghost" onClick={onClose}>{t("customers.close")}</button>
+        </div>
+      </div>
+      {notice && <p className="muted" role="status">{t(notice)}</p>}
+
+      {editing && (
+        <div className="card-ghost space-y" style={{ marginTop: 12 }}>
+          <div className="grid grid-2 gap">
+            <label className="field">
+              <span className="muted">{t("customer.company")}</span>
+              <input className="input" value={editing.company} onChange={(e) => set("company", e.target.value)} />
+              {errors.company && <span className="error">{t(errors.company)}</span>}
+            </label>
+            <label className="field">
+              <span className="muted">{t("customer.vatId")}</span>
+              <input className="input" value={editing.vatId} onChange={(e) => set("vatId", e.target.value)} />
+            </label>
+            <label className="field">
+              <span className="muted">{t("customer.street")}</span>
+              <input className="input" value={editing.street} onChange={(e) => set("street", e.target.value)} />
+            </label>
+            <div className="grid grid-postal gap">
+              <label className="field">
+                <span className="muted">{t("customer.postalCode")}</span>
+                <input className="input" value={editing.postalCode} onChange={(e) => set("postalCode", e.target.value)} />
+              </label>
+              <label className="field">
+                <span className="muted">{t("customer.city")}</span>
+                <input className="input" value={editing.city} onChange={(e) => set("city", e.target.value)} />
+              </label>
+            </div>
+            <label className="field">
+              <span className="muted">{t("customer.country")}</span>
+              <select className="input" value={editing.country} onChange={(e) => set("country", e.target.value)}>
+                <option value="">{t("customer.countryNone")}</option>
+                {COUNTRIES.map((c) => <option key={c} value={c}>{regionNames.of(c)}</option>)}
+              </select>
+            </label>
+            <label className="field">
+              <span className="muted">{t("customer.incoterms")}</span>
+              <select className="input" value={editing.incoterms} onChange={(e) => set("incoterms", e.target.value)}>
+                {INCOTERMS.map((opt) => <option key={opt} value={opt}>{opt}</option>)}
+              </select>
+            </label>
+            <label className="field">
+              <span className="muted">{t("customer.currency")}</span>
+              <select className="input" value={editing.currency} onChange={(e) => set("currency", e.target.value)}>
+                {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+              </select>
+            </label>
+            <label className="field">
+              <span className="muted">{t("customer.shipping")}</span>
+              <select className="input" value={editing.shippingPreference} onChange={(e) => set("shippingPreference", e.target.value)}>
+                {SHIPPING_OPTIONS.map((opt) => <option key={opt} value={opt}>{t(`shipping.${opt}`)}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div>
+            <span className="muted">{t("customers.contacts")}</span>
+            {editing.contacts.map((p, i) => (
+              <div key={i} className="grid grid-3 gap" style={{ marginTop: 6 }}>
+                <input
+                  className="input"
+                  aria-label={t("customer.contact")}
+                  placeholder={t("customer.contact")}
+                  value={p.name}
+                  onChange={(e) => setContact(i, "name", e.target.value)}
+                />
+                <span>
+                  <input
+                    className="input"
+                    type="email"
+                    aria-label={t("customer.email")}
+                    placeholder={t("customer.email")}
+                    value={p.email}
+                    onChange={(e) => setContact(i, "email", e.target.value)}
+                  />
+                  {errors[`contacts.${i}.email`] && <span className="error">{t(errors[`contacts.${i}.email`])}</span>}
+                </span>
+                <input
+                  className="input"
+                  aria-label={t("customer.phone")}
+                  placeholder={t("customer.phone")}
+                  value={p.phone}
+                  onChange={(e) => setContact(i, "phone", e.target.value)}
+                />
+              </div>
+            ))}
+            <button
+              type="button"
+              className="btn-ghost"
+              style={{ marginTop: 6 }}
+              onClick={() => set("contacts", [...editing.contacts, { ...EMPTY_CONTACT }])}
+            >
+              {t("customers.addContact")}
+            </button>
+          </div>
+
+          <div className="actions">
+            <button type="button" className="btn-primary" onClick={save}>{t("customers.save")}</button>
+            <button type="button" className="btn-ghost" onClick={() => setEditing(null)}>{t("customers.cancel")}</button>
+          </div>
+        </div>
+      )}
+
+      <div className="files">
+        {customers.length === 0 ? (
+          <p className="muted">{t("customers.empty")}</p>
+        ) : (
+          customers.map((c) => (
+            <div key={c.id} className="library-row">
+              <div className="file-info">
+                <p className="file-name">
+                  {c.company}
+                  <span className="badge">{[c.incoterms, c.currency].join(" · ")}</span>
+                </p>
+                <p className="meta">
+                  {[c.street, [c.postalCode, c.city].filter(Boolean).join(" "), c.country && regionNames.of(c.country)]
+                    .filter(Boolean)
+                    .join(", ")}
+                  {c.contacts.length > 0 && ` · ${c.contacts.map((p) => p.name || p.email).join(", ")}`}
+                </p>
+              </div>
+              <div className="actions">
+                <button type="button" className="btn-ghost" onClick={() => edit(c)}>{t("customers.edit")}</button>
+                <button type="button" className="btn-ghost" onClick={() => remove(c)}>{t("customers.delete")}</button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </section>
+  );
+}
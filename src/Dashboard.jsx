@@ -0,0 +1,246 @@
+import React, { useEffect, useState } from "react";
+import { changeStatus, fetchAudit, fetchServerRFQ, listServerRFQs } from "./api.js";
+import { saveServerRFQ } from "./drafts.js";
+import { parseRFQJson } from "./rfqImport.js";
+import { EMPTY_FILTERS, customerOptions, dashboardRows, filterRows, statusCounts } from "./dashboard.js";
+import { RFQ_STATUSES } from "./workflow.js";
+import { describeError, msg } from "./messages.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Übersicht aller sichtbaren Anfragen (Anfragende: eigene, Einkauf/Admin:
+ * alle) mit lokalen Entwürfen, Filtern und Status-Workflow. onOpen(record)
+ * öffnet einen lokalen Datensatz wie in der Bibliothek; Anfragen, die es nur
+ * auf dem Server gibt, werden vorher geladen und lokal angelegt (Dateien
+ * nur als Platzhalter, siehe rfqImport.js).
+ */
+export default function Dashboard({ user, records, onOpen, onClose }) {
+  const t = useI18n();
+  const [serverRfqs, setServerRfqs] = useState([]);
+  const [notice, setNotice] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [expanded, setExpanded] = useState(null);
+  const [opening, setOpening] = useState(null);
+
+  function refresh() {
+    listServerRFQs()
+      .then((rfqs) => {
+        setServerRfqs(rfqs);
+        setNotice(null);
+      })
+      .catch((err) => {
+        console.error(err);
+        setNotice(msg("dashboard.loadFailed", { message: describeError(err) }));
+      });
+  }
+
+  useEffect(refresh, []);
+
+  async function openServerRFQ(rfqNumber) {
+    setOpening(rfqNumber);
+    try {
+      const { revisions } = await fetchServerRFQ(rfqNumber);
+      const forms = revisions.map(({ revision, payload }) => ({
+        revision,
+        submittedAt: payload.receivedAt,
+        form: parseRFQJson(JSON.stringify(payload)).form,
+      }));
+      onOpen(await saveServerRFQ(rfqNumber, forms));
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("dashboard.openFailed", { message: describeError(err) }));
+    } finally {
+      setOpening(null);
+    }
+  }
+
+  const rows = dashboardRows(serverRfqs, records, user);
+  const visible = filterRows(rows, filters);
+  const counts = statusCounts(rows);
+  const set = (key) => (e) => setFilters((f) => ({ ...f, [key]: e.target.value }));
+
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("dashboard.title")}</h2>
+        <div className="actions">
+          <button type="button" className="btn-secondary" onClick={refresh}>{t("dashboard.refresh")}</button>
+          <button type="button" className="btn-ghost" onClick={onClose}>{t("dashboard.close")}</button>
+        </div>
+      </div>
+      <p className="muted">
+        {RFQ_STATUSES.map((s) => t("dashboard.count", { status: t(`status.${s}`), count: counts[s] || 0 })).join(" · ")}
+      </p>
+      {notice && <p className="warning" role="status">{t(notice)}</p>}
+
+      <div className="grid grid-3 gap" style={{ marginTop: 12 }}>
+        <label className="field">
+          <span className="muted">{t("dashboard.status")}</span>
+          <select className="input" value={filters.status} onChange={set("status")}>
+            <option value="">{t("dashboard.all")}</option>
+            {RFQ_STATUSES.map((s) => <option key={s} value={s}>{t(`status.${s}`)}</option>)}
+          </select>
+        </label>
+        <label className="field">
+          <span className="muted">{t("dashboard.customer")}</span>
+          <select className="input" value={filters.customer} onChange={set("customer")}>
+            <option value="">{t("dashboard.all")}</option>
+            {customerOptions(rows).map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+        <label className="field">
+          <span className="muted">{t("dashboard.search")}</span>
+          <input className="input" type="search" value={filters.search} onChange={set("search")} placeholder={t("dashboard.searchPlaceholder")} />
+        </label>
+        <label className="field">
+          <span className="muted">{t("dashboard.deliveryFrom")}</span>
+          <input className="input" type="date" value={filters.deliveryFrom} onChange={set("deliveryFrom")} />
+        </label>
+        <label className="field">
+          <span className="muted">{t("dashboard.deliveryTo")}</span>
+          <input className="input" type="date" value={filters.deliveryTo} onChange={set("deliveryTo")} />
+        </label>
+        <div className="field" style={{ alignSelf: "end" }}>
+          <button type="button" className="btn-ghost" onClick={() => setFilters(EMPTY_FILTERS)}>{t("dashboard.resetFilters")}</button>
+        </div>
+      </div>
+
+      <div className="table-wrap" style={{ marginTop: 12 }}>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>{t("dashboard.rfq")}</th>
+              <th>{t("dashboard.status")}</th>
+              <th>{t("dashboard.customer")}</th>
+              <th>{t("dashboard.parts")}</th>
+              <th>{t("dashboard.delivery")}</th>
+              <th>{t("dashboard.submittedBy")}</th>
+              <th>{t("dashboard.updated")}</th>
+              <th><span className="sr-only">{t("dashboard.actions")}</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.length === 0 && (
+              <tr>
+                <td colSpan={8} className="muted">{t(rows.length ? "dashboard.noMatches" : "dashboard.empty")}</td>
+              </tr>
+            )}
+            {visible.map((row) => (
+              <React.Fragment key={row.key}>
+                <tr>
+                  <td>{row.rfqNumber ? `${row.rfqNumber}${row.revision ? ` ${t("document.revision", { revision: row.revision })}` : ""}` : "–"}</td>
+                  <td>
+                    <span className="badge">{t(`status.${row.status}`)}</span>
+                    {row.queued && <span className="badge badge-alert">{t("library.queued")}</span>}
+                  </td>
+                  <td>{row.company || t("library.noCompany")}</td>
+                  <td>{row.partNames.join(", ")}</td>
+                  <td>{row.deliveryDate ? t.date(row.deliveryDate) : "–"}</td>
+                  <td>{row.submittedBy || "–"}</td>
+                  <td>{row.updatedAt ? t.dateTime(row.updatedAt) : "–"}</td>
+                  <td>
+                    <div className="actions">
+                      {row.record ? (
+                        <button type="button" className="btn-ghost" onClick={() => onOpen(row.record)}>{t("dashboard.open")}</button>
+                      ) : (
+                        row.rfqNumber && row.status !== "draft" && (
+                          <button type="button" className="btn-ghost" disabled={opening !== null} onClick={() => openServerRFQ(row.rfqNumber)}>
+                            {t("dashboard.open")}
+                          </button>
+                        )
+                      )}
+                      {row.status !== "draft" && (
+                        <button
+                          type="button"
+                          className="btn-ghost"
+                          aria-expanded={expanded === row.key}
+                          onClick={() => setExpanded((k) => (k === row.key ? null : row.key))}
+                        >
+                          {t("dashboard.history")}
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+                {expanded === row.key && (
+                  <tr>
+                    <td colSpan={8}>
+                      <AuditLog rfqNumber={row.rfqNumber} onChange={refresh} />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
+
+/** Statusverlauf einer Anfrage und, falls erlaubt, der nächste Statuswechsel. */
+function AuditLog({ rfqNumber, onChange }) {
+  const t = useI18n();
+  const [data, setData] = useState(null);
+  const [target, setTarget] = useState("");
+  const [note, setNote] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchAudit(rfqNumber)
+      .then((result) => !cancelled && setData(result))
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setNotice(msg("dashboard.loadFailed", { message: describeError(err) }));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [rfqNumber]);
+
+  async function submit() {
+    const status = target || data.next[0];
+    setBusy(true);
+    try {
+      setData(await changeStatus(rfqNumber, status, note));
+      setTarget("");
+      setNote("");
+      setNotice(msg("dashboard.changed", { status: t(`status.${status}`) }));
+      onChange();
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("dashboard.changeFailed", { message: describeError(err) }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  if (!data) return notice ? <p className="error">{t(notice)}</p> : <p className="muted">{t("dashboard.loading")}</p>;
+
+  return (
+    <div className="space-y">
+      <ol className="audit">
+        {data.audit.map((entry, idx) => (
+          <li key={idx}>
+            <span className="meta">{t.dateTime(entry.at)} · {entry.user}</span>{" "}
+            {t(`dashboard.action.${entry.action}`, { revision: entry.revision })}
+            {entry.to && ` ${entry.from ? `${t(`status.${entry.from}`)} → ` : ""}${t(`status.${entry.to}`)}`}
+            {entry.note && <span className="muted"> – {entry.note}</span>}
+          </li>
+        ))}
+      </ol>
+      {notice && <p className="muted" role="status">{t(notice)}</p>}
+      {data.next.length > 0 && (
+        <div className="actions">
+          <select className="input" aria-label={t("dashboard.nextStatus")} value={target || data.next[0]} onChange={(e) => setTarget(e.target.value)}>
+            {data.next.map((s) => <option key={s} value={s}>{t(`status.${s}`)}</option>)}
+          </select>
+          <input className="input" aria-label={t("dashboard.note")} placeholder={t("dashboard.note")} value={note} onChange={(e) => setNote(e.target.value)} />
+          <button type="button" className="btn-secondary" disabled={busy} onClick={submit}>{t("dashboard.changeStatus")}</button>
+        </div>
+      )}
+    </div>
+  );
+}
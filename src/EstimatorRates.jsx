@@ -0,0 +1,218 @@
+import React, { useRef, useState } from "react";
+import { HEAT_TREATMENTS, MATERIALS, SURFACES, entryLabel } from "./catalog.js";
+import { CURRENCIES } from "./model.js";
+import { DEFAULT_ESTIMATOR_RATES, coerceRates, parseRatesJSON, ratesToJSON } from "./estimator.js";
+import { saveEstimatorRates } from "./drafts.js";
+import { downloadBlob } from "./download.js";
+import { describeError, msg } from "./messages.js";
+import { useI18n } from "./i18nContext.js";
+
+const GENERAL = ["hourlyRate", "setupHours", "baseMinutes", "minutesPerCm3", "stockAllowance", "hoursPerDay", "spread"];
+const TREATMENT = ["perKg", "minimum", "days"];
+
+/**
+ * Sätze der Vorkalkulation bearbeiten, als JSON exportieren/importieren oder
+ * auf die Standards zurücksetzen. Werte bleiben bis zum Speichern Text, die
+ * Prüfung übernimmt coerceRates(); onChange(rates) erhält die Zahlen.
+ */
+export default function EstimatorRates({ rates, onChange, onClose }) {
+  const t = useI18n();
+  const [draft, setDraft] = useState(rates);
+  const [notice, setNotice] = useState(null);
+  const fileInput = useRef(null);
+  const { rates: parsed, invalid } = coerceRates(draft);
+
+  function set(path, value) {
+    setDraft((d) => {
+      const next = { ...d };
+      let node = next;
+      path.slice(0, -1).forEach((k) => {
+        node[k] = { ...node[k] };
+        node = node[k];
+      });
+      node[path[path.length - 1]] = value;
+      return next;
+    });
+  }
+
+  function input(path, label) {
+    const value = path.reduce((node, k) => node[k], draft);
+    return (
+      <input
+        className="input"
+        inputMode="decimal"
+        aria-label={label}
+        aria-invalid={invalid.includes(path.join(" › ")) || undefined}
+        value={value}
+        onChange={(e) => set(path, e.target.value)}
+      />
+    );
+  }
+
+  function apply(next, notice) {
+    saveEstimatorRates(next);
+    setDraft(next || DEFAULT_ESTIMATOR_RATES);
+    onChange(next || DEFAULT_ESTIMATOR_RATES);
+    setNotice(notice);
+  }
+
+  async function importFile(file) {
+    try {
+      apply(parseRatesJSON(await file.text()), msg("estimator.imported", { fileName: file.name }));
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("estimator.importFailed", { message: describeError(err) }));
+    }
+  }
+
+  function exportJSON() {
+    downloadBlob(new Blob([ratesToJSON(parsed)], { type: "application/json" }), `${t("estimator.fileName")}.json`);
+  }
+
+  function treatmentRows(section, entries) {
+    return entries.map((entry) => (
+      <tr key={entry.code}>
+        <td>{entryLabel(entry, t.lang)}</td>
+        {TREATMENT.map((f) => (
+          <td key={f}>{input([section, entry.code, f], `${entryLabel(entry, t.lang)} – ${t(`estimator.${f}`)}`)}</td>
+        ))}
+      </tr>
+    ));
+  }
+
+  const treatmentHead = (title) => (
+    <thead>
+      <tr>
+        <th>{title}</th>
+        {TREATMENT.map((f) => <th key={f}>{t(`estimator.${f}`, { currency: parsed.currency })}</th>)}
+      </tr>
+    </thead>
+  );
+
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("estimator.title")}</h2>
+        <div className="actions">
+          <button type="button" className="btn-secondary" onClick={() => fileInput.current && fileInput.current.click()}>
+            {t("estimator.import")}
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files && e.target.files[0]) importFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+          <button type="button" className="btn-ghost" onClick={exportJSON}>{t("estimator.export")}</button>
+          <button type="button" className="btn-ghost" onClick={() => apply(null, msg("estimator.resetDone"))}>{t("estimator.reset")}</button>
+          <button type="button" className="btn-ghost" onClick={onClose}>{t("estimator.close")}</button>
+        </div>
+      </div>
+      <p className="muted">{t("estimator.hint")}</p>
+      {notice && <p className="muted" role="status">{t(notice)}</p>}
+
+      <div className="grid grid-3 gap" style={{ marginTop: 12 }}>
+        <label className="field">
+          <span className="muted">{t("estimator.currency")}</span>
+          <select className="input" value={draft.currency} onChange={(e) => set(["currency"], e.target.value)}>
+            {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+        {GENERAL.map((key) => (
+          <label key={key} className="field">
+            <span className="muted">{t(`estimator.${key}`, { currency: parsed.currency })}</span>
+            {input([key], t(`estimator.${key}`, { currency: parsed.currency }))}
+          </label>
+        ))}
+      </div>
+
+      <div className="table-wrap" style={{ marginTop: 12 }}>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>{t("items.material")}</th>
+              <th>{t("estimator.pricePerKg", { currency: parsed.currency })}</th>
+              <th>{t("estimator.density")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {MATERIALS.map((m) => (
+              <tr key={m.code}>
+                <td>{m.label}</td>
+                <td>{input(["materials", m.code, "pricePerKg"], `${m.label} – ${t("estimator.pricePerKg", { currency: parsed.currency })}`)}</td>
+                <td>{input(["materials", m.code, "density"], `${m.label} – ${t("estimator.density")}`)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-2 gap" style={{ marginTop: 12 }}>
+        <div className="table-wrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>{t("estimator.group")}</th>
+                <th>{t("estimator.machinability")}</th>
+                <th>{t("estimator.leadDays")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(DEFAULT_ESTIMATOR_RATES.groups).map((g) => (
+                <tr key={g}>
+                  <td>{t(`materialGroups.${g}`)}</td>
+                  <td>{input(["groups", g, "machinability"], `${t(`materialGroups.${g}`)} – ${t("estimator.machinability")}`)}</td>
+                  <td>{input(["groups", g, "leadDays"], `${t(`materialGroups.${g}`)} – ${t("estimator.leadDays")}`)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="table-wrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>{t("items.tolerance")}</th>
+                <th>{t("estimator.toleranceFactor")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(DEFAULT_ESTIMATOR_RATES.tolerances).map((code) => (
+                <tr key={code}>
+                  <td>{code.replace("ISO2768-", "ISO 2768-")}</td>
+                  <td>{input(["tolerances", code], `${code} – ${t("estimator.toleranceFactor")}`)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="grid grid-2 gap" style={{ marginTop: 12 }}>
+        <div className="table-wrap">
+          <table className="table">
+            {treatmentHead(t("items.surface"))}
+            <tbody>{treatmentRows("surfaces", SURFACES)}</tbody>
+          </table>
+        </div>
+        <div className="table-wrap">
+          <table className="table">
+            {treatmentHead(t("items.heatTreatment"))}
+            <tbody>{treatmentRows("heatTreatments", HEAT_TREATMENTS)}</tbody>
+          </table>
+        </div>
+      </div>
+
+      {invalid.length > 0 && <p className="error" role="alert">{t("estimator.invalidValues", { fields: invalid.join(", ") })}</p>}
+      <div className="actions" style={{ marginTop: 12 }}>
+        <button type="button" className="btn-primary" disabled={invalid.length > 0} onClick={() => apply(parsed, msg("estimator.saved"))}>
+          {t("estimator.save")}
+        </button>
+      </div>
+    </section>
+  );
+}
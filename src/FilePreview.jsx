@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from "react";
+import { getPreview } from "./previews.js";
+import { describeError } from "./messages.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Inline-Vorschau einer hochgeladenen Datei (Bild, PDF-Seite 1, DXF-Zeichnung,
+ * STEP-/IGES-Kopfdaten mit Abmessungen).
+ */
+export default function FilePreview({ file }) {
+  const t = useI18n();
+  const [state, setState] = useState({ status: "loading" });
+
+  useEffect(() => {
+    let active = true;
+    getPreview(file)
+      .then((preview) => active && setState({ status: "done", preview }))
+      .catch((err) => active && setState({ status: "error", message: describeError(err) }));
+    return () => { active = false; };
+  }, [file]);
+
+  if (state.status === "loading") return <p className="meta">{t("preview.loading")}</p>;
+  if (state.status === "error") return <p className="meta">{t("preview.failed", { message: state.message })}</p>;
+  const p = state.preview;
+  if (!p) return null;
+
+  return (
+    <div className="preview">
+      {(p.kind === "image" || p.kind === "pdf") && (
+        <img className="preview-img" src={p.url} alt={t("preview.alt", { name: file.name })} />
+      )}
+      {p.kind === "pdf" && <p className="meta">{t("preview.page", { pages: p.pages })}</p>}
+      {p.kind === "dxf" && <DxfView preview={p} name={file.name} />}
+      {(p.kind === "step" || p.kind === "iges") && (
+        <dl className="preview-facts">
+          {p.productName && <Fact label={t("preview.product")}>{p.productName}</Fact>}
+          {p.header.name && <Fact label={t("preview.fileName")}>{p.header.name}</Fact>}
+          {p.header.fileName && <Fact label={t("preview.fileName")}>{p.header.fileName}</Fact>}
+          {p.header.senderProductId && <Fact label={t("preview.productId")}>{p.header.senderProductId}</Fact>}
+          {p.header.originatingSystem && <Fact label={t("preview.system")}>{p.header.originatingSystem}</Fact>}
+          {p.header.timestamp && <Fact label={t("preview.created")}>{p.header.timestamp}</Fact>}
+          {p.header.schema && <Fact label={t("preview.schema")}>{p.header.schema}</Fact>}
+          <Fact label={t("preview.units")}>{p.units || t("preview.unknownUnits")}</Fact>
+        </dl>
+      )}
+      {p.bounds && <Dimensions bounds={p.bounds} units={p.units} flat={p.kind === "dxf"} />}
+    </div>
+  );
+}
+
+function DxfView({ preview, name }) {
+  const t = useI18n();
+  const b = preview.bounds;
+  if (!b || !preview.paths.length) return <p className="meta">{t("preview.dxfEmpty")}</p>;
+  const pad = Math.max(b.sizeX, b.sizeY) * 0.05 || 1;
+  const viewBox = `${b.minX - pad} ${-b.maxY - pad} ${b.sizeX + 2 * pad} ${b.sizeY + 2 * pad}`;
+  return (
+    <svg className="preview-img" viewBox={viewBox} role="img" aria-label={t("preview.dxfLabel", { name })}>
+      {preview.paths.map((d, i) => (
+        <path key={i} d={d} fill="none" stroke="currentColor" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+      ))}
+    </svg>
+  );
+}
+
+function Dimensions({ bounds, units, flat }) {
+  const t = useI18n();
+  const f = (n) => t.number(n, { maximumFractionDigits: 2 });
+  const dims = flat ? [bounds.sizeX, bounds.sizeY] : [bounds.sizeX, bounds.sizeY, bounds.sizeZ];
+  return (
+    <p className="meta">
+      {t(flat ? "preview.dimensions" : "preview.dimensionsApprox", { dims: dims.map(f).join(" × "), units: units || "" })}
+    </p>
+  );
+}
+
+function Fact({ label, children }) {
+  return (
+    <>
+      <dt>{label}</dt>
+      <dd>{children}</dd>
+    </>
+  );
+}
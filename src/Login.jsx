@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from "react";
+import { authStatus, login, setupAdmin } from "./api.js";
+import { describeError, msg } from "./messages.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Anmeldung am Backend. Gibt es noch keine Benutzer, legt dasselbe Formular
+ * den ersten Admin an. onLogin(session) erhält { token, user }.
+ */
+export default function Login({ onLogin }) {
+  const t = useI18n();
+  const [setup, setSetup] = useState(false);
+  const [values, setValues] = useState({ username: "", name: "", password: "" });
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    authStatus()
+      .then((status) => setSetup(status.setup))
+      .catch((err) => console.error(err));
+  }, []);
+
+  const set = (key) => (e) => setValues((v) => ({ ...v, [key]: e.target.value }));
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setErrors({});
+    setError(null);
+    try {
+      onLogin(await (setup ? setupAdmin(values) : login(values.username, values.password)));
+    } catch (err) {
+      console.error(err);
+      if (err.fieldErrors) setErrors(err.fieldErrors);
+      else setError(msg("auth.failed", { message: describeError(err) }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <section className="card login">
+      <h2 className="card-title">{t(setup ? "auth.setupTitle" : "auth.title")}</h2>
+      {setup && <p className="muted">{t("auth.setupHint")}</p>}
+      {!navigator.onLine && <p className="warning">{t("auth.offlineHint")}</p>}
+      <form onSubmit={submit} className="space-y">
+        <label className="field">
+          <span className="muted">{t("auth.username")}</span>
+          <input className="input" name="username" autoComplete="username" value={values.username} onChange={set("username")} />
+          {errors.username && <span className="error">{t(errors.username)}</span>}
+        </label>
+        {setup && (
+          <label className="field">
+            <span className="muted">{t("auth.name")}</span>
+            <input className="input" name="name" autoComplete="name" value={values.name} onChange={set("name")} />
+          </label>
+        )}
+        <label className="field">
+          <span className="muted">{t("auth.password")}</span>
+          <input
+            className="input"
+            name="password"
+            type="password"
+            autoComplete={setup ? "new-password" : "current-password"}
+            value={values.password}
+            onChange={set("password")}
+          />
+          {errors.password && <span className="error">{t(errors.password)}</span>}
+        </label>
+        {error && <p className="error" role="alert">{t(error)}</p>}
+        <button type="submit" className="btn-primary" disabled={busy}>{t(setup ? "auth.setupSubmit" : "auth.submit")}</button>
+      </form>
+    </section>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { resendAsRevision, returnToDrafts } from "./outbox.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Postausgang: wartende, abgelehnte und im Konflikt stehende Übermittlungen
+ * mit Versuchen und nächstem Termin. onFlush() sendet sofort, onEdit(record,
+ * fieldErrors) öffnet eine zurückgeholte Anfrage im Formular, onChange()
+ * lädt die Liste nach jeder Aktion neu.
+ */
+export default function OutboxPanel({ entries, online, onFlush, onChange, onEdit, onClose }) {
+  const t = useI18n();
+  const [busy, setBusy] = useState(false);
+
+  async function act(fn) {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setBusy(false);
+      onChange();
+    }
+  }
+
+  async function edit(entry) {
+    const record = await returnToDrafts(entry);
+    if (record) onEdit(record, entry.fieldErrors);
+  }
+
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("outbox.title")}</h2>
+        <div className="actions">
+          <button type="button" className="btn-secondary" disabled={busy || !online} onClick={() => act(onFlush)}>
+            {t("outbox.sendNow")}
+          </button>
+          <button type="button" className="btn-ghost" onClick={onClose}>{t("outbox.close")}</button>
+        </div>
+      </div>
+      <p className="muted">{t(online ? "outbox.hint" : "outbox.offlineHint")}</p>
+      <div className="files">
+        {entries.length === 0 ? (
+          <p className="muted">{t("outbox.empty")}</p>
+        ) : (
+          entries.map((entry) => {
+            const { company, meta, lineItems, files } = entry.payload;
+            return (
+              <div key={entry.id} className="library-row">
+                <div className="file-info">
+                  <p className="file-name">
+                    {company || t("library.noCompany")}
+                    {meta.rfqNumber && <span className="badge">{meta.rfqNumber} {t("document.revision", { revision: meta.revision })}</span>}
+                    <span className={`badge ${entry.status === "queued" ? "" : "badge-alert"}`}>{t(`outbox.status.${entry.status}`)}</span>
+                  </p>
+                  <p className="meta">
+                    {t("outbox.summary", { items: lineItems.length, files: files.length, date: t.dateTime(entry.queuedAt) })}
+                    {entry.status === "queued" &&
+                      ` · ${t("outbox.nextAttempt", { attempts: entry.attempts, date: t.dateTime(entry.nextAttemptAt) })}`}
+                  </p>
+                  {entry.status === "conflict" && <p className="warning">{t("outbox.conflict", { revision: entry.expectedRevision })}</p>}
+                  {entry.status === "failed" && <p className="error">{t("outbox.rejected")}</p>}
+                  {entry.lastError && <p className="meta">{t("outbox.lastError", { message: entry.lastError })}</p>}
+                </div>
+                <div className="actions">
+                  {entry.status === "conflict" && entry.expectedRevision && (
+                    <button type="button" className="btn-secondary" disabled={busy} onClick={() => act(() => resendAsRevision(entry).then(onFlush))}>
+                      {t("outbox.resendAs", { revision: entry.expectedRevision })}
+                    </button>
+                  )}
+                  <button type="button" className="btn-ghost" disabled={busy} onClick={() => act(() => edit(entry))}>
+                    {t(entry.status === "failed" ? "outbox.fix" : "outbox.backToDrafts")}
+                  </button>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </section>
+  );
+}
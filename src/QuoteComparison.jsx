@@ -0,0 +1,182 @@
+import React, { useMemo, useState } from "react";
+import { CURRENCIES } from "./model.js";
+import { parseDecimal } from "./catalog.js";
+import { awardCheapest, awardToCSV, compareQuotes, isExpired } from "./quotes.js";
+import { getExchangeRates, saveAward, saveExchangeRates } from "./drafts.js";
+import { downloadBlob } from "./download.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Angebotsvergleich je Position über alle Lieferanten, umgerechnet in die
+ * RFQ-Währung; günstigste Preise und kürzeste Lieferzeit hervorgehoben.
+ * Die Vergabe erfolgt je Position und lässt sich als CSV exportieren.
+ */
+export default function QuoteComparison({ record, onChange, onClose }) {
+  const t = useI18n();
+  const { lineItems, currency } = record.form;
+  const [rates, setRates] = useState(getExchangeRates);
+  const [showRates, setShowRates] = useState(false);
+  const parsedRates = useMemo(
+    () => Object.fromEntries(Object.entries(rates).map(([c, v]) => [c, parseDecimal(v)])),
+    [rates]
+  );
+  const comparison = useMemo(
+    () => compareQuotes(lineItems, record.dispatches, currency, parsedRates),
+    [lineItems, record.dispatches, currency, parsedRates]
+  );
+  const [award, setAward] = useState(() => record.award?.suppliers || awardCheapest(comparison));
+  const { offers } = comparison;
+  const today = new Date().toISOString().slice(0, 10);
+  const money = (n) => (n == null ? "–" : t.number(n, { style: "currency", currency }));
+
+  function setPositionAward(idx, supplierId) {
+    setAward((a) => lineItems.map((li, i) => (i === idx ? supplierId || null : a[i] ?? null)));
+  }
+
+  async function storeAward() {
+    onChange(await saveAward(record.id, { suppliers: award, decidedAt: new Date().toISOString() }));
+  }
+
+  function storeRates() {
+    saveExchangeRates(Object.fromEntries(Object.entries(parsedRates).filter(([, v]) => v > 0)));
+    setShowRates(false);
+  }
+
+  function exportAward() {
+    const csv = awardToCSV(lineItems, comparison, { suppliers: award }, currency, t);
+    downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), `${record.rfqNumber}_${t("quotes.csvFileName")}.csv`);
+  }
+
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("quotes.title")} · {record.rfqNumber}</h2>
+        <div className="actions">
+          <button type="button" className="btn-secondary" onClick={() => setShowRates((v) => !v)}>{t("quotes.rates")}</button>
+          <button type="button" className="btn-ghost" onClick={onClose}>{t("quotes.close")}</button>
+        </div>
+      </div>
+
+      {showRates && (
+        <div className="card-ghost space-y" style={{ marginTop: 12 }}>
+          <p className="muted">{t("quotes.ratesHint")}</p>
+          <div className="inline-inputs">
+            {CURRENCIES.filter((c) => c !== "EUR").map((c) => (
+              <label key={c} className="field">
+                <span className="muted">{c}</span>
+                <input
+                  className="input"
+                  inputMode="decimal"
+                  value={rates[c] ?? ""}
+                  onChange={(e) => setRates((r) => ({ ...r, [c]: e.target.value }))}
+                />
+              </label>
+            ))}
+          </div>
+          <button type="button" className="btn-primary" onClick={storeRates}>{t("quotes.saveRates")}</button>
+        </div>
+      )}
+
+      {offers.length === 0 ? (
+        <p className="muted" style={{ marginTop: 12 }}>{t("quotes.empty")}</p>
+      ) : (
+        <div className="space-y" style={{ marginTop: 12 }}>
+          <div className="table-wrap">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>{t("document.position")}</th>
+                  <th>{t("items.partName")}</th>
+                  <th>{t("items.qty")}</th>
+                  {offers.map((o) => (
+                    <th key={o.supplierId}>
+                      {o.name}
+                      {o.currency !== currency && ` (${o.currency})`}
+                    </th>
+                  ))}
+                  <th>{t("quotes.award")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {lineItems.map((li, i) => (
+                  <tr key={i}>
+                    <td>{i + 1}</td>
+                    <td>{li.partName}</td>
+                    <td>{t.number(Number(li.qty) || 0)}</td>
+                    {offers.map((o) => (
+                      <td key={o.supplierId} className={comparison.positions[i].cheapest === o.supplierId ? "best" : ""}>
+                        {money(o.unitPrices[i])}
+                        {o.lines[i] != null && <span className="meta"> · {money(o.lines[i])}</span>}
+                      </td>
+                    ))}
+                    <td>
+                      <select
+                        className="input"
+                        aria-label={`${t("quotes.award")} ${i + 1}`}
+                        value={award[i] || ""}
+                        onChange={(e) => setPositionAward(i, e.target.value)}
+                      >
+                        <option value="">–</option>
+                        {offers
+                          .filter((o) => o.unitPrices[i] != null)
+                          .map((o) => <option key={o.supplierId} value={o.supplierId}>{o.name}</option>)}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+                <tr>
+                  <td></td>
+                  <td colSpan={2}>{t("quotes.toolingCost")}</td>
+                  {offers.map((o) => <td key={o.supplierId}>{money(o.tooling)}</td>)}
+                  <td></td>
+                </tr>
+                <tr>
+                  <td></td>
+                  <td colSpan={2}><strong>{t("quotes.total")}</strong></td>
+                  {offers.map((o) => (
+                    <td key={o.supplierId} className={comparison.cheapest === o.supplierId ? "best" : ""}>
+                      <strong>{money(o.total)}</strong>
+                      {!o.complete && !o.missingRate && <span className="meta"> · {t("quotes.incomplete")}</span>}
+                    </td>
+                  ))}
+                  <td></td>
+                </tr>
+                <tr>
+                  <td></td>
+                  <td colSpan={2}>{t("quotes.leadTimeDays")}</td>
+                  {offers.map((o) => (
+                    <td key={o.supplierId} className={comparison.fastest === o.supplierId ? "best" : ""}>
+                      {t("quotes.days", { days: o.leadTimeDays })}
+                    </td>
+                  ))}
+                  <td></td>
+                </tr>
+                <tr>
+                  <td></td>
+                  <td colSpan={2}>{t("quotes.validUntil")}</td>
+                  {offers.map((o) => (
+                    <td key={o.supplierId} className={isExpired(o, today) ? "error" : ""}>
+                      {t.date(o.validUntil)}
+                    </td>
+                  ))}
+                  <td></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          {offers.some((o) => o.missingRate) && (
+            <p className="warning">
+              {t("quotes.missingRate", { currencies: [...new Set(offers.filter((o) => o.missingRate).map((o) => o.currency))].join(", ") })}
+            </p>
+          )}
+          {record.award && <p className="meta">{t("quotes.awardedAt", { date: t.dateTime(record.award.decidedAt) })}</p>}
+          <div className="actions">
+            <button type="button" className="btn-secondary" onClick={() => setAward(awardCheapest(comparison))}>{t("quotes.awardCheapest")}</button>
+            <button type="button" className="btn-primary" onClick={storeAward}>{t("quotes.saveAward")}</button>
+            <button type="button" className="btn-secondary" onClick={exportAward}>{t("quotes.exportAward")}</button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useState } from "react";
+import { CURRENCIES } from "./model.js";
+import { emptyQuote, validateQuote } from "./quotes.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Erfassung eines Lieferantenangebots: Stückpreis je Position, Rüstkosten,
+ * Lieferzeit, Gültigkeit und Angebotswährung.
+ */
+export default function QuoteEntry({ lineItems, dispatch, currency, onSave, onCancel }) {
+  const t = useI18n();
+  const [quote, setQuote] = useState(() => dispatch.quote || emptyQuote(lineItems, currency));
+  const [errors, setErrors] = useState({});
+
+  function update(key, value) {
+    setQuote((q) => ({ ...q, [key]: value }));
+  }
+
+  function updatePrice(idx, value) {
+    setQuote((q) => ({ ...q, unitPrices: lineItems.map((li, i) => (i === idx ? value : q.unitPrices[i] ?? "")) }));
+  }
+
+  function save() {
+    const e = validateQuote(quote);
+    setErrors(e);
+    if (Object.keys(e).length) return;
+    onSave({ ...quote, leadTimeDays: String(quote.leadTimeDays).trim(), enteredAt: new Date().toISOString() });
+  }
+
+  return (
+    <div className="card-ghost space-y" style={{ marginTop: 8 }}>
+      <p className="file-name">{t("quotes.entryTitle", { name: dispatch.name })}</p>
+      <div className="grid grid-2 gap">
+        <label className="field">
+          <span className="muted">{t("quotes.currency")}</span>
+          <select className="input" value={quote.currency} onChange={(e) => update("currency", e.target.value)}>
+            {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+        <label className="field">
+          <span className="muted">{t("quotes.toolingCost")}</span>
+          <input className="input" inputMode="decimal" value={quote.toolingCost} onChange={(e) => update("toolingCost", e.target.value)} />
+          {errors.toolingCost && <span className="error">{t(errors.toolingCost)}</span>}
+        </label>
+        <label className="field">
+          <span className="muted">{t("quotes.leadTimeDays")}</span>
+          <input className="input" inputMode="numeric" value={quote.leadTimeDays} onChange={(e) => update("leadTimeDays", e.target.value)} />
+          {errors.leadTimeDays && <span className="error">{t(errors.leadTimeDays)}</span>}
+        </label>
+        <label className="field">
+          <span className="muted">{t("quotes.validUntil")}</span>
+          <input className="input" type="date" value={quote.validUntil} onChange={(e) => update("validUntil", e.target.value)} />
+        </label>
+      </div>
+
+      <div className="table-wrap">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>{t("document.position")}</th>
+              <th>{t("items.partName")}</th>
+              <th>{t("items.qty")}</th>
+              <th>{t("quotes.unitPrice")} ({quote.currency})</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lineItems.map((li, i) => (
+              <tr key={i} className={errors[`unitPrices.${i}`] ? "row-invalid" : ""}>
+                <td>{i + 1}</td>
+                <td>{li.partName}</td>
+                <td>{t.number(Number(li.qty) || 0)}</td>
+                <td>
+                  <input
+                    className="input"
+                    inputMode="decimal"
+                    aria-label={`${t("quotes.unitPrice")} ${i + 1}`}
+                    value={quote.unitPrices[i] ?? ""}
+                    onChange={(e) => updatePrice(i, e.target.value)}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {errors.unitPrices && <p className="error">{t(errors.unitPrices)}</p>}
+      {Object.keys(errors).some((k) => k.startsWith("unitPrices.")) && <p className="error">{t("quotes.invalidAmount")}</p>}
+
+      <div className="actions">
+        <button type="button" className="btn-primary" onClick={save}>{t("quotes.save")}</button>
+        <button type="button" className="btn-ghost" onClick={onCancel}>{t("quotes.cancel")}</button>
+      </div>
+    </div>
+  );
+}
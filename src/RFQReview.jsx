@@ -0,0 +1,126 @@
+import React from "react";
+import { formatSurface, formatTolerance } from "./catalog.js";
+import { lineItemQuantities } from "./model.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Lesbare Zusammenfassung der Anfrage vor dem Absenden (statt Roh-JSON).
+ * onEdit(step) springt zum Bearbeiten in den jeweiligen Abschnitt. Die
+ * Hinweise (#review-warnings) muss man vor dem Absenden ausdrücklich übergehen.
+ */
+export default function RFQReview({ form, warnings, onEdit }) {
+  const t = useI18n();
+  const region = form.country ? new Intl.DisplayNames([t.locale], { type: "region" }).of(form.country) : "";
+  const customer = [
+    [t("customer.company"), form.company],
+    [t("customer.contact"), form.contact],
+    [t("customer.email"), form.email],
+    [t("customer.phone"), form.phone],
+    [t("customer.street"), form.street],
+    [t("customer.city"), [form.postalCode, form.city].filter(Boolean).join(" ")],
+    [t("customer.country"), region],
+    [t("customer.vatId"), form.vatId],
+  ];
+  const terms = [
+    [t("customer.incoterms"), form.incoterms],
+    [t("customer.deliveryDate"), t.date(form.deliveryDate)],
+    [t("customer.currency"), form.currency],
+    [t("customer.shipping"), t(`shipping.${form.shippingPreference}`)],
+    [t("customer.nda"), form.NDA ? t("review.yes") : t("review.no")],
+  ];
+  const hints = Object.values(warnings);
+
+  return (
+    <div className="space-y review">
+      <div className="grid grid-2 gap">
+        <ReviewBlock title={t("customer.title")} rows={customer} onEdit={() => onEdit("customer")} />
+        <ReviewBlock title={t("document.terms")} rows={terms} onEdit={() => onEdit("customer")} />
+      </div>
+
+      <div>
+        <div className="between">
+          <h3 className="h3">{t("files.title")}</h3>
+          <button type="button" className="btn-ghost" onClick={() => onEdit("files")}>{t("review.edit")}</button>
+        </div>
+        {form.files.length === 0 ? (
+          <p className="muted">{t("document.noFiles")}</p>
+        ) : (
+          <ul className="review-list">
+            {form.files.map((f) => (
+              <li key={f.name}>
+                {f.name} <span className="meta">· {t.fileSize(f.size)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <div className="between">
+          <h3 className="h3">{t("items.title")}</h3>
+          <button type="button" className="btn-ghost" onClick={() => onEdit("items")}>{t("review.edit")}</button>
+        </div>
+        <div className="table-wrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>{t("document.position")}</th>
+                <th>{t("items.partName")}</th>
+                <th>{t("items.material")}</th>
+                <th>{t("items.qty")}</th>
+                <th>{t("items.tolerance")}</th>
+                <th>{t("items.surface")}</th>
+                <th>{t("items.heatTreatment")}</th>
+                <th>{t("document.drawings")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {form.lineItems.map((li, i) => (
+                <tr key={i}>
+                  <td>{i + 1}</td>
+                  <td>{li.partName || "–"}</td>
+                  <td>{li.material || "–"}</td>
+                  <td>{lineItemQuantities(li).map((q) => t.number(q)).join(" / ") || "–"}</td>
+                  <td>{formatTolerance(li) || "–"}</td>
+                  <td>{formatSurface(li) || "–"}</td>
+                  <td>{li.heatTreatment || "–"}</td>
+                  <td>{li.files.join(", ") || "–"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {hints.length > 0 && (
+        <div id="review-warnings" tabIndex={-1}>
+          <h3 className="h3">{t("review.warnings")}</h3>
+          <ul className="review-list">
+            {hints.map((w, i) => <li key={i} className="warning">{t(w)}</li>)}
+          </ul>
+          <p className="muted">{t("review.warningsHint")}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ReviewBlock({ title, rows, onEdit }) {
+  const t = useI18n();
+  return (
+    <div className="card-ghost">
+      <div className="between">
+        <h3 className="h3">{title}</h3>
+        <button type="button" className="btn-ghost" onClick={onEdit}>{t("review.edit")}</button>
+      </div>
+      <dl className="preview-facts">
+        {rows.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt className="muted">{label}</dt>
+            <dd>{value || "–"}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useMemo } from "react";
+import { diffFieldTitle, diffRevisions, isEmptyDiff } from "./revisions.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Feldgenaue Änderungen zwischen zwei Formularständen: Kopf- und
+ * Konditionsfelder, hinzugefügte/entfernte/geänderte Dateien und Positionen.
+ */
+export default function RevisionDiff({ before, after }) {
+  const t = useI18n();
+  const diff = useMemo(() => diffRevisions(before, after), [before, after]);
+  const { added, removed, changed } = diff.files;
+
+  function value(v) {
+    if (Array.isArray(v)) return v.length ? v.map((x) => (typeof x === "number" ? t.number(x) : x)).join(", ") : "–";
+    if (typeof v === "boolean") return v ? t("review.yes") : t("review.no");
+    if (typeof v === "number") return t.number(v);
+    return v || "–";
+  }
+
+  if (isEmptyDiff(diff)) return <p className="muted">{t("revisions.noChanges")}</p>;
+
+  const rows = [
+    ...diff.fields.map((c) => ({ key: c.field, label: t(diffFieldTitle(c.field)), ...c })),
+    ...diff.lineItems.flatMap((li) => {
+      const position = t("items.position", { n: li.index + 1 });
+      if (li.status === "removed") return [{ key: `li${li.index}`, label: position, removed: true }];
+      return li.changes.map((c) => ({
+        key: `li${li.index}.${c.field}`,
+        label: `${position} · ${t(diffFieldTitle(c.field, true))}`,
+        added: li.status === "added",
+        ...c,
+      }));
+    }),
+  ];
+
+  return (
+    <div className="space-y">
+      {rows.length > 0 && (
+        <div className="table-wrap">
+          <table className="table diff">
+            <thead>
+              <tr>
+                <th>{t("revisions.field")}</th>
+                <th>{t("revisions.before")}</th>
+                <th>{t("revisions.after")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.key}>
+                  <td>{row.label}</td>
+                  {row.removed ? (
+                    <td colSpan={2} className="removed">{t("revisions.removed")}</td>
+                  ) : (
+                    <>
+                      <td className="removed">{row.added ? t("revisions.added") : value(row.before)}</td>
+                      <td className="added">{value(row.after)}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {(added.length > 0 || removed.length > 0 || changed.length > 0) && (
+        <ul className="review-list">
+          {added.map((name) => <li key={`+${name}`} className="added">{t("revisions.fileAdded", { name })}</li>)}
+          {removed.map((name) => <li key={`-${name}`} className="removed">{t("revisions.fileRemoved", { name })}</li>)}
+          {changed.map((name) => <li key={`~${name}`}>{t("revisions.fileChanged", { name })}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
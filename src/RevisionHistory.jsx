@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { revisionList } from "./revisions.js";
+import RevisionDiff from "./RevisionDiff.jsx";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Verlauf einer versendeten Anfrage: alle Revisionen mit Datum und der
+ * Vergleich zweier frei wählbarer Stände (Standard: vorletzter ↔ aktueller).
+ */
+export default function RevisionHistory({ record, onClose }) {
+  const t = useI18n();
+  const revisions = revisionList(record);
+  const [from, setFrom] = useState(Math.max(revisions.length - 2, 0));
+  const [to, setTo] = useState(revisions.length - 1);
+
+  function option(rev, i) {
+    return (
+      <option key={rev.revision} value={i}>
+        {t("document.revision", { revision: rev.revision })} · {rev.submittedAt ? t.dateTime(rev.submittedAt) : "–"}
+      </option>
+    );
+  }
+
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("revisions.title")} · {record.rfqNumber}</h2>
+        <button type="button" className="btn-ghost" onClick={onClose}>{t("revisions.close")}</button>
+      </div>
+      <div className="grid grid-2 gap">
+        <label className="field">
+          <span className="muted">{t("revisions.from")}</span>
+          <select className="input" value={from} onChange={(e) => setFrom(Number(e.target.value))}>
+            {revisions.map(option)}
+          </select>
+        </label>
+        <label className="field">
+          <span className="muted">{t("revisions.to")}</span>
+          <select className="input" value={to} onChange={(e) => setTo(Number(e.target.value))}>
+            {revisions.map(option)}
+          </select>
+        </label>
+      </div>
+      <div style={{ marginTop: 12 }}>
+        <RevisionDiff before={revisions[from].form} after={revisions[to].form} />
+      </div>
+    </section>
+  );
+}
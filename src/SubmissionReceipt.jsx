@@ -0,0 +1,61 @@
+import React, { useEffect, useRef } from "react";
+import { toPayload } from "./model.js";
+import { buildReceipt, receiptName } from "./receipt.js";
+import { buildRfqDocument, rfqDocumentName } from "./rfqDocument.js";
+import { downloadBlob } from "./download.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Bestätigungsseite nach dem Absenden (und beim Öffnen einer versendeten
+ * RFQ aus der Bibliothek): RFQ-Nummer, Eingangszeitpunkt, Downloads.
+ *
+ * receipt: { id, rfqNumber, revision, history, submittedAt, form }
+ */
+export default function SubmissionReceipt({ receipt, onDispatch, onEditCopy, onRevise, onHistory, onNew }) {
+  const t = useI18n();
+  const headingRef = useRef(null);
+  const { rfqNumber, revision, history, submittedAt, form } = receipt;
+
+  useEffect(() => {
+    if (headingRef.current) headingRef.current.focus();
+  }, [rfqNumber, revision]);
+
+  function downloadReceipt() {
+    const pdf = buildReceipt({ rfqNumber, submittedAt, payload: toPayload(form, { lang: t.lang, revision }) }, t);
+    downloadBlob(new Blob([pdf], { type: "application/pdf" }), receiptName(rfqNumber, revision, t));
+  }
+
+  function downloadDocument() {
+    // Gleiche Datei wie beim Server, da nur Payload, RFQ-Nummer und Sprache eingehen
+    const pdf = buildRfqDocument(toPayload(form, { lang: t.lang, revision }), { t, rfqNumber });
+    downloadBlob(new Blob([pdf], { type: "application/pdf" }), rfqDocumentName(rfqNumber, "", revision));
+  }
+
+  return (
+    <section className="card receipt">
+      <h2 className="card-title" ref={headingRef} tabIndex={-1}>{t("receipt.heading")}</h2>
+      <p className="success">{t("receipt.success")}</p>
+      <dl className="preview-facts receipt-facts">
+        <dt className="muted">{t("document.rfqNumber")}</dt>
+        <dd><strong>{rfqNumber}</strong> {t("document.revision", { revision })}</dd>
+        <dt className="muted">{t("receipt.receivedAt")}</dt>
+        <dd>{t.dateTime(submittedAt)}</dd>
+        <dt className="muted">{t("customer.company")}</dt>
+        <dd>{form.company}</dd>
+        <dt className="muted">{t("items.title")}</dt>
+        <dd>{t.number(form.lineItems.length)}</dd>
+      </dl>
+      <div className="actions-row">
+        <button type="button" className="btn-primary" onClick={downloadReceipt}>{t("receipt.download")}</button>
+        <button type="button" className="btn-secondary" onClick={downloadDocument}>{t("submit.downloadPdf")}</button>
+        {onDispatch && <button type="button" className="btn-secondary" onClick={onDispatch}>{t("dispatch.open")}</button>}
+      </div>
+      <div className="actions-row">
+        <button type="button" className="btn-ghost" onClick={onNew}>{t("receipt.new")}</button>
+        <button type="button" className="btn-ghost" onClick={onRevise}>{t("revisions.new")}</button>
+        {history.length > 0 && <button type="button" className="btn-ghost" onClick={onHistory}>{t("revisions.open")}</button>}
+        <button type="button" className="btn-ghost" onClick={onEditCopy}>{t("receipt.editCopy")}</button>
+      </div>
+    </section>
+  );
+}
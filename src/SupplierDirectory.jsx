@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from "react";
+import { CAPABILITIES, EMPTY_SUPPLIER, validateSupplier } from "./suppliers.js";
+import { deleteSupplier, listSuppliers, saveSupplier } from "./api.js";
+import { deleteLocalSupplier, listLocalSuppliers } from "./drafts.js";
+import { describeError, msg } from "./messages.js";
+import { useI18n } from "./i18nContext.js";
+
+/**
+ * Lieferantenverzeichnis auf dem Server (server/suppliers.js): Name, E-Mail,
+ * Fertigungsverfahren, NDA-Status. Lieferanten, die noch lokal im Browser
+ * liegen, lassen sich einmalig übernehmen.
+ */
+export default function SupplierDirectory({ onClose }) {
+  const t = useI18n();
+  const [suppliers, setSuppliers] = useState([]);
+  const [local, setLocal] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState(null);
+
+  function refresh() {
+    listSuppliers()
+      .then(setSuppliers)
+      .catch((err) => {
+        console.error(err);
+        setNotice(msg("suppliers.loadFailed", { message: describeError(err) }));
+      });
+    listLocalSuppliers().then(setLocal).catch((err) => console.error(err));
+  }
+
+  useEffect(refresh, []);
+
+  function edit(supplier) {
+    setEditing({ ...supplier });
+    setErrors({});
+  }
+
+  async function save() {
+    const e = validateSupplier(editing);
+    setErrors(e);
+    if (Object.keys(e).length) return;
+    try {
+      await saveSupplier({ ...editing, name: editing.name.trim(), email: editing.email.trim() });
+      setEditing(null);
+      refresh();
+    } catch (err) {
+      console.error(err);
+      if (err.fieldErrors) setErrors(err.fieldErrors);
+      else setNotice(msg("suppliers.saveFailed", { message: describeError(err) }));
+    }
+  }
+
+  async function remove(supplier) {
+    if (!confirm(t("suppliers.confirmDelete", { name: supplier.name }))) return;
+    try {
+      await deleteSupplier(supplier.id);
+      refresh();
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("suppliers.saveFailed", { message: describeError(err) }));
+    }
+  }
+
+  // Einzeln, damit bei einem Fehler nur die schon übernommenen lokal verschwinden
+  async function importLocal() {
+    try {
+      for (const supplier of local) {
+        await saveSupplier(supplier);
+        await deleteLocalSupplier(supplier.id);
+      }
+      setNotice(msg("suppliers.imported", { count: local.length }));
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("suppliers.saveFailed", { message: describeError(err) }));
+    }
+    refresh();
+  }
+
+  function toggleCapability(cap, checked) {
+    setEditing((s) => ({
+      ...s,
+      capabilities: checked ? [...s.capabilities, cap] : s.capabilities.filter((c) => c !== cap),
+    }));
+  }
+
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("suppliers.title")}</h2>
+        <div className="actions">
+          <button type="button" className="btn-secondary" onClick={() => edit(EMPTY_SUPPLIER)}>{t("suppliers.add")}</button>
+          <button type="button" className="btn-ghost" onClick={onClose}>{t("suppliers.close")}</button>
+        </div>
+      </div>
+
+      {notice && <p className="muted" role="status">{t(notice)}</p>}
+      {local.length > 0 && (
+        <div className="between card-ghost" style={{ marginTop: 12 }}>
+          <p className="muted">{t("suppliers.localHint", { count: local.length })}</p>
+          <button type="button" className="btn-secondary" onClick={importLocal}>{t("suppliers.importLocal")}</button>
+        </div>
+      )}
+
+      {editing && (
+        <div className="card-ghost space-y" style={{ marginTop: 12 }}>
+          <div className="grid grid-2 gap">
+            <label className="field">
+              <span className="muted">{t("suppliers.name")}</span>
+              <input className="input" value={editing.name} onChange={(e) => setEditing((s) => ({ ...s, name: e.target.value }))} />
+              {errors.name && <span className="error">{t(errors.name)}</span>}
+            </label>
+            <label className="field">
+              <span className="muted">{t("suppliers.email")}</span>
+              <input
+                className="input"
+                type="email"
+                value={editing.email}
+                onChange={(e) => setEditing((s) => ({ ...s, email: e.target.value }))}
+              />
+              {errors.email && <span className="error">{t(errors.email)}</span>}
+            </label>
+          </div>
+          <div>
+            <span className="muted">{t("suppliers.capabilities")}</span>
+            <div className="chips" style={{ marginTop: 6 }}>
+              {CAPABILITIES.map((cap) => (
+                <label key={cap} className="checkbox">
+                  <input
+                    type="checkbox"
+                    checked={editing.capabilities.includes(cap)}
+                    onChange={(e) => toggleCapability(cap, e.target.checked)}
+                  />
+                  <span>{t(`capabilities.${cap}`)}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <label className="checkbox">
+            <input type="checkbox" checked={editing.ndaSigned} onChange={(e) => setEditing((s) => ({ ...s, ndaSigned: e.target.checked }))} />
+            <span>{t("suppliers.ndaSigned")}</span>
+          </label>
+          <div className="actions">
+            <button type="button" className="btn-primary" onClick={save}>{t("suppliers.save")}</button>
+            <button type="button" className="btn-ghost" onClick={() => setEditing(null)}>{t("suppliers.cancel")}</button>
+          </div>
+        </div>
+      )}
+
+      <div className="files">
+        {suppliers.length === 0 ? (
+          <p className="muted">{t("suppliers.empty")}</p>
+        ) : (
+          suppliers.map((s) => (
+            <div key={s.id} className="library-row">
+              <div className="file-info">
+                <p className="file-name">
+                  {s.name}
+                  {s.ndaSigned && <span className="badge">{t("suppliers.nda")}</span>}
+                </p>
+                <p className="meta">
+                  {[s.email, ...s.capabilities.map((c) => t(`capabilities.${c}`))].join(" · ")}
+                </p>
+              </div>
+              <div className="actions">
+                <button type="button" className="btn-ghost" onClick={() => edit(s)}>{t("suppliers.edit")}</button>
+                <button type="button" className="btn-ghost" onClick={() => remove(s)}>{t("suppliers.delete")}</button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </section>
+  );
+}
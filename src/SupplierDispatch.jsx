@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from "react";
+import { CAPABILITIES, addDispatches, dispatchBlocker, nextDispatchStatuses, setDispatchQuote, setDispatchStatus } from "./suppliers.js";
+import { saveDispatches } from "./drafts.js";
+import { dispatchRFQ, listSuppliers } from "./api.js";
+import { toPayload } from "./model.js";
+import { buildEml, exportBaseName } from "./rfqExport.js";
+import { downloadBlob } from "./download.js";
+import { describeError, msg } from "./messages.js";
+import { useI18n } from "./i18nContext.js";
+import QuoteEntry from "./QuoteEntry.jsx";
+
+/**
+ * Versand einer übermittelten RFQ an mehrere Lieferanten und Status je
+ * Lieferant (versendet, gesehen, abgelehnt, Angebot). Der Server vermerkt
+ * den Versand und prüft NDA und Status; die Mail selbst entsteht je
+ * Lieferant als .eml-Entwurf mit allen Anhängen. Verlangt die Anfrage ein
+ * NDA, lassen sich nur Lieferanten mit hinterlegtem NDA auswählen.
+ * Rückläufer werden hier als Angebot erfasst (QuoteEntry). Status und
+ * Angebote liegen nur lokal (IndexedDB), der Dialog weist darauf hin.
+ */
+export default function SupplierDispatch({ record, onChange, onCompare, onClose }) {
+  const t = useI18n();
+  const [suppliers, setSuppliers] = useState([]);
+  const [capability, setCapability] = useState("");
+  const [selected, setSelected] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [sending, setSending] = useState(false);
+  const [quoting, setQuoting] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    listSuppliers()
+      .then(setSuppliers)
+      .catch((err) => {
+        console.error(err);
+        setNotice(msg("dispatch.loadFailed", { message: describeError(err) }));
+      });
+  }, []);
+
+  const dispatched = new Map(record.dispatches.map((d) => [d.supplierId, d]));
+  const candidates = suppliers.filter(
+    (s) => !dispatched.has(s.id) && (!capability || s.capabilities.includes(capability))
+  );
+
+  function toggle(id, checked) {
+    setSelected((ids) => (checked ? [...ids, id] : ids.filter((x) => x !== id)));
+  }
+
+  async function send() {
+    if (!selected.length) return setErrors({ suppliers: msg("dispatch.noneSelected") });
+    setSending(true);
+    setErrors({});
+    try {
+      // Name und Adresse so, wie der Server sie vermerkt hat
+      const { dispatches } = await dispatchRFQ(record.rfqNumber, selected);
+      const chosen = dispatches.map((d) => ({ id: d.supplierId, name: d.name, email: d.email }));
+      const next = addDispatches(record.dispatches, chosen, dispatches[0].sentAt);
+      onChange(await saveDispatches(record.id, next));
+      setSelected([]);
+    } catch (err) {
+      console.error(err);
+      setErrors(err.fieldErrors || { suppliers: msg("dispatch.failed", { message: describeError(err) }) });
+    } finally {
+      setSending(false);
+    }
+  }
+
+  async function changeStatus(supplierId, status) {
+    const next = setDispatchStatus(record.dispatches, supplierId, status, new Date().toISOString());
+    try {
+      onChange(await saveDispatches(record.id, next));
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("dispatch.updateFailed", { message: describeError(err) }));
+    }
+  }
+
+  async function saveQuote(supplierId, quote) {
+    try {
+      onChange(await saveDispatches(record.id, setDispatchQuote(record.dispatches, supplierId, quote)));
+      setQuoting(null);
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("dispatch.updateFailed", { message: describeError(err) }));
+    }
+  }
+
+  // Aktueller Stand der Anfrage, adressiert an diesen Lieferanten
+  async function downloadEml(dispatch) {
+    const payload = toPayload(record.form, { lang: t.lang, revision: record.revision });
+    const source = { form: record.form, payload, rfqNumber: record.rfqNumber, date: new Date().toISOString().slice(0, 10) };
+    try {
+      const parts = await buildEml(source, t, { to: [dispatch.email] });
+      const name = dispatch.name.replace(/[^\w.-]+/g, "_");
+      downloadBlob(new Blob(parts, { type: "message/rfc822" }), `${exportBaseName(source)}_${name}.eml`);
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("mail.failed", { message: describeError(err) }));
+    }
+  }
+
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("dispatch.title")} · {record.rfqNumber}</h2>
+        <div className="actions">
+          {record.dispatches.some((d) => d.quote) && (
+            <button type="button" className="btn-secondary" onClick={onCompare}>{t("quotes.compare")}</button>
+          )}
+          <button type="button" className="btn-ghost" onClick={onClose}>{t("dispatch.close")}</button>
+        </div>
+      </div>
+      <p className="muted">{t("dispatch.hint")}</p>
+      {record.dispatches.length > 0 && <p className="muted">{t("dispatch.localOnly")}</p>}
+      {notice && <p className="error" role="alert">{t(notice)}</p>}
+
+      <div className="files">
+        {record.dispatches.map((d) => (
+          <div key={d.supplierId}>
+            <div className="library-row">
+              <div className="file-info">
+                <p className="file-name">{d.name}</p>
+                <p className="meta">
+                  {d.email} · {t("dispatch.sentAt", { date: t.dateTime(d.sentAt) })}
+                  {d.updatedAt !== d.sentAt && ` · ${t("dispatch.updatedAt", { date: t.dateTime(d.updatedAt) })}`}
+                </p>
+              </div>
+              <select
+                className="input"
+                style={{ width: "auto" }}
+                aria-label={t("dispatch.status")}
+                value={d.status}
+                disabled={!nextDispatchStatuses(d.status).length}
+                onChange={(e) => changeStatus(d.supplierId, e.target.value)}
+              >
+                {[d.status, ...nextDispatchStatuses(d.status)].map((s) => <option key={s} value={s}>{t(`dispatchStatus.${s}`)}</option>)}
+              </select>
+              <button type="button" className="btn-ghost" aria-label={t("dispatch.emlLabel", { name: d.name })} onClick={() => downloadEml(d)}>
+                {t("dispatch.eml")}
+              </button>
+              {d.status !== "declined" && (
+                <button type="button" className="btn-ghost" onClick={() => setQuoting(quoting === d.supplierId ? null : d.supplierId)}>
+                  {d.quote ? t("quotes.edit") : t("quotes.enter")}
+                </button>
+              )}
+            </div>
+            {quoting === d.supplierId && (
+              <QuoteEntry
+                lineItems={record.form.lineItems}
+                dispatch={d}
+                currency={record.form.currency}
+                onSave={(quote) => saveQuote(d.supplierId, quote)}
+                onCancel={() => setQuoting(null)}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      {suppliers.length === 0 ? (
+        <p className="muted" style={{ marginTop: 12 }}>{t("dispatch.noSuppliers")}</p>
+      ) : (
+        <div className="space-y" style={{ marginTop: 12 }}>
+          <label className="field" style={{ display: "block", maxWidth: 260 }}>
+            <span className="muted">{t("dispatch.filter")}</span>
+            <select className="input" value={capability} onChange={(e) => setCapability(e.target.value)}>
+              <option value="">{t("dispatch.all")}</option>
+              {CAPABILITIES.map((c) => <option key={c} value={c}>{t(`capabilities.${c}`)}</option>)}
+            </select>
+          </label>
+          {candidates.map((s) => {
+            const blocker = dispatchBlocker(record.form, s);
+            return (
+              <div key={s.id}>
+                <label className="checkbox">
+                  <input
+                    type="checkbox"
+                    disabled={Boolean(blocker)}
+                    checked={selected.includes(s.id)}
+                    onChange={(e) => toggle(s.id, e.target.checked)}
+                  />
+                  <span>
+                    {s.name} <span className="meta">· {s.capabilities.map((c) => t(`capabilities.${c}`)).join(", ")}</span>
+                  </span>
+                </label>
+                {(blocker || errors[s.id]) && <p className={errors[s.id] ? "error" : "warning"}>{t(errors[s.id] || blocker)}</p>}
+              </div>
+            );
+          })}
+          {errors.suppliers && <p className="error">{t(errors.suppliers)}</p>}
+          <button type="button" className="btn-primary" disabled={sending || !selected.length} onClick={send}>
+            {sending ? t("dispatch.sending") : t("dispatch.send", { count: selected.length })}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from "react";
+import { deleteUser, listUsers, saveUser } from "./api.js";
+import { ROLES } from "./workflow.js";
+import { describeError, msg } from "./messages.js";
+import { useI18n } from "./i18nContext.js";
+
+const EMPTY_USER = { username: "", name: "", role: "requester", password: "" };
+
+/**
+ * Benutzerverwaltung (nur admin): anlegen, Rolle und Passwort ändern,
+ * löschen. Geprüft wird auf dem Server (server/auth.js), dessen Meldungen
+ * erscheinen an den Feldern.
+ */
+export default function UserAdmin({ currentUser, onClose }) {
+  const t = useI18n();
+  const [users, setUsers] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [notice, setNotice] = useState(null);
+
+  function refresh() {
+    listUsers()
+      .then(setUsers)
+      .catch((err) => {
+        console.error(err);
+        setNotice(msg("users.loadFailed", { message: describeError(err) }));
+      });
+  }
+
+  useEffect(refresh, []);
+
+  function edit(user, isNew = false) {
+    setEditing({ ...EMPTY_USER, ...user, password: "", isNew });
+    setErrors({});
+  }
+
+  async function save() {
+    const { isNew, ...user } = editing;
+    try {
+      const saved = await saveUser(user);
+      setNotice(msg(isNew ? "users.created" : "users.saved", { username: saved.username }));
+      setEditing(null);
+      refresh();
+    } catch (err) {
+      console.error(err);
+      if (err.fieldErrors) setErrors(err.fieldErrors);
+      else setNotice(msg("users.saveFailed", { message: describeError(err) }));
+    }
+  }
+
+  async function remove(user) {
+    if (!confirm(t("users.confirmDelete", { username: user.username }))) return;
+    try {
+      await deleteUser(user.username);
+      refresh();
+    } catch (err) {
+      console.error(err);
+      setNotice(msg("users.saveFailed", { message: describeError(err) }));
+    }
+  }
+
+  return (
+    <section className="card library">
+      <div className="between">
+        <h2 className="card-title">{t("users.title")}</h2>
+        <div className="actions">
+          <button type="button" className="btn-secondary" onClick={() => edit(EMPTY_USER, true)}>{t("users.add")}</button>
+          <button type="button" className="btn-ghost" onClick={onClose}>{t("users.close")}</button>
+        </div>
+      </div>
+      {notice && <p className="muted" role="status">{t(notice)}</p>}
+
+      {editing && (
+        <div className="card-ghost space-y" style={{ marginTop: 12 }}>
+          <div className="grid grid-2 gap">
+            <label className="field">
+              <span className="muted">{t("auth.username")}</span>
+              <input
+                className="input"
+                autoComplete="off"
+                readOnly={!editing.isNew}
+                value={editing.username}
+                onChange={(e) => setEditing((u) => ({ ...u, username: e.target.value }))}
+              />
+              {errors.username && <span className="error">{t(errors.username)}</span>}
+            </label>
+            <label className="field">
+              <span className="muted">{t("auth.name")}</span>
+              <input className="input" value={editing.name} onChange={(e) => setEditing((u) => ({ ...u, name: e.target.value }))} />
+            </label>
+            <label className="field">
+              <span className="muted">{t("users.role")}</span>
+              <select className="input" value={editing.role} onChange={(e) => setEditing((u) => ({ ...u, role: e.target.value }))}>
+                {ROLES.map((role) => <option key={role} value={role}>{t(`roles.${role}`)}</option>)}
+              </select>
+              {errors.role && <span className="error">{t(errors.role)}</span>}
+            </label>
+            <label className="field">
+              <span className="muted">{t(editing.isNew ? "auth.password" : "users.newPassword")}</span>
+              <input
+                className="input"
+                type="password"
+                autoComplete="new-password"
+                value={editing.password}
+                onChange={(e) => setEditing((u) => ({ ...u, password: e.target.value }))}
+              />
+              {errors.password && <span className="error">{t(errors.password)}</span>}
+            </label>
+          </div>
+          <div className="actions">
+            <button type="button" className="btn-primary" onClick={save}>{t("users.save")}</button>
+            <button type="button" className="btn-ghost" onClick={() => setEditing(null)}>{t("users.cancel")}</button>
+          </div>
+        </div>
+      )}
+
+      <div className="files">
+        {users.map((user) => (
+          <div key={user.username} className="library-row">
+            <div className="file-info">
+              <p className="file-name">
+                {user.name || user.username}
+                <span className="badge">{t(`roles.${user.role}`)}</span>
+                {user.username === currentUser.username && <span className="badge">{t("users.you")}</span>}
+              </p>
+              <p className="meta">{user.username}</p>
+            </div>
+            <div className="actions">
+              <button type="button" className="btn-ghost" onClick={() => edit(user)}>{t("users.edit")}</button>
+              {user.username !== currentUser.username && (
+                <button type="button" className="btn-ghost" onClick={() => remove(user)}>{t("users.delete")}</button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
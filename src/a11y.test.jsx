@@ -0,0 +1,152 @@
+// @vitest-environment jsdom
+import "fake-indexeddb/auto";
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import axe from "axe-core";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App.jsx";
+import Dashboard from "./Dashboard.jsx";
+import Login from "./Login.jsx";
+import SupplierDispatch from "./SupplierDispatch.jsx";
+import UserAdmin from "./UserAdmin.jsx";
+import { EMPTY_FORM } from "./model.js";
+import { I18nContext } from "./i18nContext.js";
+import { createTranslator } from "./i18n.js";
+
+/**
+ * Automatische Barrierefreiheitsprüfung (axe-core) der wichtigsten Ansichten,
+ * auf Englisch wie die App unter jsdom (navigator.language = "en-US").
+ * Farbkontraste brauchen ein echtes Layout und werden in jsdom nicht geprüft.
+ */
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const USER = { username: "einkauf", name: "Eva Einkauf", role: "admin" };
+const RESPONSES = {
+  "/api/auth/status": { setup: false },
+  "/api/auth/me": { user: USER },
+  "/api/suppliers": {
+    suppliers: [{ id: "s1", name: "Blech AG", email: "rfq@blech.de", capabilities: ["sheetMetal"], ndaSigned: true }],
+  },
+  "/api/rfq": {
+    rfqs: [
+      {
+        rfqNumber: "RFQ-20260110-ABC123",
+        revision: "A",
+        status: "submitted",
+        company: "Muster GmbH",
+        deliveryDate: "2026-03-01",
+        partNames: ["Flansch"],
+        submittedBy: "anna",
+        receivedAt: "2026-01-10T08:00:00.000Z",
+        updatedAt: "2026-01-10T08:00:00.000Z",
+      },
+    ],
+  },
+  "/api/users": { users: [USER, { username: "anna", name: "Anna", role: "requester" }] },
+};
+
+let container;
+let root;
+
+beforeEach(() => {
+  vi.stubGlobal("fetch", async (url) => {
+    const body = RESPONSES[new URL(url, "http://localhost").pathname];
+    return new Response(JSON.stringify(body || {}), { status: body ? 200 : 404 });
+  });
+  localStorage.setItem("rfq.session", JSON.stringify({ token: "t", user: USER }));
+  container = document.createElement("div");
+  document.body.append(container);
+  root = createRoot(container);
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+  localStorage.clear();
+  vi.unstubAllGlobals();
+});
+
+async function render(element) {
+  const t = createTranslator("en");
+  await act(async () => root.render(<I18nContext.Provider value={t}>{element}</I18nContext.Provider>));
+  // Effekte mit fetch() abwarten
+  await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+}
+
+async function violations() {
+  const { violations } = await axe.run(container, { rules: { "color-contrast": { enabled: false } } });
+  return violations.map((v) => `${v.id}: ${v.nodes.map((n) => n.target.join(" ")).join(", ")}`);
+}
+
+function click(text) {
+  const button = [...container.querySelectorAll("button")].find((b) => b.textContent.includes(text));
+  if (!button) throw new Error(`Kein Knopf "${text}"`);
+  act(() => button.click());
+}
+
+describe("Barrierefreiheit (axe)", () => {
+  it("Formular", async () => {
+    await render(<App />);
+    expect(container.querySelector("form, main")).not.toBe(null);
+    expect(await violations()).toEqual([]);
+  });
+
+  it("Preisstaffeln mit eindeutig benannten Entfernen-Knöpfen", async () => {
+    await render(<App />);
+    click("+ Break");
+    click("+ Break");
+    const names = [...container.querySelectorAll("button[aria-label]")].map((b) => b.getAttribute("aria-label"));
+    expect(names).toEqual(expect.arrayContaining(["Remove break 1", "Remove break 2"]));
+    const legend = [...container.querySelectorAll("legend")].find((l) => l.textContent === "Price breaks");
+    expect(legend.closest("label")).toBe(null);
+    expect(await violations()).toEqual([]);
+  });
+
+  it.each(["Saved RFQs", "Address book", "Suppliers", "Cost estimate", "Import BOM"])("Dialog „%s“", async (button) => {
+    await render(<App />);
+    click(button);
+    await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+    expect(await violations()).toEqual([]);
+  });
+
+  it("Dashboard", async () => {
+    await render(<Dashboard user={USER} records={[]} onOpen={() => {}} onClose={() => {}} />);
+    expect(container.textContent).toContain("RFQ-20260110-ABC123");
+    expect(await violations()).toEqual([]);
+  });
+
+  it("Anmeldung", async () => {
+    await render(<Login onLogin={() => {}} />);
+    expect(await violations()).toEqual([]);
+  });
+
+  it("Versand mit vermerktem Lieferanten", async () => {
+    const record = {
+      id: "r1",
+      rfqNumber: "RFQ-20260110-ABC123",
+      revision: "A",
+      form: EMPTY_FORM,
+      dispatches: [
+        {
+          supplierId: "s0",
+          name: "Guss KG",
+          email: "rfq@guss.de",
+          status: "sent",
+          sentAt: "2026-01-11T08:00:00.000Z",
+          updatedAt: "2026-01-11T08:00:00.000Z",
+        },
+      ],
+    };
+    await render(<SupplierDispatch record={record} onChange={() => {}} onCompare={() => {}} onClose={() => {}} />);
+    expect(container.querySelector('button[aria-label="Email draft for Guss KG"]')).not.toBe(null);
+    expect(container.textContent).toContain("Blech AG");
+    expect(await violations()).toEqual([]);
+  });
+
+  it("Benutzerverwaltung mit geöffnetem Bearbeiten", async () => {
+    await render(<UserAdmin currentUser={USER} onClose={() => {}} />);
+    click("Edit");
+    expect(await violations()).toEqual([]);
+  });
+});
@@ -0,0 +1,167 @@
+import { localizedError } from "./messages.js";
+
+/**
+ * Client für das RFQ-Backend (server/rfq-api.js, Anmeldung: server/auth.js).
+ * Die Sitzung ({ token, user }) liegt in localStorage und geht als
+ * Bearer-Token mit jedem Request; lehnt der Server sie ab (401), wird sie
+ * verworfen und onSessionExpired() benachrichtigt.
+ */
+
+export const RFQ_ENDPOINT = "/api/rfq";
+
+const SESSION_KEY = "rfq.session";
+const expiryListeners = new Set();
+
+export function getSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+export function setSession(session) {
+  if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  else localStorage.removeItem(SESSION_KEY);
+}
+
+/** listener() bei abgelaufener Sitzung; liefert die Abmeldefunktion. */
+export function onSessionExpired(listener) {
+  expiryListeners.add(listener);
+  return () => expiryListeners.delete(listener);
+}
+
+function request(url, { json, headers, ...options } = {}) {
+  const session = getSession();
+  return fetch(url, {
+    ...options,
+    headers: {
+      ...(json !== undefined && { "Content-Type": "application/json" }),
+      ...(session && { Authorization: `Bearer ${session.token}` }),
+      ...headers,
+    },
+    ...(json !== undefined && { body: JSON.stringify(json) }),
+  });
+}
+
+/** Name und Rolle neu vom Server (der Admin kann sie ändern); liefert die Sitzung. */
+export async function refreshSession() {
+  const { user } = await readResponse(await request("/api/auth/me"));
+  const session = { ...getSession(), user };
+  setSession(session);
+  return session;
+}
+
+/** { setup: true }, solange noch kein Benutzer angelegt ist. */
+export async function authStatus() {
+  return readResponse(await request("/api/auth/status"));
+}
+
+/** Meldet an und merkt sich die Sitzung; liefert { token, user }. */
+export async function login(username, password) {
+  const session = await readResponse(await request("/api/auth/login", { method: "POST", json: { username, password } }));
+  setSession(session);
+  return session;
+}
+
+/** Erster Start: legt den Admin an und meldet ihn gleich an. */
+export async function setupAdmin({ username, name, password }) {
+  const session = await readResponse(await request("/api/auth/setup", { method: "POST", json: { username, name, password } }));
+  setSession(session);
+  return session;
+}
+
+export async function listUsers() {
+  return (await readResponse(await request("/api/users"))).users;
+}
+
+/** Legt an oder ändert (Passwort leer = unverändert); liefert den Benutzer. */
+export async function saveUser(user) {
+  return (await readResponse(await request("/api/users", { method: "POST", json: user }))).user;
+}
+
+export async function deleteUser(username) {
+  return readResponse(await request(`/api/users/${encodeURIComponent(username)}`, { method: "DELETE" }));
+}
+
+/** Sichtbare versendete Anfragen: [{ rfqNumber, revision, status, company, … }]. */
+export async function listServerRFQs() {
+  return (await readResponse(await request(RFQ_ENDPOINT))).rfqs;
+}
+
+/** { rfq, revisions: [{ revision, payload }] } – alle Stände einer Anfrage, ältester zuerst. */
+export async function fetchServerRFQ(rfqNumber) {
+  return readResponse(await request(`${RFQ_ENDPOINT}/${encodeURIComponent(rfqNumber)}`));
+}
+
+/** { status, next, audit } – Historie und erlaubte Folgestatus. */
+export async function fetchAudit(rfqNumber) {
+  return readResponse(await request(`${RFQ_ENDPOINT}/${encodeURIComponent(rfqNumber)}/audit`));
+}
+
+export async function changeStatus(rfqNumber, status, note) {
+  return readResponse(
+    await request(`${RFQ_ENDPOINT}/${encodeURIComponent(rfqNumber)}/status`, { method: "POST", json: { status, note } })
+  );
+}
+
+/**
+ * Sendet Payload + Original-Dateien als multipart/form-data.
+ * Liefert { rfqNumber, revision, receivedAt, files, document } oder wirft einen Error; bei serverseitigen
+ * Validierungsfehlern trägt dieser `fieldErrors` (Feldname → Meldungs-Deskriptor),
+ * bei einem Revisionskonflikt (409) `expectedRevision`.
+ * Mit submissionId legt der Server eine wiederholte Übermittlung nicht doppelt an.
+ */
+export async function submitRFQ(payload, files, { submissionId } = {}) {
+  const body = new FormData();
+  body.append("payload", JSON.stringify(payload));
+  files.forEach((f) => body.append("files", f, f.name));
+
+  const headers = submissionId ? { "Idempotency-Key": submissionId } : {};
+  const res = await request(RFQ_ENDPOINT, { method: "POST", headers, body });
+  return readResponse(res);
+}
+
+/**
+ * Vermerkt den Versand einer übermittelten RFQ an die gewählten Lieferanten
+ * (IDs aus dem Verzeichnis). Liefert { dispatches }; bei 422 trägt der
+ * Error `fieldErrors` je Lieferanten-ID, bei vergebener oder geschlossener
+ * Anfrage (409) unter `suppliers`.
+ */
+export async function dispatchRFQ(rfqNumber, supplierIds) {
+  const res = await request(`${RFQ_ENDPOINT}/${encodeURIComponent(rfqNumber)}/dispatch`, {
+    method: "POST",
+    json: { supplierIds },
+  });
+  return readResponse(res);
+}
+
+/** Lieferantenverzeichnis vom Server, alphabetisch. */
+export async function listSuppliers() {
+  return (await readResponse(await request("/api/suppliers"))).suppliers;
+}
+
+/** Legt an oder ändert (mit id); liefert den gespeicherten Lieferanten. */
+export async function saveSupplier(supplier) {
+  return (await readResponse(await request("/api/suppliers", { method: "POST", json: supplier }))).supplier;
+}
+
+export async function deleteSupplier(id) {
+  return readResponse(await request(`/api/suppliers/${encodeURIComponent(id)}`, { method: "DELETE" }));
+}
+
+async function readResponse(res) {
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    if (res.status === 401 && getSession()) {
+      setSession(null);
+      expiryListeners.forEach((listener) => listener());
+    }
+    const err = data.error ? new Error(data.error) : localizedError("submit.status", { status: res.status });
+    err.status = res.status;
+    err.fieldErrors = data.errors || null;
+    err.expectedRevision = data.expected || null;
+    throw err;
+  }
+  return data;
+}
@@ -0,0 +1,88 @@
+import { DEFAULT_LINE_ITEM } from "./model.js";
+import { normalizeLineItem } from "./catalog.js";
+import { parseCSV, toCSV } from "./csv.js";
+import { readXlsx } from "./xlsx.js";
+
+/**
+ * Stücklisten (BOM) als CSV/XLSX ↔ lineItems.
+ * Spaltenüberschriften kommen aus den Übersetzungen (items.<key>).
+ */
+
+export const BOM_FIELDS = [
+  { key: "partName", aliases: ["benennung", "bezeichnung", "teil", "part", "partname", "name", "description"] },
+  { key: "material", aliases: ["material", "werkstoff"] },
+  { key: "qty", aliases: ["menge", "anzahl", "stück", "stk", "qty", "quantity"] },
+  { key: "qtyBreaks", aliases: ["staffel", "staffeln", "staffelmengen", "losgrößen", "price breaks", "qty breaks", "breaks"] },
+  { key: "annualVolume", aliases: ["jahresbedarf", "jahresmenge", "annual volume", "eau"] },
+  { key: "callOff", aliases: ["abruf", "abrufplan", "abrufe", "call-off", "call off", "schedule"] },
+  { key: "tolerance", aliases: ["toleranz", "tolerance"] },
+  { key: "surface", aliases: ["oberfläche", "oberflaeche", "surface", "finish"] },
+  { key: "heatTreatment", aliases: ["wärmebehandlung", "waermebehandlung", "heattreatment", "heat treatment"] },
+  { key: "notes", aliases: ["anmerkungen", "bemerkung", "notes", "hinweis", "kommentar"] },
+];
+
+/** Liest eine hochgeladene CSV- oder XLSX-Datei als Zeilen. */
+export async function readBomFile(file) {
+  if (file.name.toLowerCase().endsWith(".xlsx")) return readXlsx(await file.arrayBuffer());
+  return parseCSV(await file.text());
+}
+
+/**
+ * Schlägt anhand der Kopfzeile eine Zuordnung Feld → Spaltenindex vor
+ * (-1 = nicht zugeordnet).
+ */
+export function guessMapping(header) {
+  const norm = header.map((h) => String(h).trim().toLowerCase().replace(/[\s_.-]+/g, " "));
+  const mapping = {};
+  for (const f of BOM_FIELDS) {
+    mapping[f.key] = norm.findIndex((h) => f.aliases.some((a) => h === a || h.replace(/ /g, "") === a));
+  }
+  return mapping;
+}
+
+/** Wandelt Datenzeilen mit einer Zuordnung in Positionen um. */
+export function rowsToLineItems(rows, mapping) {
+  return rows.map((row) => {
+    const li = { ...DEFAULT_LINE_ITEM };
+    for (const f of BOM_FIELDS) {
+      const col = mapping[f.key];
+      if (col == null || col < 0) continue;
+      const raw = String(row[col] ?? "").trim();
+      li[f.key] = f.key === "qty" || f.key === "annualVolume" ? parseQty(raw) : f.key === "qtyBreaks" ? parseQtyBreaks(raw) : raw;
+    }
+    return normalizeLineItem(li);
+  });
+}
+
+function parseQty(raw) {
+  // "1.000" bzw. "1,5" aus deutschem Excel, "1,000" aus englischem: Punkt oder Komma vor genau drei Ziffern trennt Tausender
+  const n = Number(raw.replace(/\s/g, "").replace(/[.,](?=\d{3}\b)/g, "").replace(",", "."));
+  return Number.isFinite(n) ? n : 0;
+}
+
+// "50 / 250", "50;250" oder "50, 250"; Komma oder Leerzeichen vor genau drei
+// Ziffern trennt Tausender ("1,000, 2,500", "1 000 / 5 000"), nicht Staffeln
+function parseQtyBreaks(raw) {
+  return raw
+    .split(/\s*[/;|]\s*|[,\s]+(?!\d{3}\b)/)
+    .filter(Boolean)
+    .map(parseQty);
+}
+
+/** Anzeige-/Exportwert eines BOM-Felds; Staffeln als "50 / 250". */
+export function formatBomValue(li, key) {
+  if (key === "qtyBreaks") return (li.qtyBreaks || []).join(" / ");
+  if (key === "annualVolume") return li.annualVolume || "";
+  return li[key];
+}
+
+/**
+ * CSV-Export der Positionen mit denselben Spalten wie beim Import;
+ * t ist die Übersetzungsfunktion der aktuellen Sprache (i18n.js).
+ */
+export function lineItemsToCSV(lineItems, t) {
+  return toCSV([
+    [t("document.position"), ...BOM_FIELDS.map((f) => t(`items.${f.key}`))],
+    ...lineItems.map((li, i) => [i + 1, ...BOM_FIELDS.map((f) => formatBomValue(li, f.key))]),
+  ]);
+}
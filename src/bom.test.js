@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { lineItemsToCSV, rowsToLineItems } from "./bom.js";
+import { parseCSV, toCSV } from "./csv.js";
+import { createTranslator } from "./i18n.js";
+import { DEFAULT_LINE_ITEM } from "./model.js";
+
+const t = createTranslator("de");
+const qty = (raw) => rowsToLineItems([[raw]], { qty: 0 })[0].qty;
+
+describe("Mengen aus Stücklisten", () => {
+  it.each([
+    ["1.000", 1000],
+    ["1,000", 1000],
+    ["12.500.000", 12500000],
+    ["2,500,000", 2500000],
+    ["1.000,5", 1000.5],
+    ["1,000.5", 1000.5],
+    ["1,5", 1.5],
+    ["1 000", 1000],
+    ["abc", 0],
+  ])("%s → %d", (raw, expected) => {
+    expect(qty(raw)).toBe(expected);
+  });
+});
+
+describe("Staffelmengen aus Stücklisten", () => {
+  const breaks = (raw) => rowsToLineItems([[raw]], { qtyBreaks: 0 })[0].qtyBreaks;
+
+  it.each([
+    ["50 / 250", [50, 250]],
+    ["50;250", [50, 250]],
+    ["50, 250", [50, 250]],
+    ["50 1000", [50, 1000]],
+    ["1,000, 2,500", [1000, 2500]],
+    ["1 000 / 5 000", [1000, 5000]],
+    ["1.000; 2.500", [1000, 2500]],
+    ["100 | 1 000 | 10 000", [100, 1000, 10000]],
+  ])("%s", (raw, expected) => {
+    expect(breaks(raw)).toEqual(expected);
+  });
+});
+
+describe("CSV-Export", () => {
+  it("entschärft Zellen, die Excel als Formel liest", () => {
+    const csv = lineItemsToCSV([{ ...DEFAULT_LINE_ITEM, partName: "=HYPERLINK(\"http://x\")", notes: "@SUM(A1)", callOff: "-1+1" }], t);
+    expect(csv).toContain(`"'=HYPERLINK(""http://x"")"`);
+    expect(csv).toContain("'@SUM(A1)");
+    expect(csv).toContain("'-1+1");
+  });
+
+  it("lässt Zahlen unverändert und stellt Texte beim Einlesen wieder her", () => {
+    const rows = [["=1+1", "+49 30 1234", -5, "a-b"]];
+    const csv = toCSV(rows);
+    expect(csv).toContain("'=1+1;'+49 30 1234;-5;a-b");
+    expect(parseCSV(csv)).toEqual([["=1+1", "+49 30 1234", "-5", "a-b"]]);
+  });
+});
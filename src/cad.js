@@ -0,0 +1,254 @@
+import { localizedError } from "./messages.js";
+
+/**
+ * Leichtgewichtige Parser für CAD-Vorschauen (laufen im Web Worker).
+ * Keine vollständigen Implementierungen – nur das, was Einkäufer zur
+ * Plausibilitätsprüfung brauchen: Kopfdaten, Einheiten, Abmessungen.
+ */
+
+function emptyBounds() {
+  return { minX: Infinity, minY: Infinity, minZ: Infinity, maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity };
+}
+
+function extend(b, x, y, z = 0) {
+  if (![x, y, z].every(Number.isFinite)) return;
+  b.minX = Math.min(b.minX, x); b.maxX = Math.max(b.maxX, x);
+  b.minY = Math.min(b.minY, y); b.maxY = Math.max(b.maxY, y);
+  b.minZ = Math.min(b.minZ, z); b.maxZ = Math.max(b.maxZ, z);
+}
+
+function finishBounds(b) {
+  if (b.minX === Infinity) return null;
+  return { ...b, sizeX: b.maxX - b.minX, sizeY: b.maxY - b.minY, sizeZ: b.maxZ - b.minZ };
+}
+
+/* ---------- DXF ---------- */
+
+/**
+ * Liest LINE, CIRCLE, ARC, LWPOLYLINE und POLYLINE aus der ENTITIES-Sektion
+ * und liefert SVG-Pfade (Y nach unten gespiegelt) samt Bounding Box.
+ */
+export function parseDxf(text) {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) pairs.push([Number(lines[i].trim()), lines[i + 1].trim()]);
+
+  const units = { 1: "in", 2: "ft", 4: "mm", 5: "cm", 6: "m" };
+  let insUnits = null;
+  const entities = [];
+  let section = null;
+  let current = null;
+
+  for (let i = 0; i < pairs.length; i++) {
+    const [code, value] = pairs[i];
+    if (code === 0 && value === "SECTION") { section = pairs[i + 1] && pairs[i + 1][1]; continue; }
+    if (code === 0 && value === "ENDSEC") { section = null; continue; }
+    if (section === "HEADER" && code === 9 && value === "$INSUNITS" && pairs[i + 1]) insUnits = Number(pairs[i + 1][1]);
+    if (section !== "ENTITIES") continue;
+    if (code === 0) {
+      current = { type: value, values: [] };
+      entities.push(current);
+    } else if (current) {
+      current.values.push([code, value]);
+    }
+  }
+
+  const bounds = emptyBounds();
+  const paths = [];
+  let polyline = null;
+  const num = (ent, code) => Number((ent.values.find(([c]) => c === code) || [])[1]);
+
+  for (const ent of entities) {
+    switch (ent.type) {
+      case "LINE": {
+        const [x1, y1, x2, y2] = [num(ent, 10), num(ent, 20), num(ent, 11), num(ent, 21)];
+        extend(bounds, x1, y1); extend(bounds, x2, y2);
+        paths.push(`M${x1} ${-y1}L${x2} ${-y2}`);
+        break;
+      }
+      case "CIRCLE": {
+        const [cx, cy, r] = [num(ent, 10), num(ent, 20), num(ent, 40)];
+        extend(bounds, cx - r, cy - r); extend(bounds, cx + r, cy + r);
+        paths.push(`M${cx - r} ${-cy}a${r} ${r} 0 1 0 ${2 * r} 0a${r} ${r} 0 1 0 ${-2 * r} 0`);
+        break;
+      }
+      case "ARC": {
+        const [cx, cy, r] = [num(ent, 10), num(ent, 20), num(ent, 40)];
+        const a1 = (num(ent, 50) * Math.PI) / 180;
+        let a2 = (num(ent, 51) * Math.PI) / 180;
+        if (a2 < a1) a2 += 2 * Math.PI;
+        const p1 = [cx + r * Math.cos(a1), cy + r * Math.sin(a1)];
+        const p2 = [cx + r * Math.cos(a2), cy + r * Math.sin(a2)];
+        extend(bounds, ...p1); extend(bounds, ...p2);
+        for (let k = 0; k < 4; k++) {
+          const q = (k * Math.PI) / 2;
+          if ((q >= a1 && q <= a2) || (q + 2 * Math.PI >= a1 && q + 2 * Math.PI <= a2)) {
+            extend(bounds, cx + r * Math.cos(q), cy + r * Math.sin(q));
+          }
+        }
+        const large = a2 - a1 > Math.PI ? 1 : 0;
+        paths.push(`M${p1[0]} ${-p1[1]}A${r} ${r} 0 ${large} 0 ${p2[0]} ${-p2[1]}`);
+        break;
+      }
+      case "LWPOLYLINE": {
+        const pts = [];
+        let x = null;
+        for (const [c, v] of ent.values) {
+          if (c === 10) x = Number(v);
+          if (c === 20 && x !== null) { pts.push([x, Number(v)]); x = null; }
+        }
+        pushPolyline(pts, (num(ent, 70) & 1) === 1);
+        break;
+      }
+      case "POLYLINE":
+        polyline = { pts: [], closed: (num(ent, 70) & 1) === 1 };
+        break;
+      case "VERTEX":
+        if (polyline) polyline.pts.push([num(ent, 10), num(ent, 20)]);
+        break;
+      case "SEQEND":
+        if (polyline) pushPolyline(polyline.pts, polyline.closed);
+        polyline = null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  function pushPolyline(pts, closed) {
+    if (!pts.length) return;
+    pts.forEach(([x, y]) => extend(bounds, x, y));
+    paths.push(pts.map(([x, y], k) => `${k ? "L" : "M"}${x} ${-y}`).join("") + (closed ? "Z" : ""));
+  }
+
+  const counts = {};
+  entities.forEach((e) => { counts[e.type] = (counts[e.type] || 0) + 1; });
+  return { kind: "dxf", units: units[insUnits] || null, entityCounts: counts, bounds: finishBounds(bounds), paths };
+}
+
+/* ---------- STEP (ISO 10303-21) ---------- */
+
+function stepStrings(args) {
+  return [...args.matchAll(/'((?:[^']|'')*)'/g)].map((m) => m[1].replace(/''/g, "'"));
+}
+
+/**
+ * Kopfdaten aus HEADER (FILE_NAME, FILE_SCHEMA), Produktname aus PRODUCT,
+ * Längeneinheit aus SI_UNIT/CONVERSION_BASED_UNIT und eine Bounding Box über
+ * alle CARTESIAN_POINTs (Näherung, enthält auch Achsen-/Platzierungspunkte).
+ */
+export function parseStep(text) {
+  if (!text.trimStart().startsWith("ISO-10303-21")) throw localizedError("preview.notStep");
+  const header = {};
+  const fileName = text.match(/FILE_NAME\s*\(([\s\S]*?)\)\s*;/);
+  if (fileName) {
+    const s = stepStrings(fileName[1]);
+    header.name = s[0];
+    header.timestamp = s[1];
+    header.preprocessor = s[s.length - 3];
+    header.originatingSystem = s[s.length - 2];
+  }
+  const schema = text.match(/FILE_SCHEMA\s*\(\s*\(\s*'([^']*)'/);
+  if (schema) header.schema = schema[1];
+
+  const product = text.match(/=\s*PRODUCT\s*\(([^;]*)\)\s*;/);
+  const productName = product ? stepStrings(product[1])[1] || stepStrings(product[1])[0] : null;
+
+  let units = null;
+  const conv = text.match(/CONVERSION_BASED_UNIT\s*\(\s*'([^']*)'/);
+  const si = text.match(/SI_UNIT\s*\(\s*(\.\w+\.|\$)\s*,\s*\.METRE\./);
+  if (conv && /INCH/i.test(conv[1])) units = "in";
+  else if (si) units = { ".MILLI.": "mm", ".CENTI.": "cm", "$": "m" }[si[1]] || si[1];
+
+  const bounds = emptyBounds();
+  let points = 0;
+  for (const m of text.matchAll(/CARTESIAN_POINT\s*\(\s*'[^']*'\s*,\s*\(([^)]*)\)/g)) {
+    const [x, y, z = 0] = m[1].split(",").map(Number);
+    extend(bounds, x, y, z);
+    points++;
+  }
+
+  return { kind: "step", header, productName, units, points, bounds: finishBounds(bounds) };
+}
+
+/* ---------- IGES ---------- */
+
+function igesParams(text, delim = ",", end = ";") {
+  const out = [];
+  let i = 0;
+  while (i < text.length) {
+    const h = text.slice(i).match(/^\s*(\d+)H/);
+    if (h) {
+      const start = i + h[0].length;
+      out.push(text.slice(start, start + Number(h[1])));
+      i = start + Number(h[1]);
+    } else {
+      let j = i;
+      while (j < text.length && text[j] !== delim && text[j] !== end) j++;
+      out.push(text.slice(i, j).trim());
+      i = j;
+    }
+    if (text[i] === end) break;
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Global Section (Absender, System, Einheit) und Bounding Box aus Punkten,
+ * Linien und Kreisbögen (Entitäten 116, 110, 100) – B-Splines werden
+ * über ihre Kontrollpunkte (126) angenähert.
+ */
+export function parseIges(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.length >= 73);
+  const sect = (c) => lines.filter((l) => l[72] === c).map((l) => l.slice(0, 72));
+  const g = sect("G").join("");
+  if (!g) throw localizedError("preview.notIges");
+
+  // Trennzeichen können in den ersten beiden Parametern umdefiniert werden
+  const delim = /^1H(.)/.test(g) ? g[2] : ",";
+  const endMark = new RegExp(`^1H.${delim.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}1H(.)`).exec(g);
+  const params = igesParams(g, delim, endMark ? endMark[1] : ";");
+  const unitNames = { 1: "in", 2: "mm", 4: "ft", 5: "mi", 6: "m", 7: "km", 8: "mil", 9: "µm", 10: "cm", 11: "µin" };
+  const header = {
+    senderProductId: params[2],
+    fileName: params[3],
+    originatingSystem: params[4],
+    preprocessor: params[5],
+    receiverProductId: params[11],
+  };
+  const units = unitNames[Number(params[13])] || params[14] || null;
+
+  const bounds = emptyBounds();
+  const p = sect("P");
+  const records = new Map();
+  for (const l of p) {
+    const ptr = Number(l.slice(65, 72));
+    records.set(ptr, (records.get(ptr) || "") + l.slice(0, 64));
+  }
+  let entities = 0;
+  for (const rec of records.values()) {
+    const v = rec.split(delim).map((s) => Number(s.replace(/D/gi, "E").replace(/;.*/, "")));
+    entities++;
+    switch (v[0]) {
+      case 116: extend(bounds, v[1], v[2], v[3]); break;
+      case 110: extend(bounds, v[1], v[2], v[3]); extend(bounds, v[4], v[5], v[6]); break;
+      case 100: {
+        const r = Math.hypot(v[4] - v[2], v[5] - v[3]);
+        extend(bounds, v[2] - r, v[3] - r, v[1]); extend(bounds, v[2] + r, v[3] + r, v[1]);
+        break;
+      }
+      case 126: {
+        // 126, K, M, 4 Flags, K+M+2 Knoten, K+1 Gewichte, dann Kontrollpunkte
+        const k = v[1], m = v[2];
+        const start = 7 + (k + m + 2) + (k + 1);
+        for (let j = 0; j <= k; j++) extend(bounds, v[start + 3 * j], v[start + 3 * j + 1], v[start + 3 * j + 2]);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return { kind: "iges", header, units, entities, bounds: finishBounds(bounds) };
+}
@@ -0,0 +1,177 @@
+import { msg } from "./messages.js";
+
+/**
+ * Kataloge für Material, Toleranz, Oberfläche und Wärmebehandlung.
+ *
+ * Positionen führen weiterhin den Anzeigetext (material, tolerance, …) und
+ * zusätzlich den normalisierten Code (materialCode, toleranceCode, …).
+ * Freitext bleibt erlaubt – dann ist der Code leer.
+ *
+ * Werkstoffgruppen (group) werden über materialGroups.<group> übersetzt;
+ * `en` ist die englische Bezeichnung, gespeichert wird der Text wie eingegeben.
+ */
+
+/** density in g/cm³ */
+export const MATERIALS = [
+  { code: "1.0038", name: "S235JR", aisi: "A283 C", aliases: ["St37", "St 37-2", "S235"], group: "steel", density: 7.85 },
+  { code: "1.0570", name: "S355J2", aisi: "A572 Gr. 50", aliases: ["St52", "St 52-3", "S355"], group: "steel", density: 7.85 },
+  { code: "1.0503", name: "C45", aisi: "1045", aliases: ["C45E", "CK45"], group: "steel", density: 7.85 },
+  { code: "1.7131", name: "16MnCr5", aisi: "5115", aliases: [], group: "steel", density: 7.85 },
+  { code: "1.7225", name: "42CrMo4", aisi: "4140", aliases: ["42CrMo4+QT"], group: "steel", density: 7.85 },
+  { code: "1.2379", name: "X153CrMoV12", aisi: "D2", aliases: [], group: "steel", density: 7.7 },
+  { code: "1.4301", name: "X5CrNi18-10", aisi: "304", aliases: ["V2A", "A2"], group: "stainless", density: 7.9 },
+  { code: "1.4307", name: "X2CrNi18-9", aisi: "304L", aliases: [], group: "stainless", density: 7.9 },
+  { code: "1.4305", name: "X8CrNiS18-9", aisi: "303", aliases: [], group: "stainless", density: 7.9 },
+  { code: "1.4404", name: "X2CrNiMo17-12-2", aisi: "316L", aliases: ["V4A", "A4"], group: "stainless", density: 8.0 },
+  { code: "3.3547", name: "AlMg4,5Mn0,7", aisi: "5083", aliases: ["EN AW-5083", "AW-5083"], group: "aluminium", density: 2.66 },
+  { code: "3.2315", name: "AlSi1MgMn", aisi: "6082", aliases: ["EN AW-6082", "AW-6082"], group: "aluminium", density: 2.7 },
+  { code: "3.1325", name: "AlCu4MgSi", aisi: "2017", aliases: ["EN AW-2017", "AW-2017"], group: "aluminium", density: 2.79 },
+  { code: "3.4365", name: "AlZn5,5MgCu", aisi: "7075", aliases: ["EN AW-7075", "AW-7075"], group: "aluminium", density: 2.81 },
+  { code: "EN AC-43000", name: "AlSi10Mg", aisi: "", aliases: [], group: "aluminium", density: 2.67 },
+  { code: "CW004A", name: "Cu-ETP", aisi: "C11000", aliases: ["E-Cu", "Kupfer", "Copper"], group: "copper", density: 8.94 },
+  { code: "CW614N", name: "CuZn39Pb3", aisi: "C38500", aliases: ["Ms58", "Messing", "Brass"], group: "copper", density: 8.47 },
+  { code: "3.7165", name: "Ti6Al4V", aisi: "Grade 5", aliases: ["Ti Gr. 5", "TiAl6V4"], group: "titanium", density: 4.43 },
+  { code: "POM-C", name: "Polyoxymethylen (Copolymer)", en: "POM-C Polyoxymethylene (copolymer)", aisi: "", aliases: ["POM", "Delrin"], group: "plastic", density: 1.41 },
+  { code: "PA6", name: "Polyamid 6", en: "PA6 Polyamide 6", aisi: "", aliases: ["Nylon"], group: "plastic", density: 1.14 },
+  { code: "PEEK", name: "Polyetheretherketon", en: "PEEK Polyether ether ketone", aisi: "", aliases: [], group: "plastic", density: 1.32 },
+].map((m) => ({ ...m, label: `${m.code} ${m.name}` }));
+
+const METALS = ["steel", "stainless", "aluminium", "copper", "titanium"];
+
+export const TOLERANCES = [
+  ...["f", "m", "c", "v"].map((k) => ({
+    code: `ISO2768-${k}`,
+    label: `ISO 2768-${k}`,
+    aliases: [`2768-${k}`, `2768${k}`, { f: "fein", m: "mittel", c: "grob", v: "sehr grob" }[k],
+      { f: "fine", m: "medium", c: "coarse", v: "very coarse" }[k]],
+  })),
+  ...["H6", "H7", "H8", "H9", "H11", "h6", "h7", "h9", "h11", "g6", "f7", "js6", "k6", "m6", "n6", "p6"].map((fit) => ({
+    code: fit,
+    label: `ISO 286 ${fit}`,
+    aliases: [fit],
+  })),
+  ...[5, 6, 7, 8, 9, 10, 11].map((it) => ({ code: `IT${it}`, label: `ISO 286 IT${it}`, aliases: [`IT${it}`] })),
+];
+
+/** groups: verträgliche Werkstoffgruppen (null = alle); Ra wird separat angegeben */
+export const SURFACES = [
+  { code: "none", label: "Ohne Oberflächenbehandlung", en: "No surface treatment", groups: null, aliases: ["ohne", "roh", "blank"] },
+  { code: "anodize", label: "Eloxieren (Typ II)", en: "Anodizing (type II)", groups: ["aluminium", "titanium"], aliases: ["Eloxal", "eloxiert", "anodisiert"] },
+  { code: "hard-anodize", label: "Harteloxieren (Typ III)", en: "Hard anodizing (type III)", groups: ["aluminium"], aliases: ["Harteloxal"] },
+  { code: "chromate", label: "Chromatieren", en: "Chromate conversion", groups: ["aluminium"], aliases: ["Alodine"] },
+  { code: "zinc", label: "Galvanisch verzinken", en: "Zinc plating", groups: ["steel"], aliases: ["Verzinken", "verzinkt"] },
+  { code: "hot-dip-zinc", label: "Feuerverzinken", en: "Hot-dip galvanizing", groups: ["steel"], aliases: ["feuerverzinkt"] },
+  { code: "black-oxide", label: "Brünieren", en: "Black oxide", groups: ["steel"], aliases: ["brüniert"] },
+  { code: "nickel", label: "Chemisch vernickeln", en: "Electroless nickel plating", groups: ["steel", "stainless", "aluminium", "copper"], aliases: ["vernickelt", "NiP"] },
+  { code: "passivate", label: "Passivieren", en: "Passivation", groups: ["stainless"], aliases: ["gebeizt und passiviert"] },
+  { code: "electropolish", label: "Elektropolieren", en: "Electropolishing", groups: ["stainless"], aliases: [] },
+  { code: "powder", label: "Pulverbeschichten", en: "Powder coating", groups: ["steel", "stainless", "aluminium"], aliases: ["pulverbeschichtet", "RAL"] },
+  { code: "bead-blast", label: "Glasperlstrahlen", en: "Glass bead blasting", groups: null, aliases: ["gestrahlt", "Glasperlen"] },
+  { code: "grind", label: "Schleifen", en: "Grinding", groups: METALS, aliases: ["geschliffen"] },
+  { code: "polish", label: "Polieren", en: "Polishing", groups: null, aliases: ["poliert"] },
+];
+
+export const RA_VALUES = [0.2, 0.4, 0.8, 1.6, 3.2, 6.3, 12.5];
+
+export const HEAT_TREATMENTS = [
+  { code: "none", label: "Ohne", en: "None", groups: null, aliases: ["keine"] },
+  { code: "harden-temper", label: "Härten + Anlassen", en: "Hardening + tempering", groups: ["steel"], aliases: ["Härten", "gehärtet", "Anlassen"] },
+  { code: "quench-temper", label: "Vergüten", en: "Quench and temper", groups: ["steel"], aliases: ["vergütet", "QT"] },
+  { code: "case-harden", label: "Einsatzhärten", en: "Case hardening", groups: ["steel"], aliases: ["einsatzgehärtet", "Aufkohlen"] },
+  { code: "induction", label: "Induktionshärten", en: "Induction hardening", groups: ["steel"], aliases: ["induktiv gehärtet"] },
+  { code: "nitride", label: "Nitrieren", en: "Nitriding", groups: ["steel", "stainless", "titanium"], aliases: ["nitriert", "Gasnitrieren"] },
+  { code: "stress-relief", label: "Spannungsarmglühen", en: "Stress relieving", groups: METALS, aliases: ["spannungsarm geglüht"] },
+  { code: "solution-age", label: "Lösungsglühen + Auslagern (T6)", en: "Solution treatment + ageing (T6)", groups: ["aluminium", "titanium"], aliases: ["T6", "Auslagern"] },
+  { code: "anneal", label: "Weichglühen", en: "Soft annealing", groups: ["steel", "stainless", "copper"], aliases: ["weichgeglüht"] },
+];
+
+/** Katalog je Positionsfeld; der Code liegt in `${field}Code`. */
+export const CATALOGS = {
+  material: MATERIALS,
+  tolerance: TOLERANCES,
+  surface: SURFACES,
+  heatTreatment: HEAT_TREATMENTS,
+};
+
+const norm = (s) => String(s || "").toLowerCase().replace(/[\s.,_-]+/g, "");
+
+function searchTerms(entry) {
+  return [entry.code, entry.label, entry.en, entry.name, entry.aisi && `AISI ${entry.aisi}`, entry.aisi, ...(entry.aliases || [])]
+    .filter(Boolean)
+    .map(norm);
+}
+
+/**
+ * Eintrag zu einem eingegebenen Text (Code, Bezeichnung, AISI, Alias) oder null.
+ * Code/Bezeichnung zuerst mit Groß-/Kleinschreibung, damit H7 (Bohrung) und
+ * h7 (Welle) unterscheidbar bleiben.
+ */
+export function findEntry(field, text) {
+  const key = norm(text);
+  if (!key) return null;
+  const compact = String(text).replace(/\s+/g, "");
+  const exact = CATALOGS[field].find((e) =>
+    [e.code, e.label, e.en].some((t) => t && t.replace(/\s+/g, "") === compact)
+  );
+  return exact || CATALOGS[field].find((e) => searchTerms(e).includes(key)) || null;
+}
+
+/** Bezeichnung in der Oberflächensprache (Deutsch, falls keine Übersetzung). */
+export function entryLabel(entry, lang) {
+  return (lang === "en" && entry.en) || entry.label;
+}
+
+export function findByCode(field, code) {
+  return code ? CATALOGS[field].find((e) => e.code === code) || null : null;
+}
+
+/** Ergänzt die Code-Felder einer Position anhand ihrer Texte. */
+export function normalizeLineItem(li) {
+  const out = { ...li };
+  for (const field of Object.keys(CATALOGS)) {
+    const entry = findEntry(field, li[field]);
+    out[`${field}Code`] = entry ? entry.code : "";
+  }
+  return out;
+}
+
+/** "0,02" / "0.02" → 0.02; leer → null; ungültig → NaN */
+export function parseDecimal(value) {
+  const s = String(value ?? "").trim().replace(",", ".").replace(/^[±+]/, "");
+  if (!s) return null;
+  return /^\d*\.?\d+$/.test(s) ? Number(s) : NaN;
+}
+
+/** Anzeigetext inkl. expliziter Abmaße, z. B. "ISO 286 H7 · +0,02 / −0,01 mm". */
+export function formatTolerance(li) {
+  const parts = [li.tolerance];
+  if (li.tolerancePlus || li.toleranceMinus) {
+    parts.push(`+${li.tolerancePlus || "0"} / −${li.toleranceMinus || "0"} mm`);
+  }
+  return parts.filter(Boolean).join(" · ");
+}
+
+export function formatSurface(li) {
+  return [li.surface, li.surfaceRa && `Ra ${li.surfaceRa} µm`].filter(Boolean).join(" · ");
+}
+
+/**
+ * Fachliche Verträglichkeit von Material, Oberfläche und Wärmebehandlung.
+ * Liefert Fehler je Feld (nur für bekannte Codes) als Meldungs-Deskriptor.
+ */
+export function checkCompatibility(li) {
+  const e = {};
+  const material = findByCode("material", li.materialCode);
+  if (!material) return e;
+  for (const field of ["surface", "heatTreatment"]) {
+    const entry = findByCode(field, li[`${field}Code`]);
+    if (entry && entry.groups && !entry.groups.includes(material.group)) {
+      e[field] = msg("validation.incompatible", {
+        treatment: { de: entry.label, en: entryLabel(entry, "en") },
+        group: msg(`materialGroups.${material.group}`),
+        material: material.code,
+      });
+    }
+  }
+  return e;
+}
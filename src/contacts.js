@@ -0,0 +1,279 @@
+import { COUNTRIES, CURRENCIES, EMPTY_FORM, INCOTERMS, SHIPPING_OPTIONS } from "./model.js";
+import { parseCSV, toCSV } from "./csv.js";
+import { msg } from "./messages.js";
+
+/**
+ * Adressbuch der Kunden – reine Funktionen, gespeichert wird über drafts.js
+ * (IndexedDB). Ein Eintrag je Firma mit Anschrift, Standardkonditionen und
+ * Ansprechpartnern:
+ *
+ * { id, company, street, postalCode, city, country, vatId,
+ *   incoterms, currency, shippingPreference,
+ *   contacts: [{ name, email, phone }] }
+ *
+ * Austausch als CSV (eine Zeile je Ansprechpartner) oder vCard 3.0.
+ */
+
+export const EMPTY_CUSTOMER = {
+  company: "",
+  street: "",
+  postalCode: "",
+  city: "",
+  country: "",
+  vatId: "",
+  incoterms: EMPTY_FORM.incoterms,
+  currency: EMPTY_FORM.currency,
+  shippingPreference: EMPTY_FORM.shippingPreference,
+  contacts: [],
+};
+
+export const EMPTY_CONTACT = { name: "", email: "", phone: "" };
+
+// Felder, die beim Auswählen einer Firma ins Formular übernommen werden
+const COMPANY_FIELDS = ["street", "postalCode", "city", "country", "vatId", "incoterms", "currency", "shippingPreference"];
+
+// CSV-Spalten: Beschriftung aus den Übersetzungen, Aliase für den Import
+export const CUSTOMER_CSV_FIELDS = [
+  { key: "company", label: "customer.company", aliases: ["firma", "company", "unternehmen", "organization", "org"] },
+  { key: "name", label: "customer.contact", aliases: ["ansprechpartner", "kontakt", "name", "contact", "contact person"] },
+  { key: "email", label: "customer.email", aliases: ["e mail", "email", "mail"] },
+  { key: "phone", label: "customer.phone", aliases: ["telefon", "phone", "tel"] },
+  { key: "street", label: "customer.street", aliases: ["straße", "strasse", "street", "anschrift"] },
+  { key: "postalCode", label: "customer.postalCode", aliases: ["plz", "postleitzahl", "postal code", "postcode", "zip"] },
+  { key: "city", label: "customer.city", aliases: ["ort", "stadt", "city"] },
+  { key: "country", label: "customer.country", aliases: ["land", "country"] },
+  { key: "vatId", label: "customer.vatId", aliases: ["ust idnr", "ustidnr", "ust id", "vat id", "vatid", "vat"] },
+  { key: "incoterms", label: "customer.incoterms", aliases: ["incoterms", "lieferbedingung"] },
+  { key: "currency", label: "customer.currency", aliases: ["währung", "waehrung", "currency"] },
+  { key: "shippingPreference", label: "customer.shipping", aliases: ["versand", "versandart", "shipping"] },
+];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function norm(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+export function validateCustomer(c) {
+  const e = {};
+  if (!String(c.company || "").trim()) e.company = msg("validation.company");
+  c.contacts.forEach((p, i) => {
+    if (p.email && !EMAIL_RE.test(p.email)) e[`contacts.${i}.email`] = msg("validation.email");
+  });
+  return e;
+}
+
+export function findCustomer(customers, company) {
+  const name = norm(company);
+  return name ? customers.find((c) => norm(c.company) === name) || null : null;
+}
+
+/** Ansprechpartner über E-Mail oder Name, bevorzugt innerhalb der Firma. */
+export function findContact(customers, { company, name, email }) {
+  const scope = findCustomer(customers, company);
+  const pool = scope ? [scope, ...customers.filter((c) => c !== scope)] : customers;
+  for (const customer of pool) {
+    const contact = customer.contacts.find((p) => (email ? norm(p.email) === norm(email) : name && norm(p.name) === norm(name)));
+    if (contact) return { customer, contact };
+  }
+  return null;
+}
+
+/**
+ * Firma aus dem Adressbuch ins Formular: Anschrift und Standardkonditionen;
+ * bei genau einem Ansprechpartner auch dessen Daten, sofern noch leer.
+ */
+export function applyCustomer(form, customer) {
+  const next = { ...form, company: customer.company };
+  for (const key of COMPANY_FIELDS) next[key] = customer[key] ?? EMPTY_CUSTOMER[key];
+  if (customer.contacts.length === 1 && !form.contact && !form.email) return applyContact(next, customer.contacts[0]);
+  return next;
+}
+
+export function applyContact(form, contact) {
+  return { ...form, contact: contact.name, email: contact.email, phone: contact.phone || form.phone };
+}
+
+/**
+ * Übernimmt Firma und Ansprechpartner aus dem Formular ins Adressbuch
+ * (z. B. nach dem Absenden). Liefert den neuen bzw. aktualisierten Eintrag.
+ */
+export function customerFromForm(customers, form) {
+  const existing = findCustomer(customers, form.company);
+  const customer = { ...EMPTY_CUSTOMER, ...existing, company: form.company.trim() };
+  for (const key of COMPANY_FIELDS) customer[key] = form[key];
+  const person = { name: form.contact.trim(), email: form.email.trim(), phone: form.phone.trim() };
+  if (person.name || person.email) customer.contacts = mergeContacts(customer.contacts, [person]);
+  return customer;
+}
+
+// Gleiche Person = gleiche E-Mail, ohne E-Mail gleicher Name; neuere Angaben gewinnen
+function mergeContacts(existing, incoming) {
+  const result = existing.map((c) => ({ ...c }));
+  for (const person of incoming) {
+    const same = result.find((c) => (person.email ? norm(c.email) === norm(person.email) : norm(c.name) === norm(person.name)));
+    if (same) Object.assign(same, Object.fromEntries(Object.entries(person).filter(([, v]) => v)));
+    else result.push({ ...EMPTY_CONTACT, ...person });
+  }
+  return result;
+}
+
+/**
+ * Führt importierte Einträge mit dem Adressbuch zusammen (Abgleich über den
+ * Firmennamen). Liefert nur neue oder geänderte Einträge zum Speichern.
+ */
+export function mergeCustomers(customers, imported) {
+  const changed = new Map();
+  for (const entry of imported) {
+    const key = norm(entry.company);
+    const base = changed.get(key) || findCustomer(customers, entry.company);
+    const merged = { ...EMPTY_CUSTOMER, ...base };
+    for (const [k, v] of Object.entries(entry)) {
+      if (k !== "contacts" && v) merged[k] = v;
+    }
+    merged.contacts = mergeContacts(base ? base.contacts : [], entry.contacts);
+    changed.set(key, merged);
+  }
+  return [...changed.values()];
+}
+
+/** Ländercode aus "DE", "Deutschland" oder "Germany"; unbekannt = "". */
+export function countryCode(value) {
+  const v = String(value || "").trim();
+  if (COUNTRIES.includes(v.toUpperCase())) return v.toUpperCase();
+  for (const lang of ["de", "en"]) {
+    const names = new Intl.DisplayNames([lang], { type: "region" });
+    const match = COUNTRIES.find((code) => norm(names.of(code)) === norm(v));
+    if (match) return match;
+  }
+  return "";
+}
+
+// Unbekannte Konditionen aus Fremddaten fallen auf den Standard zurück
+function cleanEntry(entry) {
+  return {
+    ...entry,
+    country: countryCode(entry.country),
+    incoterms: INCOTERMS.includes(entry.incoterms) ? entry.incoterms : "",
+    currency: CURRENCIES.includes(String(entry.currency || "").toUpperCase()) ? entry.currency.toUpperCase() : "",
+    shippingPreference: SHIPPING_OPTIONS.includes(entry.shippingPreference) ? entry.shippingPreference : "",
+  };
+}
+
+/** CSV-Export, eine Zeile je Ansprechpartner (Firmen ohne Ansprechpartner: eine Zeile). */
+export function customersToCSV(customers, t) {
+  const rows = customers.flatMap((c) => (c.contacts.length ? c.contacts : [EMPTY_CONTACT]).map((p) => ({ ...c, ...p })));
+  return toCSV([
+    CUSTOMER_CSV_FIELDS.map((f) => t(f.label)),
+    ...rows.map((row) => CUSTOMER_CSV_FIELDS.map((f) => row[f.key] ?? "")),
+  ]);
+}
+
+/** CSV-Import; Spalten werden über Beschriftung bzw. Aliase erkannt. */
+export function parseCustomersCSV(text, t) {
+  const [header = [], ...rows] = parseCSV(text);
+  const heading = (h) => norm(h).replace(/[\s_.-]+/g, " ");
+  const names = header.map(heading);
+  const columns = CUSTOMER_CSV_FIELDS.map((f) => ({
+    ...f,
+    index: names.findIndex((h) => h === heading(t(f.label)) || f.aliases.some((a) => h === a || h.replace(/ /g, "") === a)),
+  })).filter((f) => f.index >= 0);
+  if (!columns.some((f) => f.key === "company")) return [];
+  return rows
+    .map((row) => Object.fromEntries(columns.map((f) => [f.key, String(row[f.index] ?? "").trim()])))
+    .filter((r) => r.company)
+    .map(({ name = "", email = "", phone = "", ...company }) => ({
+      ...cleanEntry(company),
+      contacts: name || email ? [{ name, email, phone }] : [],
+    }));
+}
+
+// vCard: \ , ; und Zeilenumbrüche maskieren, Zeilen nach 75 Zeichen falten
+function vEscape(s) {
+  return String(s || "").replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/([,;])/g, "\\$1");
+}
+
+function vUnescape(s) {
+  return s.replace(/\\([\\,;nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+function fold(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) parts.push(line.slice(i, i + 74));
+  return parts.join("\r\n ");
+}
+
+/** vCard 3.0, eine Karte je Ansprechpartner; Konditionen als X-RFQ-Felder. */
+export function customersToVCard(customers) {
+  const cards = customers.flatMap((c) =>
+    (c.contacts.length ? c.contacts : [EMPTY_CONTACT]).map((p) => {
+      const [first, ...rest] = p.name.trim().split(/\s+/).reverse();
+      const lines = [
+        "BEGIN:VCARD",
+        "VERSION:3.0",
+        `FN:${vEscape(p.name || c.company)}`,
+        `N:${p.name ? `${vEscape(first)};${vEscape(rest.reverse().join(" "))}` : ";"};;;`,
+        `ORG:${vEscape(c.company)}`,
+        p.email && `EMAIL;TYPE=INTERNET,WORK:${vEscape(p.email)}`,
+        p.phone && `TEL;TYPE=WORK,VOICE:${vEscape(p.phone)}`,
+        (c.street || c.city) && `ADR;TYPE=WORK:;;${vEscape(c.street)};${vEscape(c.city)};;${vEscape(c.postalCode)};${vEscape(c.country)}`,
+        c.vatId && `X-RFQ-VATID:${vEscape(c.vatId)}`,
+        `X-RFQ-INCOTERMS:${c.incoterms}`,
+        `X-RFQ-CURRENCY:${c.currency}`,
+        `X-RFQ-SHIPPING:${vEscape(c.shippingPreference)}`,
+        "END:VCARD",
+      ];
+      return lines.filter(Boolean).map(fold).join("\r\n");
+    })
+  );
+  return cards.join("\r\n") + "\r\n";
+}
+
+// Werte an ; trennen, maskierte \; dabei nicht
+function splitComponents(value) {
+  return value.split(/(?<!\\);/).map(vUnescape);
+}
+
+/** vCard 2.1–4.0 lesen; Karten ohne Firma (ORG) werden übersprungen. */
+export function parseVCard(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const entries = [];
+  let card = null;
+  for (const line of lines) {
+    const colon = line.indexOf(":");
+    if (colon < 0) continue;
+    // Gruppenpräfix ("item1.EMAIL") und Parameter abtrennen
+    const name = line.slice(0, colon).split(";")[0].split(".").pop().toUpperCase();
+    const value = line.slice(colon + 1);
+    if (name === "BEGIN") card = { contact: { ...EMPTY_CONTACT }, company: {} };
+    else if (!card) continue;
+    else if (name === "END") {
+      if (card.company.company) {
+        const { contact } = card;
+        entries.push({ ...cleanEntry(card.company), contacts: contact.name || contact.email ? [contact] : [] });
+      }
+      card = null;
+    } else if (name === "FN") card.contact.name = vUnescape(value);
+    else if (name === "ORG") card.company.company = splitComponents(value)[0];
+    else if (name === "EMAIL" && !card.contact.email) card.contact.email = vUnescape(value);
+    else if (name === "TEL" && !card.contact.phone) card.contact.phone = vUnescape(value).replace(/^tel:/, "");
+    else if (name === "ADR" && !card.company.street) {
+      const [, , street = "", city = "", , postalCode = "", country = ""] = splitComponents(value);
+      Object.assign(card.company, { street, city, postalCode, country });
+    } else if (name === "X-RFQ-VATID") card.company.vatId = vUnescape(value);
+    else if (name === "X-RFQ-INCOTERMS") card.company.incoterms = vUnescape(value);
+    else if (name === "X-RFQ-CURRENCY") card.company.currency = vUnescape(value);
+    else if (name === "X-RFQ-SHIPPING") card.company.shippingPreference = vUnescape(value);
+  }
+  // FN ohne Person ist bei Firmenkarten der Firmenname
+  return entries.map((e) => ({
+    ...e,
+    contacts: e.contacts.filter((p) => p.email || norm(p.name) !== norm(e.company)),
+  }));
+}
+
+/** Liest eine hochgeladene .vcf- oder .csv-Datei. */
+export async function readCustomerFile(file, t) {
+  const text = await file.text();
+  return /\.vcf$/i.test(file.name) || /^BEGIN:VCARD/im.test(text) ? parseVCard(text) : parseCustomersCSV(text, t);
+}
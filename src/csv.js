@@ -0,0 +1,60 @@
+/**
+ * CSV lesen/schreiben (RFC 4180, Trennzeichen ; , oder Tab).
+ * Excel mit deutschem Gebietsschema exportiert mit Semikolon, daher ist das
+ * auch der Standard beim Schreiben.
+ */
+
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const counts = [";", ",", "\t"].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ";";
+}
+
+/** Zerlegt CSV-Text in ein Array von Zeilen (Arrays von Strings). */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows
+    .filter((r) => r.some((c) => c.trim() !== ""))
+    .map((r) => r.map((c) => (c.startsWith("'") && FORMULA_RE.test(c.slice(1)) ? c.slice(1) : c)));
+}
+
+// Zellen mit diesem Anfang hält Excel für Formeln (CSV-Injection)
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+/**
+ * Baut CSV-Text aus Zeilen; mit BOM, damit Excel UTF-8 erkennt. Texte, die
+ * wie eine Formel beginnen ("=…", "+49…"), bekommen ein ' davor; parseCSV()
+ * entfernt es wieder.
+ */
+export function toCSV(rows, delimiter = ";") {
+  const escape = (v) => {
+    const s = v == null ? "" : typeof v === "string" && FORMULA_RE.test(v) ? `'${v}` : String(v);
+    return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return "\uFEFF" + rows.map((r) => r.map(escape).join(delimiter)).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,61 @@
+/**
+ * Zeilen des Dashboards: versendete Anfragen vom Server (GET /api/rfq) plus
+ * lokale Entwürfe und wartende Übermittlungen aus IndexedDB (drafts.js).
+ * Versendete lokale Datensätze werden der Serverzeile zugeordnet, damit sie
+ * sich von dort öffnen lassen. Lokale Datensätze gehören immer dem
+ * angemeldeten Benutzer (eigene Datenbank je Benutzer, siehe drafts.js).
+ *
+ * Zeile: { key, rfqNumber, revision, status, company, deliveryDate,
+ *   partNames, submittedBy, updatedAt, queued, record }
+ */
+
+export const EMPTY_FILTERS = { status: "", customer: "", deliveryFrom: "", deliveryTo: "", search: "" };
+
+export function dashboardRows(serverRfqs, localRecords, user) {
+  const byNumber = new Map(localRecords.filter((r) => r.status === "submitted").map((r) => [r.rfqNumber, r]));
+  const local = localRecords
+    .filter((r) => r.status !== "submitted")
+    .map((r) => ({
+      key: r.id,
+      rfqNumber: r.revisionOf ? r.revisionOf.rfqNumber : "",
+      revision: "",
+      status: "draft",
+      company: r.form.company,
+      deliveryDate: r.form.deliveryDate,
+      partNames: r.form.lineItems.map((li) => li.partName).filter(Boolean),
+      submittedBy: user ? user.username : "",
+      updatedAt: r.updatedAt,
+      queued: r.status === "queued",
+      record: r,
+    }));
+  const submitted = serverRfqs.map((rfq) => ({
+    ...rfq,
+    key: rfq.rfqNumber,
+    queued: false,
+    record: byNumber.get(rfq.rfqNumber) || null,
+  }));
+  return [...local, ...submitted].sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/** Filter: Status, Kunde (exakt), Liefertermin von/bis (ISO-Datum), Teilename (Teilstring). */
+export function filterRows(rows, { status, customer, deliveryFrom, deliveryTo, search }) {
+  const needle = search.trim().toLocaleLowerCase();
+  return rows.filter(
+    (row) =>
+      (!status || row.status === status) &&
+      (!customer || row.company === customer) &&
+      (!deliveryFrom || (row.deliveryDate && row.deliveryDate >= deliveryFrom)) &&
+      (!deliveryTo || (row.deliveryDate && row.deliveryDate <= deliveryTo)) &&
+      (!needle || row.partNames.some((name) => name.toLocaleLowerCase().includes(needle)))
+  );
+}
+
+/** Kunden für die Filterauswahl, alphabetisch. */
+export function customerOptions(rows) {
+  return [...new Set(rows.map((row) => row.company).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+/** Anzahl je Status für die Kopfzeile. */
+export function statusCounts(rows) {
+  return rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+}
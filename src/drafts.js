@@ -0,0 +1,354 @@
+import { getSession } from "./api.js";
+import { localizedError } from "./messages.js";
+import { FORM_VERSION, migrateForm } from "./model.js";
+import { DEFAULT_RATES } from "./quotes.js";
+import { coerceRates } from "./estimator.js";
+import { FIRST_REVISION } from "./revisions.js";
+
+/**
+ * Lokale RFQ-Bibliothek in IndexedDB. Formulare werden inklusive der
+ * File-Objekte gespeichert (structured clone), CAD-Dateien überleben also
+ * das Schließen des Tabs.
+ *
+ * Datensatz: { id, status: "draft" | "queued" | "submitted", createdAt, updatedAt,
+ *              rfqNumber, submittedAt, version, form, dispatches, award,
+ *              revision, history, revisionOf }
+ * Versendete Anfragen: revision ("A", "B" …) und history (frühere Stände,
+ * siehe revisions.js). Entwürfe einer neuen Revision verweisen per
+ * revisionOf: { id, rfqNumber, revision } auf die versendete Anfrage.
+ *
+ * "queued": im Postausgang (outbox.js), wird bei Verbindung übermittelt.
+ *
+ * Im selben Datenbestand liegen das Kundenadressbuch (contacts.js), der
+ * Postausgang und Lieferanten aus der Zeit vor dem Verzeichnis auf dem Server.
+ *
+ * Jeder Benutzer hat eine eigene Datenbank ("rfq-app:<Benutzername>", aus
+ * der Sitzung in api.js); ohne Anmeldung schlägt jeder Zugriff fehl. Die
+ * Datenbank aus der Zeit vor der Anmeldung ("rfq-app") übernimmt der erste
+ * Benutzer, der sich in diesem Browser anmeldet.
+ */
+
+const DB_NAME = "rfq-app";
+const STORE = "rfqs";
+const SUPPLIERS = "suppliers";
+const CUSTOMERS = "customers";
+const OUTBOX = "outbox";
+const ACTIVE_KEY = "rfq.activeDraft";
+const RATES_KEY = "rfq.exchangeRates";
+const ESTIMATOR_KEY = "rfq.estimatorRates";
+
+const LEGACY_CLAIMED_KEY = "rfq.legacyClaimedBy";
+
+// Geöffnete Datenbanken je Benutzer
+const databases = new Map();
+
+/** Angemeldeter Benutzer, dem die lokalen Daten gehören; null ohne Anmeldung. */
+export function currentOwner() {
+  const session = getSession();
+  return session && session.user ? session.user.username : null;
+}
+
+function openDB() {
+  const owner = currentOwner();
+  if (!owner) return Promise.reject(localizedError("auth.required"));
+  if (!databases.has(owner)) {
+    const opened = openDatabase(`${DB_NAME}:${owner}`).then(async (db) => {
+      try {
+        await claimLegacyData(db, owner);
+      } catch (err) {
+        db.close();
+        throw err;
+      }
+      return db;
+    });
+    // Fehlgeschlagenes Öffnen beim nächsten Zugriff erneut versuchen
+    opened.catch(() => databases.delete(owner));
+    databases.set(owner, opened);
+  }
+  return databases.get(owner);
+}
+
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, 4);
+    req.onupgradeneeded = ({ oldVersion }) => {
+      if (oldVersion < 1) {
+        const store = req.result.createObjectStore(STORE, { keyPath: "id" });
+        store.createIndex("updatedAt", "updatedAt");
+      }
+      if (oldVersion < 2) req.result.createObjectStore(SUPPLIERS, { keyPath: "id" });
+      if (oldVersion < 3) req.result.createObjectStore(CUSTOMERS, { keyPath: "id" });
+      if (oldVersion < 4) req.result.createObjectStore(OUTBOX, { keyPath: "id" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Übernimmt einmalig die Daten aus der Zeit vor der Anmeldung und löscht sie dort;
+// als übernommen gilt sie erst nach dem Kopieren, sonst beim nächsten Öffnen erneut
+async function claimLegacyData(db, owner) {
+  if (localStorage.getItem(LEGACY_CLAIMED_KEY)) return;
+  const legacy = await openDatabase(DB_NAME);
+  const stores = [STORE, SUPPLIERS, CUSTOMERS, OUTBOX];
+  const records = await Promise.all(stores.map((name) => request(legacy.transaction(name).objectStore(name).getAll())));
+  legacy.close();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, "readwrite");
+    stores.forEach((name, i) => records[i].forEach((record) => tx.objectStore(name).put(record)));
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  localStorage.setItem(LEGACY_CLAIMED_KEY, owner);
+  indexedDB.deleteDatabase(DB_NAME);
+  const active = localStorage.getItem(ACTIVE_KEY);
+  if (active) {
+    localStorage.setItem(`${ACTIVE_KEY}:${owner}`, active);
+    localStorage.removeItem(ACTIVE_KEY);
+  }
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function run(mode, fn, storeName = STORE) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req && req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export function createId() {
+  return crypto.randomUUID();
+}
+
+function revive(record) {
+  return record && {
+    ...record,
+    form: migrateForm(record.form, record.version || 1),
+    version: FORM_VERSION,
+    dispatches: record.dispatches || [],
+    award: record.award || null,
+    revision: record.status === "submitted" ? record.revision || FIRST_REVISION : null,
+    history: (record.history || []).map((h) => ({ ...h, form: migrateForm(h.form, h.version || 1), version: FORM_VERSION })),
+    revisionOf: record.revisionOf || null,
+  };
+}
+
+/** Alle gespeicherten RFQs, neueste zuerst. */
+export async function listRFQs() {
+  const all = await run("readonly", (s) => s.getAll());
+  return all.map(revive).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function getRFQ(id) {
+  return revive(await run("readonly", (s) => s.get(id)));
+}
+
+/** Legt an oder aktualisiert (per id); Metadaten werden ergänzt. */
+export async function saveRFQ({ id, status = "draft", form, rfqNumber = null, submittedAt = null, dispatches, revisionOf = null }) {
+  const existing = await run("readonly", (s) => s.get(id));
+  const now = new Date().toISOString();
+  const record = {
+    id,
+    status,
+    form,
+    rfqNumber,
+    submittedAt,
+    dispatches: dispatches || existing?.dispatches || [],
+    award: existing?.award || null,
+    revision: status === "submitted" ? FIRST_REVISION : null,
+    history: [],
+    revisionOf,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    version: FORM_VERSION,
+  };
+  await run("readwrite", (s) => s.put(record));
+  return record;
+}
+
+export function deleteRFQ(id) {
+  return run("readwrite", (s) => s.delete(id));
+}
+
+// Ändert einzelne Felder einer gespeicherten RFQ, Formular und Status bleiben unverändert
+async function patchRFQ(id, changes) {
+  const existing = await run("readonly", (s) => s.get(id));
+  if (!existing) return null;
+  const record = { ...existing, ...changes, updatedAt: new Date().toISOString() };
+  await run("readwrite", (s) => s.put(record));
+  return revive(record);
+}
+
+/**
+ * Neuer Stand einer versendeten Anfrage: der bisherige wandert in history,
+ * Versand und Angebote bleiben an der Anfrage.
+ */
+export async function saveRevision(id, { form, revision, submittedAt }) {
+  const existing = await getRFQ(id);
+  if (!existing) return null;
+  const previous = { revision: existing.revision, submittedAt: existing.submittedAt, version: existing.version, form: existing.form };
+  return patchRFQ(id, { form, revision, submittedAt, version: FORM_VERSION, history: [...existing.history, previous] });
+}
+
+/**
+ * Vermerkt eine vom Server angenommene Übermittlung: neue Anfrage unter der
+ * id des Entwurfs bzw. neuer Stand der ursprünglichen Anfrage (Revision).
+ */
+export async function recordSubmission({ id, form, revisionOf }, { rfqNumber, revision, receivedAt }) {
+  if (!revisionOf) return saveRFQ({ id, status: "submitted", form, rfqNumber, submittedAt: receivedAt });
+  const rec = await saveRevision(revisionOf.id, { form, revision, submittedAt: receivedAt });
+  if (id) await deleteRFQ(id);
+  return rec;
+}
+
+/**
+ * Übernimmt eine nur auf dem Server vorhandene Anfrage (z. B. aus einem
+ * anderen Browser eingereicht) als versendeten Datensatz.
+ * revisions: [{ revision, submittedAt, form }], ältester Stand zuerst.
+ */
+export async function saveServerRFQ(rfqNumber, revisions) {
+  const now = new Date().toISOString();
+  const current = revisions.at(-1);
+  const record = {
+    id: createId(),
+    status: "submitted",
+    form: current.form,
+    rfqNumber,
+    submittedAt: current.submittedAt,
+    dispatches: [],
+    award: null,
+    revision: current.revision,
+    history: revisions.slice(0, -1).map((r) => ({ ...r, version: FORM_VERSION })),
+    revisionOf: null,
+    createdAt: now,
+    updatedAt: now,
+    version: FORM_VERSION,
+  };
+  await run("readwrite", (s) => s.put(record));
+  return revive(record);
+}
+
+/** Versandstatus und Angebote je Lieferant (suppliers.js, quotes.js). */
+export function saveDispatches(id, dispatches) {
+  return patchRFQ(id, { dispatches });
+}
+
+/** Vergabeentscheidung aus dem Angebotsvergleich. */
+export function saveAward(id, award) {
+  return patchRFQ(id, { award });
+}
+
+/**
+ * Lieferanten aus der Zeit, als das Verzeichnis lokal lag; das Verzeichnis
+ * führt inzwischen der Server (api.js listSuppliers). Nur noch zur Übernahme.
+ */
+export async function listLocalSuppliers() {
+  const all = await run("readonly", (s) => s.getAll(), SUPPLIERS);
+  return all.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function deleteLocalSupplier(id) {
+  return run("readwrite", (s) => s.delete(id), SUPPLIERS);
+}
+
+/** Kundenadressbuch, alphabetisch nach Firma. */
+export async function listCustomers() {
+  const all = await run("readonly", (s) => s.getAll(), CUSTOMERS);
+  return all.sort((a, b) => a.company.localeCompare(b.company));
+}
+
+export async function saveCustomer(customer) {
+  const record = { ...customer, id: customer.id || createId() };
+  await run("readwrite", (s) => s.put(record), CUSTOMERS);
+  return record;
+}
+
+export function deleteCustomer(id) {
+  return run("readwrite", (s) => s.delete(id), CUSTOMERS);
+}
+
+/** Postausgang, älteste Einträge zuerst (siehe outbox.js). */
+export async function listOutbox() {
+  const all = await run("readonly", (s) => s.getAll(), OUTBOX);
+  return all.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+export async function saveOutboxEntry(entry) {
+  await run("readwrite", (s) => s.put(entry), OUTBOX);
+  return entry;
+}
+
+export function deleteOutboxEntry(id) {
+  return run("readwrite", (s) => s.delete(id), OUTBOX);
+}
+
+/** Zuletzt bearbeiteter Entwurf des Benutzers, damit er nach einem Neuladen wieder geöffnet wird. */
+export function getActiveDraftId() {
+  const owner = currentOwner();
+  return owner && localStorage.getItem(`${ACTIVE_KEY}:${owner}`);
+}
+
+export function setActiveDraftId(id) {
+  const owner = currentOwner();
+  if (!owner) return;
+  if (id) localStorage.setItem(`${ACTIVE_KEY}:${owner}`, id);
+  else localStorage.removeItem(`${ACTIVE_KEY}:${owner}`);
+}
+
+/**
+ * localStorage-Schlüssel des angemeldeten Benutzers (null ohne Anmeldung).
+ * Einen Wert aus der Zeit, als er für alle Benutzer galt, übernimmt der
+ * erste Benutzer, der ihn liest.
+ */
+function ownKey(base) {
+  const owner = currentOwner();
+  if (!owner) return null;
+  const key = `${base}:${owner}`;
+  const shared = localStorage.getItem(base);
+  if (shared !== null) {
+    if (localStorage.getItem(key) === null) localStorage.setItem(key, shared);
+    localStorage.removeItem(base);
+  }
+  return key;
+}
+
+/** Lokal gepflegte Wechselkurse (Einheiten je 1 EUR) des angemeldeten Benutzers. */
+export function getExchangeRates() {
+  const key = ownKey(RATES_KEY);
+  try {
+    return { ...DEFAULT_RATES, ...JSON.parse((key && localStorage.getItem(key)) || "{}") };
+  } catch {
+    return { ...DEFAULT_RATES };
+  }
+}
+
+export function saveExchangeRates(rates) {
+  const key = ownKey(RATES_KEY);
+  if (key) localStorage.setItem(key, JSON.stringify(rates));
+}
+
+/** Sätze der Vorkalkulation des angemeldeten Benutzers; fehlende oder ungültige Werte aus den Standards. */
+export function getEstimatorRates() {
+  const key = ownKey(ESTIMATOR_KEY);
+  try {
+    return coerceRates(JSON.parse((key && localStorage.getItem(key)) || "{}")).rates;
+  } catch {
+    return coerceRates({}).rates;
+  }
+}
+
+export function saveEstimatorRates(rates) {
+  const key = ownKey(ESTIMATOR_KEY);
+  if (!key) return;
+  if (rates) localStorage.setItem(key, JSON.stringify(rates));
+  else localStorage.removeItem(key);
+}
@@ -0,0 +1,100 @@
+// @vitest-environment jsdom
+import "fake-indexeddb/auto";
+import { describe, expect, it, vi } from "vitest";
+import { setSession } from "./api.js";
+import {
+  getActiveDraftId,
+  getEstimatorRates,
+  getExchangeRates,
+  listOutbox,
+  listRFQs,
+  saveEstimatorRates,
+  saveExchangeRates,
+  saveRFQ,
+  setActiveDraftId,
+} from "./drafts.js";
+import { EMPTY_FORM } from "./model.js";
+import { queueSubmission } from "./outbox.js";
+
+const login = (username) => setSession({ token: "t", user: { username, name: username, role: "requester" } });
+
+// Datenbank wie vor der Anmeldung: "rfq-app" mit einem Entwurf
+function createLegacyDatabase() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open("rfq-app", 4);
+    req.onupgradeneeded = () => {
+      for (const name of ["rfqs", "suppliers", "customers", "outbox"]) req.result.createObjectStore(name, { keyPath: "id" });
+    };
+    req.onsuccess = () => {
+      const tx = req.result.transaction("rfqs", "readwrite");
+      tx.objectStore("rfqs").put({ id: "alt", status: "draft", form: { ...EMPTY_FORM, company: "Alt GmbH" }, updatedAt: "2026-01-01", version: 8 });
+      tx.oncomplete = () => {
+        req.result.close();
+        resolve();
+      };
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+describe("lokale Daten je Benutzer", () => {
+  it("verweigert den Zugriff ohne Anmeldung", async () => {
+    setSession(null);
+    await expect(listRFQs()).rejects.toMatchObject({ key: "auth.required" });
+    expect(getActiveDraftId()).toBe(null);
+  });
+
+  it("übergibt die Daten von vor der Anmeldung dem ersten Benutzer", async () => {
+    await createLegacyDatabase();
+    localStorage.setItem("rfq.activeDraft", "alt");
+    login("anna");
+    // Scheitert das Kopieren, bleibt die Übernahme offen und läuft beim nächsten Zugriff erneut
+    const put = vi.spyOn(IDBObjectStore.prototype, "put").mockImplementationOnce(() => {
+      throw new DOMException("Speicher voll", "QuotaExceededError");
+    });
+    await expect(listRFQs()).rejects.toThrow("Speicher voll");
+    put.mockRestore();
+    expect(localStorage.getItem("rfq.legacyClaimedBy")).toBe(null);
+    expect((await listRFQs()).map((r) => r.form.company)).toEqual(["Alt GmbH"]);
+    expect(localStorage.getItem("rfq.legacyClaimedBy")).toBe("anna");
+    expect(getActiveDraftId()).toBe("alt");
+    login("bernd");
+    expect(await listRFQs()).toEqual([]);
+    expect(getActiveDraftId()).toBe(null);
+  });
+
+  it("trennt Entwürfe und zuletzt geöffneten Entwurf", async () => {
+    login("bernd");
+    await saveRFQ({ id: "b1", form: { ...EMPTY_FORM, company: "Bernd KG" } });
+    setActiveDraftId("b1");
+    login("anna");
+    expect((await listRFQs()).map((r) => r.id)).toEqual(["alt"]);
+    expect(getActiveDraftId()).toBe("alt");
+    login("bernd");
+    expect((await listRFQs()).map((r) => r.id)).toEqual(["b1"]);
+    expect(getActiveDraftId()).toBe("b1");
+  });
+
+  it("vermerkt im Postausgang, wer die Anfrage gestellt hat", async () => {
+    login("anna");
+    await queueSubmission({ id: "outbox-anna-1", record: { id: "alt", form: EMPTY_FORM }, payload: {}, error: new Error("offline") });
+    expect((await listOutbox()).map((e) => e.user)).toEqual(["anna"]);
+    login("bernd");
+    expect(await listOutbox()).toEqual([]);
+  });
+
+  it("trennt Wechselkurse und Kalkulationssätze", async () => {
+    localStorage.setItem("rfq.exchangeRates", JSON.stringify({ USD: 1.5 }));
+    login("anna");
+    expect(getExchangeRates().USD).toBe(1.5);
+    expect(localStorage.getItem("rfq.exchangeRates")).toBe(null);
+    saveEstimatorRates({ ...getEstimatorRates(), hourlyRate: 123 });
+    login("bernd");
+    expect(getExchangeRates().USD).not.toBe(1.5);
+    expect(getEstimatorRates().hourlyRate).not.toBe(123);
+    saveExchangeRates({ USD: 2 });
+    login("anna");
+    expect(getExchangeRates().USD).toBe(1.5);
+    expect(getEstimatorRates().hourlyRate).toBe(123);
+  });
+});
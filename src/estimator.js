@@ -0,0 +1,220 @@
+import { HEAT_TREATMENTS, MATERIALS, SURFACES, findByCode, parseDecimal } from "./catalog.js";
+import { CURRENCIES, lineItemQuantities } from "./model.js";
+import { convert } from "./quotes.js";
+import { localizedError, msg } from "./messages.js";
+
+/**
+ * Grobe Vorkalkulation je Position zur Plausibilisierung vor dem Versand –
+ * reine Funktionen, die Sätze speichert drafts.js lokal.
+ *
+ * Preis je Teil = Material (Rohteilmasse × €/kg) + Bearbeitung (Grundzeit +
+ * Zerspanvolumen × Min./cm³ × Zerspanbarkeit × Toleranzfaktor) + Rüsten je
+ * Los + Oberfläche/Wärmebehandlung (€/kg, mindestens die Mindestpauschale
+ * je Los). Die Spanne ist ± spread um diesen Wert; gerechnet wird in
+ * rates.currency und erst am Ende in die RFQ-Währung umgerechnet.
+ */
+
+// €/kg Halbzeug, Richtwerte
+const MATERIAL_PRICES = {
+  "1.0038": 1.1, "1.0570": 1.3, "1.0503": 1.6, "1.7131": 2.2, "1.7225": 2.4, "1.2379": 7.5,
+  "1.4301": 4.2, "1.4307": 4.5, "1.4305": 4.8, "1.4404": 6,
+  "3.3547": 5, "3.2315": 4.5, "3.1325": 6.5, "3.4365": 8.5, "EN AC-43000": 4,
+  CW004A: 10.5, CW614N: 7, "3.7165": 35, "POM-C": 7.5, PA6: 6.5, PEEK: 95,
+};
+
+// [€/kg, Mindestpauschale je Los, Arbeitstage]
+const SURFACE_RATES = {
+  none: [0, 0, 0], anodize: [6, 90, 5], "hard-anodize": [10, 150, 7], chromate: [4, 70, 4], zinc: [2.5, 80, 5],
+  "hot-dip-zinc": [1.2, 120, 7], "black-oxide": [3, 60, 4], nickel: [12, 150, 7], passivate: [3, 80, 4],
+  electropolish: [8, 120, 6], powder: [5, 100, 6], "bead-blast": [2, 50, 2], grind: [8, 60, 3], polish: [10, 80, 3],
+};
+const HEAT_TREATMENT_RATES = {
+  none: [0, 0, 0], "harden-temper": [2, 90, 5], "quench-temper": [1.8, 90, 5], "case-harden": [3, 120, 7],
+  induction: [4, 150, 6], nitride: [4, 150, 8], "stress-relief": [1, 70, 4], "solution-age": [2.5, 90, 5], anneal: [1, 70, 4],
+};
+
+const treatment = ([perKg, minimum, days]) => ({ perKg, minimum, days });
+
+export const DEFAULT_ESTIMATOR_RATES = {
+  currency: "EUR",
+  // ± Anteil um den Schätzwert
+  spread: 0.25,
+  hourlyRate: 75,
+  setupHours: 1.5,
+  baseMinutes: 5,
+  // Bearbeitungszeit je cm³ Zerspanvolumen bei Zerspanbarkeit 1 (Baustahl)
+  minutesPerCm3: 0.15,
+  // Rohteil = Teilvolumen × Zuschlag (bzw. umgekehrt), wenn nur eines bekannt ist
+  stockAllowance: 1.4,
+  hoursPerDay: 16,
+  materials: Object.fromEntries(MATERIALS.map((m) => [m.code, { pricePerKg: MATERIAL_PRICES[m.code] ?? 0, density: m.density }])),
+  // Zerspanbarkeit relativ zu Baustahl, Beschaffungszeit Material in Arbeitstagen
+  groups: {
+    steel: { machinability: 1, leadDays: 3 },
+    stainless: { machinability: 1.6, leadDays: 5 },
+    aluminium: { machinability: 0.5, leadDays: 3 },
+    copper: { machinability: 0.7, leadDays: 5 },
+    titanium: { machinability: 2.5, leadDays: 10 },
+    plastic: { machinability: 0.4, leadDays: 4 },
+  },
+  // Faktor auf die Bearbeitungszeit; Passungen (H7, h6 …) über ihren IT-Grad
+  tolerances: {
+    "ISO2768-v": 0.9, "ISO2768-c": 0.95, "ISO2768-m": 1, "ISO2768-f": 1.15,
+    IT11: 1, IT10: 1.05, IT9: 1.1, IT8: 1.2, IT7: 1.35, IT6: 1.6, IT5: 2,
+  },
+  surfaces: Object.fromEntries(SURFACES.map((s) => [s.code, treatment(SURFACE_RATES[s.code] || [0, 0, 0])])),
+  heatTreatments: Object.fromEntries(HEAT_TREATMENTS.map((h) => [h.code, treatment(HEAT_TREATMENT_RATES[h.code] || [0, 0, 0])])),
+};
+
+function readNumber(value, fallback, path, invalid) {
+  if (value === undefined || value === null) return fallback;
+  const n = typeof value === "number" ? value : parseDecimal(value);
+  if (n === null || !Number.isFinite(n) || n < 0) {
+    invalid.push(path);
+    return fallback;
+  }
+  return n;
+}
+
+function coerce(defaults, value, path, invalid) {
+  if (typeof defaults === "number") return readNumber(value, defaults, path, invalid);
+  const source = value && typeof value === "object" ? value : {};
+  return Object.fromEntries(
+    Object.entries(defaults).map(([k, d]) => [k, coerce(d, source[k], path ? `${path} › ${k}` : k, invalid)])
+  );
+}
+
+/**
+ * Sätze aus Editor, Speicher oder JSON-Datei auf die Struktur der
+ * Standardsätze bringen: Zahlen auch als Text ("1,5"), fehlende Werte aus
+ * den Standards, unbekannte Schlüssel entfallen. invalid: Pfade ungültiger
+ * Werte (negativ oder keine Zahl), dort bleibt der Standardwert.
+ */
+export function coerceRates(value) {
+  const invalid = [];
+  const { currency, ...numbers } = DEFAULT_ESTIMATOR_RATES;
+  const rates = coerce(numbers, value, "", invalid);
+  const given = value && value.currency;
+  if (given && !CURRENCIES.includes(given)) invalid.push("currency");
+  return { rates: { currency: CURRENCIES.includes(given) ? given : currency, ...rates }, invalid };
+}
+
+export function ratesToJSON(rates) {
+  return JSON.stringify({ app: "ManufacturingRFQApp", kind: "estimatorRates", ...rates }, null, 2);
+}
+
+/** Sätze aus einer exportierten JSON-Datei; wirft bei ungültigen Werten. */
+export function parseRatesJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw localizedError("estimator.invalidFile");
+  }
+  if (!data || typeof data !== "object" || (data.kind && data.kind !== "estimatorRates")) {
+    throw localizedError("estimator.invalidFile");
+  }
+  const { rates, invalid } = coerceRates(data);
+  if (invalid.length) throw localizedError("estimator.invalidValues", { fields: invalid.join(", ") });
+  return rates;
+}
+
+/**
+ * Rohteilmaße in cm³: "120 x 60 x 25" (Quader, mm) oder "Ø40 x 100"
+ * (Rundmaterial, Durchmesser × Länge). Leer → null, unlesbar → NaN.
+ */
+export function parseStockSize(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  const round = /^(?:Ø|ø|D|d)\s*/.test(s);
+  const parts = s.replace(/^(?:Ø|ø|D|d)\s*/, "").replace(/\s*mm$/i, "").split(/\s*[x×*]\s*/i).map(parseDecimal);
+  if (parts.some((n) => !(n > 0))) return NaN;
+  if (round && parts.length === 2) return (Math.PI * (parts[0] / 2) ** 2 * parts[1]) / 1000;
+  if (!round && parts.length === 3) return (parts[0] * parts[1] * parts[2]) / 1000;
+  return NaN;
+}
+
+function toleranceFactor(li, rates) {
+  const code = li.toleranceCode || "ISO2768-m";
+  if (rates.tolerances[code] != null) return rates.tolerances[code];
+  const grade = /(\d+)$/.exec(code);
+  return (grade && rates.tolerances[`IT${grade[1]}`]) ?? 1;
+}
+
+// Los-Zuschlag für Oberfläche bzw. Wärmebehandlung je Teil
+function treatmentPerPart(rate, massKg, qty) {
+  if (!rate || !rate.perKg) return 0;
+  return Math.max(rate.minimum, rate.perKg * massKg * qty) / qty;
+}
+
+/**
+ * Schätzung einer Position in der RFQ-Währung:
+ * { quantities: [{ qty, unit, min, max }], massKg, leadTime: { min, max } }
+ * oder { error: Meldung }, wenn Material, Maße oder Wechselkurs fehlen.
+ */
+export function estimateLineItem(li, rates, { currency = rates.currency, exchangeRates = {} } = {}) {
+  const material = findByCode("material", li.materialCode);
+  const materialRate = material && rates.materials[material.code];
+  if (!materialRate || !materialRate.pricePerKg) return { error: msg("estimator.noMaterial") };
+
+  const partVolume = parseDecimal(li.partVolume);
+  const stockVolume = parseStockSize(li.stockSize);
+  if (Number.isNaN(partVolume) || Number.isNaN(stockVolume)) return { error: msg("estimator.invalidSize") };
+  if (!partVolume && !stockVolume) return { error: msg("estimator.noSize") };
+  const stock = stockVolume || partVolume * rates.stockAllowance;
+  const part = Math.min(partVolume || stock / rates.stockAllowance, stock);
+
+  const quantities = lineItemQuantities(li);
+  if (!quantities.length) return { error: msg("estimator.noQuantity") };
+  const rate = convert(1, rates.currency, currency, exchangeRates);
+  if (rate == null) return { error: msg("estimator.noExchangeRate", { currency }) };
+
+  const group = rates.groups[material.group] || { machinability: 1, leadDays: 0 };
+  const stockKg = (stock * materialRate.density) / 1000;
+  const partKg = (part * materialRate.density) / 1000;
+  const minutes = (rates.baseMinutes + (stock - part) * rates.minutesPerCm3 * group.machinability) * toleranceFactor(li, rates);
+  const surface = rates.surfaces[li.surfaceCode];
+  const heat = rates.heatTreatments[li.heatTreatmentCode];
+
+  const rows = quantities.map((qty) => {
+    const unit =
+      stockKg * materialRate.pricePerKg +
+      (minutes / 60) * rates.hourlyRate +
+      (rates.setupHours * rates.hourlyRate) / qty +
+      treatmentPerPart(surface, partKg, qty) +
+      treatmentPerPart(heat, partKg, qty);
+    return { qty, unit: unit * rate, min: unit * rate * (1 - rates.spread), max: unit * rate * (1 + rates.spread) };
+  });
+
+  // Lieferzeit zur Grundmenge: Material, Maschinenzeit, dann Oberfläche und Wärmebehandlung nacheinander
+  const qty = Number(li.qty) > 0 ? Number(li.qty) : quantities[0];
+  const machineDays = Math.ceil((rates.setupHours + (qty * minutes) / 60) / rates.hoursPerDay);
+  const days = group.leadDays + machineDays + ((surface && surface.days) || 0) + ((heat && heat.days) || 0);
+  return {
+    quantities: rows,
+    massKg: partKg,
+    leadTime: { min: days, max: Math.ceil(days * (1 + rates.spread)) },
+  };
+}
+
+/**
+ * Alle Positionen plus Summe zur Grundmenge (qty) in der RFQ-Währung.
+ * total nur über die schätzbaren Positionen; count zeigt, wie viele das sind.
+ */
+export function estimateRfq(form, rates, exchangeRates) {
+  const items = form.lineItems.map((li) => estimateLineItem(li, rates, { currency: form.currency, exchangeRates }));
+  const total = { min: 0, max: 0 };
+  const leadTime = { min: 0, max: 0 };
+  let count = 0;
+  form.lineItems.forEach((li, i) => {
+    const e = items[i];
+    if (e.error) return;
+    const row = e.quantities.find((r) => r.qty === Number(li.qty)) || e.quantities[0];
+    total.min += row.min * row.qty;
+    total.max += row.max * row.qty;
+    leadTime.min = Math.max(leadTime.min, e.leadTime.min);
+    leadTime.max = Math.max(leadTime.max, e.leadTime.max);
+    count++;
+  });
+  return { items, total, leadTime, count };
+}
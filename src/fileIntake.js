@@ -0,0 +1,142 @@
+import { readZip } from "./zip.js";
+import { describeError, localizedError, msg } from "./messages.js";
+
+/**
+ * Prüfung hochgeladener Dateien: Endung, Größe (einzeln und gesamt),
+ * Dateisignatur ("magic bytes"), Duplikate per SHA-256. ZIP-Archive werden
+ * entpackt und ihre Einträge einzeln geprüft.
+ *
+ * Limits lassen sich per VITE_MAX_FILE_MB / VITE_MAX_TOTAL_MB überschreiben.
+ */
+
+export const ACCEPTED_FILES = [".step", ".stp", ".iges", ".igs", ".dxf", ".pdf", ".png", ".jpg", ".jpeg"];
+export const ACCEPTED_UPLOADS = [...ACCEPTED_FILES, ".zip"];
+
+const MB = 1024 * 1024;
+export const FILE_LIMITS = {
+  maxFileSize: (Number(import.meta.env.VITE_MAX_FILE_MB) || 100) * MB,
+  maxTotalSize: (Number(import.meta.env.VITE_MAX_TOTAL_MB) || 250) * MB,
+};
+
+const ascii = (s) => [...s].map((c) => c.charCodeAt(0));
+
+/** Erwartete Signaturen je Endung; check() bekommt die ersten Bytes. */
+const SIGNATURES = {
+  step: { label: "ISO-10303-21", check: (b) => textStart(b).startsWith("ISO-10303-21") },
+  iges: { label: { de: "IGES-Startsektion", en: "IGES start section" }, check: (b) => /^[^\r\n]{72}[SG]/.test(textStart(b)) },
+  dxf: {
+    label: { de: "DXF-Gruppencode", en: "DXF group code" },
+    check: (b) => textStart(b).startsWith("AutoCAD Binary DXF") || /^\s*(0\s*\r?\n\s*SECTION|999\s*\r?\n)/.test(textStart(b)),
+  },
+  pdf: { label: "%PDF", check: (b) => textStart(b, 1024).includes("%PDF") },
+  png: { label: { de: "PNG-Signatur", en: "PNG signature" }, check: (b) => startsWith(b, [0x89, ...ascii("PNG")]) },
+  jpg: { label: { de: "JPEG-Signatur", en: "JPEG signature" }, check: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  zip: { label: { de: "PK-Signatur", en: "PK signature" }, check: (b) => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) },
+};
+const SIGNATURE_BY_EXT = { step: "step", stp: "step", iges: "iges", igs: "iges", dxf: "dxf", pdf: "pdf", png: "png", jpg: "jpg", jpeg: "jpg", zip: "zip" };
+
+// Dateianfang als Text, ohne UTF-8-BOM (latin1-dekodiert "ï»¿")
+function textStart(bytes, length = 256) {
+  return new TextDecoder("latin1").decode(bytes.subarray(0, length)).replace(/^\u00EF\u00BB\u00BF/, "");
+}
+
+function startsWith(bytes, sig) {
+  return sig.every((v, i) => bytes[i] === v);
+}
+
+function extension(name) {
+  const m = name.toLowerCase().match(/\.([^.]+)$/);
+  return m ? m[1] : "";
+}
+
+export async function sha256(blob) {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Prüft neue Dateien gegen den aktuellen Bestand.
+ * existing: bisherige form.files, hashes: form.fileHashes (Name → SHA-256).
+ * Liefert { accepted: [{ file, sha256 }], rejected: [{ name, reason }] };
+ * reason ist ein Meldungs-Deskriptor (messages.js).
+ */
+export async function intakeFiles(fileList, { existing = [], hashes = {} } = {}) {
+  const accepted = [];
+  const rejected = [];
+  const present = existing.filter((f) => !f.missing);
+  const knownHashes = new Map(present.map((f) => [hashes[f.name], f.name]).filter(([h]) => h));
+  const takenNames = new Set(present.map((f) => f.name));
+  let total = present.reduce((s, f) => s + f.size, 0);
+
+  async function check(file, origin) {
+    const label = origin ? `${origin} › ${file.name}` : file.name;
+    const reject = (reason) => rejected.push({ name: label, reason });
+    const ext = extension(file.name);
+
+    if (!ACCEPTED_FILES.includes(`.${ext}`)) return reject(msg("intake.extension", { allowed: ACCEPTED_FILES.join(", ") }));
+    if (file.size === 0) return reject(msg("intake.empty"));
+    if (file.size > FILE_LIMITS.maxFileSize) return reject(msg("intake.tooLarge", { limit: formatMB(FILE_LIMITS.maxFileSize) }));
+    if (total + file.size > FILE_LIMITS.maxTotalSize) return reject(msg("intake.totalTooLarge", { limit: formatMB(FILE_LIMITS.maxTotalSize) }));
+
+    const head = new Uint8Array(await file.slice(0, 1024).arrayBuffer());
+    const sig = SIGNATURES[SIGNATURE_BY_EXT[ext]];
+    if (!sig.check(head)) return reject(msg("intake.signature", { expected: sig.label }));
+
+    const hash = await sha256(file);
+    if (knownHashes.has(hash)) return reject(msg("intake.duplicate", { of: knownHashes.get(hash) }));
+    if (takenNames.has(file.name)) return reject(msg("intake.nameTaken"));
+
+    knownHashes.set(hash, file.name);
+    takenNames.add(file.name);
+    total += file.size;
+    accepted.push({ file, sha256: hash });
+  }
+
+  for (const file of Array.from(fileList)) {
+    if (extension(file.name) !== "zip") {
+      await check(file);
+      continue;
+    }
+    try {
+      for (const entry of await unpackZip(file)) {
+        if (entry.error) rejected.push({ name: `${file.name} › ${entry.name}`, reason: entry.error });
+        else await check(entry.file, file.name);
+      }
+    } catch (err) {
+      rejected.push({ name: file.name, reason: describeError(err) });
+    }
+  }
+  return { accepted, rejected };
+}
+
+async function unpackZip(file) {
+  // Das Archiv wird ganz gelesen – größer als alle Dateien zusammen darf es nicht sein
+  if (file.size > FILE_LIMITS.maxTotalSize) throw localizedError("intake.totalTooLarge", { limit: formatMB(FILE_LIMITS.maxTotalSize) });
+  const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  if (!SIGNATURES.zip.check(head)) throw localizedError("intake.zipInvalid");
+  const out = [];
+  // Entpackte Größe insgesamt; read() hält sich an die angegebene Größe je Eintrag
+  let unpacked = 0;
+  for (const entry of readZip(await file.arrayBuffer())) {
+    const name = entry.name.split("/").pop();
+    if (entry.directory || !name || name.startsWith(".") || entry.name.startsWith("__MACOSX/")) continue;
+    if (entry.encrypted) out.push({ name, error: msg("intake.zipEncrypted") });
+    else if (extension(name) === "zip") out.push({ name, error: msg("intake.zipNested") });
+    else if (entry.size > FILE_LIMITS.maxFileSize) out.push({ name, error: msg("intake.tooLarge", { limit: formatMB(FILE_LIMITS.maxFileSize) }) });
+    else if (unpacked + entry.size > FILE_LIMITS.maxTotalSize) {
+      out.push({ name, error: msg("intake.totalTooLarge", { limit: formatMB(FILE_LIMITS.maxTotalSize) }) });
+    } else {
+      unpacked += entry.size;
+      out.push({ name, file: new File([await entry.read()], name, { type: mimeType(name) }) });
+    }
+  }
+  return out;
+}
+
+function mimeType(name) {
+  return { pdf: "application/pdf", png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg" }[extension(name)] || "";
+}
+
+function formatMB(bytes) {
+  return `${Math.round(bytes / MB)} MB`;
+}
@@ -0,0 +1,37 @@
+/**
+ * Zuordnung Datei ↔ Position über den Dateinamen.
+ */
+
+function normalize(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/\.[^.]+$/, "")
+    .replace(/[^a-z0-9äöüß]+/g, "");
+}
+
+/**
+ * Dateien, deren Name zur Benennung der Position passt und die ihr noch nicht
+ * zugeordnet sind (z. B. "Wellengehäuse" ↔ "Wellengehaeuse_RevB.step" nicht,
+ * "wellengehäuse-revB.step" schon).
+ */
+export function suggestFiles(lineItem, files) {
+  const part = normalize(lineItem.partName);
+  if (part.length < 3) return [];
+  const linked = new Set(lineItem.files || []);
+  return files
+    .filter((f) => !linked.has(f.name))
+    .filter((f) => {
+      const name = normalize(f.name);
+      return name.includes(part) || (name.length >= 3 && part.includes(name));
+    })
+    .map((f) => f.name);
+}
+
+/** Entfernt Verweise auf Dateinamen, die nicht mehr in files vorkommen. */
+export function pruneFileLinks(lineItems, files) {
+  const names = new Set(files.map((f) => f.name));
+  return lineItems.map((li) => {
+    const kept = (li.files || []).filter((n) => names.has(n));
+    return kept.length === (li.files || []).length ? li : { ...li, files: kept };
+  });
+}
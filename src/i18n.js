@@ -0,0 +1,106 @@
+import de from "./locales/de.js";
+import en from "./locales/en.js";
+
+/**
+ * Sprachumschaltung DE/EN. Texte liegen in src/locales/<lang>.js und werden
+ * über Punktschlüssel ("customer.company") angesprochen; Platzhalter {name}
+ * werden aus params ersetzt. Fehlt ein Schlüssel, gilt Deutsch, fehlt er auch
+ * dort, wird der Text unverändert angezeigt (z. B. Serverfehler).
+ *
+ * Ohne React, damit auch der Server (PDF-Dokument) übersetzen kann; der
+ * Context für die Oberfläche liegt in i18nContext.js.
+ */
+
+export const LANGUAGES = {
+  de: { label: "Deutsch", locale: "de-DE", dict: de },
+  en: { label: "English", locale: "en-GB", dict: en },
+};
+export const DEFAULT_LANG = "de";
+
+const STORAGE_KEY = "rfq.lang";
+
+/** Gespeicherte Wahl, sonst Browsersprache, sonst Deutsch. */
+export function detectLanguage() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored in LANGUAGES) return stored;
+  } catch {
+    // localStorage gesperrt (z. B. Privatmodus)
+  }
+  const browser = String(globalThis.navigator?.language || "").slice(0, 2).toLowerCase();
+  return browser in LANGUAGES ? browser : DEFAULT_LANG;
+}
+
+export function storeLanguage(lang) {
+  try {
+    localStorage.setItem(STORAGE_KEY, lang);
+  } catch {
+    // nicht kritisch
+  }
+}
+
+function lookup(dict, key) {
+  return key.split(".").reduce((node, k) => (node && typeof node === "object" ? node[k] : undefined), dict);
+}
+
+/**
+ * Übersetzt einen Schlüssel, einen Deskriptor { key, params } oder einen
+ * zweisprachigen Text { de, en }. Zahlen in params werden lokal formatiert.
+ */
+export function translate(lang, message, params) {
+  if (message == null || message === "") return "";
+  if (typeof message === "object") {
+    if (message.key) return translate(lang, message.key, message.params);
+    return message[lang] ?? message[DEFAULT_LANG] ?? "";
+  }
+  const text = lookup(LANGUAGES[lang].dict, message) ?? lookup(de, message);
+  if (typeof text !== "string") return String(message);
+  return text.replace(/\{(\w+)\}/g, (m, name) => (params && name in params ? formatParam(lang, params[name]) : m));
+}
+
+function formatParam(lang, value) {
+  if (typeof value === "number") return formatNumber(lang, value);
+  if (value && typeof value === "object") return translate(lang, value);
+  return String(value ?? "");
+}
+
+export function formatNumber(lang, n, options) {
+  return new Intl.NumberFormat(LANGUAGES[lang].locale, options).format(n);
+}
+
+/** Dateigröße in KB bzw. MB mit lokalem Dezimaltrennzeichen. */
+export function formatFileSize(lang, bytes) {
+  const mb = bytes >= 1024 * 1024;
+  const value = mb ? bytes / (1024 * 1024) : bytes / 1024;
+  return `${formatNumber(lang, value, { maximumFractionDigits: 1, minimumFractionDigits: mb ? 0 : 1 })} ${mb ? "MB" : "KB"}`;
+}
+
+/** "YYYY-MM-DD" (ohne Zeitzone) bzw. ISO-Zeitstempel/ms als lokales Datum. */
+export function formatDate(lang, value) {
+  if (!value) return "–";
+  const date = typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return new Intl.DateTimeFormat(LANGUAGES[lang].locale, { dateStyle: "medium" }).format(date);
+}
+
+export function formatDateTime(lang, value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "–";
+  return new Intl.DateTimeFormat(LANGUAGES[lang].locale, { dateStyle: "medium", timeStyle: "short" }).format(date);
+}
+
+/**
+ * Übersetzungsfunktion für eine Sprache: t(message, params) plus
+ * Formatierer t.number, t.fileSize, t.date, t.dateTime.
+ */
+export function createTranslator(requested) {
+  const lang = requested in LANGUAGES ? requested : DEFAULT_LANG;
+  const t = (message, params) => translate(lang, message, params);
+  t.lang = lang;
+  t.locale = LANGUAGES[lang].locale;
+  t.number = (n, options) => formatNumber(lang, n, options);
+  t.fileSize = (bytes) => formatFileSize(lang, bytes);
+  t.date = (value) => formatDate(lang, value);
+  t.dateTime = (value) => formatDateTime(lang, value);
+  return t;
+}
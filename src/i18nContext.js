@@ -0,0 +1,9 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_LANG, createTranslator } from "./i18n.js";
+
+/** Übersetzungsfunktion der gewählten Sprache für alle Komponenten. */
+export const I18nContext = createContext(createTranslator(DEFAULT_LANG));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,612 @@
+/**
+ * Deutsche Texte (Referenzsprache – fehlende Schlüssel in anderen Sprachen
+ * fallen hierauf zurück). Platzhalter in geschweiften Klammern.
+ */
+export default {
+  app: {
+    title: "Fertigungs­teilanfrage",
+    language: "Sprache",
+  },
+  header: {
+    library: "Gespeicherte RFQs",
+    suppliers: "Lieferanten",
+    customers: "Adressbuch",
+    estimator: "Kalkulation",
+    outbox: "Postausgang ({count})",
+    importJson: "Import JSON",
+    exportJson: "Export JSON",
+    exportEml: "Als E-Mail (.eml)",
+    exportZip: "ZIP-Paket",
+    mailto: "E-Mail-Programm öffnen",
+    pdf: "PDF herunterladen",
+    dashboard: "Dashboard",
+    users: "Benutzer",
+  },
+  customer: {
+    title: "Kundendaten",
+    company: "Firma",
+    companyPlaceholder: "z. B. Muster GmbH",
+    contact: "Ansprechpartner",
+    contactPlaceholder: "Vor- und Nachname",
+    email: "E-Mail",
+    emailPlaceholder: "name@firma.de",
+    phone: "Telefon",
+    street: "Straße",
+    streetPlaceholder: "Straße und Hausnummer",
+    postalCode: "PLZ",
+    city: "Ort",
+    country: "Land",
+    countryNone: "– bitte wählen –",
+    vatId: "USt-IdNr.",
+    vatIdPlaceholder: "z. B. DE123456789",
+    incoterms: "Incoterms",
+    deliveryDate: "Gewünschter Liefertermin",
+    currency: "Währung",
+    shipping: "Versandpräferenz",
+    nda: "NDA erforderlich",
+  },
+  shipping: {
+    "Best Available": "Bestmöglich",
+    Express: "Express",
+    Economy: "Economy",
+    Abholung: "Abholung",
+  },
+  files: {
+    title: "Dateien",
+    empty: "Bitte CAD/Zeichnungen hochladen (STEP/STP/IGES/DXF/PDF/Bilder).",
+    remove: "Entfernen",
+    choose: "Dateien wählen",
+    genericType: "Datei",
+    missing: "fehlt, bitte erneut anhängen",
+    limits: "Max. {file} je Datei, {total} gesamt · ZIP-Archive werden entpackt.",
+    checking: "Dateien werden geprüft…",
+    intakeDone: "Dateien geprüft: {accepted} hinzugefügt, {rejected} abgelehnt.",
+    rejected: "Abgelehnt:",
+    hide: "Ausblenden",
+    dropTitle: "Dateien hierher ziehen",
+    dropHint: "oder klicken, um Dateien auszuwählen",
+    dropLabel: "Dateien auswählen (oder hierher ziehen)",
+    allowed: "Erlaubte Endungen: {accept}",
+  },
+  intake: {
+    extension: "Endung nicht erlaubt (erlaubt: {allowed}).",
+    empty: "Datei ist leer.",
+    tooLarge: "Größer als {limit}.",
+    totalTooLarge: "Gesamtgröße über {limit}.",
+    signature: "Inhalt passt nicht zur Endung ({expected} erwartet).",
+    duplicate: "Duplikat von „{of}“.",
+    nameTaken: "Eine andere Datei mit diesem Namen ist bereits vorhanden.",
+    zipInvalid: "Kein gültiges ZIP-Archiv.",
+    zipEncrypted: "Verschlüsselte ZIP-Einträge werden nicht unterstützt.",
+    zipNested: "Verschachtelte ZIP-Archive werden nicht unterstützt.",
+    zipMethod: "ZIP-Kompression {method} wird nicht unterstützt.",
+    zipCorrupt: "ZIP-Archiv beschädigt.",
+    zipSize: "ZIP-Eintrag ist größer als im Archiv angegeben (beschädigt oder manipuliert).",
+  },
+  preview: {
+    loading: "Vorschau wird erstellt…",
+    failed: "Keine Vorschau: {message}",
+    alt: "Vorschau {name}",
+    page: "Seite 1 von {pages}",
+    dxfLabel: "DXF-Vorschau {name}",
+    dxfEmpty: "Keine darstellbaren Entitäten.",
+    product: "Produkt",
+    fileName: "Dateiname",
+    productId: "Produkt-ID",
+    system: "System",
+    created: "Erstellt",
+    schema: "Schema",
+    units: "Einheit",
+    unknownUnits: "unbekannt",
+    dimensions: "Abmessungen (Bounding Box): {dims} {units}",
+    dimensionsApprox: "Abmessungen (Bounding Box, Näherung): {dims} {units}",
+    notStep: "Keine STEP-Datei (ISO-10303-21 fehlt).",
+    notIges: "Keine IGES-Datei (Global Section fehlt).",
+  },
+  items: {
+    title: "Positionen",
+    totalQty: "(Gesamtmenge: {total})",
+    totalQtyRange: "(Gesamtmenge: {min} – {max} je nach Staffel)",
+    importBom: "Stückliste importieren",
+    exportCsv: "CSV",
+    add: "Position hinzufügen",
+    position: "Pos. {n}",
+    remove: "Entfernen",
+    removeLabel: "Pos. {n} entfernen",
+    added: "Pos. {n} hinzugefügt.",
+    removed: "Pos. {n} entfernt.",
+    partName: "Benennung",
+    partNamePlaceholder: "z. B. Wellengehäuse",
+    material: "Material",
+    materialPlaceholder: "z. B. 1.4301, V2A, AISI 316L…",
+    qty: "Menge",
+    qtyBreaks: "Preisstaffeln",
+    qtyBreak: "Staffelmenge {n}",
+    addQtyBreak: "+ Staffel",
+    removeQtyBreak: "Staffel {n} entfernen",
+    annualVolume: "Jahresbedarf",
+    callOff: "Abrufplan",
+    callOffPlaceholder: "Abrufplan, z. B. 4 × 250 quartalsweise",
+    tolerance: "Toleranz",
+    toleranceClass: "Toleranzklasse oder Passung",
+    tolerancePlaceholder: "z. B. ISO 2768-m, H7, IT7",
+    tolerancePlus: "Oberes Abmaß in mm",
+    toleranceMinus: "Unteres Abmaß in mm",
+    surface: "Oberfläche",
+    surfaceTreatment: "Oberflächenbehandlung",
+    surfacePlaceholder: "z. B. Eloxieren, Verzinken",
+    surfaceRa: "Rauheit Ra in µm",
+    heatTreatment: "Wärmebehandlung",
+    heatTreatmentPlaceholder: "z. B. Vergüten, Einsatzhärten",
+    estimateBasis: "Kalkulationsbasis (Volumen / Rohteil)",
+    partVolume: "Teilvolumen in cm³",
+    stockSize: "Rohteilmaße in mm",
+    stockSizePlaceholder: "120 x 60 x 25 oder Ø40 x 100",
+    notes: "Anmerkungen",
+    notesPlaceholder: "Besondere Hinweise, Maßskizzen, Referenzen…",
+    drawings: "Zeichnungen / CAD",
+    unlink: "{name} entfernen",
+    suggestion: "Vorschlag anhand der Benennung",
+    linkFile: "Datei zuordnen…",
+    materialInfo: "{group} · {aisi}{density} g/cm³",
+    csvFileName: "rfq_positionen",
+  },
+  materialGroups: {
+    steel: "Stahl",
+    stainless: "Edelstahl",
+    aluminium: "Aluminium",
+    copper: "Kupfer/Messing",
+    titanium: "Titan",
+    plastic: "Kunststoff",
+  },
+  bom: {
+    title: "Stückliste importieren",
+    close: "Schließen",
+    chooseFile: "CSV/XLSX wählen",
+    pastePlaceholder: "…oder Zeilen aus Excel hier einfügen",
+    usePasted: "Eingefügten Text übernehmen",
+    noData: "Keine Daten gefunden.",
+    readFailed: "Datei konnte nicht gelesen werden: {message}",
+    hasHeader: "Erste Zeile enthält Spaltennamen",
+    column: "Spalte {n}",
+    unmapped: "– nicht zuordnen –",
+    rows: "{count} Zeilen",
+    rowsInvalid: "{count} Zeilen, davon {invalid} mit Fehlern",
+    append: "Anhängen",
+    replace: "Positionen ersetzen",
+    apply: "Übernehmen",
+    confirmInvalid: "{count} Zeile(n) sind unvollständig. Trotzdem übernehmen?",
+    noSheet: "Kein Tabellenblatt in der XLSX-Datei gefunden.",
+  },
+  payload: {
+    title: "Vorschau (JSON)",
+  },
+  wizard: {
+    label: "Schritte",
+    toggle: "Geführter Modus",
+    customer: "Kunde",
+    files: "Dateien",
+    items: "Positionen",
+    review: "Prüfen & Senden",
+    back: "Zurück",
+    next: "Weiter",
+  },
+  review: {
+    title: "Anfrage prüfen",
+    edit: "Bearbeiten",
+    yes: "Ja",
+    no: "Nein",
+    warnings: "Hinweise",
+    warningsHint: "Die Anfrage lässt sich so absenden; bitte prüfen, ob das gewollt ist, sonst über „Bearbeiten“ ergänzen.",
+  },
+  revisions: {
+    title: "Revisionen",
+    open: "Verlauf",
+    new: "Neue Revision",
+    close: "Schließen",
+    from: "Von",
+    to: "Bis",
+    field: "Feld",
+    before: "Vorher",
+    after: "Nachher",
+    added: "neu",
+    removed: "Position entfernt",
+    fileAdded: "Datei hinzugefügt: {name}",
+    fileRemoved: "Datei entfernt: {name}",
+    fileChanged: "Datei geändert (andere Prüfsumme): {name}",
+    noChanges: "Keine Änderungen.",
+    editing: "Revision {revision} zu {rfqNumber} – wird beim Absenden als neuer Stand übermittelt, der bisherige bleibt im Verlauf.",
+    changesSince: "Änderungen gegenüber Revision {revision}",
+    draftBadge: "{rfqNumber} Rev. {revision} (Entwurf)",
+  },
+  receipt: {
+    title: "Eingangsbestätigung",
+    heading: "Anfrage übermittelt",
+    success: "✓ Ihre Anfrage ist beim Server eingegangen.",
+    receivedAt: "Eingegangen am",
+    note: "Die folgenden Dateien wurden übertragen. Die SHA-256-Prüfsummen belegen den Inhalt zum Zeitpunkt des Eingangs.",
+    moreFiles: "… und {count} weitere Dateien",
+    fileName: "eingangsbestaetigung",
+    download: "Eingangsbestätigung (PDF)",
+    new: "Neue Anfrage",
+    editCopy: "Als Vorlage bearbeiten",
+  },
+  submit: {
+    hint: "Beim Absenden werden Daten und Dateien übertragen an:",
+    send: "Anfrage absenden",
+    sending: "Wird gesendet…",
+    reset: "Zurücksetzen",
+    undo: "Rückgängig",
+    serverRejected: "Der Server hat die Anfrage abgelehnt. Bitte markierte Felder prüfen.",
+    failed: "Senden fehlgeschlagen: {message}",
+    sendAnyway: "Trotz Hinweisen absenden",
+    warningsPending: "{count} Hinweise zur Anfrage – bitte prüfen oder trotz Hinweisen absenden.",
+    queueFailed: "Keine Verbindung zum Server, und die Anfrage konnte nicht im Postausgang gespeichert werden ({message}). Das Formular bleibt erhalten.",
+    status: "Server antwortete mit {status}.",
+    downloadPdf: "PDF herunterladen",
+  },
+  validation: {
+    company: "Bitte Firmenname angeben.",
+    contact: "Bitte Ansprechpartner angeben.",
+    email: "Ungültige E-Mail.",
+    deliveryDate: "Bitte Liefertermin wählen.",
+    phone: "Telefonnummer ungültig (Ziffern, Leerzeichen, + ( ) / . -).",
+    deliveryPast: "Der Liefertermin muss in der Zukunft liegen.",
+    deliveryLeadTime: "Liefertermin frühestens {days} Tage ab heute.",
+    vatIdRequired: "Für Firmen in der EU bitte die USt-IdNr. angeben.",
+    vatId: "USt-IdNr. passt nicht zum gewählten Land.",
+    invalid: "Ungültiger Wert.",
+    summary: "{count} Angaben prüfen:",
+    lineItems: "Mindestens eine Position erforderlich.",
+    missingFiles: "Fehlende Dateien bitte erneut anhängen oder entfernen.",
+    partName: "Benennung erforderlich.",
+    qty: "Menge > 0 erforderlich.",
+    qtyBreaks: "Staffelmengen müssen ganze Zahlen > 0 sein.",
+    qtyBreaksDuplicate: "Jede Losgröße nur einmal angeben.",
+    annualVolume: "Jahresbedarf als ganze Zahl ≥ 0 eingeben.",
+    unknownFile: "Unbekannte Datei: {names}",
+    tolerance: "Abmaße als Zahl in mm angeben (z. B. 0,02).",
+    surfaceRa: "Ra als Zahl > 0 in µm angeben.",
+    partVolume: "Teilvolumen als Zahl > 0 in cm³ angeben.",
+    stockSize: "Rohteilmaße als L x B x H oder Ø D x L in mm angeben.",
+    incompatible: "{treatment} ist für {group} ({material}) nicht geeignet.",
+    fileCount: "Anzahl der Dateien passt nicht zur Payload.",
+    checksum: "Prüfsumme stimmt nicht: {names}",
+  },
+  warnings: {
+    noDrawing: "Keine Zeichnung zugeordnet.",
+    unassigned: "Keiner Position zugeordnet: {names}",
+    notInCatalog: "Nicht im Katalog – Angabe bitte prüfen.",
+  },
+  customers: {
+    title: "Adressbuch",
+    add: "Firma anlegen",
+    edit: "Bearbeiten",
+    delete: "Löschen",
+    save: "Speichern",
+    cancel: "Abbrechen",
+    close: "Schließen",
+    empty: "Noch keine Kunden. Firmen werden beim Absenden einer Anfrage automatisch übernommen.",
+    contacts: "Ansprechpartner",
+    addContact: "+ Ansprechpartner",
+    confirmDelete: "{name} aus dem Adressbuch löschen?",
+    import: "Import CSV/vCard",
+    exportCsv: "Export CSV",
+    exportVcf: "Export vCard",
+    imported: "{count} Firma/Firmen aus {fileName} übernommen.",
+    importFailed: "Import fehlgeschlagen: {message}",
+    fileName: "adressbuch",
+  },
+  suppliers: {
+    title: "Lieferanten",
+    close: "Schließen",
+    empty: "Noch keine Lieferanten angelegt.",
+    name: "Name",
+    email: "E-Mail",
+    capabilities: "Fertigungsverfahren",
+    ndaSigned: "NDA liegt vor",
+    nda: "NDA",
+    add: "Lieferant anlegen",
+    edit: "Bearbeiten",
+    save: "Speichern",
+    cancel: "Abbrechen",
+    delete: "Löschen",
+    confirmDelete: "„{name}“ wirklich löschen?",
+    nameRequired: "Bitte Namen angeben.",
+    loadFailed: "Lieferanten konnten nicht geladen werden: {message}",
+    saveFailed: "Speichern fehlgeschlagen: {message}",
+    localHint: "{count} Lieferanten liegen noch lokal in diesem Browser.",
+    importLocal: "Ins Verzeichnis übernehmen",
+    imported: "{count} Lieferanten übernommen.",
+  },
+  capabilities: {
+    cnc: "CNC-Fräsen",
+    turning: "Drehen",
+    sheetMetal: "Blech",
+    additive: "Additiv (3D-Druck)",
+    welding: "Schweißen",
+    casting: "Guss",
+  },
+  dispatch: {
+    title: "Versand an Lieferanten",
+    open: "Versand an Lieferanten",
+    close: "Schließen",
+    filter: "Verfahren",
+    all: "Alle",
+    noSuppliers: "Keine Lieferanten im Verzeichnis – bitte zuerst unter „Lieferanten“ anlegen.",
+    hint: "Der Versand wird auf dem Server vermerkt; die E-Mail an den Lieferanten entsteht als Entwurf (.eml) mit allen Anhängen.",
+    localOnly: "Status und Angebote je Lieferant werden nur in diesem Browser gespeichert und sind für andere Einkäufer nicht sichtbar.",
+    send: "Versand an {count} Lieferanten vermerken",
+    sending: "Wird vermerkt…",
+    failed: "Versand konnte nicht vermerkt werden: {message}",
+    updateFailed: "Speichern fehlgeschlagen: {message}",
+    eml: "E-Mail-Entwurf",
+    emlLabel: "E-Mail-Entwurf für {name}",
+    unknownSupplier: "Lieferant nicht im Verzeichnis.",
+    notOpen: "Die Anfrage ist vergeben oder geschlossen und geht nicht mehr an Lieferanten.",
+    loadFailed: "Lieferanten konnten nicht geladen werden: {message}",
+    ndaMissing: "Kein NDA hinterlegt – die Anfrage verlangt ein NDA.",
+    noneSelected: "Bitte mindestens einen Lieferanten wählen.",
+    status: "Status",
+    sentAt: "versendet {date}",
+    updatedAt: "aktualisiert {date}",
+    summary: "{count} Lieferanten · {quoted} Angebote",
+  },
+  dispatchStatus: {
+    sent: "Versendet",
+    viewed: "Gesehen",
+    declined: "Abgelehnt",
+    quoted: "Angebot erhalten",
+  },
+  quotes: {
+    title: "Angebotsvergleich",
+    close: "Schließen",
+    compare: "Angebote vergleichen",
+    enter: "Angebot erfassen",
+    edit: "Angebot bearbeiten",
+    entryTitle: "Angebot von {name}",
+    currency: "Angebotswährung",
+    toolingCost: "Rüst-/Werkzeugkosten",
+    leadTimeDays: "Lieferzeit (Tage)",
+    validUntil: "Gültig bis",
+    unitPrice: "Stückpreis",
+    lineTotal: "Positionssumme",
+    total: "Gesamt",
+    supplier: "Lieferant",
+    save: "Angebot speichern",
+    cancel: "Abbrechen",
+    invalidAmount: "Beträge als Zahl eingeben (z. B. 12,50).",
+    noPrices: "Mindestens einen Stückpreis eingeben.",
+    invalidLeadTime: "Lieferzeit in ganzen Tagen eingeben.",
+    empty: "Noch keine Angebote erfasst.",
+    incomplete: "unvollständig",
+    days: "{days} Tage",
+    rates: "Wechselkurse",
+    ratesHint: "Einheiten je 1 EUR, lokal gespeichert.",
+    saveRates: "Kurse speichern",
+    missingRate: "Kein Wechselkurs für {currencies} – bitte unter „Wechselkurse“ ergänzen.",
+    award: "Vergabe",
+    awardCheapest: "Günstigste je Position",
+    saveAward: "Vergabe speichern",
+    exportAward: "Vergabe als CSV",
+    awardedAt: "Vergabe gespeichert {date}",
+    csvFileName: "vergabe",
+  },
+  library: {
+    title: "Gespeicherte RFQs",
+    close: "Schließen",
+    empty: "Noch keine Entwürfe oder versendeten Anfragen gespeichert.",
+    noCompany: "Ohne Firma",
+    draft: "Entwurf",
+    queued: "Im Postausgang",
+    current: "aktuell",
+    summary: "{items} Pos. · {files} Dateien · geändert {date}",
+    open: "Öffnen",
+    openFailed: "Anfrage konnte nicht geladen werden: {message}",
+    dispatch: "Lieferanten",
+    duplicate: "Duplizieren",
+    delete: "Löschen",
+    confirmDelete: "„{name}“ wirklich löschen?",
+  },
+  auth: {
+    title: "Anmelden",
+    setupTitle: "Ersten Admin anlegen",
+    setupHint: "Noch keine Benutzer vorhanden. Das Konto, das hier angelegt wird, verwaltet alle weiteren Benutzer.",
+    username: "Benutzername",
+    name: "Name",
+    password: "Passwort",
+    submit: "Anmelden",
+    setupSubmit: "Anlegen und anmelden",
+    logout: "Abmelden",
+    failed: "Anmeldung fehlgeschlagen: {message}",
+    invalidCredentials: "Benutzername oder Passwort falsch.",
+    invalidUsername: "3–32 Zeichen: Kleinbuchstaben, Ziffern, Punkt, Binde- oder Unterstrich.",
+    invalidRole: "Unbekannte Rolle.",
+    passwordTooShort: "Mindestens {min} Zeichen.",
+    lastAdmin: "Der letzte Admin muss Admin bleiben.",
+    cannotDeleteSelf: "Das eigene Konto kann nicht gelöscht werden.",
+    required: "Nicht angemeldet.",
+    offlineHint: "Keine Verbindung – die erste Anmeldung in diesem Browser braucht den Server. Danach bleibt die Sitzung 14 Tage lang auch offline erhalten.",
+  },
+  roles: {
+    requester: "Anfragend",
+    buyer: "Einkauf",
+    admin: "Admin",
+  },
+  status: {
+    draft: "Entwurf",
+    submitted: "Eingereicht",
+    quoting: "In Angebotsphase",
+    awarded: "Vergeben",
+    closed: "Abgeschlossen",
+  },
+  dashboard: {
+    title: "Dashboard",
+    refresh: "Aktualisieren",
+    close: "Schließen",
+    loading: "Wird geladen …",
+    count: "{status}: {count}",
+    loadFailed: "Server nicht erreichbar, es werden nur lokale Entwürfe gezeigt ({message}).",
+    status: "Status",
+    customer: "Kunde",
+    search: "Teilename",
+    searchPlaceholder: "z. B. Welle",
+    deliveryFrom: "Liefertermin ab",
+    deliveryTo: "Liefertermin bis",
+    resetFilters: "Filter zurücksetzen",
+    all: "Alle",
+    rfq: "RFQ",
+    parts: "Teile",
+    delivery: "Liefertermin",
+    submittedBy: "Von",
+    updated: "Geändert",
+    actions: "Aktionen",
+    empty: "Noch keine Anfragen.",
+    noMatches: "Keine Anfrage passt zu den Filtern.",
+    open: "Öffnen",
+    history: "Verlauf",
+    nextStatus: "Neuer Status",
+    note: "Notiz (optional)",
+    changeStatus: "Status ändern",
+    changed: "Status geändert: {status}",
+    changeFailed: "Statuswechsel fehlgeschlagen: {message}",
+    invalidStatus: "Unbekannter Status.",
+    action: {
+      submit: "eingereicht",
+      revision: "Revision {revision} eingereicht",
+      status: "Status",
+      dispatch: "an Lieferanten versendet",
+    },
+  },
+  users: {
+    title: "Benutzer",
+    add: "Benutzer anlegen",
+    close: "Schließen",
+    role: "Rolle",
+    newPassword: "Neues Passwort (leer = unverändert)",
+    save: "Speichern",
+    cancel: "Abbrechen",
+    edit: "Bearbeiten",
+    delete: "Löschen",
+    you: "Sie",
+    confirmDelete: "Benutzer „{username}“ wirklich löschen?",
+    created: "Benutzer „{username}“ angelegt.",
+    saved: "Benutzer „{username}“ gespeichert.",
+    loadFailed: "Benutzer konnten nicht geladen werden: {message}",
+    saveFailed: "Speichern fehlgeschlagen: {message}",
+  },
+  import: {
+    title: "Import: {fileName}",
+    close: "Schließen",
+    clean: "✓ Alle Felder übernommen.",
+    dropped: "Verworfen (unbekannt/ungültig):",
+    defaulted: "Mit Standardwert belegt:",
+    missingFiles: "Dateiinhalte sind nicht im Export enthalten, bitte erneut anhängen: {names}",
+    failed: "Import fehlgeschlagen: {message}",
+    invalidJson: "Datei enthält kein gültiges JSON.",
+    invalidRfq: "Keine gültige RFQ-Datei.",
+    tooNew: "Version {version} ist neuer als diese App ({current}).",
+  },
+  outbox: {
+    title: "Postausgang",
+    hint: "Anfragen, die ohne Verbindung abgeschickt wurden, werden automatisch erneut gesendet – beim Start, sobald wieder Verbindung besteht, und in wachsenden Abständen.",
+    offlineHint: "Keine Verbindung. Das Formular bleibt nutzbar; abgeschickte Anfragen warten hier und gehen automatisch raus, sobald die Verbindung zurück ist.",
+    offline: "offline",
+    empty: "Keine wartenden Anfragen.",
+    close: "Schließen",
+    dismiss: "Ausblenden",
+    sendNow: "Jetzt senden",
+    summary: "{items} Pos. · {files} Dateien · abgeschickt {date}",
+    nextAttempt: "{attempts} Versuche · nächster Versuch {date}",
+    lastError: "Letzter Fehler: {message}",
+    conflict: "Konflikt: Diese Revision wurde inzwischen anderweitig übermittelt. Der Server erwartet Revision {revision}.",
+    rejected: "Vom Server abgelehnt – bitte im Formular korrigieren und erneut senden.",
+    resendAs: "Als Revision {revision} senden",
+    backToDrafts: "Zurück in Entwürfe",
+    fix: "Im Formular korrigieren",
+    queued: "Keine Verbindung – die Anfrage von „{company}“ liegt im Postausgang und wird automatisch gesendet.",
+    sent: "{rfqNumber} (Rev. {revision}) aus dem Postausgang übermittelt.",
+    status: {
+      queued: "wartet",
+      conflict: "Konflikt",
+      failed: "abgelehnt",
+    },
+  },
+  estimator: {
+    title: "Vorkalkulation",
+    hint: "Richtwerte zur Plausibilisierung vor dem Versand; die Schätzung wird nicht an Lieferanten übermittelt. Dezimalzahlen mit Komma oder Punkt.",
+    label: "Richtwert",
+    unitPrice: "{min}–{max}/Stk. bei {qty}",
+    leadTime: "{min}–{max} Arbeitstage",
+    mass: "{mass} kg",
+    total: "Richtwert gesamt (Grundmenge): {min}–{max} · Lieferzeit {days} · {count} von {total} Positionen kalkuliert",
+    noMaterial: "Material aus dem Katalog mit Preis wählen",
+    noSize: "Teilvolumen oder Rohteilmaße angeben",
+    invalidSize: "Volumen oder Rohteilmaße unlesbar",
+    noQuantity: "Menge angeben",
+    noExchangeRate: "Wechselkurs für {currency} fehlt",
+    currency: "Währung der Sätze",
+    hourlyRate: "Maschinenstundensatz ({currency}/h)",
+    setupHours: "Rüstzeit je Los (h)",
+    baseMinutes: "Grundzeit je Teil (min)",
+    minutesPerCm3: "Bearbeitungszeit je cm³ Zerspanvolumen (min)",
+    stockAllowance: "Rohteilzuschlag (Faktor auf das Teilvolumen)",
+    hoursPerDay: "Maschinenstunden je Arbeitstag",
+    spread: "Spanne ± (0,25 = 25 %)",
+    pricePerKg: "Preis ({currency}/kg)",
+    density: "Dichte (g/cm³)",
+    group: "Werkstoffgruppe",
+    machinability: "Zerspanbarkeit (Faktor)",
+    leadDays: "Materialbeschaffung (Arbeitstage)",
+    toleranceFactor: "Faktor Bearbeitungszeit",
+    perKg: "{currency}/kg",
+    minimum: "Mindestpauschale je Los ({currency})",
+    days: "Arbeitstage",
+    import: "Import JSON",
+    export: "Export JSON",
+    reset: "Standardsätze",
+    close: "Schließen",
+    save: "Sätze speichern",
+    saved: "Sätze gespeichert.",
+    resetDone: "Standardsätze wiederhergestellt.",
+    imported: "Sätze aus {fileName} übernommen.",
+    importFailed: "Import fehlgeschlagen: {message}",
+    invalidFile: "Keine gültige Datei mit Kalkulationssätzen.",
+    invalidValues: "Ungültige Werte (Zahl ≥ 0 erwartet): {fields}",
+    fileName: "kalkulationssaetze",
+  },
+  mail: {
+    subject: "Anfrage {number} – {company}",
+    greeting: "Sehr geehrte Damen und Herren,",
+    intro: "anbei erhalten Sie unsere Anfrage mit allen Zeichnungen und Unterlagen. Wir bitten um ein Angebot je Position und Losgröße.",
+    closing: "Mit freundlichen Grüßen",
+    summaryFileName: "zusammenfassung",
+    truncated: "(gekürzt – vollständige Anfrage und Zeichnungen bitte als Anhang beifügen)",
+    failed: "Export fehlgeschlagen: {message}",
+  },
+  document: {
+    title: "Fertigungsteilanfrage",
+    rfqNumber: "RFQ-Nr.",
+    draft: "Entwurf",
+    date: "Datum",
+    revision: "Rev. {revision}",
+    customer: "Kunde",
+    terms: "Konditionen",
+    incoterms: "Incoterms",
+    currency: "Währung",
+    deliveryDate: "Liefertermin",
+    shipping: "Versand",
+    nda: "NDA erforderlich – alle Unterlagen sind vertraulich zu behandeln.",
+    items: "Positionen",
+    position: "Pos.",
+    drawings: "Zeichnungen",
+    notes: "Anmerkungen",
+    files: "Dateien",
+    noFiles: "Keine Dateien angehängt.",
+    page: "Seite {page} von {pages}",
+  },
+  footer: {
+    copyright: "© {year} Muster GmbH",
+    live: "für den Live-Betrieb.",
+  },
+};
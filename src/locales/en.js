@@ -0,0 +1,611 @@
+/**
+ * English texts. Missing keys fall back to German (de.js).
+ */
+export default {
+  app: {
+    title: "Manufacturing RFQ",
+    language: "Language",
+  },
+  header: {
+    library: "Saved RFQs",
+    suppliers: "Suppliers",
+    customers: "Address book",
+    estimator: "Cost estimate",
+    outbox: "Outbox ({count})",
+    importJson: "Import JSON",
+    exportJson: "Export JSON",
+    exportEml: "As email (.eml)",
+    exportZip: "ZIP package",
+    mailto: "Open in mail client",
+    pdf: "Download PDF",
+    dashboard: "Dashboard",
+    users: "Users",
+  },
+  customer: {
+    title: "Customer",
+    company: "Company",
+    companyPlaceholder: "e.g. Acme Ltd.",
+    contact: "Contact person",
+    contactPlaceholder: "First and last name",
+    email: "Email",
+    emailPlaceholder: "name@company.com",
+    phone: "Phone",
+    street: "Street",
+    streetPlaceholder: "Street and number",
+    postalCode: "Postcode",
+    city: "City",
+    country: "Country",
+    countryNone: "– please select –",
+    vatId: "VAT ID",
+    vatIdPlaceholder: "e.g. DE123456789",
+    incoterms: "Incoterms",
+    deliveryDate: "Requested delivery date",
+    currency: "Currency",
+    shipping: "Shipping preference",
+    nda: "NDA required",
+  },
+  shipping: {
+    "Best Available": "Best available",
+    Express: "Express",
+    Economy: "Economy",
+    Abholung: "Pick-up",
+  },
+  files: {
+    title: "Files",
+    empty: "Please upload CAD files/drawings (STEP/STP/IGES/DXF/PDF/images).",
+    remove: "Remove",
+    choose: "Choose files",
+    genericType: "File",
+    missing: "missing, please re-attach",
+    limits: "Max. {file} per file, {total} in total · ZIP archives are unpacked.",
+    checking: "Checking files…",
+    intakeDone: "Files checked: {accepted} added, {rejected} rejected.",
+    rejected: "Rejected:",
+    hide: "Hide",
+    dropTitle: "Drop files here",
+    dropHint: "or click to choose files",
+    dropLabel: "Choose files (or drop them here)",
+    allowed: "Allowed extensions: {accept}",
+  },
+  intake: {
+    extension: "Extension not allowed (allowed: {allowed}).",
+    empty: "File is empty.",
+    tooLarge: "Larger than {limit}.",
+    totalTooLarge: "Total size exceeds {limit}.",
+    signature: "Content does not match the extension ({expected} expected).",
+    duplicate: "Duplicate of “{of}”.",
+    nameTaken: "Another file with this name already exists.",
+    zipInvalid: "Not a valid ZIP archive.",
+    zipEncrypted: "Encrypted ZIP entries are not supported.",
+    zipNested: "Nested ZIP archives are not supported.",
+    zipMethod: "ZIP compression method {method} is not supported.",
+    zipCorrupt: "ZIP archive is corrupt.",
+    zipSize: "ZIP entry is larger than declared in the archive (corrupt or tampered with).",
+  },
+  preview: {
+    loading: "Creating preview…",
+    failed: "No preview: {message}",
+    alt: "Preview {name}",
+    page: "Page 1 of {pages}",
+    dxfLabel: "DXF preview {name}",
+    dxfEmpty: "No drawable entities.",
+    product: "Product",
+    fileName: "File name",
+    productId: "Product ID",
+    system: "System",
+    created: "Created",
+    schema: "Schema",
+    units: "Units",
+    unknownUnits: "unknown",
+    dimensions: "Dimensions (bounding box): {dims} {units}",
+    dimensionsApprox: "Dimensions (bounding box, approx.): {dims} {units}",
+    notStep: "Not a STEP file (ISO-10303-21 missing).",
+    notIges: "Not an IGES file (global section missing).",
+  },
+  items: {
+    title: "Line items",
+    totalQty: "(total quantity: {total})",
+    totalQtyRange: "(total quantity: {min} – {max} depending on break)",
+    importBom: "Import BOM",
+    exportCsv: "CSV",
+    add: "Add line item",
+    position: "Item {n}",
+    remove: "Remove",
+    removeLabel: "Remove item {n}",
+    added: "Item {n} added.",
+    removed: "Item {n} removed.",
+    partName: "Part name",
+    partNamePlaceholder: "e.g. shaft housing",
+    material: "Material",
+    materialPlaceholder: "e.g. 1.4301, AISI 316L, 6082…",
+    qty: "Quantity",
+    qtyBreaks: "Price breaks",
+    qtyBreak: "Break quantity {n}",
+    addQtyBreak: "+ Break",
+    removeQtyBreak: "Remove break {n}",
+    annualVolume: "Annual volume",
+    callOff: "Call-off schedule",
+    callOffPlaceholder: "Call-off, e.g. 4 × 250 quarterly",
+    tolerance: "Tolerance",
+    toleranceClass: "Tolerance class or fit",
+    tolerancePlaceholder: "e.g. ISO 2768-m, H7, IT7",
+    tolerancePlus: "Upper deviation in mm",
+    toleranceMinus: "Lower deviation in mm",
+    surface: "Surface",
+    surfaceTreatment: "Surface treatment",
+    surfacePlaceholder: "e.g. anodizing, zinc plating",
+    surfaceRa: "Roughness Ra in µm",
+    heatTreatment: "Heat treatment",
+    heatTreatmentPlaceholder: "e.g. quench and temper, case hardening",
+    estimateBasis: "Estimate basis (volume / stock)",
+    partVolume: "Part volume in cm³",
+    stockSize: "Stock dimensions in mm",
+    stockSizePlaceholder: "120 x 60 x 25 or Ø40 x 100",
+    notes: "Notes",
+    notesPlaceholder: "Special requirements, sketches, references…",
+    drawings: "Drawings / CAD",
+    unlink: "Remove {name}",
+    suggestion: "Suggested from part name",
+    linkFile: "Assign file…",
+    materialInfo: "{group} · {aisi}{density} g/cm³",
+    csvFileName: "rfq_line_items",
+  },
+  materialGroups: {
+    steel: "steel",
+    stainless: "stainless steel",
+    aluminium: "aluminium",
+    copper: "copper/brass",
+    titanium: "titanium",
+    plastic: "plastics",
+  },
+  bom: {
+    title: "Import BOM",
+    close: "Close",
+    chooseFile: "Choose CSV/XLSX",
+    pastePlaceholder: "…or paste rows from Excel here",
+    usePasted: "Use pasted text",
+    noData: "No data found.",
+    readFailed: "Could not read file: {message}",
+    hasHeader: "First row contains column names",
+    column: "Column {n}",
+    unmapped: "– do not map –",
+    rows: "{count} rows",
+    rowsInvalid: "{count} rows, {invalid} with errors",
+    append: "Append",
+    replace: "Replace line items",
+    apply: "Apply",
+    confirmInvalid: "{count} row(s) are incomplete. Import anyway?",
+    noSheet: "No worksheet found in the XLSX file.",
+  },
+  payload: {
+    title: "Preview (JSON)",
+  },
+  wizard: {
+    label: "Steps",
+    toggle: "Guided mode",
+    customer: "Customer",
+    files: "Files",
+    items: "Line items",
+    review: "Review & submit",
+    back: "Back",
+    next: "Next",
+  },
+  review: {
+    title: "Review request",
+    edit: "Edit",
+    yes: "Yes",
+    no: "No",
+    warnings: "Notes",
+    warningsHint: "The RFQ can be sent like this; please check whether that is intended, otherwise complete it via “Edit”.",
+  },
+  revisions: {
+    title: "Revisions",
+    open: "History",
+    new: "New revision",
+    close: "Close",
+    from: "From",
+    to: "To",
+    field: "Field",
+    before: "Before",
+    after: "After",
+    added: "new",
+    removed: "Line item removed",
+    fileAdded: "File added: {name}",
+    fileRemoved: "File removed: {name}",
+    fileChanged: "File changed (different checksum): {name}",
+    noChanges: "No changes.",
+    editing: "Revision {revision} of {rfqNumber} – submitted as a new version; the previous one stays in the history.",
+    changesSince: "Changes since revision {revision}",
+    draftBadge: "{rfqNumber} rev. {revision} (draft)",
+  },
+  receipt: {
+    title: "Acknowledgement of receipt",
+    heading: "Request submitted",
+    success: "✓ Your request has been received by the server.",
+    receivedAt: "Received on",
+    note: "The following files were transferred. The SHA-256 checksums document their content at the time of receipt.",
+    moreFiles: "… and {count} more files",
+    fileName: "receipt",
+    download: "Receipt (PDF)",
+    new: "New request",
+    editCopy: "Edit as template",
+  },
+  submit: {
+    hint: "On submit, data and files are sent to:",
+    send: "Submit RFQ",
+    sending: "Sending…",
+    reset: "Reset",
+    undo: "Undo",
+    serverRejected: "The server rejected the request. Please check the highlighted fields.",
+    failed: "Sending failed: {message}",
+    sendAnyway: "Send despite notes",
+    warningsPending: "{count} notes on this RFQ – please check them or send despite notes.",
+    queueFailed: "No connection to the server, and the RFQ could not be saved to the outbox ({message}). The form has been kept.",
+    status: "Server responded with {status}.",
+    downloadPdf: "Download PDF",
+  },
+  validation: {
+    company: "Please enter a company name.",
+    contact: "Please enter a contact person.",
+    email: "Invalid email address.",
+    deliveryDate: "Please choose a delivery date.",
+    phone: "Invalid phone number (digits, spaces, + ( ) / . -).",
+    deliveryPast: "The delivery date must be in the future.",
+    deliveryLeadTime: "Delivery date at least {days} days from today.",
+    vatIdRequired: "Please enter the VAT ID for companies in the EU.",
+    vatId: "VAT ID does not match the selected country.",
+    invalid: "Invalid value.",
+    summary: "Please check {count} fields:",
+    lineItems: "At least one line item is required.",
+    missingFiles: "Please re-attach or remove missing files.",
+    partName: "Part name is required.",
+    qty: "Quantity must be > 0.",
+    qtyBreaks: "Break quantities must be whole numbers > 0.",
+    qtyBreaksDuplicate: "Enter each batch size only once.",
+    annualVolume: "Enter the annual volume as a whole number ≥ 0.",
+    unknownFile: "Unknown file: {names}",
+    tolerance: "Enter deviations as numbers in mm (e.g. 0.02).",
+    surfaceRa: "Enter Ra as a number > 0 in µm.",
+    partVolume: "Enter the part volume as a number > 0 in cm³.",
+    stockSize: "Enter stock dimensions as L x W x H or Ø D x L in mm.",
+    incompatible: "{treatment} is not suitable for {group} ({material}).",
+    fileCount: "Number of files does not match the payload.",
+    checksum: "Checksum mismatch: {names}",
+  },
+  warnings: {
+    noDrawing: "No drawing assigned.",
+    unassigned: "Not assigned to any line item: {names}",
+    notInCatalog: "Not in catalog – please double-check.",
+  },
+  customers: {
+    title: "Address book",
+    add: "Add company",
+    edit: "Edit",
+    delete: "Delete",
+    save: "Save",
+    cancel: "Cancel",
+    close: "Close",
+    empty: "No customers yet. Companies are added automatically when an RFQ is submitted.",
+    contacts: "Contacts",
+    addContact: "+ Contact",
+    confirmDelete: "Delete {name} from the address book?",
+    import: "Import CSV/vCard",
+    exportCsv: "Export CSV",
+    exportVcf: "Export vCard",
+    imported: "{count} compan(y/ies) imported from {fileName}.",
+    importFailed: "Import failed: {message}",
+    fileName: "address-book",
+  },
+  suppliers: {
+    title: "Suppliers",
+    close: "Close",
+    empty: "No suppliers yet.",
+    name: "Name",
+    email: "Email",
+    capabilities: "Capabilities",
+    ndaSigned: "NDA on file",
+    nda: "NDA",
+    add: "Add supplier",
+    edit: "Edit",
+    save: "Save",
+    cancel: "Cancel",
+    delete: "Delete",
+    confirmDelete: "Really delete “{name}”?",
+    nameRequired: "Please enter a name.",
+    loadFailed: "Could not load suppliers: {message}",
+    saveFailed: "Saving failed: {message}",
+    localHint: "{count} suppliers are still stored locally in this browser.",
+    importLocal: "Move to directory",
+    imported: "{count} suppliers moved.",
+  },
+  capabilities: {
+    cnc: "CNC milling",
+    turning: "Turning",
+    sheetMetal: "Sheet metal",
+    additive: "Additive (3D printing)",
+    welding: "Welding",
+    casting: "Casting",
+  },
+  dispatch: {
+    title: "Supplier dispatch",
+    open: "Supplier dispatch",
+    close: "Close",
+    filter: "Capability",
+    all: "All",
+    noSuppliers: "No suppliers in the directory – please add them under “Suppliers” first.",
+    hint: "The dispatch is recorded on the server; the email to each supplier is created as a draft (.eml) with all attachments.",
+    localOnly: "Status and quotes per supplier are saved in this browser only and are not visible to other buyers.",
+    send: "Record dispatch to {count} suppliers",
+    sending: "Recording…",
+    failed: "Could not record dispatch: {message}",
+    updateFailed: "Saving failed: {message}",
+    eml: "Email draft",
+    emlLabel: "Email draft for {name}",
+    unknownSupplier: "Supplier not in the directory.",
+    notOpen: "This RFQ is awarded or closed and is no longer sent to suppliers.",
+    loadFailed: "Could not load suppliers: {message}",
+    ndaMissing: "No NDA on file – this RFQ requires an NDA.",
+    noneSelected: "Please select at least one supplier.",
+    status: "Status",
+    sentAt: "sent {date}",
+    updatedAt: "updated {date}",
+    summary: "{count} suppliers · {quoted} quotes",
+  },
+  dispatchStatus: {
+    sent: "Sent",
+    viewed: "Viewed",
+    declined: "Declined",
+    quoted: "Quoted",
+  },
+  quotes: {
+    title: "Quote comparison",
+    close: "Close",
+    compare: "Compare quotes",
+    enter: "Enter quote",
+    edit: "Edit quote",
+    entryTitle: "Quote from {name}",
+    currency: "Quote currency",
+    toolingCost: "Tooling/setup cost",
+    leadTimeDays: "Lead time (days)",
+    validUntil: "Valid until",
+    unitPrice: "Unit price",
+    lineTotal: "Line total",
+    total: "Total",
+    supplier: "Supplier",
+    save: "Save quote",
+    cancel: "Cancel",
+    invalidAmount: "Enter amounts as numbers (e.g. 12.50).",
+    noPrices: "Enter at least one unit price.",
+    invalidLeadTime: "Enter the lead time in whole days.",
+    empty: "No quotes entered yet.",
+    incomplete: "incomplete",
+    days: "{days} days",
+    rates: "Exchange rates",
+    ratesHint: "Units per 1 EUR, stored locally.",
+    saveRates: "Save rates",
+    missingRate: "No exchange rate for {currencies} – please add it under “Exchange rates”.",
+    award: "Award",
+    awardCheapest: "Cheapest per item",
+    saveAward: "Save award",
+    exportAward: "Export award as CSV",
+    awardedAt: "Award saved {date}",
+    csvFileName: "award",
+  },
+  library: {
+    title: "Saved RFQs",
+    close: "Close",
+    empty: "No drafts or submitted RFQs saved yet.",
+    noCompany: "No company",
+    draft: "Draft",
+    queued: "In outbox",
+    current: "current",
+    summary: "{items} items · {files} files · modified {date}",
+    open: "Open",
+    openFailed: "Could not load the request: {message}",
+    dispatch: "Suppliers",
+    duplicate: "Duplicate",
+    delete: "Delete",
+    confirmDelete: "Really delete “{name}”?",
+  },
+  auth: {
+    title: "Sign in",
+    setupTitle: "Create the first admin",
+    setupHint: "There are no users yet. The account created here manages all further users.",
+    username: "Username",
+    name: "Name",
+    password: "Password",
+    submit: "Sign in",
+    setupSubmit: "Create and sign in",
+    logout: "Sign out",
+    failed: "Sign-in failed: {message}",
+    invalidCredentials: "Wrong username or password.",
+    invalidUsername: "3–32 characters: lowercase letters, digits, dot, hyphen or underscore.",
+    invalidRole: "Unknown role.",
+    passwordTooShort: "At least {min} characters.",
+    lastAdmin: "The last admin must remain an admin.",
+    cannotDeleteSelf: "You cannot delete your own account.",
+    required: "Not signed in.",
+    offlineHint: "No connection – the first sign-in on this browser needs the server. After that the session stays available offline for 14 days.",
+  },
+  roles: {
+    requester: "Requester",
+    buyer: "Buyer",
+    admin: "Admin",
+  },
+  status: {
+    draft: "Draft",
+    submitted: "Submitted",
+    quoting: "Quoting",
+    awarded: "Awarded",
+    closed: "Closed",
+  },
+  dashboard: {
+    title: "Dashboard",
+    refresh: "Refresh",
+    close: "Close",
+    loading: "Loading …",
+    count: "{status}: {count}",
+    loadFailed: "Server unreachable, showing local drafts only ({message}).",
+    status: "Status",
+    customer: "Customer",
+    search: "Part name",
+    searchPlaceholder: "e.g. shaft",
+    deliveryFrom: "Delivery from",
+    deliveryTo: "Delivery until",
+    resetFilters: "Reset filters",
+    all: "All",
+    rfq: "RFQ",
+    parts: "Parts",
+    delivery: "Delivery date",
+    submittedBy: "By",
+    updated: "Updated",
+    actions: "Actions",
+    empty: "No RFQs yet.",
+    noMatches: "No RFQ matches the filters.",
+    open: "Open",
+    history: "History",
+    nextStatus: "New status",
+    note: "Note (optional)",
+    changeStatus: "Change status",
+    changed: "Status changed: {status}",
+    changeFailed: "Status change failed: {message}",
+    invalidStatus: "Unknown status.",
+    action: {
+      submit: "submitted",
+      revision: "submitted revision {revision}",
+      status: "status",
+      dispatch: "sent to suppliers",
+    },
+  },
+  users: {
+    title: "Users",
+    add: "Add user",
+    close: "Close",
+    role: "Role",
+    newPassword: "New password (empty = unchanged)",
+    save: "Save",
+    cancel: "Cancel",
+    edit: "Edit",
+    delete: "Delete",
+    you: "you",
+    confirmDelete: "Really delete user “{username}”?",
+    created: "User “{username}” created.",
+    saved: "User “{username}” saved.",
+    loadFailed: "Could not load users: {message}",
+    saveFailed: "Saving failed: {message}",
+  },
+  import: {
+    title: "Import: {fileName}",
+    close: "Close",
+    clean: "✓ All fields imported.",
+    dropped: "Dropped (unknown/invalid):",
+    defaulted: "Set to default:",
+    missingFiles: "File contents are not part of the export, please re-attach: {names}",
+    failed: "Import failed: {message}",
+    invalidJson: "File does not contain valid JSON.",
+    invalidRfq: "Not a valid RFQ file.",
+    tooNew: "Version {version} is newer than this app ({current}).",
+  },
+  outbox: {
+    title: "Outbox",
+    hint: "Requests submitted without a connection are resent automatically – on start-up, as soon as the connection is back, and at growing intervals.",
+    offlineHint: "No connection. The form stays usable; submitted requests wait here and go out automatically once the connection is back.",
+    offline: "offline",
+    empty: "No pending requests.",
+    close: "Close",
+    dismiss: "Dismiss",
+    sendNow: "Send now",
+    summary: "{items} items · {files} files · submitted {date}",
+    nextAttempt: "{attempts} attempts · next attempt {date}",
+    lastError: "Last error: {message}",
+    conflict: "Conflict: this revision has been submitted elsewhere in the meantime. The server expects revision {revision}.",
+    rejected: "Rejected by the server – please correct it in the form and submit again.",
+    resendAs: "Send as revision {revision}",
+    backToDrafts: "Back to drafts",
+    fix: "Correct in form",
+    queued: "No connection – the request from “{company}” is in the outbox and will be sent automatically.",
+    sent: "{rfqNumber} (rev. {revision}) sent from the outbox.",
+    status: {
+      queued: "waiting",
+      conflict: "conflict",
+      failed: "rejected",
+    },
+  },
+  estimator: {
+    title: "Cost estimate",
+    hint: "Indicative values for a plausibility check before sending; the estimate is not shared with suppliers. Decimals with comma or point.",
+    label: "Estimate",
+    unitPrice: "{min}–{max}/pc at {qty}",
+    leadTime: "{min}–{max} working days",
+    mass: "{mass} kg",
+    total: "Estimated total (base quantity): {min}–{max} · lead time {days} · {count} of {total} line items estimated",
+    noMaterial: "choose a catalogue material with a price",
+    noSize: "enter part volume or stock dimensions",
+    invalidSize: "volume or stock dimensions unreadable",
+    noQuantity: "enter a quantity",
+    noExchangeRate: "exchange rate for {currency} missing",
+    currency: "Currency of the rates",
+    hourlyRate: "Machine hour rate ({currency}/h)",
+    setupHours: "Setup time per lot (h)",
+    baseMinutes: "Base time per part (min)",
+    minutesPerCm3: "Machining time per cm³ removed (min)",
+    stockAllowance: "Stock allowance (factor on part volume)",
+    hoursPerDay: "Machine hours per working day",
+    spread: "Range ± (0.25 = 25 %)",
+    pricePerKg: "Price ({currency}/kg)",
+    density: "Density (g/cm³)",
+    group: "Material group",
+    machinability: "Machinability (factor)",
+    leadDays: "Material procurement (working days)",
+    toleranceFactor: "Machining time factor",
+    perKg: "{currency}/kg",
+    minimum: "Minimum charge per lot ({currency})",
+    days: "Working days",
+    import: "Import JSON",
+    export: "Export JSON",
+    reset: "Default rates",
+    close: "Close",
+    save: "Save rates",
+    saved: "Rates saved.",
+    resetDone: "Default rates restored.",
+    imported: "Rates imported from {fileName}.",
+    importFailed: "Import failed: {message}",
+    invalidFile: "Not a valid estimator rates file.",
+    invalidValues: "Invalid values (number ≥ 0 expected): {fields}",
+    fileName: "estimator-rates",
+  },
+  mail: {
+    subject: "Request for quotation {number} – {company}",
+    greeting: "Dear Sir or Madam,",
+    intro: "please find attached our request for quotation including all drawings and documents. We kindly ask for a quotation per line item and lot size.",
+    closing: "Kind regards",
+    summaryFileName: "summary",
+    truncated: "(shortened – please attach the complete request and drawings)",
+    failed: "Export failed: {message}",
+  },
+  document: {
+    title: "Request for Quotation",
+    rfqNumber: "RFQ no.",
+    draft: "Draft",
+    date: "Date",
+    revision: "Rev. {revision}",
+    customer: "Customer",
+    terms: "Terms",
+    incoterms: "Incoterms",
+    currency: "Currency",
+    deliveryDate: "Delivery date",
+    shipping: "Shipping",
+    nda: "NDA required – all documents are to be treated as confidential.",
+    items: "Line items",
+    position: "Item",
+    drawings: "Drawings",
+    notes: "Notes",
+    files: "Files",
+    noFiles: "No files attached.",
+    page: "Page {page} of {pages}",
+  },
+  footer: {
+    copyright: "© {year} Muster GmbH",
+    live: "for production use.",
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * Übersetzbare Meldungen als Deskriptor { key, params }. Ohne React und ohne
+ * Wörterbücher, damit Validierung, Worker und Server sie erzeugen können –
+ * übersetzt wird erst in der Oberfläche (i18n.js).
+ */
+
+export function msg(key, params) {
+  return params ? { key, params } : { key };
+}
+
+/** Error mit Übersetzungsschlüssel; message bleibt für Logs der Schlüssel. */
+export function localizedError(key, params) {
+  const err = new Error(key);
+  err.key = key;
+  err.params = params;
+  return err;
+}
+
+/** Deskriptor bzw. Text zu einem gefangenen Fehler. */
+export function describeError(err) {
+  return err && err.key ? msg(err.key, err.params) : String((err && err.message) || err);
+}
@@ -0,0 +1,169 @@
+import { normalizeLineItem } from "./catalog.js";
+import { localizedError } from "./messages.js";
+
+/**
+ * Datenmodell der RFQ: Leerformular, Positions-Vorlage und Versionierung.
+ * FORM_VERSION landet als meta.version in der Payload und in gespeicherten
+ * Entwürfen; bei Änderungen an EMPTY_FORM/DEFAULT_LINE_ITEM hochzählen und
+ * in MIGRATIONS einen Schritt von der Vorgängerversion ergänzen.
+ */
+
+export const FORM_VERSION = 8;
+
+export const CURRENCIES = ["EUR", "USD", "GBP", "AED", "INR"];
+export const INCOTERMS = ["EXW", "FCA", "CPT", "CIP", "DAP", "DDP"];
+export const SHIPPING_OPTIONS = ["Best Available", "Express", "Economy", "Abholung"];
+
+// ISO 3166-1 alpha-2; Anzeige über Intl.DisplayNames. EU-Staaten zuerst (USt-IdNr. Pflicht)
+export const EU_COUNTRIES = [
+  "DE", "AT", "BE", "BG", "CY", "CZ", "DK", "EE", "ES", "FI", "FR", "GR", "HR", "HU",
+  "IE", "IT", "LT", "LU", "LV", "MT", "NL", "PL", "PT", "RO", "SE", "SI", "SK",
+];
+export const COUNTRIES = [...EU_COUNTRIES, "CH", "GB", "NO", "TR", "US", "CA", "MX", "CN", "IN", "JP", "KR", "AE"];
+
+export const DEFAULT_LINE_ITEM = {
+  partName: "",
+  material: "",
+  materialCode: "",
+  qty: 1,
+  // weitere Losgrößen für Preisstaffeln, z. B. [50, 250]
+  qtyBreaks: [],
+  // Jahresbedarf in Stück (0 = keine Angabe) und Abrufplan als Freitext
+  annualVolume: 0,
+  callOff: "",
+  tolerance: "",
+  toleranceCode: "",
+  // explizite Abmaße in mm (Beträge, als Text wie eingegeben)
+  tolerancePlus: "",
+  toleranceMinus: "",
+  surface: "",
+  surfaceCode: "",
+  surfaceRa: "",
+  heatTreatment: "",
+  heatTreatmentCode: "",
+  // Basis der Vorkalkulation (estimator.js): Teilvolumen in cm³ und Rohteilmaße in mm
+  partVolume: "",
+  stockSize: "",
+  notes: "",
+  // Namen der zugeordneten Dateien aus form.files
+  files: [],
+};
+
+export const EMPTY_FORM = {
+  company: "",
+  contact: "",
+  email: "",
+  phone: "",
+  street: "",
+  postalCode: "",
+  city: "",
+  country: "",
+  vatId: "",
+  incoterms: "DAP",
+  deliveryDate: "",
+  currency: "EUR",
+  NDA: false,
+  shippingPreference: "Best Available",
+  files: [],
+  // SHA-256 je Dateiname, berechnet beim Hochladen (src/fileIntake.js)
+  fileHashes: {},
+  lineItems: [{ ...DEFAULT_LINE_ITEM }],
+};
+
+/**
+ * Formular → Payload für Server, JSON-Export und PDF; Dateien nur als
+ * Metadaten mit Prüfsumme (die Inhalte gehen separat an den Server).
+ * Ab Revision B trägt meta auch die RFQ-Nummer der ursprünglichen Anfrage.
+ */
+export function toPayload(form, { lang, createdAt = new Date().toISOString(), revision = "A", rfqNumber } = {}) {
+  const { files, fileHashes, ...rest } = form;
+  return {
+    meta: { createdAt, app: "ManufacturingRFQApp", version: FORM_VERSION, lang, revision, ...(rfqNumber && { rfqNumber }) },
+    ...rest,
+    files: files.map((f) => ({ name: f.name, size: f.size, type: f.type, sha256: fileHashes[f.name] })),
+  };
+}
+
+/**
+ * Migrationsschritte: MIGRATIONS[n] hebt ein Formular von Version n auf n + 1.
+ */
+const MIGRATIONS = {
+  // v2: Positionen referenzieren Dateien
+  1: (form) => ({
+    ...form,
+    lineItems: (form.lineItems || []).map((li) => ({ ...li, files: [] })),
+  }),
+  // v3: Prüfsummen der Dateien (ältere Entwürfe haben keine)
+  2: (form) => ({ ...form, fileHashes: {} }),
+  // v4: Katalog-Codes zu Material/Toleranz/Oberfläche/Wärmebehandlung
+  3: (form) => ({
+    ...form,
+    lineItems: (form.lineItems || []).map((li) => ({
+      tolerancePlus: "",
+      toleranceMinus: "",
+      surfaceRa: "",
+      ...normalizeLineItem(li),
+    })),
+  }),
+  // v5: Preisstaffeln, Jahresbedarf und Abrufplan je Position
+  4: (form) => ({
+    ...form,
+    lineItems: (form.lineItems || []).map((li) => ({ qtyBreaks: [], annualVolume: 0, callOff: "", ...li })),
+  }),
+  // v6: Land und USt-IdNr. für die Prüfung bei EU-Firmen
+  5: (form) => ({ country: "", vatId: "", ...form }),
+  // v7: Anschrift in Straße, PLZ und Ort statt Freitext
+  6: ({ address, ...form }) => ({ ...splitAddress(address), ...form }),
+  // v8: Teilvolumen und Rohteilmaße für die Vorkalkulation
+  7: (form) => ({
+    ...form,
+    lineItems: (form.lineItems || []).map((li) => ({ partVolume: "", stockSize: "", ...li })),
+  }),
+};
+
+/**
+ * Zerlegt eine Freitext-Anschrift ("Hauptstr. 1, 12345 Berlin") anhand der
+ * ersten Zeile mit Postleitzahl; alles davor ist die Straße.
+ */
+export function splitAddress(address) {
+  const parts = String(address || "").split(/\s*[\n,]\s*/).filter(Boolean);
+  const idx = parts.findIndex((p) => /^(?:[A-Z]{1,2}-)?\d{4,5}\s+\S/.test(p));
+  if (idx < 0) return { street: parts.join(", "), postalCode: "", city: "" };
+  const [, postalCode, city] = /^(?:[A-Z]{1,2}-)?(\d{4,5})\s+(.+)$/.exec(parts[idx]);
+  return { street: parts.slice(0, idx).join(", "), postalCode, city };
+}
+
+/**
+ * Wendet nur die Migrationsschritte an, ohne Standardwerte zu ergänzen.
+ */
+export function upgradeForm(data, version = FORM_VERSION) {
+  if (version > FORM_VERSION) {
+    throw localizedError("import.tooNew", { version, current: FORM_VERSION });
+  }
+  let form = { ...data };
+  for (let v = version; v < FORM_VERSION; v++) {
+    if (MIGRATIONS[v]) form = MIGRATIONS[v](form);
+  }
+  return form;
+}
+
+/**
+ * Bringt ein gespeichertes Formular beliebiger (älterer) Version auf den
+ * aktuellen Stand und ergänzt fehlende Felder mit Standardwerten.
+ */
+export function migrateForm(data, version = FORM_VERSION) {
+  const form = upgradeForm(data, version);
+  return {
+    ...EMPTY_FORM,
+    ...form,
+    files: Array.isArray(form.files) ? form.files : [],
+    fileHashes: { ...form.fileHashes },
+    lineItems: (Array.isArray(form.lineItems) ? form.lineItems : []).map((li) => ({ ...DEFAULT_LINE_ITEM, ...li })),
+  };
+}
+
+/** Alle angefragten Losgrößen einer Position (qty plus Staffeln), aufsteigend. */
+export function lineItemQuantities(li) {
+  const all = [li.qty, ...(li.qtyBreaks || [])].map(Number).filter((n) => Number.isInteger(n) && n > 0);
+  return [...new Set(all)].sort((a, b) => a - b);
+}
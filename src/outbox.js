@@ -0,0 +1,140 @@
+import { submitRFQ } from "./api.js";
+import { currentOwner, deleteOutboxEntry, getRFQ, listOutbox, recordSubmission, saveOutboxEntry, saveRFQ } from "./drafts.js";
+import { describeError } from "./messages.js";
+
+/**
+ * Postausgang für Übermittlungen ohne (stabile) Verbindung. Gespeichert wird
+ * die Payload; der Datensatz selbst bekommt den Status "queued" und behält
+ * Formular samt Dateien (drafts.js).
+ *
+ * Eintrag: { id (zugleich Idempotency-Key), recordId, user, payload, queuedAt,
+ *   attempts, lastAttemptAt, nextAttemptAt, lastError,
+ *   status: "queued" | "conflict" | "failed", expectedRevision, fieldErrors }
+ * Netzwerkfehler, 5xx, 408 und 429 werden mit wachsendem Abstand wiederholt,
+ * ebenso 401 (Sitzung abgelaufen – nach der nächsten Anmeldung geht es weiter);
+ * 409 (Revision inzwischen vergeben) ist ein Konflikt, den der Nutzer löst,
+ * andere Ablehnungen (422 …) verlangen eine Korrektur im Formular.
+ * Gesendet wird nur mit der Sitzung des Benutzers, der den Eintrag angelegt
+ * hat (user); der Postausgang liegt ohnehin in dessen Datenbank.
+ */
+
+// auch Nachrichtentyp des Service Workers (src/sw.js)
+export const OUTBOX_SYNC_TAG = "rfq-outbox";
+
+const FIRST_DELAY = 30 * 1000;
+const MAX_DELAY = 15 * 60 * 1000;
+
+/** Wartezeit nach dem n-ten Fehlversuch: 30 s, 1 min, 2 min … höchstens 15 min. */
+export function retryDelay(attempts) {
+  return Math.min(FIRST_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_DELAY);
+}
+
+/** Fehler ohne HTTP-Status sind Netzwerkfehler (offline, Timeout, abgebrochen). */
+export function isRetryable(err) {
+  return !err.status || err.status >= 500 || [401, 408, 429].includes(err.status);
+}
+
+function later(attempts) {
+  return new Date(Date.now() + retryDelay(attempts)).toISOString();
+}
+
+// Ein Durchlauf je Browser (Web Locks), damit zwei Tabs nichts doppelt senden
+function exclusive(fn) {
+  return navigator.locks ? navigator.locks.request(OUTBOX_SYNC_TAG, fn) : fn();
+}
+
+/**
+ * Legt eine fehlgeschlagene Übermittlung in den Postausgang.
+ * record: { id, form, revisionOf } – der Entwurf, aus dem sie stammt.
+ */
+export async function queueSubmission({ id, record, payload, error }) {
+  await saveRFQ({ ...record, status: "queued" });
+  const now = new Date().toISOString();
+  return saveOutboxEntry({
+    id,
+    recordId: record.id,
+    user: currentOwner(),
+    payload,
+    queuedAt: now,
+    attempts: 1,
+    lastAttemptAt: now,
+    nextAttemptAt: later(1),
+    lastError: describeError(error),
+    status: "queued",
+    expectedRevision: null,
+    fieldErrors: null,
+  });
+}
+
+function failedAttempt(entry, err) {
+  const attempts = entry.attempts + 1;
+  const base = { ...entry, attempts, lastAttemptAt: new Date().toISOString(), lastError: describeError(err) };
+  if (isRetryable(err)) return { ...base, nextAttemptAt: later(attempts) };
+  if (err.status === 409) return { ...base, status: "conflict", expectedRevision: err.expectedRevision };
+  return { ...base, status: "failed", fieldErrors: err.fieldErrors || null };
+}
+
+let running = null;
+
+/**
+ * Sendet alle fälligen Einträge (force: auch die, deren Wartezeit noch läuft)
+ * und ruft onSent(record) für jede angenommene Übermittlung. Nach einem
+ * Netzwerkfehler bricht der Durchlauf ab – die übrigen warten auf den nächsten.
+ */
+export function flushOutbox({ onSent, force = false } = {}) {
+  if (!running) {
+    running = exclusive(() => sendDue(onSent, force)).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+async function sendDue(onSent, force) {
+  const now = new Date().toISOString();
+  const owner = currentOwner();
+  if (!owner) return;
+  for (const entry of await listOutbox()) {
+    if (entry.status !== "queued" || (!force && entry.nextAttemptAt > now)) continue;
+    // Einträge aus der Zeit vor der Anmeldung haben keinen Benutzer
+    if (entry.user && entry.user !== owner) continue;
+    const record = await getRFQ(entry.recordId);
+    // Datensatz inzwischen gelöscht
+    if (!record || record.status !== "queued") {
+      await deleteOutboxEntry(entry.id);
+      continue;
+    }
+    try {
+      const result = await submitRFQ(entry.payload, record.form.files, { submissionId: entry.id });
+      const rec = await recordSubmission(record, result);
+      await deleteOutboxEntry(entry.id);
+      if (onSent) onSent(rec);
+    } catch (err) {
+      console.error(err);
+      await saveOutboxEntry(failedAttempt(entry, err));
+      if (!err.status) break;
+    }
+  }
+}
+
+/** Revisionskonflikt lösen: als die vom Server erwartete Revision erneut senden. */
+export function resendAsRevision(entry) {
+  return exclusive(() =>
+    saveOutboxEntry({
+      ...entry,
+      payload: { ...entry.payload, meta: { ...entry.payload.meta, revision: entry.expectedRevision } },
+      status: "queued",
+      expectedRevision: null,
+      nextAttemptAt: new Date().toISOString(),
+    })
+  );
+}
+
+/** Nimmt einen Eintrag heraus; der Datensatz wird wieder zum Entwurf (oder null). */
+export function returnToDrafts(entry) {
+  return exclusive(async () => {
+    await deleteOutboxEntry(entry.id);
+    const record = await getRFQ(entry.recordId);
+    return record && saveRFQ({ id: record.id, form: record.form, revisionOf: record.revisionOf });
+  });
+}
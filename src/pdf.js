@@ -0,0 +1,179 @@
+/**
+ * Minimaler PDF-Writer (PDF 1.4) ohne Abhängigkeiten: Seiten aus Text,
+ * Linien und Flächen mit den Standardschriften Helvetica, Helvetica-Bold und
+ * Courier (WinAnsiEncoding, also inkl. Umlaute). Keine Zeitstempel oder IDs –
+ * gleiche Eingabe ergibt byte-gleiche Ausgabe.
+ *
+ * Koordinaten in Punkt, Ursprung unten links (wie in PDF üblich).
+ */
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+const FONTS = { regular: "Helvetica", bold: "Helvetica-Bold", mono: "Courier" };
+
+// Zeichenbreiten (1/1000 em) für ASCII 32–126 aus den Adobe-AFM-Dateien
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556,
+    556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611,
+    611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Breiten weiterer Zeichen (regulär/fett); Akzentbuchstaben wie ihr Grundbuchstabe
+const EXTRA_WIDTHS = {
+  "ß": [611, 611], "µ": [556, 611], "°": [400, 400], "±": [584, 584], "×": [584, 584], "–": [556, 556],
+  "—": [1000, 1000], "·": [278, 278], "•": [350, 350], "…": [1000, 1000], "€": [556, 556], "©": [737, 737],
+  "²": [333, 333], "³": [333, 333], "„": [333, 500], "“": [333, 500], "”": [333, 500], "‚": [222, 278],
+  "‘": [222, 278], "’": [222, 278], "‹": [333, 333], "›": [333, 333],
+};
+
+// Unicode → Windows-1252 für den Bereich 0x80–0x9F
+const CP1252 = {
+  "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‹": 0x8b, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94,
+  "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99, "›": 0x9b,
+};
+
+// Zeichen außerhalb von WinAnsi, die sich sinnvoll ersetzen lassen
+const REPLACEMENTS = { "−": "-", "≤": "<=", "≥": ">=", "✓": "", "\u00AD": "", "\t": " " };
+
+/** Text als WinAnsi-Bytes (als Latin-1-String); Unbekanntes wird zu "?". */
+export function encodeText(text) {
+  let out = "";
+  for (const ch of String(text ?? "")) {
+    const r = REPLACEMENTS[ch];
+    if (r !== undefined) out += r;
+    else if (CP1252[ch]) out += String.fromCharCode(CP1252[ch]);
+    else {
+      const code = ch.codePointAt(0);
+      out += (code >= 32 && code < 128) || (code >= 160 && code < 256) ? ch : "?";
+    }
+  }
+  return out;
+}
+
+function charWidth(ch, font) {
+  if (font === "mono") return 600;
+  const code = ch.charCodeAt(0);
+  if (code >= 32 && code <= 126) return WIDTHS[font][code - 32];
+  const extra = EXTRA_WIDTHS[ch];
+  if (extra) return extra[font === "bold" ? 1 : 0];
+  const base = ch.normalize("NFD")[0];
+  return base !== ch && base.charCodeAt(0) <= 126 ? charWidth(base, font) : 556;
+}
+
+/** Breite eines Textes in Punkt. */
+export function textWidth(text, size, font = "regular") {
+  let w = 0;
+  for (const ch of String(text ?? "")) w += charWidth(ch, font);
+  return (w * size) / 1000;
+}
+
+/**
+ * Bricht Text in Zeilen der Breite maxWidth um; überlange Wörter
+ * (Dateinamen, Hashes) werden zeichenweise getrennt.
+ */
+export function wrapText(text, maxWidth, size, font = "regular") {
+  const lines = [];
+  for (const paragraph of String(text ?? "").split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, font) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = "";
+      for (const ch of word) {
+        if (line && textWidth(line + ch, size, font) > maxWidth) {
+          lines.push(line);
+          line = "";
+        }
+        line += ch;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+const num = (n) => String(Math.round(n * 100) / 100);
+
+function escapeString(s) {
+  return s.replace(/[\\()]/g, (c) => `\\${c}`).replace(/\r/g, "\\r").replace(/\n/g, "\\n");
+}
+
+/**
+ * Zeichenbefehle für eine Seite. Jede Methode hängt PDF-Operatoren an;
+ * Farben als Grauwert 0 (schwarz) … 1 (weiß).
+ */
+export function createPage() {
+  const ops = [];
+  return {
+    ops,
+    text(x, y, text, { size = 10, font = "regular", gray = 0, align = "left" } = {}) {
+      const w = align === "left" ? 0 : textWidth(text, size, font);
+      const left = align === "right" ? x - w : align === "center" ? x - w / 2 : x;
+      ops.push(`BT /${font} ${num(size)} Tf ${num(gray)} g ${num(left)} ${num(y)} Td (${escapeString(encodeText(text))}) Tj ET`);
+    },
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+      ops.push(`${num(width)} w ${num(gray)} G ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+    },
+    rect(x, y, w, h, { fill = 0.9 } = {}) {
+      ops.push(`${num(fill)} g ${num(x)} ${num(y)} ${num(w)} ${num(h)} re f`);
+    },
+  };
+}
+
+/**
+ * Setzt die Seiten zu einer PDF-Datei zusammen.
+ * info: { title, subject } für das Dokumentinfo-Wörterbuch.
+ */
+export function renderPdf(pages, info = {}) {
+  const objects = [];
+  const add = (body) => objects.push(body); // liefert die Objektnummer
+
+  const catalog = add(null);
+  const pagesRef = add(null);
+  const fontRefs = Object.entries(FONTS).map(([key, base]) => [
+    key,
+    add(`<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`),
+  ]);
+  const fonts = fontRefs.map(([key, ref]) => `/${key} ${ref} 0 R`).join(" ");
+  const infoRef = add(
+    `<< /Producer (ManufacturingRFQApp)${info.title ? ` /Title (${escapeString(encodeText(info.title))})` : ""}` +
+      `${info.subject ? ` /Subject (${escapeString(encodeText(info.subject))})` : ""} >>`
+  );
+
+  const kids = pages.map((page) => {
+    const stream = page.ops.join("\n");
+    const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+        `/Resources << /Font << ${fonts} >> >> /Contents ${content} 0 R >>`
+    );
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+  objects[pagesRef - 1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+  // Binärkommentar nach dem Header, damit Übertragungen die Datei als binär behandeln
+  let out = "%PDF-1.4\n%\u00E2\u00E3\u00CF\u00D3\n";
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoRef} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Uint8Array.from(out, (c) => c.charCodeAt(0));
+}
@@ -0,0 +1,19 @@
+import { parseDxf, parseIges, parseStep } from "./cad.js";
+import { describeError } from "./messages.js";
+
+/**
+ * Web Worker für CAD-Vorschauen, damit große STEP-/IGES-Dateien die
+ * Oberfläche nicht blockieren. Nachricht: { id, kind, file } → { id, result | error }
+ * (error als Meldungs-Deskriptor bzw. Text).
+ */
+
+const PARSERS = { dxf: parseDxf, step: parseStep, iges: parseIges };
+
+self.onmessage = async ({ data: { id, kind, file } }) => {
+  try {
+    const result = PARSERS[kind](await file.text());
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: describeError(err) });
+  }
+};
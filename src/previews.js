@@ -0,0 +1,87 @@
+import { localizedError } from "./messages.js";
+
+/**
+ * Vorschauen für die Dateiliste – alles im Browser, ohne externe Dienste.
+ * Bilder als Object-URL, PDFs als gerenderte erste Seite (pdf.js), DXF/STEP/IGES
+ * werden im Web Worker geparst (src/cad.js).
+ */
+
+const MAX_THUMB = 320;
+const cache = new WeakMap();
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+export function previewKind(name) {
+  const ext = name.toLowerCase().split(".").pop();
+  if (["png", "jpg", "jpeg"].includes(ext)) return "image";
+  if (ext === "pdf") return "pdf";
+  if (ext === "dxf") return "dxf";
+  if (["step", "stp"].includes(ext)) return "step";
+  if (["iges", "igs"].includes(ext)) return "iges";
+  return null;
+}
+
+/**
+ * Liefert (gecacht je File-Objekt) { kind, url?, ...parseErgebnis }.
+ * Platzhalter ohne Inhalt (missing) haben keine Vorschau.
+ */
+export function getPreview(file) {
+  if (file.missing || !(file instanceof Blob)) return Promise.resolve(null);
+  if (!cache.has(file)) cache.set(file, createPreview(file));
+  return cache.get(file);
+}
+
+async function createPreview(file) {
+  const kind = previewKind(file.name);
+  switch (kind) {
+    case "image":
+      return { kind, url: URL.createObjectURL(file) };
+    case "pdf":
+      return { kind, ...(await renderPdfFirstPage(file)) };
+    case "dxf":
+    case "step":
+    case "iges":
+      return { kind, ...(await parseInWorker(kind, file)) };
+    default:
+      return null;
+  }
+}
+
+function parseInWorker(kind, file) {
+  if (!worker) {
+    worker = new Worker(new URL("./preview.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = ({ data }) => {
+      const p = pending.get(data.id);
+      pending.delete(data.id);
+      if (data.error) p.reject(data.error.key ? localizedError(data.error.key, data.error.params) : new Error(data.error));
+      else p.resolve(data.result);
+    };
+  }
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, kind, file });
+  });
+}
+
+async function renderPdfFirstPage(file) {
+  const [pdfjs, { default: workerSrc }] = await Promise.all([
+    import("pdfjs-dist"),
+    import("pdfjs-dist/build/pdf.worker.min.mjs?url"),
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  try {
+    const page = await doc.getPage(1);
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: MAX_THUMB / Math.max(base.width, base.height) });
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    await page.render({ canvas, canvasContext: canvas.getContext("2d"), viewport }).promise;
+    return { url: canvas.toDataURL("image/png"), pages: doc.numPages };
+  } finally {
+    doc.destroy();
+  }
+}
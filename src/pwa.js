@@ -0,0 +1,30 @@
+import { OUTBOX_SYNC_TAG } from "./outbox.js";
+
+/**
+ * Service Worker (/sw.js, beim Build aus src/sw.js erzeugt – siehe
+ * vite.config.js) und Hintergrund-Synchronisation für den Postausgang.
+ * Im Dev-Server bleibt die App ohne Service Worker.
+ */
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !import.meta.env.PROD) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((err) => console.error(err));
+  });
+}
+
+/** Bittet den Browser, bei Verbindung den Postausgang anzustoßen (Background Sync, wo verfügbar). */
+export function requestOutboxSync() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((reg) => reg.sync && reg.sync.register(OUTBOX_SYNC_TAG))
+    .catch((err) => console.error(err));
+}
+
+/** Nachrichten des Service Workers, dass der Postausgang jetzt gesendet werden soll. */
+export function onOutboxSync(callback) {
+  if (!("serviceWorker" in navigator)) return () => {};
+  const listener = (e) => e.data && e.data.type === OUTBOX_SYNC_TAG && callback();
+  navigator.serviceWorker.addEventListener("message", listener);
+  return () => navigator.serviceWorker.removeEventListener("message", listener);
+}
@@ -0,0 +1,134 @@
+import { parseDecimal } from "./catalog.js";
+import { toCSV } from "./csv.js";
+import { msg } from "./messages.js";
+
+/**
+ * Angebote der Lieferanten zu einer versendeten RFQ und Preisvergleich –
+ * reine Funktionen, gespeichert wird über drafts.js.
+ *
+ * Angebot (dispatch.quote): { currency, unitPrices: string[] (je Position,
+ *   wie eingegeben), toolingCost, leadTimeDays, validUntil, enteredAt }
+ * Vergabe (record.award): { suppliers: (supplierId | null)[] je Position, decidedAt }
+ * Wechselkurse: Einheiten je 1 EUR, z. B. { EUR: 1, USD: 1.08 }.
+ */
+
+export const DEFAULT_RATES = { EUR: 1, USD: 1.08, GBP: 0.85, AED: 3.97, INR: 90 };
+
+export function emptyQuote(lineItems, currency) {
+  return { currency, unitPrices: lineItems.map(() => ""), toolingCost: "", leadTimeDays: "", validUntil: "" };
+}
+
+export function validateQuote(quote) {
+  const e = {};
+  quote.unitPrices.forEach((p, i) => {
+    if (Number.isNaN(parseDecimal(p))) e[`unitPrices.${i}`] = msg("quotes.invalidAmount");
+  });
+  if (quote.unitPrices.every((p) => parseDecimal(p) === null)) e.unitPrices = msg("quotes.noPrices");
+  if (Number.isNaN(parseDecimal(quote.toolingCost))) e.toolingCost = msg("quotes.invalidAmount");
+  if (!/^\d+$/.test(String(quote.leadTimeDays).trim())) e.leadTimeDays = msg("quotes.invalidLeadTime");
+  return e;
+}
+
+/** Betrag zwischen Währungen umrechnen; null, wenn ein Kurs fehlt. */
+export function convert(amount, from, to, rates) {
+  if (from === to) return amount;
+  const a = Number(rates[from]);
+  const b = Number(rates[to]);
+  return a > 0 && b > 0 ? (amount / a) * b : null;
+}
+
+function minBy(entries, value) {
+  let best = null;
+  for (const e of entries) {
+    const v = value(e);
+    if (v != null && (best === null || v < value(best))) best = e;
+  }
+  return best;
+}
+
+/**
+ * Vergleichsmatrix aller erfassten Angebote, umgerechnet in die RFQ-Währung.
+ * Günstigstes Gesamtangebot nur unter vollständigen Angeboten (alle
+ * Positionen bepreist), damit Teilangebote nicht billiger wirken.
+ */
+export function compareQuotes(lineItems, dispatches, currency, rates) {
+  const offers = dispatches
+    .filter((d) => d.quote)
+    .map((d) => {
+      const q = d.quote;
+      const toRfq = (amount) => (amount == null ? null : convert(amount, q.currency, currency, rates));
+      const unitPrices = lineItems.map((li, i) => toRfq(parseDecimal(q.unitPrices[i])));
+      const lines = unitPrices.map((p, i) => (p == null ? null : p * (Number(lineItems[i].qty) || 0)));
+      const tooling = toRfq(parseDecimal(q.toolingCost) || 0);
+      const complete = lines.every((l) => l != null) && tooling != null;
+      const total = tooling == null ? null : lines.reduce((s, l) => s + (l || 0), tooling);
+      return {
+        supplierId: d.supplierId,
+        name: d.name,
+        currency: q.currency,
+        unitPrices,
+        lines,
+        tooling,
+        total,
+        complete,
+        leadTimeDays: Number(q.leadTimeDays),
+        validUntil: q.validUntil,
+        missingRate: convert(1, q.currency, currency, rates) == null,
+      };
+    });
+
+  const positions = lineItems.map((li, i) => ({
+    cheapest: minBy(offers, (o) => o.unitPrices[i])?.supplierId ?? null,
+  }));
+  return {
+    offers,
+    positions,
+    cheapest: minBy(offers.filter((o) => o.complete), (o) => o.total)?.supplierId ?? null,
+    fastest: minBy(offers, (o) => o.leadTimeDays)?.supplierId ?? null,
+  };
+}
+
+/** Vergabe je Position an den jeweils günstigsten Lieferanten. */
+export function awardCheapest(comparison) {
+  return comparison.positions.map((p) => p.cheapest);
+}
+
+/** Angebot abgelaufen? today als "YYYY-MM-DD". */
+export function isExpired(quote, today) {
+  return Boolean(quote.validUntil) && quote.validUntil < today;
+}
+
+/**
+ * CSV der Vergabeentscheidung: je Position Lieferant, Stückpreis und Summe
+ * in der RFQ-Währung, danach Rüstkosten je beauftragtem Lieferanten und Gesamtsumme.
+ */
+export function awardToCSV(lineItems, comparison, award, currency, t) {
+  const money = (n) => (n == null ? "" : t.number(n, { useGrouping: false, minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+  const byId = new Map(comparison.offers.map((o) => [o.supplierId, o]));
+  const rows = [
+    [
+      t("document.position"),
+      t("items.partName"),
+      t("items.qty"),
+      t("quotes.supplier"),
+      `${t("quotes.unitPrice")} (${currency})`,
+      `${t("quotes.lineTotal")} (${currency})`,
+      t("quotes.leadTimeDays"),
+    ],
+  ];
+  let total = 0;
+  lineItems.forEach((li, i) => {
+    const offer = byId.get(award.suppliers[i]);
+    const line = offer ? offer.lines[i] : null;
+    total += line || 0;
+    rows.push([i + 1, li.partName, li.qty, offer ? offer.name : "", money(offer?.unitPrices[i]), money(line), offer ? offer.leadTimeDays : ""]);
+  });
+  for (const id of new Set(award.suppliers.filter(Boolean))) {
+    const offer = byId.get(id);
+    if (!offer || !offer.tooling) continue;
+    total += offer.tooling;
+    rows.push(["", t("quotes.toolingCost"), "", offer.name, "", money(offer.tooling), ""]);
+  }
+  rows.push(["", t("quotes.total"), "", "", "", money(total), ""]);
+  return toCSV(rows);
+}
@@ -0,0 +1,69 @@
+import { A4, createPage, renderPdf, wrapText } from "./pdf.js";
+
+/**
+ * Eingangsbestätigung als einseitiges PDF: RFQ-Nummer, Eingangszeitpunkt,
+ * Absender und die übermittelten Dateien mit SHA-256 – als Nachweis, was
+ * beim Server angekommen ist. Dateien, die nicht auf die Seite passen,
+ * werden zusammengefasst.
+ *
+ * receipt: { rfqNumber, submittedAt (ISO), payload (model.toPayload) }
+ */
+
+const LEFT = 40;
+const RIGHT = A4.width - 40;
+const BOTTOM = 72;
+
+export function buildReceipt({ rfqNumber, submittedAt, payload }, t) {
+  const page = createPage();
+  let y = A4.height - 64;
+
+  page.text(LEFT, y, t("receipt.title"), { size: 18, font: "bold" });
+  y -= 24;
+  page.line(LEFT, y, RIGHT, y, { width: 1 });
+  y -= 22;
+
+  const rows = [
+    [t("document.rfqNumber"), `${rfqNumber} ${t("document.revision", { revision: payload.meta.revision })}`],
+    [t("receipt.receivedAt"), t.dateTime(submittedAt)],
+    [t("customer.company"), payload.company],
+    [t("customer.contact"), payload.contact],
+    [t("customer.email"), payload.email],
+    [t("items.title"), t.number((payload.lineItems || []).length)],
+    [t("files.title"), t.number((payload.files || []).length)],
+  ];
+  for (const [label, value] of rows) {
+    page.text(LEFT, y, label, { size: 9, gray: 0.4 });
+    page.text(LEFT + 130, y, value || "–", { size: 11, font: label === rows[0][0] ? "bold" : "regular" });
+    y -= 16;
+  }
+
+  y -= 8;
+  for (const line of wrapText(t("receipt.note"), RIGHT - LEFT, 10)) {
+    page.text(LEFT, y, line, { size: 10 });
+    y -= 13;
+  }
+
+  const files = payload.files || [];
+  y -= 10;
+  const capacity = Math.floor((y - BOTTOM) / 24);
+  const shown = files.length > capacity ? files.slice(0, capacity - 1) : files;
+  for (const f of shown) {
+    page.text(LEFT, y, wrapText(f.name, RIGHT - LEFT - 70, 9, "bold")[0], { size: 9, font: "bold" });
+    page.text(RIGHT, y, t.fileSize(Number(f.size) || 0), { size: 9, align: "right" });
+    page.text(LEFT, y - 10, `SHA-256 ${f.sha256 || "–"}`, { size: 7, font: "mono", gray: 0.35 });
+    y -= 24;
+  }
+  if (shown.length < files.length) {
+    page.text(LEFT, y, t("receipt.moreFiles", { count: files.length - shown.length }), { size: 9, gray: 0.4 });
+  }
+
+  page.line(LEFT, BOTTOM - 16, RIGHT, BOTTOM - 16, { width: 0.3, gray: 0.6 });
+  page.text(LEFT, BOTTOM - 28, [rfqNumber, payload.company].filter(Boolean).join(" · "), { size: 8, gray: 0.4 });
+
+  return renderPdf([page], { title: `${t("receipt.title")} ${rfqNumber}-${payload.meta.revision}`, subject: payload.company || "" });
+}
+
+/** Dateiname, z. B. "RFQ-20250101-ABC123-B_eingangsbestaetigung.pdf". */
+export function receiptName(rfqNumber, revision, t) {
+  return `${rfqNumber}-${revision}_${t("receipt.fileName")}.pdf`;
+}
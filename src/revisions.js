@@ -0,0 +1,101 @@
+import { DEFAULT_LINE_ITEM } from "./model.js";
+import { LINE_ITEM_SCHEMA, RFQ_SCHEMA } from "./rfqSchema.js";
+
+/**
+ * Revisionen versendeter Anfragen (A, B, C … Z, AA …) und feldgenauer
+ * Vergleich zweier Stände – reine Funktionen ohne React/DOM.
+ *
+ * Im Datensatz (drafts.js) liegen der aktuelle Stand als form/revision/
+ * submittedAt und die früheren Stände in history: [{ revision, submittedAt,
+ * version, form }].
+ */
+
+export const FIRST_REVISION = "A";
+
+/** Nachfolger einer Revision: "A" → "B", "Z" → "AA", "AZ" → "BA". */
+export function nextRevision(revision) {
+  if (!revision) return FIRST_REVISION;
+  const chars = revision.split("");
+  let i = chars.length - 1;
+  while (i >= 0 && chars[i] === "Z") chars[i--] = "A";
+  if (i < 0) return `A${chars.join("")}`;
+  chars[i] = String.fromCharCode(chars[i].charCodeAt(0) + 1);
+  return chars.join("");
+}
+
+/** Ordnet Revisionen: erst nach Länge, dann alphabetisch ("Z" < "AA"). */
+export function compareRevisions(a, b) {
+  return a.length - b.length || a.localeCompare(b);
+}
+
+export function isRevision(value) {
+  return typeof value === "string" && /^[A-Z]{1,3}$/.test(value);
+}
+
+/** Alle Stände einer versendeten Anfrage, älteste zuerst. */
+export function revisionList(record) {
+  return [
+    ...(record.history || []),
+    { revision: record.revision || FIRST_REVISION, submittedAt: record.submittedAt, form: record.form },
+  ];
+}
+
+// Verglichen werden die sichtbaren Felder; Katalog-Codes ändern sich nur mit dem Text
+const FORM_FIELDS = Object.keys(RFQ_SCHEMA.properties).filter((k) => k !== "files" && k !== "lineItems");
+const LINE_ITEM_FIELDS = Object.keys(LINE_ITEM_SCHEMA.properties).filter((k) => !k.endsWith("Code"));
+
+function same(a, b) {
+  return JSON.stringify(a ?? "") === JSON.stringify(b ?? "");
+}
+
+function changedFields(before, after, fields) {
+  return fields
+    .filter((field) => !same(before[field], after[field]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * Unterschiede zwischen zwei Formularständen:
+ * { fields: [{ field, before, after }],
+ *   files: { added: [name], removed: [name], changed: [name] },
+ *   lineItems: [{ index, status: "added" | "removed" | "changed", changes }] }
+ * Positionen werden über ihre Reihenfolge zugeordnet, Dateien über den Namen
+ * (geänderter Inhalt = andere SHA-256).
+ */
+export function diffRevisions(before, after) {
+  const oldFiles = new Map(before.files.map((f) => [f.name, before.fileHashes[f.name]]));
+  const newFiles = new Map(after.files.map((f) => [f.name, after.fileHashes[f.name]]));
+  const files = {
+    added: [...newFiles.keys()].filter((name) => !oldFiles.has(name)),
+    removed: [...oldFiles.keys()].filter((name) => !newFiles.has(name)),
+    changed: [...newFiles.keys()].filter(
+      (name) => oldFiles.has(name) && oldFiles.get(name) && newFiles.get(name) && oldFiles.get(name) !== newFiles.get(name)
+    ),
+  };
+
+  const lineItems = [];
+  const count = Math.max(before.lineItems.length, after.lineItems.length);
+  for (let index = 0; index < count; index++) {
+    const a = before.lineItems[index];
+    const b = after.lineItems[index];
+    if (!a) lineItems.push({ index, status: "added", changes: changedFields(DEFAULT_LINE_ITEM, b, LINE_ITEM_FIELDS) });
+    else if (!b) lineItems.push({ index, status: "removed", changes: [] });
+    else {
+      const changes = changedFields(a, b, LINE_ITEM_FIELDS);
+      if (changes.length) lineItems.push({ index, status: "changed", changes });
+    }
+  }
+
+  return { fields: changedFields(before, after, FORM_FIELDS), files, lineItems };
+}
+
+export function isEmptyDiff(diff) {
+  const { added, removed, changed } = diff.files;
+  return !diff.fields.length && !diff.lineItems.length && !added.length && !removed.length && !changed.length;
+}
+
+/** Übersetzungsschlüssel der Feldbezeichnung aus dem Schema. */
+export function diffFieldTitle(field, lineItem = false) {
+  const schema = (lineItem ? LINE_ITEM_SCHEMA : RFQ_SCHEMA).properties[field];
+  return (schema && schema.title) || field;
+}
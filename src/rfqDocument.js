@@ -0,0 +1,233 @@
+import { A4, createPage, renderPdf, textWidth, wrapText } from "./pdf.js";
+import { formatSurface, formatTolerance } from "./catalog.js";
+import { lineItemQuantities } from "./model.js";
+
+/**
+ * RFQ-Dokument als PDF aus der Payload (buildPayload() bzw. das, was der
+ * Server empfängt): Kopf mit Kunde, RFQ-Nummer und Datum, Konditionen,
+ * NDA-Hinweis, Positionstabelle (Menge inkl. Preisstaffeln), Dateiliste mit
+ * SHA-256 und Seitenzahlen.
+ *
+ * Rein funktional und deterministisch – Datum und RFQ-Nummer kommen als
+ * Parameter, damit Client (Download) und Server (Ablage zur Anfrage)
+ * byte-gleiche Dateien erzeugen.
+ *
+ * options: { t (i18n.createTranslator), rfqNumber (leer = Entwurf),
+ *   date ("YYYY-MM-DD", Standard: Datum aus der RFQ-Nummer) }
+ */
+
+const MARGIN = { left: 40, right: 40, top: 48, bottom: 56 };
+const CONTENT_WIDTH = A4.width - MARGIN.left - MARGIN.right;
+const TABLE_SIZE = 8;
+const TABLE_LINE = 10;
+
+// Spaltenbreiten der Positionstabelle; die letzte Spalte nimmt den Rest
+const COLUMNS = [
+  { key: "position", width: 26 },
+  { key: "partName", width: 90 },
+  { key: "material", width: 80 },
+  { key: "qty", width: 42, align: "right" },
+  { key: "tolerance", width: 72 },
+  { key: "surface", width: 76 },
+  { key: "heatTreatment", width: 66 },
+  { key: "drawings" },
+].map((c, i, all) => ({
+  ...c,
+  width: c.width ?? CONTENT_WIDTH - all.slice(0, i).reduce((s, x) => s + x.width, 0),
+}));
+
+export function buildRfqDocument(payload, { t, rfqNumber = "", date = rfqNumberDate(rfqNumber) }) {
+  const pages = [];
+  let page;
+  let y;
+
+  function newPage() {
+    page = createPage();
+    pages.push(page);
+    y = A4.height - MARGIN.top;
+  }
+
+  // Platz für h Punkt sicherstellen; onBreak zeichnet z. B. den Tabellenkopf neu
+  function ensure(h, onBreak) {
+    if (y - h >= MARGIN.bottom) return;
+    newPage();
+    if (onBreak) onBreak();
+  }
+
+  function heading(text) {
+    ensure(40);
+    y -= 18;
+    page.text(MARGIN.left, y, text, { size: 11, font: "bold" });
+    y -= 8;
+  }
+
+  newPage();
+
+  // Kopf
+  const revision = payload.meta && payload.meta.revision;
+  const number = rfqNumber ? [rfqNumber, revision && t("document.revision", { revision })].filter(Boolean).join(" ") : t("document.draft");
+  page.text(MARGIN.left, y - 16, t("document.title"), { size: 18, font: "bold" });
+  page.text(A4.width - MARGIN.right, y - 8, `${t("document.rfqNumber")} ${number}`, { size: 10, font: "bold", align: "right" });
+  page.text(A4.width - MARGIN.right, y - 22, `${t("document.date")} ${t.date(date)}`, { size: 9, align: "right" });
+  y -= 32;
+  page.line(MARGIN.left, y, A4.width - MARGIN.right, y, { width: 1 });
+
+  // Kunde | Konditionen
+  const half = CONTENT_WIDTH / 2;
+  const customer = [
+    payload.company,
+    payload.contact,
+    payload.email,
+    payload.phone,
+    payload.street,
+    [payload.postalCode, payload.city].filter(Boolean).join(" "),
+    payload.vatId ? `${t("customer.vatId")} ${payload.vatId}` : "",
+  ]
+    .map((s) => String(s || "").trim())
+    .filter(Boolean);
+  const terms = [
+    [t("document.incoterms"), payload.incoterms],
+    [t("document.currency"), payload.currency],
+    [t("document.deliveryDate"), t.date(payload.deliveryDate)],
+    [t("document.shipping"), t(`shipping.${payload.shippingPreference}`)],
+  ];
+  const top = y - 18;
+  page.text(MARGIN.left, top, t("document.customer"), { size: 8, font: "bold", gray: 0.4 });
+  page.text(MARGIN.left + half, top, t("document.terms"), { size: 8, font: "bold", gray: 0.4 });
+  let left = top - 14;
+  customer.forEach((line, i) => {
+    for (const part of wrapText(line, half - 12, 10, i === 0 ? "bold" : "regular")) {
+      page.text(MARGIN.left, left, part, { size: 10, font: i === 0 ? "bold" : "regular" });
+      left -= 13;
+    }
+  });
+  let right = top - 14;
+  for (const [label, value] of terms) {
+    page.text(MARGIN.left + half, right, label, { size: 9, gray: 0.4 });
+    page.text(MARGIN.left + half + 80, right, value || "–", { size: 10 });
+    right -= 13;
+  }
+  y = Math.min(left, right);
+
+  if (payload.NDA) {
+    y -= 10;
+    const lines = wrapText(t("document.nda"), CONTENT_WIDTH - 16, 10, "bold");
+    const h = lines.length * 13 + 8;
+    page.rect(MARGIN.left, y - h, CONTENT_WIDTH, h, { fill: 0.9 });
+    lines.forEach((line, i) => page.text(MARGIN.left + 8, y - 14 - i * 13, line, { size: 10, font: "bold" }));
+    y -= h;
+  }
+
+  // Positionen
+  heading(t("document.items"));
+  const cell = (x, col, text, font, offset = 0) => {
+    const at = col.align === "right" ? x + col.width - 3 : x + 3;
+    page.text(at, y - TABLE_LINE + 1 - offset, text, { size: TABLE_SIZE, font, align: col.align || "left" });
+  };
+  const labels = COLUMNS.map((col) =>
+    wrapText(t(col.key === "position" || col.key === "drawings" ? `document.${col.key}` : `items.${col.key}`), col.width - 6, TABLE_SIZE, "bold")
+  );
+  const headerHeight = Math.max(...labels.map((l) => l.length)) * TABLE_LINE + 4;
+  const headerRow = () => {
+    page.rect(MARGIN.left, y - headerHeight, CONTENT_WIDTH, headerHeight, { fill: 0.9 });
+    let x = MARGIN.left;
+    COLUMNS.forEach((col, c) => {
+      labels[c].forEach((line, l) => cell(x, col, line, "bold", l * TABLE_LINE));
+      x += col.width;
+    });
+    y -= headerHeight;
+  };
+  // Tabellenzeilen auf einer Seite unter dem Tabellenkopf
+  const pageRows = Math.floor((A4.height - MARGIN.top - MARGIN.bottom - headerHeight - 4) / TABLE_LINE);
+
+  ensure(headerHeight + TABLE_LINE * 2);
+  headerRow();
+  (payload.lineItems || []).forEach((li, i) => {
+    const values = {
+      position: String(i + 1),
+      partName: li.partName,
+      material: li.material,
+      qty: lineItemQuantities(li).map((q) => t.number(q)).join(" / "),
+      tolerance: formatTolerance(li),
+      surface: formatSurface(li),
+      heatTreatment: li.heatTreatment,
+      drawings: (li.files || []).join(", "),
+    };
+    const cells = COLUMNS.map((col) => wrapText(values[col.key] || "–", col.width - 6, TABLE_SIZE));
+    const remarks = [
+      li.annualVolume ? `${t("items.annualVolume")}: ${t.number(Number(li.annualVolume))}` : "",
+      String(li.callOff || "").trim() ? `${t("items.callOff")}: ${li.callOff}` : "",
+      String(li.notes || "").trim() ? `${t("document.notes")}: ${li.notes}` : "",
+    ].filter(Boolean);
+    const notes = remarks.flatMap((text) => wrapText(text, CONTENT_WIDTH - 6 - COLUMNS[0].width, TABLE_SIZE));
+    const rows = Math.max(...cells.map((c) => c.length));
+    const total = rows + notes.length;
+    // Positionen, die nicht auf eine leere Seite passen, zeilenweise auf Folgeseiten umbrechen
+    ensure(Math.min(total, pageRows) * TABLE_LINE + 4, headerRow);
+    for (let from = 0; from < total; ) {
+      const count = Math.min(total - from, Math.floor((y - MARGIN.bottom - 4) / TABLE_LINE));
+      let x = MARGIN.left;
+      COLUMNS.forEach((col, c) => {
+        cells[c].slice(from, from + count).forEach((line, l) => cell(x, col, line, "regular", l * TABLE_LINE));
+        x += col.width;
+      });
+      notes.forEach((line, l) => {
+        const n = rows + l - from;
+        if (n < 0 || n >= count) return;
+        page.text(MARGIN.left + COLUMNS[0].width + 3, y - TABLE_LINE + 1 - n * TABLE_LINE, line, { size: TABLE_SIZE, gray: 0.35 });
+      });
+      y -= count * TABLE_LINE + 4;
+      from += count;
+      if (from < total) {
+        newPage();
+        headerRow();
+      }
+    }
+    page.line(MARGIN.left, y, A4.width - MARGIN.right, y, { width: 0.3, gray: 0.6 });
+  });
+
+  // Dateien mit Prüfsummen
+  heading(t("document.files"));
+  const files = payload.files || [];
+  if (!files.length) {
+    y -= 12;
+    page.text(MARGIN.left, y, t("document.noFiles"), { size: 9, gray: 0.4 });
+  }
+  for (const f of files) {
+    ensure(26);
+    y -= 12;
+    const size = t.fileSize(Number(f.size) || 0);
+    const nameWidth = CONTENT_WIDTH - textWidth(size, 9) - 12;
+    page.text(MARGIN.left, y, wrapText(f.name, nameWidth, 9, "bold")[0], { size: 9, font: "bold" });
+    page.text(A4.width - MARGIN.right, y, size, { size: 9, align: "right" });
+    y -= 10;
+    page.text(MARGIN.left, y, `SHA-256 ${f.sha256 || "–"}`, { size: 7, font: "mono", gray: 0.35 });
+    y -= 2;
+  }
+
+  // Fußzeile mit Seitenzahlen (Gesamtzahl erst jetzt bekannt)
+  const footer = [number, payload.company].filter(Boolean).join(" · ");
+  pages.forEach((p, i) => {
+    p.line(MARGIN.left, MARGIN.bottom - 16, A4.width - MARGIN.right, MARGIN.bottom - 16, { width: 0.3, gray: 0.6 });
+    p.text(MARGIN.left, MARGIN.bottom - 28, footer, { size: 8, gray: 0.4 });
+    p.text(A4.width - MARGIN.right, MARGIN.bottom - 28, t("document.page", { page: i + 1, pages: pages.length }), {
+      size: 8,
+      gray: 0.4,
+      align: "right",
+    });
+  });
+
+  return renderPdf(pages, { title: `${t("document.title")} ${number}`, subject: payload.company || "" });
+}
+
+/** "RFQ-20250101-ABC123" → "2025-01-01" (siehe createRfqNumber im Server). */
+export function rfqNumberDate(rfqNumber) {
+  const m = /^RFQ-(\d{4})(\d{2})(\d{2})-/.exec(rfqNumber || "");
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : "";
+}
+
+/** Dateiname für Download und Ablage, z. B. "RFQ-20250101-ABC123-B.pdf" (Revision B). */
+export function rfqDocumentName(rfqNumber, date, revision) {
+  if (!rfqNumber) return `rfq_${date}.pdf`;
+  return revision ? `${rfqNumber}-${revision}.pdf` : `${rfqNumber}.pdf`;
+}
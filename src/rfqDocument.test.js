@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { createTranslator } from "./i18n.js";
+import { DEFAULT_LINE_ITEM, EMPTY_FORM, toPayload } from "./model.js";
+import { buildRfqDocument } from "./rfqDocument.js";
+
+const t = createTranslator("de");
+const RFQ_NUMBER = "RFQ-20260110-ABC123";
+
+function payload(lineItems) {
+  const form = {
+    ...EMPTY_FORM,
+    company: "Muster GmbH",
+    contact: "Erika Muster",
+    email: "einkauf@muster.de",
+    deliveryDate: "2026-03-01",
+    NDA: true,
+    lineItems,
+  };
+  const files = [{ name: "flansch.step", size: 48213, sha256: "a".repeat(64) }];
+  return { ...toPayload(form, { lang: "de", revision: "A" }), files };
+}
+
+const text = (pdf) => new TextDecoder("latin1").decode(pdf);
+
+describe("buildRfqDocument", () => {
+  it("erzeugt für dieselbe Anfrage byte-gleiche Dateien", () => {
+    const items = [
+      { ...DEFAULT_LINE_ITEM, partName: "Flansch", material: "1.4301", qty: 50, qtyBreaks: [250, 1000], notes: "Entgratet" },
+      { ...DEFAULT_LINE_ITEM, partName: "Welle", material: "42CrMo4", qty: 10 },
+    ];
+    const first = buildRfqDocument(payload(items), { t, rfqNumber: RFQ_NUMBER });
+    const second = buildRfqDocument(payload(items), { t, rfqNumber: RFQ_NUMBER });
+    expect(second).toEqual(first);
+    expect(text(first)).toMatchSnapshot();
+  });
+
+  it("bricht Positionen, die höher als eine Seite sind, auf Folgeseiten um", () => {
+    const notes = Array.from({ length: 400 }, (_, i) => `Prüfmerkmal ${i + 1} laut Zeichnung dokumentieren.`).join(" ") + " Ende";
+    const qtyBreaks = Array.from({ length: 150 }, (_, i) => (i + 2) * 100);
+    const pdf = text(buildRfqDocument(payload([{ ...DEFAULT_LINE_ITEM, partName: "Gehäuse", qty: 100, qtyBreaks, notes }]), { t, rfqNumber: RFQ_NUMBER }));
+    expect(Number(pdf.match(/\/Count (\d+)/)[1])).toBeGreaterThan(2);
+    expect(pdf).toContain("Ende)");
+    // Nur die Fußzeile (y = 28) liegt unter dem unteren Rand
+    const ys = [...pdf.matchAll(/ ([\d.-]+) Td /g)].map((m) => Number(m[1]));
+    expect(ys.filter((y) => y !== 28 && y < 56)).toEqual([]);
+  });
+});
@@ -0,0 +1,264 @@
+import { formatSurface, formatTolerance } from "./catalog.js";
+import { lineItemQuantities } from "./model.js";
+import { buildRfqDocument, rfqDocumentName } from "./rfqDocument.js";
+import { writeZip } from "./zip.js";
+
+/**
+ * Export der kompletten Anfrage für Lieferanten ohne Portal: E-Mail als
+ * .eml (MIME multipart/mixed mit Text- und HTML-Teil, Payload, RFQ-Dokument
+ * und allen Dateien als Anhang), ZIP-Paket für Portale mit nur einem Upload
+ * und mailto:-Link (ohne Anhänge, nur Zusammenfassung).
+ *
+ * source: { form, payload (model.toPayload), rfqNumber (leer = Entwurf), date }
+ */
+
+// mailto:-URLs werden von manchen Mailprogrammen ab ca. 2000 Zeichen abgeschnitten
+const MAILTO_BODY_LIMIT = 1800;
+
+/** Basisname der Exportdateien, z. B. "RFQ-20250101-ABC123-B" oder "rfq-A_2025-01-01". */
+export function exportBaseName({ payload, rfqNumber, date }) {
+  const { revision } = payload.meta;
+  return rfqNumber ? `${rfqNumber}-${revision}` : `rfq-${revision}_${date}`;
+}
+
+function label(rfqNumber, payload, t) {
+  return rfqNumber ? `${rfqNumber} ${t("document.revision", { revision: payload.meta.revision })}` : t("document.draft");
+}
+
+// Gemeinsamer Inhalt für Text- und HTML-Fassung
+function summarySections(payload, t) {
+  const customer = [
+    payload.company,
+    payload.contact,
+    payload.email,
+    payload.phone,
+    payload.street,
+    [payload.postalCode, payload.city].filter(Boolean).join(" "),
+    payload.vatId ? `${t("customer.vatId")} ${payload.vatId}` : "",
+  ].filter((s) => String(s || "").trim());
+  const terms = [
+    [t("document.incoterms"), payload.incoterms],
+    [t("document.currency"), payload.currency],
+    [t("document.deliveryDate"), t.date(payload.deliveryDate)],
+    [t("document.shipping"), t(`shipping.${payload.shippingPreference}`)],
+  ];
+  const items = (payload.lineItems || []).map((li, i) => ({
+    position: i + 1,
+    facts: [
+      [t("items.partName"), li.partName],
+      [t("items.material"), li.material],
+      [t("items.qty"), lineItemQuantities(li).map((q) => t.number(q)).join(" / ")],
+      [t("items.annualVolume"), li.annualVolume ? t.number(Number(li.annualVolume)) : ""],
+      [t("items.callOff"), li.callOff],
+      [t("items.tolerance"), formatTolerance(li)],
+      [t("items.surface"), formatSurface(li)],
+      [t("items.heatTreatment"), li.heatTreatment],
+      [t("document.notes"), li.notes],
+      [t("document.drawings"), (li.files || []).join(", ")],
+    ].filter(([, v]) => String(v || "").trim()),
+  }));
+  const files = (payload.files || []).map((f) => ({ name: f.name, size: t.fileSize(Number(f.size) || 0), sha256: f.sha256 || "–" }));
+  return { customer, terms, items, files };
+}
+
+/** Betreff und Anschreiben als Text und HTML. */
+export function rfqSummary({ payload, rfqNumber }, t) {
+  const { customer, terms, items, files } = summarySections(payload, t);
+  const subject = t("mail.subject", { number: label(rfqNumber, payload, t), company: payload.company || "" }).trim();
+
+  const text = [
+    t("mail.greeting"),
+    "",
+    t("mail.intro"),
+    "",
+    `${t("document.rfqNumber")} ${label(rfqNumber, payload, t)}`,
+    "",
+    `${t("document.customer")}:`,
+    ...customer.map((s) => `  ${s}`),
+    "",
+    `${t("document.terms")}:`,
+    ...terms.map(([k, v]) => `  ${k}: ${v || "–"}`),
+    ...(payload.NDA ? ["", t("document.nda")] : []),
+    "",
+    `${t("document.items")}:`,
+    ...items.flatMap((item) => [
+      `  ${t("document.position")} ${item.position}`,
+      ...item.facts.map(([k, v]) => `    ${k}: ${v}`),
+    ]),
+    "",
+    `${t("document.files")}:`,
+    ...(files.length ? files.map((f) => `  ${f.name} (${f.size})\n    SHA-256 ${f.sha256}`) : [`  ${t("document.noFiles")}`]),
+    "",
+    t("mail.closing"),
+  ].join("\n");
+
+  const row = (k, v) => `<tr><th align="left" style="padding:2px 12px 2px 0;color:#555">${escapeHtml(k)}</th><td>${escapeHtml(v || "–")}</td></tr>`;
+  const html = [
+    "<!DOCTYPE html>",
+    `<html lang="${t.lang}"><head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>`,
+    '<body style="font-family:Arial,Helvetica,sans-serif;font-size:14px;color:#111">',
+    `<p>${escapeHtml(t("mail.greeting"))}</p>`,
+    `<p>${escapeHtml(t("mail.intro"))}</p>`,
+    `<h2 style="font-size:18px">${escapeHtml(t("document.title"))} ${escapeHtml(label(rfqNumber, payload, t))}</h2>`,
+    `<h3 style="font-size:14px">${escapeHtml(t("document.customer"))}</h3>`,
+    `<p>${customer.map(escapeHtml).join("<br>")}</p>`,
+    `<h3 style="font-size:14px">${escapeHtml(t("document.terms"))}</h3>`,
+    `<table>${terms.map(([k, v]) => row(k, v)).join("")}</table>`,
+    payload.NDA ? `<p style="background:#eee;padding:8px"><strong>${escapeHtml(t("document.nda"))}</strong></p>` : "",
+    `<h3 style="font-size:14px">${escapeHtml(t("document.items"))}</h3>`,
+    ...items.map(
+      (item) =>
+        `<p style="margin:10px 0 2px"><strong>${escapeHtml(t("document.position"))} ${item.position}</strong></p>` +
+        `<table>${item.facts.map(([k, v]) => row(k, v)).join("")}</table>`
+    ),
+    `<h3 style="font-size:14px">${escapeHtml(t("document.files"))}</h3>`,
+    files.length
+      ? `<ul>${files.map((f) => `<li>${escapeHtml(f.name)} (${escapeHtml(f.size)})<br><code style="font-size:11px;color:#555">SHA-256 ${escapeHtml(f.sha256)}</code></li>`).join("")}</ul>`
+      : `<p>${escapeHtml(t("document.noFiles"))}</p>`,
+    `<p>${escapeHtml(t("mail.closing"))}</p>`,
+    "</body></html>",
+  ].join("\n");
+
+  return { subject, text, html };
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+/**
+ * Anhänge der Anfrage: Payload (JSON), RFQ-Dokument (PDF) und die
+ * hochgeladenen Dateien. Fehlende Dateien (nach JSON-Import) entfallen.
+ * Liefert [{ name, type, data: Uint8Array }].
+ */
+export async function collectAttachments({ form, payload, rfqNumber, date }, t) {
+  const encoder = new TextEncoder();
+  const base = exportBaseName({ payload, rfqNumber, date });
+  const pdf = buildRfqDocument(payload, rfqNumber ? { t, rfqNumber } : { t, date });
+  const files = await Promise.all(
+    form.files
+      .filter((f) => !f.missing)
+      .map(async (f) => ({ name: f.name, type: f.type || "application/octet-stream", data: new Uint8Array(await f.arrayBuffer()) }))
+  );
+  return [
+    { name: `${base}.json`, type: "application/json", data: encoder.encode(JSON.stringify(payload, null, 2)) },
+    { name: rfqDocumentName(rfqNumber, date, rfqNumber ? payload.meta.revision : undefined), type: "application/pdf", data: pdf },
+    ...files,
+  ];
+}
+
+/** ZIP-Paket: Payload, RFQ-Dokument, Zusammenfassung (TXT/HTML) und files/… */
+export async function buildPackage(source, t) {
+  const [json, pdf, ...files] = await collectAttachments(source, t);
+  const { text, html } = rfqSummary(source, t);
+  return writeZip([
+    { name: json.name, data: json.data },
+    { name: pdf.name, data: pdf.data },
+    { name: `${t("mail.summaryFileName")}.txt`, data: text.replace(/\n/g, "\r\n") },
+    { name: `${t("mail.summaryFileName")}.html`, data: html },
+    ...files.map((f) => ({ name: `files/${f.name}`, data: f.data })),
+  ]);
+}
+
+/**
+ * E-Mail-Entwurf nach RFC 5322/2045 als Array von Textteilen (für
+ * new Blob(parts, { type: "message/rfc822" })). Ohne Absender und mit
+ * X-Unsent, damit Outlook & Co. die Datei als Entwurf öffnen.
+ * options: { to (Adressen), date (Date), boundary (für reproduzierbare Ausgabe) }
+ */
+export async function buildEml(source, t, { to = [], date = new Date(), boundary = randomBoundary() } = {}) {
+  const attachments = await collectAttachments(source, t);
+  const { subject, text, html } = rfqSummary(source, t);
+  const mixed = `mixed-${boundary}`;
+  const alternative = `alt-${boundary}`;
+  const encoder = new TextEncoder();
+
+  const parts = [
+    ...(to.length ? [`To: ${to.join(", ")}`] : []),
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString().replace(/GMT$/, "+0000")}`,
+    "MIME-Version: 1.0",
+    "X-Unsent: 1",
+    `Content-Type: multipart/mixed; boundary="${mixed}"`,
+    "",
+    `--${mixed}`,
+    `Content-Type: multipart/alternative; boundary="${alternative}"`,
+    "",
+    `--${alternative}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(encoder.encode(text.replace(/\n/g, "\r\n"))),
+    `--${alternative}`,
+    "Content-Type: text/html; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(encoder.encode(html)),
+    `--${alternative}--`,
+    "",
+  ].map((line) => `${line}\r\n`);
+
+  for (const a of attachments) {
+    parts.push(
+      [
+        `--${mixed}`,
+        `Content-Type: ${a.type}; ${fileParam("name", a.name)}`,
+        `Content-Disposition: attachment; ${fileParam("filename", a.name)}`,
+        "Content-Transfer-Encoding: base64",
+        "",
+        "",
+      ].join("\r\n"),
+      base64Lines(a.data),
+      "\r\n"
+    );
+  }
+  parts.push(`--${mixed}--\r\n`);
+  return parts;
+}
+
+/** mailto:-Link mit Betreff und gekürzter Zusammenfassung (Anhänge gehen per mailto nicht). */
+export function mailtoUrl(source, t, to = []) {
+  const { subject, text } = rfqSummary(source, t);
+  // Nach Codepoints kürzen: ein halbes Surrogatpaar (Emoji) lässt encodeURIComponent werfen
+  const chars = Array.from(text);
+  const body = chars.length > MAILTO_BODY_LIMIT ? `${chars.slice(0, MAILTO_BODY_LIMIT).join("")}…\n\n${t("mail.truncated")}` : text;
+  const recipients = to.map(encodeURIComponent).join(",");
+  return `mailto:${recipients}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+function randomBoundary() {
+  return crypto.randomUUID().replace(/-/g, "");
+}
+
+function base64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Base64 in Zeilen zu 76 Zeichen (RFC 2045)
+function base64Lines(bytes) {
+  return base64(bytes).replace(/.{76}/g, "$&\r\n").replace(/\r\n$/, "");
+}
+
+// Nicht-ASCII-Text als RFC-2047-"encoded words" zu je max. 75 Zeichen;
+// im Header gefaltet, in Parametern (in Anführungszeichen) auf einer Zeile
+function encodeHeader(value, separator = "\r\n ") {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  const chars = [...value];
+  const words = [];
+  for (let i = 0; i < chars.length; i += 11) {
+    words.push(`=?UTF-8?B?${base64(new TextEncoder().encode(chars.slice(i, i + 11).join("")))}?=`);
+  }
+  return words.join(separator);
+}
+
+// Dateinamen: ASCII direkt, sonst RFC 2231 (filename*) bzw. RFC 2047 (name)
+function fileParam(param, name) {
+  const ascii = /^[\x20-\x7e]*$/.test(name);
+  if (ascii) return `${param}="${name.replace(/["\\]/g, "\\$&")}"`;
+  if (param === "filename") return `filename*=UTF-8''${encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+  return `${param}="${encodeHeader(name, " ")}"`;
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { createTranslator } from "./i18n.js";
+import { DEFAULT_LINE_ITEM, EMPTY_FORM, toPayload } from "./model.js";
+import { mailtoUrl } from "./rfqExport.js";
+
+const t = createTranslator("de");
+
+function source(notes) {
+  const form = { ...EMPTY_FORM, company: "Muster GmbH", lineItems: [{ ...DEFAULT_LINE_ITEM, partName: "Flansch", notes }] };
+  return { form, payload: toPayload(form, { lang: "de" }), rfqNumber: "", date: "2026-01-10" };
+}
+
+describe("mailtoUrl", () => {
+  it("kürzt lange Zusammenfassungen ohne Surrogatpaare zu trennen", () => {
+    // Jede Verschiebung um eine UTF-16-Einheit trifft einmal die Mitte eines Emojis
+    for (const pad of ["", "x"]) {
+      const url = mailtoUrl(source(pad + "🔩".repeat(2000)), t);
+      const body = decodeURIComponent(url.split("&body=")[1]);
+      expect(body).toContain(t("mail.truncated"));
+      expect(body).not.toMatch(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])/);
+    }
+  });
+
+  it("lässt kurze Texte unverändert", () => {
+    const url = mailtoUrl(source("Kurz"), t, ["a@b.de"]);
+    expect(url.startsWith("mailto:a%40b.de?subject=")).toBe(true);
+    expect(decodeURIComponent(url)).not.toContain(t("mail.truncated"));
+  });
+});
@@ -0,0 +1,97 @@
+import { localizedError } from "./messages.js";
+import { migrateForm, upgradeForm } from "./model.js";
+import { LINE_ITEM_SCHEMA, RFQ_SCHEMA } from "./rfqSchema.js";
+import { matchesType } from "./validation.js";
+
+/**
+ * Import des Formats aus exportJSON() (rfq_YYYY-MM-DD.json).
+ *
+ * Liefert { form, report } – report.dropped enthält unbekannte oder
+ * unbrauchbare Felder, report.defaulted fehlende bzw. ungültige Felder, die
+ * mit Standardwerten belegt wurden, report.missingFiles die Dateinamen, deren
+ * Inhalt nicht Teil des Exports ist und neu angehängt werden muss.
+ * Typen und zulässige Werte kommen aus rfqSchema.js.
+ */
+export function parseRFQJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw localizedError("import.invalidJson");
+  }
+  if (!isPlainObject(data)) throw localizedError("import.invalidRfq");
+
+  const report = { dropped: [], defaulted: [], missingFiles: [] };
+  const { meta, ...rest } = data;
+  let version = 1;
+  if (!isPlainObject(meta) || !Number.isInteger(meta.version)) {
+    report.defaulted.push("meta.version");
+  } else {
+    version = meta.version;
+  }
+
+  const raw = upgradeForm(rest, version);
+  const form = checkObject(raw, RFQ_SCHEMA, "", report, ["files", "fileHashes", "lineItems"]);
+
+  if (Array.isArray(raw.lineItems)) {
+    form.lineItems = [];
+    raw.lineItems.forEach((li, i) => {
+      if (!isPlainObject(li)) return report.dropped.push(`lineItems[${i}]`);
+      form.lineItems.push(checkObject(li, LINE_ITEM_SCHEMA, `lineItems[${i}].`, report));
+    });
+  } else {
+    report.defaulted.push("lineItems");
+  }
+
+  if (Array.isArray(raw.files)) {
+    form.files = [];
+    form.fileHashes = {};
+    raw.files.forEach((f, i) => {
+      if (!isPlainObject(f) || typeof f.name !== "string" || !f.name) return report.dropped.push(`files[${i}]`);
+      form.files.push(createMissingFile(f));
+      if (typeof f.sha256 === "string") form.fileHashes[f.name] = f.sha256;
+      report.missingFiles.push(f.name);
+    });
+  } else {
+    report.defaulted.push("files");
+  }
+
+  return { form: migrateForm(form), report };
+}
+
+/**
+ * Platzhalter für eine Datei, deren Inhalt fehlt (nur Name/Größe/Typ bekannt).
+ */
+export function createMissingFile({ name, size, type }) {
+  return { name, size: Number(size) || 0, type: typeof type === "string" ? type : "", missing: true };
+}
+
+function checkObject(source, schema, prefix, report, skip = []) {
+  const out = {};
+  for (const [key, value] of Object.entries(source)) {
+    if (skip.includes(key)) continue;
+    if (!(key in schema.properties)) {
+      report.dropped.push(prefix + key);
+      continue;
+    }
+    const coerced = coerce(value, schema.properties[key]);
+    if (coerced === undefined) report.defaulted.push(prefix + key);
+    else out[key] = coerced;
+  }
+  for (const key of Object.keys(schema.properties)) {
+    if (!skip.includes(key) && !(key in source)) report.defaulted.push(prefix + key);
+  }
+  return out;
+}
+
+function coerce(value, schema) {
+  if (schema.type === "array") {
+    return Array.isArray(value) && value.every((v) => matchesType(schema.items, v)) ? value : undefined;
+  }
+  const n = (schema.type === "number" || schema.type === "integer") && typeof value === "string" && value.trim() ? Number(value) : value;
+  return matchesType(schema, n) && (!schema.enum || schema.enum.includes(n)) ? n : undefined;
+}
+
+function isPlainObject(v) {
+  return typeof v === "object" && v !== null && !Array.isArray(v);
+}
@@ -0,0 +1,114 @@
+import { CURRENCIES, COUNTRIES, INCOTERMS, SHIPPING_OPTIONS } from "./model.js";
+
+/**
+ * Schema der RFQ-Payload (Teilmenge von JSON Schema) – einzige Quelle für die
+ * Prüfung im Formular, beim JSON-Import und im Server (siehe validation.js).
+ *
+ * Unterstützt: type, properties, items, enum, minLength, minItems, minimum,
+ * exclusiveMinimum, format (email, phone, date, decimal, positiveDecimal, stockSize;
+ * leere Strings gelten als "nicht angegeben"). Erweiterungen:
+ * title = Übersetzungsschlüssel der Feldbezeichnung, errorMessage = Meldung
+ * bei jedem Verstoß, x-rules = feldübergreifende Regeln aus validation.js.
+ */
+
+// Mindestvorlauf zwischen Anfrage und gewünschtem Liefertermin
+export const MIN_LEAD_DAYS = 14;
+
+// Aufbau der USt-IdNr. je EU-Staat (ohne Leerzeichen, Großbuchstaben)
+export const EU_VAT_PATTERNS = {
+  AT: /^ATU\d{8}$/,
+  BE: /^BE[01]\d{9}$/,
+  BG: /^BG\d{9,10}$/,
+  CY: /^CY\d{8}[A-Z]$/,
+  CZ: /^CZ\d{8,10}$/,
+  DE: /^DE\d{9}$/,
+  DK: /^DK\d{8}$/,
+  EE: /^EE\d{9}$/,
+  ES: /^ES[0-9A-Z]\d{7}[0-9A-Z]$/,
+  FI: /^FI\d{8}$/,
+  FR: /^FR[0-9A-Z]{2}\d{9}$/,
+  GR: /^EL\d{9}$/,
+  HR: /^HR\d{11}$/,
+  HU: /^HU\d{8}$/,
+  IE: /^IE\d[0-9A-Z+*]\d{5}[A-Z]{1,2}$/,
+  IT: /^IT\d{11}$/,
+  LT: /^LT(\d{9}|\d{12})$/,
+  LU: /^LU\d{8}$/,
+  LV: /^LV\d{11}$/,
+  MT: /^MT\d{8}$/,
+  NL: /^NL\d{9}B\d{2}$/,
+  PL: /^PL\d{10}$/,
+  PT: /^PT\d{9}$/,
+  RO: /^RO\d{2,10}$/,
+  SE: /^SE\d{12}$/,
+  SI: /^SI\d{8}$/,
+  SK: /^SK\d{10}$/,
+};
+
+const text = (title, extra = {}) => ({ type: "string", title, ...extra });
+const code = { type: "string" };
+
+export const LINE_ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    partName: text("items.partName", { minLength: 1, errorMessage: "validation.partName" }),
+    material: text("items.material"),
+    materialCode: code,
+    qty: { type: "number", title: "items.qty", exclusiveMinimum: 0, errorMessage: "validation.qty" },
+    qtyBreaks: {
+      type: "array",
+      title: "items.qtyBreaks",
+      items: { type: "integer", exclusiveMinimum: 0 },
+      errorMessage: "validation.qtyBreaks",
+      "x-rules": ["distinctQuantities"],
+    },
+    annualVolume: { type: "integer", title: "items.annualVolume", minimum: 0, errorMessage: "validation.annualVolume" },
+    callOff: text("items.callOff"),
+    tolerance: text("items.tolerance"),
+    toleranceCode: code,
+    tolerancePlus: text("items.tolerancePlus", { format: "decimal", errorMessage: "validation.tolerance" }),
+    toleranceMinus: text("items.toleranceMinus", { format: "decimal", errorMessage: "validation.tolerance" }),
+    surface: text("items.surface", { "x-rules": ["compatibility"] }),
+    surfaceCode: code,
+    surfaceRa: text("items.surfaceRa", { format: "positiveDecimal", errorMessage: "validation.surfaceRa" }),
+    heatTreatment: text("items.heatTreatment", { "x-rules": ["compatibility"] }),
+    heatTreatmentCode: code,
+    partVolume: text("items.partVolume", { format: "positiveDecimal", errorMessage: "validation.partVolume" }),
+    stockSize: text("items.stockSize", { format: "stockSize", errorMessage: "validation.stockSize" }),
+    notes: text("items.notes"),
+    files: { type: "array", title: "items.drawings", items: { type: "string" }, "x-rules": ["knownFiles"] },
+  },
+};
+
+export const RFQ_SCHEMA = {
+  type: "object",
+  properties: {
+    company: text("customer.company", { minLength: 1, errorMessage: "validation.company" }),
+    contact: text("customer.contact", { minLength: 1, errorMessage: "validation.contact" }),
+    email: text("customer.email", { minLength: 1, format: "email", errorMessage: "validation.email" }),
+    phone: text("customer.phone", { format: "phone", errorMessage: "validation.phone" }),
+    street: text("customer.street"),
+    postalCode: text("customer.postalCode"),
+    city: text("customer.city"),
+    country: text("customer.country", { enum: ["", ...COUNTRIES] }),
+    vatId: text("customer.vatId", { "x-rules": ["vatId"] }),
+    incoterms: text("customer.incoterms", { enum: INCOTERMS }),
+    deliveryDate: text("customer.deliveryDate", {
+      minLength: 1,
+      format: "date",
+      errorMessage: "validation.deliveryDate",
+      "x-rules": ["leadTime"],
+    }),
+    currency: text("customer.currency", { enum: CURRENCIES }),
+    shippingPreference: text("customer.shipping", { enum: SHIPPING_OPTIONS }),
+    NDA: { type: "boolean", title: "customer.nda" },
+    files: { type: "array", title: "files.title", items: { type: "object" }, "x-rules": ["noMissingFiles"] },
+    lineItems: {
+      type: "array",
+      title: "items.title",
+      minItems: 1,
+      errorMessage: "validation.lineItems",
+      items: LINE_ITEM_SCHEMA,
+    },
+  },
+};
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import de from "./locales/de.js";
+import { DEFAULT_LINE_ITEM, EMPTY_FORM, EU_COUNTRIES } from "./model.js";
+import { EU_VAT_PATTERNS, LINE_ITEM_SCHEMA, RFQ_SCHEMA } from "./rfqSchema.js";
+import { matchesType, validateRFQ } from "./validation.js";
+
+// Alle Schema-Einträge mit Pfad, rekursiv über properties und items
+function* entries(schema, path = "") {
+  yield [path, schema];
+  for (const [key, child] of Object.entries(schema.properties || {})) yield* entries(child, path ? `${path}.${key}` : key);
+  if (schema.items) yield* entries(schema.items, `${path}[]`);
+}
+
+const lookup = (key) => key.split(".").reduce((node, part) => node && node[part], de);
+
+describe("RFQ_SCHEMA", () => {
+  it("beschreibt jedes Feld des Leerformulars und jeder Position", () => {
+    const { fileHashes, ...form } = EMPTY_FORM;
+    expect(fileHashes).toEqual({});
+    expect(Object.keys(RFQ_SCHEMA.properties).sort()).toEqual(Object.keys(form).sort());
+    expect(Object.keys(LINE_ITEM_SCHEMA.properties).sort()).toEqual(Object.keys(DEFAULT_LINE_ITEM).sort());
+  });
+
+  it("passt zu den Typen der Standardwerte", () => {
+    for (const [key, schema] of Object.entries(RFQ_SCHEMA.properties)) expect(matchesType(schema, EMPTY_FORM[key]), key).toBe(true);
+    for (const [key, schema] of Object.entries(LINE_ITEM_SCHEMA.properties)) {
+      expect(matchesType(schema, DEFAULT_LINE_ITEM[key]), key).toBe(true);
+    }
+  });
+
+  it("verweist nur auf vorhandene Übersetzungen", () => {
+    for (const [path, schema] of entries(RFQ_SCHEMA)) {
+      if (schema.title) expect(lookup(schema.title), `${path}.title`).toBeTypeOf("string");
+      if (schema.errorMessage) expect(lookup(schema.errorMessage), `${path}.errorMessage`).toBeDefined();
+    }
+  });
+
+  it("hat für jeden EU-Staat ein USt-IdNr.-Muster", () => {
+    expect(Object.keys(EU_VAT_PATTERNS).sort()).toEqual([...EU_COUNTRIES].sort());
+  });
+
+  it("wirft bei unerwarteten Typen nicht, sondern meldet das Feld", () => {
+    const errors = validateRFQ({ ...EMPTY_FORM, company: 42, lineItems: "keine Liste", files: null });
+    expect(Object.keys(errors)).toEqual(expect.arrayContaining(["company", "lineItems", "files"]));
+    expect(() => validateRFQ({ ...EMPTY_FORM, lineItems: [null, 5] })).not.toThrow();
+  });
+});
@@ -0,0 +1,90 @@
+import { msg } from "./messages.js";
+
+/**
+ * Lieferantenverzeichnis und Versand einer RFQ an mehrere Lieferanten –
+ * reine Funktionen. Das Verzeichnis samt NDA-Status führt der Server
+ * (server/suppliers.js), Versandstatus und Angebote liegen am lokalen
+ * Datensatz (drafts.js, IndexedDB) und sind nur in diesem Browser sichtbar.
+ *
+ * Lieferant: { id, name, email, capabilities: string[], ndaSigned }
+ * Versand je RFQ (record.dispatches): { supplierId, name, email, status, sentAt, updatedAt, quote? }
+ * (Angebot siehe quotes.js)
+ */
+
+export const CAPABILITIES = ["cnc", "turning", "sheetMetal", "additive", "welding", "casting"];
+
+// Reihenfolge = üblicher Ablauf; "declined" und "quoted" sind Endzustände
+export const DISPATCH_STATUSES = ["sent", "viewed", "declined", "quoted"];
+
+export const EMPTY_SUPPLIER = { name: "", email: "", capabilities: [], ndaSigned: false };
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function validateSupplier(s) {
+  const e = {};
+  if (!String(s.name || "").trim()) e.name = msg("suppliers.nameRequired");
+  if (!EMAIL_RE.test(s.email || "")) e.email = msg("validation.email");
+  return e;
+}
+
+/** Lieferant aus einem Request-Body mit bekannten Feldern und Typen. */
+export function normalizeSupplier(s) {
+  return {
+    name: String(s.name || "").trim(),
+    email: String(s.email || "").trim(),
+    capabilities: Array.isArray(s.capabilities) ? CAPABILITIES.filter((c) => s.capabilities.includes(c)) : [],
+    ndaSigned: s.ndaSigned === true,
+  };
+}
+
+/**
+ * Grund, warum die RFQ nicht an diesen Lieferanten gehen darf, oder null.
+ * Verlangt die Anfrage ein NDA, muss beim Lieferanten eines vorliegen.
+ */
+export function dispatchBlocker(rfq, supplier) {
+  if (rfq.NDA && !supplier.ndaSigned) return msg("dispatch.ndaMissing");
+  return null;
+}
+
+/** Neue Versandeinträge; bereits angeschriebene Lieferanten bleiben unverändert. */
+export function addDispatches(dispatches, suppliers, sentAt) {
+  const known = new Set(dispatches.map((d) => d.supplierId));
+  const added = suppliers
+    .filter((s) => !known.has(s.id))
+    .map((s) => ({ supplierId: s.id, name: s.name, email: s.email, status: "sent", sentAt, updatedAt: sentAt }));
+  return [...dispatches, ...added];
+}
+
+const DISPATCH_TRANSITIONS = {
+  sent: ["viewed", "declined", "quoted"],
+  viewed: ["declined", "quoted"],
+  declined: [],
+  quoted: [],
+};
+
+/** Zulässige Folgestatus eines Versandeintrags (ohne den aktuellen). */
+export function nextDispatchStatuses(status) {
+  return DISPATCH_TRANSITIONS[status] || [];
+}
+
+/** Statuswechsel; unzulässige Wechsel (z. B. aus einem Endzustand) lassen den Eintrag unverändert. */
+export function setDispatchStatus(dispatches, supplierId, status, updatedAt) {
+  return dispatches.map((d) =>
+    d.supplierId === supplierId && nextDispatchStatuses(d.status).includes(status) ? { ...d, status, updatedAt } : d
+  );
+}
+
+/**
+ * Erfasstes Angebot ablegen; der Status wechselt dabei auf "quoted".
+ * Abgesagte Lieferanten nehmen kein Angebot mehr an.
+ */
+export function setDispatchQuote(dispatches, supplierId, quote) {
+  return dispatches.map((d) =>
+    d.supplierId === supplierId && d.status !== "declined" ? { ...d, quote, status: "quoted", updatedAt: quote.enteredAt } : d
+  );
+}
+
+/** Anzahl je Status, z. B. { sent: 2, quoted: 1 } für Übersichten. */
+export function countByStatus(dispatches = []) {
+  return dispatches.reduce((acc, d) => ({ ...acc, [d.status]: (acc[d.status] || 0) + 1 }), {});
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { addDispatches, nextDispatchStatuses, setDispatchQuote, setDispatchStatus } from "./suppliers.js";
+
+const SENT = "2026-01-11T08:00:00.000Z";
+const LATER = "2026-01-12T08:00:00.000Z";
+
+function dispatches(status) {
+  return addDispatches([], [{ id: "s1", name: "Blech AG", email: "rfq@blech.de" }], SENT).map((d) => ({ ...d, status }));
+}
+
+describe("Versandstatus je Lieferant", () => {
+  it("erlaubt nur Wechsel im Ablauf", () => {
+    expect(nextDispatchStatuses("sent")).toEqual(["viewed", "declined", "quoted"]);
+    expect(nextDispatchStatuses("viewed")).toEqual(["declined", "quoted"]);
+    expect(setDispatchStatus(dispatches("sent"), "s1", "viewed", LATER)[0]).toMatchObject({ status: "viewed", updatedAt: LATER });
+    expect(setDispatchStatus(dispatches("viewed"), "s1", "sent", LATER)[0]).toMatchObject({ status: "viewed", updatedAt: SENT });
+  });
+
+  it.each(["declined", "quoted"])("verlässt den Endzustand „%s“ nicht", (status) => {
+    expect(nextDispatchStatuses(status)).toEqual([]);
+    for (const next of ["sent", "viewed", "declined", "quoted"]) {
+      expect(setDispatchStatus(dispatches(status), "s1", next, LATER)[0]).toMatchObject({ status, updatedAt: SENT });
+    }
+  });
+
+  it("nimmt Angebote nur von Lieferanten an, die nicht abgesagt haben", () => {
+    const quote = { enteredAt: LATER, prices: [] };
+    expect(setDispatchQuote(dispatches("viewed"), "s1", quote)[0]).toMatchObject({ status: "quoted", quote });
+    expect(setDispatchQuote(dispatches("quoted"), "s1", quote)[0]).toMatchObject({ status: "quoted", quote });
+    expect(setDispatchQuote(dispatches("declined"), "s1", quote)[0]).not.toHaveProperty("quote");
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Service Worker: hält die App samt Formular offline verfügbar und stößt den
+ * Postausgang (src/outbox.js) an, sobald der Browser wieder Verbindung meldet.
+ * vite.config.js stellt beim Build die Liste der Dateien voran:
+ * self.__RFQ_BUILD__ = { version, files }.
+ */
+
+const { version, files } = self.__RFQ_BUILD__ || { version: "dev", files: [] };
+const CACHE = `rfq-app-${version}`;
+// wie OUTBOX_SYNC_TAG in src/outbox.js
+const OUTBOX_SYNC = "rfq-outbox";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(files))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Caches älterer Builds entfernen
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("rfq-app-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // API nie aus dem Cache – Übermittlungen ohne Verbindung übernimmt der Postausgang
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate") {
+    // Seite aus dem Netz (neuer Build), offline die gecachte index.html
+    event.respondWith(fetch(request).catch(() => caches.match("/index.html")));
+    return;
+  }
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE).then((cache) => cache.put(request, copy));
+          }
+          return res;
+        })
+    )
+  );
+});
+
+self.addEventListener("sync", (event) => {
+  if (event.tag !== OUTBOX_SYNC) return;
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window" })
+      .then((clients) => clients.forEach((client) => client.postMessage({ type: OUTBOX_SYNC })))
+  );
+});
@@ -0,0 +1,190 @@
+/**
+ * Validierung der RFQ-Daten – reine Funktionen ohne React/DOM,
+ * damit Client (App.jsx) und Server (server/rfq-api.js) dieselben Regeln nutzen.
+ * Die Regeln selbst stehen deklarativ in rfqSchema.js; hier liegen nur der
+ * Prüfer und die feldübergreifenden Regeln (x-rules).
+ *
+ * Fehlerobjekte: Pfad → Meldung als { key, params } (siehe messages.js),
+ * Pfade wie "email" oder "lineItems.0.qty". Leeres Objekt = gültig.
+ */
+
+import { checkCompatibility, parseDecimal } from "./catalog.js";
+import { parseStockSize } from "./estimator.js";
+import { msg } from "./messages.js";
+import { EU_VAT_PATTERNS, LINE_ITEM_SCHEMA, MIN_LEAD_DAYS, RFQ_SCHEMA } from "./rfqSchema.js";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Ziffern, Leerzeichen, ()/.- und optional führendes +; 6–15 Ziffern
+const PHONE_RE = /^\+?[\d\s()/.-]+$/;
+
+const FORMATS = {
+  email: (s) => EMAIL_RE.test(s),
+  phone: (s) => PHONE_RE.test(s) && (s.match(/\d/g) || []).length >= 6 && (s.match(/\d/g) || []).length <= 15,
+  date: (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(new Date(`${s}T00:00:00Z`).getTime()),
+  decimal: (s) => !Number.isNaN(parseDecimal(s)),
+  positiveDecimal: (s) => parseDecimal(s) > 0,
+  stockSize: (s) => parseStockSize(s) > 0,
+};
+
+/** "YYYY-MM-DD" plus n Tage. */
+function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Feldübergreifende Regeln: (value, parent, ctx, key) → Meldung oder null.
+ * ctx: { root (gesamtes Formular), today ("YYYY-MM-DD") }
+ */
+const RULES = {
+  leadTime(value, parent, ctx) {
+    if (!value) return null;
+    if (value <= ctx.today) return msg("validation.deliveryPast");
+    if (value < addDays(ctx.today, MIN_LEAD_DAYS)) return msg("validation.deliveryLeadTime", { days: MIN_LEAD_DAYS });
+    return null;
+  },
+  vatId(value, parent) {
+    const pattern = EU_VAT_PATTERNS[parent.country];
+    if (!pattern) return null;
+    const normalized = normalizeVatId(value);
+    if (!normalized) return msg("validation.vatIdRequired");
+    return pattern.test(normalized) ? null : msg("validation.vatId");
+  },
+  noMissingFiles(value) {
+    return (value || []).some((f) => f && f.missing) ? msg("validation.missingFiles") : null;
+  },
+  knownFiles(value, parent, ctx) {
+    if (!ctx.root) return null;
+    const fileNames = new Set((ctx.root.files || []).map((f) => f.name));
+    const unknown = (value || []).filter((name) => !fileNames.has(name));
+    return unknown.length ? msg("validation.unknownFile", { names: unknown.join(", ") }) : null;
+  },
+  distinctQuantities(value, parent) {
+    const breaks = (value || []).map(Number);
+    return new Set([Number(parent.qty), ...breaks]).size === breaks.length + 1 ? null : msg("validation.qtyBreaksDuplicate");
+  },
+  compatibility(value, parent, ctx, key) {
+    return checkCompatibility(parent)[key] || null;
+  },
+};
+
+export function normalizeVatId(value) {
+  return String(value || "").replace(/[\s.-]/g, "").toUpperCase();
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/** Entspricht value dem Typ aus dem Schema? (integer ist auch number) */
+export function matchesType(schema, value) {
+  const actual = typeOf(value);
+  if (schema.type === "number") return (actual === "number" || actual === "integer") && Number.isFinite(value);
+  return actual === schema.type;
+}
+
+// Erster Verstoß gegen die Schlüsselwörter eines Werts (ohne Kinder), sonst null
+function violation(schema, value) {
+  const fail = msg(schema.errorMessage || "validation.invalid");
+  if (!matchesType(schema, value)) return fail;
+  if (schema.enum && !schema.enum.includes(value)) return fail;
+  if (schema.type === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) return fail;
+    if (schema.format && value.trim() && !FORMATS[schema.format](value.trim())) return fail;
+  }
+  if (schema.type === "number" || schema.type === "integer") {
+    if (schema.minimum != null && value < schema.minimum) return fail;
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) return fail;
+  }
+  if (schema.type === "array" && schema.minItems && value.length < schema.minItems) return fail;
+  return null;
+}
+
+function check(schema, value, path, ctx, errors, parent, key) {
+  // Fehlende Texte wie leere behandeln (ältere Payloads ohne neue Felder)
+  const v = value === undefined && schema.type === "string" ? "" : value;
+  const error = violation(schema, v);
+  if (error) {
+    errors[path] = error;
+    return;
+  }
+  if (schema.type === "object" && schema.properties) {
+    for (const [k, child] of Object.entries(schema.properties)) {
+      check(child, v[k], path ? `${path}.${k}` : k, ctx, errors, v, k);
+    }
+  }
+  if (schema.type === "array" && schema.items) {
+    v.forEach((item, i) => {
+      // Fehler in einfachen Listenelementen (z. B. Staffelmengen) gelten für die ganze Liste
+      if (schema.items.type !== "object") {
+        if (!errors[path] && violation(schema.items, item)) errors[path] = msg(schema.errorMessage || "validation.invalid");
+      } else {
+        check(schema.items, item, `${path}.${i}`, ctx, errors, v, i);
+      }
+    });
+  }
+  if (errors[path]) return;
+  for (const rule of schema["x-rules"] || []) {
+    const ruleError = RULES[rule](v, parent, ctx, key);
+    if (ruleError) {
+      errors[path] = ruleError;
+      return;
+    }
+  }
+}
+
+/**
+ * Prüft Formular bzw. Payload gegen RFQ_SCHEMA.
+ * options.today ("YYYY-MM-DD") für die Prüfung des Liefertermins.
+ */
+export function validateRFQ(form, { today = new Date().toISOString().slice(0, 10) } = {}) {
+  const errors = {};
+  check(RFQ_SCHEMA, form, "", { root: form, today }, errors);
+  return errors;
+}
+
+/**
+ * Regeln für eine einzelne Position (auch für die Vorschau beim BOM-Import);
+ * Schlüssel sind die Feldnamen der Position.
+ */
+export function validateLineItem(li) {
+  const errors = {};
+  check(LINE_ITEM_SCHEMA, li, "", {}, errors);
+  return errors;
+}
+
+/** Schema-Eintrag zu einem Pfad, z. B. "lineItems.0.qty" → { title: "items.qty", … }. */
+export function schemaAt(path, schema = RFQ_SCHEMA) {
+  return path.split(".").reduce((node, part) => {
+    if (!node) return null;
+    if (node.type === "array") return node.items;
+    return node.properties ? node.properties[part] : null;
+  }, schema);
+}
+
+/**
+ * Hinweise, die das Absenden nicht blockieren: Positionen ohne Zeichnung
+ * und Dateien, die keiner Position zugeordnet sind.
+ */
+export function warnRFQ(form) {
+  const w = {};
+  const lineItems = form.lineItems || [];
+  const assigned = new Set(lineItems.flatMap((li) => li.files || []));
+  lineItems.forEach((li, i) => {
+    if (!(li.files || []).length) w[`lineItems.${i}.files`] = msg("warnings.noDrawing");
+  });
+  lineItems.forEach((li, i) => {
+    for (const field of ["material", "surface", "heatTreatment"]) {
+      if (String(li[field] || "").trim() && !li[`${field}Code`]) {
+        w[`lineItems.${i}.${field}`] = msg("warnings.notInCatalog");
+      }
+    }
+  });
+  const unassigned = (form.files || []).filter((f) => !assigned.has(f.name)).map((f) => f.name);
+  if (unassigned.length) w.files = msg("warnings.unassigned", { names: unassigned.join(", ") });
+  return w;
+}
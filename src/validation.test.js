@@ -0,0 +1,156 @@
+import { describe, expect, it } from "vitest";
+import { EMPTY_FORM, DEFAULT_LINE_ITEM, toPayload } from "./model.js";
+import { normalizeVatId, schemaAt, validateLineItem, validateRFQ, warnRFQ } from "./validation.js";
+import { msg } from "./messages.js";
+
+const TODAY = "2026-01-10";
+
+function form(overrides = {}, item = {}) {
+  return {
+    ...EMPTY_FORM,
+    company: "Muster GmbH",
+    contact: "Erika Muster",
+    email: "einkauf@muster.de",
+    deliveryDate: "2026-03-01",
+    ...overrides,
+    lineItems: [{ ...DEFAULT_LINE_ITEM, partName: "Flansch", ...item }],
+  };
+}
+
+const keys = (errors) => Object.keys(errors).sort();
+
+describe("validateRFQ", () => {
+  it("akzeptiert ein vollständiges Formular", () => {
+    expect(validateRFQ(form(), { today: TODAY })).toEqual({});
+  });
+
+  it("meldet alle Pflichtfelder eines leeren Formulars", () => {
+    const errors = validateRFQ(EMPTY_FORM, { today: TODAY });
+    expect(keys(errors)).toEqual(["company", "contact", "deliveryDate", "email", "lineItems.0.partName"]);
+    expect(errors.company).toEqual(msg("validation.company"));
+  });
+
+  it("verlangt mindestens eine Position", () => {
+    expect(validateRFQ({ ...form(), lineItems: [] }, { today: TODAY }).lineItems.key).toBe("validation.lineItems");
+  });
+
+  it("prüft Formate von E-Mail, Telefon und Datum", () => {
+    const errors = validateRFQ(form({ email: "kein-at", phone: "12", deliveryDate: "2026-02-30x" }), { today: TODAY });
+    expect(errors.email.key).toBe("validation.email");
+    expect(errors.phone.key).toBe("validation.phone");
+    expect(errors.deliveryDate.key).toBe("validation.deliveryDate");
+    expect(validateRFQ(form({ phone: "+49 (0)30 123456" }), { today: TODAY })).toEqual({});
+  });
+
+  it("behandelt fehlende Textfelder älterer Payloads wie leere", () => {
+    const { phone, ...rest } = form();
+    expect(phone).toBe("");
+    expect(validateRFQ(rest, { today: TODAY })).toEqual({});
+  });
+
+  describe("Liefertermin", () => {
+    it("lehnt heute und vergangene Termine ab", () => {
+      expect(validateRFQ(form({ deliveryDate: TODAY }), { today: TODAY }).deliveryDate.key).toBe("validation.deliveryPast");
+    });
+
+    it("verlangt den Mindestvorlauf", () => {
+      const errors = validateRFQ(form({ deliveryDate: "2026-01-20" }), { today: TODAY });
+      expect(errors.deliveryDate).toEqual(msg("validation.deliveryLeadTime", { days: 14 }));
+      expect(validateRFQ(form({ deliveryDate: "2026-01-24" }), { today: TODAY })).toEqual({});
+    });
+  });
+
+  describe("USt-IdNr.", () => {
+    it("ist für EU-Firmen Pflicht", () => {
+      expect(validateRFQ(form({ country: "DE" }), { today: TODAY }).vatId.key).toBe("validation.vatIdRequired");
+    });
+
+    it("prüft den Aufbau je Land nach Normalisierung", () => {
+      expect(validateRFQ(form({ country: "DE", vatId: "de 123.456-789" }), { today: TODAY })).toEqual({});
+      expect(validateRFQ(form({ country: "AT", vatId: "DE123456789" }), { today: TODAY }).vatId.key).toBe("validation.vatId");
+    });
+
+    it("wird außerhalb der EU nicht geprüft", () => {
+      expect(validateRFQ(form({ country: "CH" }), { today: TODAY })).toEqual({});
+    });
+  });
+
+  it("lehnt Werte außerhalb der Auswahllisten ab", () => {
+    expect(keys(validateRFQ(form({ currency: "XYZ", incoterms: "FOB" }), { today: TODAY }))).toEqual(["currency", "incoterms"]);
+  });
+
+  it("blockiert fehlende Dateien aus wiederhergestellten Entwürfen", () => {
+    const files = [{ name: "a.pdf", size: 1, type: "application/pdf", missing: true }];
+    expect(validateRFQ(form({ files }), { today: TODAY }).files.key).toBe("validation.missingFiles");
+  });
+
+  it("meldet Zeichnungen, die nicht unter den Dateien sind", () => {
+    const files = [{ name: "a.pdf", size: 1, type: "application/pdf" }];
+    const errors = validateRFQ(form({ files }, { files: ["a.pdf", "b.pdf"] }), { today: TODAY });
+    expect(errors["lineItems.0.files"]).toEqual(msg("validation.unknownFile", { names: "b.pdf" }));
+  });
+});
+
+describe("validateLineItem", () => {
+  const item = (overrides) => ({ ...DEFAULT_LINE_ITEM, partName: "Welle", ...overrides });
+
+  it("verlangt Bezeichnung und positive Menge", () => {
+    expect(keys(validateLineItem({ ...DEFAULT_LINE_ITEM, qty: 0 }))).toEqual(["partName", "qty"]);
+  });
+
+  it("prüft Staffelmengen als Ganzes und auf Dubletten", () => {
+    expect(validateLineItem(item({ qtyBreaks: [50, 2.5] })).qtyBreaks.key).toBe("validation.qtyBreaks");
+    expect(validateLineItem(item({ qty: 50, qtyBreaks: [50] })).qtyBreaks.key).toBe("validation.qtyBreaksDuplicate");
+    expect(validateLineItem(item({ qty: 10, qtyBreaks: [50, 250] }))).toEqual({});
+  });
+
+  it("prüft Zahlenformate von Toleranz, Ra, Volumen und Rohteil", () => {
+    const errors = validateLineItem(
+      item({ tolerancePlus: "0,1x", toleranceMinus: "0,05", surfaceRa: "0", partVolume: "-3", stockSize: "20 x 30" })
+    );
+    expect(keys(errors)).toEqual(["partVolume", "stockSize", "surfaceRa", "tolerancePlus"]);
+    expect(validateLineItem(item({ surfaceRa: "1,6", partVolume: "12.5", stockSize: "Ø 40 x 100" }))).toEqual({});
+  });
+
+  it("meldet Oberflächen, die nicht zum Werkstoff passen", () => {
+    const steel = { material: "C45", materialCode: "1.0503" };
+    const errors = validateLineItem(item({ ...steel, surface: "Eloxieren", surfaceCode: "anodize" }));
+    expect(errors.surface.key).toBe("validation.incompatible");
+    expect(validateLineItem(item({ material: "6082", materialCode: "3.2315", surface: "Eloxieren", surfaceCode: "anodize" }))).toEqual({});
+  });
+});
+
+describe("Client und Server", () => {
+  // Der Client prüft das Formular, der Server die daraus gebaute Payload nach dem JSON-Transport
+  const serverSide = (f) => validateRFQ(JSON.parse(JSON.stringify(toPayload(f, { lang: "de" }))), { today: TODAY });
+  const files = [{ name: "zeichnung.pdf", size: 1200, type: "application/pdf" }];
+
+  it.each([
+    ["gültig", form({ files, fileHashes: { "zeichnung.pdf": "abc" } }, { files: ["zeichnung.pdf"] })],
+    ["leer", EMPTY_FORM],
+    ["Formatfehler", form({ email: "x", phone: "abc", country: "DE", vatId: "DE1" })],
+    ["Termin zu knapp", form({ deliveryDate: "2026-01-12" })],
+    ["fehlerhafte Position", form({}, { partName: " ", qty: -1, qtyBreaks: [1, 1], surfaceRa: "x" })],
+    ["unverträgliche Oberfläche", form({}, { materialCode: "1.0503", surfaceCode: "anodize", surface: "Eloxieren" })],
+    ["unbekannte Zeichnung", form({ files }, { files: ["fehlt.pdf"] })],
+  ])("liefern dieselben Fehler: %s", (_, f) => {
+    expect(serverSide(f)).toEqual(validateRFQ(f, { today: TODAY }));
+  });
+});
+
+describe("Hilfsfunktionen", () => {
+  it("normalizeVatId entfernt Trennzeichen", () => {
+    expect(normalizeVatId(" de-123.456 789 ")).toBe("DE123456789");
+  });
+
+  it("schemaAt findet Einträge in Positionen", () => {
+    expect(schemaAt("lineItems.3.qty").title).toBe("items.qty");
+    expect(schemaAt("unbekannt.feld")).toBe(null);
+  });
+
+  it("warnRFQ meldet Positionen ohne Zeichnung und freie Katalogtexte", () => {
+    const files = [{ name: "a.pdf", size: 1, type: "application/pdf" }];
+    const warnings = warnRFQ(form({ files }, { material: "Sonderstahl" }));
+    expect(keys(warnings)).toEqual(["files", "lineItems.0.files", "lineItems.0.material"]);
+  });
+});
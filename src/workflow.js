@@ -0,0 +1,56 @@
+/**
+ * Rollen, Rechte und Status-Workflow versendeter Anfragen – reine
+ * Funktionen, gemeinsam genutzt von Oberfläche und Server (server/rfq-api.js).
+ *
+ * Entwürfe ("draft") gibt es nur lokal im Browser; ab dem Versand führt der
+ * Server den Status im Audit-Log der Anfrage:
+ * submitted → quoting → awarded → closed (schließen jederzeit möglich).
+ */
+
+export const ROLES = ["requester", "buyer", "admin"];
+export const RFQ_STATUSES = ["draft", "submitted", "quoting", "awarded", "closed"];
+
+const PERMISSIONS = {
+  requester: ["submit"],
+  buyer: ["submit", "viewAll", "dispatch", "transition"],
+  admin: ["submit", "viewAll", "dispatch", "transition", "manageUsers"],
+};
+
+const TRANSITIONS = {
+  submitted: ["quoting", "closed"],
+  quoting: ["awarded", "closed"],
+  awarded: ["closed"],
+  closed: [],
+};
+
+/** user: { username, name, role } oder null (nicht angemeldet). */
+export function can(user, permission) {
+  return Boolean(user && (PERMISSIONS[user.role] || []).includes(permission));
+}
+
+/** Anfragende sehen nur ihre eigenen Anfragen, Einkauf und Admin alle. */
+export function canView(rfq, user) {
+  return can(user, "viewAll") || Boolean(user && rfq.submittedBy === user.username);
+}
+
+/**
+ * Erlaubte Folgestatus für den Benutzer. Anfragende dürfen eine eigene,
+ * noch nicht angefragte Anfrage nur zurückziehen (→ closed).
+ */
+export function nextStatuses(rfq, user) {
+  const next = TRANSITIONS[rfq.status] || [];
+  if (can(user, "transition")) return next;
+  const own = user && rfq.submittedBy === user.username;
+  return own && rfq.status === "submitted" ? ["closed"] : [];
+}
+
+/** Aktueller Status aus dem Audit-Log: letzter Eintrag mit Zielstatus. */
+export function currentStatus(audit) {
+  const last = [...(audit || [])].reverse().find((e) => e.to);
+  return last ? last.to : "submitted";
+}
+
+/** An Lieferanten geht eine Anfrage nur, solange sie nicht vergeben oder geschlossen ist. */
+export function canDispatch(status) {
+  return status === "submitted" || status === "quoting";
+}
@@ -0,0 +1,73 @@
+import { readZip } from "./zip.js";
+import { localizedError } from "./messages.js";
+
+/**
+ * Liest das erste Tabellenblatt einer XLSX-Datei als Array von Zeilen
+ * (Strings). Formeln werden mit ihrem zuletzt berechneten Wert übernommen,
+ * Formatierungen ignoriert.
+ */
+export async function readXlsx(buffer) {
+  const entries = new Map(readZip(buffer).map((e) => [e.name, e]));
+  const text = async (name) => {
+    const entry = entries.get(name);
+    return entry ? new TextDecoder().decode(await entry.read()) : null;
+  };
+
+  const sheetPath = await firstSheetPath(text);
+  const sheetXml = sheetPath && (await text(sheetPath));
+  if (!sheetXml) throw localizedError("bom.noSheet");
+
+  const sharedXml = await text("xl/sharedStrings.xml");
+  const shared = sharedXml
+    ? [...parseXml(sharedXml).getElementsByTagName("si")].map((si) =>
+        [...si.getElementsByTagName("t")].map((t) => t.textContent).join("")
+      )
+    : [];
+
+  const rows = [];
+  for (const row of parseXml(sheetXml).getElementsByTagName("row")) {
+    const cells = [];
+    let next = 0;
+    for (const c of row.getElementsByTagName("c")) {
+      const ref = c.getAttribute("r");
+      const col = ref ? columnIndex(ref) : next;
+      next = col + 1;
+      cells[col] = cellValue(c, shared);
+    }
+    rows[Number(row.getAttribute("r") || rows.length + 1) - 1] = Array.from(cells, (v) => v ?? "");
+  }
+  return Array.from(rows, (r) => r || []).filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+async function firstSheetPath(text) {
+  const workbook = await text("xl/workbook.xml");
+  const rels = await text("xl/_rels/workbook.xml.rels");
+  if (!workbook || !rels) return "xl/worksheets/sheet1.xml";
+  const sheet = parseXml(workbook).getElementsByTagName("sheet")[0];
+  const relId = sheet && (sheet.getAttribute("r:id") || sheet.getAttributeNS("http://schemas.openxmlformats.org/officeDocument/2006/relationships", "id"));
+  const rel = [...parseXml(rels).getElementsByTagName("Relationship")].find((r) => r.getAttribute("Id") === relId);
+  if (!rel) return "xl/worksheets/sheet1.xml";
+  const target = rel.getAttribute("Target");
+  return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+}
+
+function cellValue(c, shared) {
+  const type = c.getAttribute("t");
+  if (type === "inlineStr") {
+    return [...c.getElementsByTagName("t")].map((t) => t.textContent).join("");
+  }
+  const v = c.getElementsByTagName("v")[0];
+  if (!v) return "";
+  if (type === "s") return shared[Number(v.textContent)] ?? "";
+  if (type === "b") return v.textContent === "1" ? "TRUE" : "FALSE";
+  return v.textContent;
+}
+
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/)[0];
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function parseXml(xml) {
+  return new DOMParser().parseFromString(xml, "application/xml");
+}
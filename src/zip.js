@@ -0,0 +1,192 @@
+import { localizedError } from "./messages.js";
+
+/**
+ * Minimaler ZIP-Leser ohne Abhängigkeiten (Methoden "stored" und "deflate",
+ * Letzteres über DecompressionStream). Reicht für XLSX und einfache Archive.
+ * Geschrieben wird nur "stored" – CAD-Dateien und PDFs sind ohnehin kaum
+ * komprimierbar.
+ */
+
+const EOCD_SIG = 0x06054b50;
+const CEN_SIG = 0x02014b50;
+const LOC_SIG = 0x04034b50;
+
+/**
+ * Liefert die Einträge eines ZIP-Archivs als { name, size, directory, read() }.
+ * read() entpackt den Eintrag und liefert ein Uint8Array; mehr als die im
+ * Verzeichnis angegebene Größe wird nicht entpackt (ZIP-Bomben). Abgeschnittene
+ * oder beschädigte Archive werfen intake.zipCorrupt.
+ */
+export function readZip(buffer) {
+  try {
+    return readDirectory(buffer);
+  } catch (err) {
+    // DataView wirft RangeError, wenn Offsets hinter das Ende zeigen
+    if (err instanceof RangeError) throw localizedError("intake.zipCorrupt");
+    throw err;
+  }
+}
+
+function readDirectory(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = findEocd(view);
+  if (eocd < 0) throw localizedError("intake.zipInvalid");
+
+  const count = view.getUint16(eocd + 10, true);
+  let ptr = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(ptr, true) !== CEN_SIG) throw localizedError("intake.zipCorrupt");
+    const flags = view.getUint16(ptr + 8, true);
+    const method = view.getUint16(ptr + 10, true);
+    const compressedSize = view.getUint32(ptr + 20, true);
+    const size = view.getUint32(ptr + 24, true);
+    const nameLen = view.getUint16(ptr + 28, true);
+    const extraLen = view.getUint16(ptr + 30, true);
+    const commentLen = view.getUint16(ptr + 32, true);
+    const localOffset = view.getUint32(ptr + 42, true);
+    const name = decoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLen));
+    ptr += 46 + nameLen + extraLen + commentLen;
+
+    entries.push({
+      name,
+      size,
+      directory: name.endsWith("/"),
+      encrypted: Boolean(flags & 1),
+      read: () => readEntry(bytes, view, localOffset, method, compressedSize, size),
+    });
+  }
+  return entries;
+}
+
+async function readEntry(bytes, view, offset, method, compressedSize, size) {
+  if (offset + 30 > bytes.length || view.getUint32(offset, true) !== LOC_SIG) throw localizedError("intake.zipCorrupt");
+  const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+  if (start + compressedSize > bytes.length) throw localizedError("intake.zipCorrupt");
+  const data = bytes.subarray(start, start + compressedSize);
+  if (method === 0) return data.slice();
+  if (method !== 8) throw localizedError("intake.zipMethod", { method });
+  return inflate(data, size);
+}
+
+// Entpackt deflate-Daten und bricht ab, sobald mehr als maxBytes herauskommen
+async function inflate(data, maxBytes) {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw")).getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    let chunk;
+    try {
+      chunk = await reader.read();
+    } catch {
+      throw localizedError("intake.zipCorrupt");
+    }
+    if (chunk.done) break;
+    length += chunk.value.length;
+    if (length > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw localizedError("intake.zipSize");
+    }
+    chunks.push(chunk.value);
+  }
+  const out = new Uint8Array(length);
+  let pos = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, pos);
+    pos += chunk.length;
+  }
+  return out;
+}
+
+function findEocd(view) {
+  // EOCD steht am Ende, gefolgt von max. 64 KB Kommentar
+  const min = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= min; i--) {
+    if (view.getUint32(i, true) === EOCD_SIG) return i;
+  }
+  return -1;
+}
+
+let crcTable = null;
+
+/** CRC-32 (ZIP/PNG) über ein Uint8Array. */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Datum/Uhrzeit im DOS-Format (lokale Felder wie bei den üblichen Packern)
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Baut ein ZIP-Archiv aus [{ name, data: Uint8Array | string }].
+ * Namen werden als UTF-8 markiert; date gilt für alle Einträge.
+ * Liefert die Teile als Array für new Blob(parts) – große Dateien werden
+ * so nicht noch einmal kopiert.
+ */
+export function writeZip(entries, { date = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.data === "string" ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOC_SIG, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const cen = new DataView(new ArrayBuffer(46));
+    cen.setUint32(0, CEN_SIG, true);
+    cen.setUint16(4, 20, true);
+    cen.setUint16(6, 20, true);
+    cen.setUint16(8, 0x0800, true);
+    cen.setUint16(12, time, true);
+    cen.setUint16(14, day, true);
+    cen.setUint32(16, crc, true);
+    cen.setUint32(20, data.length, true);
+    cen.setUint32(24, data.length, true);
+    cen.setUint16(28, name.length, true);
+    cen.setUint32(42, offset, true);
+    central.push(new Uint8Array(cen.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, EOCD_SIG, true);
+  eocd.setUint16(8, entries.length, true);
+  eocd.setUint16(10, entries.length, true);
+  eocd.setUint32(12, centralSize, true);
+  eocd.setUint32(16, offset, true);
+  return [...parts, ...central, new Uint8Array(eocd.buffer)];
+}
@@ -0,0 +1,69 @@
+import { deflateRawSync } from "node:zlib";
+import { describe, expect, it } from "vitest";
+import { readZip, writeZip } from "./zip.js";
+
+// Ein Eintrag mit Methode deflate; size = angegebene (ggf. gelogene) Größe
+function deflatedZip(content, size = content.length) {
+  const name = new TextEncoder().encode("teil.step");
+  const data = deflateRawSync(content);
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034b50, true);
+  local.setUint16(8, 8, true);
+  local.setUint32(18, data.length, true);
+  local.setUint32(22, size, true);
+  local.setUint16(26, name.length, true);
+  const cen = new DataView(new ArrayBuffer(46));
+  cen.setUint32(0, 0x02014b50, true);
+  cen.setUint16(10, 8, true);
+  cen.setUint32(20, data.length, true);
+  cen.setUint32(24, size, true);
+  cen.setUint16(28, name.length, true);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, 1, true);
+  eocd.setUint16(10, 1, true);
+  eocd.setUint32(12, 46 + name.length, true);
+  eocd.setUint32(16, 30 + name.length + data.length, true);
+  return concat([new Uint8Array(local.buffer), name, data, new Uint8Array(cen.buffer), name, new Uint8Array(eocd.buffer)]);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  parts.reduce((pos, p) => (out.set(p, pos), pos + p.length), 0);
+  return out;
+}
+
+const errorKey = (promise) => promise.then(() => null, (err) => err.key);
+
+describe("readZip", () => {
+  it("liest gespeicherte und komprimierte Einträge", async () => {
+    const [stored] = readZip(concat(writeZip([{ name: "a.txt", data: "Hallo" }])));
+    expect(new TextDecoder().decode(await stored.read())).toBe("Hallo");
+    const [deflated] = readZip(deflatedZip(new Uint8Array(5000).fill(65)));
+    expect((await deflated.read()).length).toBe(5000);
+  });
+
+  it("entpackt nicht mehr als angegeben (ZIP-Bombe)", async () => {
+    const [entry] = readZip(deflatedZip(new Uint8Array(1024 * 1024), 100));
+    expect(await errorKey(entry.read())).toBe("intake.zipSize");
+  });
+
+  it("meldet abgeschnittene Archive als beschädigt statt mit RangeError", async () => {
+    const zip = concat(writeZip([{ name: "a.txt", data: "x".repeat(100) }, { name: "b.txt", data: "y" }]));
+    const truncated = concat([zip.subarray(0, 60), zip.subarray(zip.length - 22)]);
+    let key = null;
+    try {
+      for (const entry of readZip(truncated)) await entry.read();
+    } catch (err) {
+      key = err.key;
+    }
+    expect(key).toBe("intake.zipCorrupt");
+  });
+
+  it("meldet ungültige deflate-Daten als beschädigt", async () => {
+    const zip = deflatedZip(new Uint8Array(100).fill(1));
+    zip.fill(0xff, 39, 45);
+    const [entry] = readZip(zip);
+    expect(await errorKey(entry.read())).toBe("intake.zipCorrupt");
+  });
+});
@@ -1,7 +1,45 @@
+import { readFile, readdir } from 'node:fs/promises'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createRfqHandler } from './server/rfq-api.js'
+import { catchErrors } from './server/http.js'
+
+// Stellt POST /api/rfq auch im Dev- und Preview-Server bereit.
+function rfqApi() {
+  const handler = catchErrors(createRfqHandler({ uploadDir: process.env.UPLOAD_DIR || 'uploads' }))
+  return {
+    name: 'rfq-api',
+    configureServer(server) {
+      server.middlewares.use(handler)
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(handler)
+    },
+  }
+}
+
+// Erzeugt beim Build /sw.js aus src/sw.js samt Liste aller Dateien für den Offline-Cache.
+function serviceWorker() {
+  return {
+    name: 'rfq-service-worker',
+    apply: 'build',
+    async generateBundle(options, bundle) {
+      const assets = Object.keys(bundle).filter((name) => !name.endsWith('.map'))
+      const publicFiles = await readdir(new URL('./public', import.meta.url))
+      const files = [...new Set(['index.html', ...assets, ...publicFiles])].map((name) => `/${name}`)
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+      const source = await readFile(new URL('./src/sw.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__RFQ_BUILD__ = ${JSON.stringify({ version, files })};\n${source}`,
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), rfqApi(), serviceWorker()],
 })